@@ -20,9 +20,29 @@ let currentImageIndex = 0; // Track current image index for cycling
 // Canvas variables for lighting effects
 let canvas = null;
 let ctx = null;
-let originalImageData = null;
+let originalImageData = null; // Pixels of the display-sized working copy of the photo
 let classroomImage = null;
 
+// Renderer for the lit photo (WebGL, Web Worker or main thread, see ../lighting-renderer.js) and
+// the redraw of the photo, at most once per animation frame; both are created on first use
+let lightingRenderer = null;
+let lightingFrame = null;
+
+// Light source and colour matrix per CCT / CRI, as working them out takes far longer than
+// drawing the photo
+const LIGHTING_MATRIX_CACHE_SIZE = 64;
+const lightingMatrixCache = new Map();
+
+// Scenario restored from the URL (see ../simulator-state.js), applied once the standards are loaded
+let restoredState = null;
+
+// Luminaire positions for the glare rendering (see ../glare.js); placed in the main simulator
+// and kept from its links
+let luminaires = DEFAULT_LUMINAIRES.map(point => ({ ...point }));
+
+// Veil map for the current image size and luminaires: { key, map }
+let veilCache = null;
+
 /**
  * Utility Functions
  */
@@ -94,10 +114,10 @@ function getUnit(param) {
     const units = {
         'CCT': 'K',
         'CRI': '',
-        'Flicker': 'HZ',
+        'Flicker': '%',
         'UGR': '',
         'Uniformity': '',
-        'Melanopic_EDI': '',
+        'Melanopic_EDI': 'lux',
         'Vertical_Illuminance': 'lux',
         'Exposure_Duration': 'hours',
         'Lux': 'lux'
@@ -110,19 +130,18 @@ function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
-// Clamp value to valid range (0-255 for pixel values)
-function clamp(value) {
-    return Math.max(0, Math.min(255, Math.round(value)));
-}
-
 /**
  * Data Loading Functions
  */
 
-// Function to load selected data from cookies
+// Function to load selected data from the URL, falling back to the cookies set by index.html
 function loadSelectedData() {
-    selectedGrade = getCookie('selectedGrade');
-    selectedEnvironment = getCookie('selectedEnvironment');
+    restoredState = readSimulatorState();
+    selectedGrade = restoredState.grade || getCookie('selectedGrade');
+    selectedEnvironment = restoredState.environment || getCookie('selectedEnvironment');
+    if (restoredState.luminaires) {
+        luminaires = restoredState.luminaires;
+    }
     
     if (!selectedGrade || !selectedEnvironment) {
         alert('No selection data found. Please go back to the main page and make a selection.');
@@ -131,79 +150,157 @@ function loadSelectedData() {
     }
 
     // Display selected data
-    const displayDiv = document.getElementById('selectedDataDisplay');
-    if (displayDiv) {
-        displayDiv.innerHTML = `
-            <div class="col-md-6">
-                <p><strong class="text-warning">Grade:</strong> ${selectedGrade}</p>
-            </div>
-            <div class="col-md-6">
-                <p><strong class="text-warning">Environment:</strong> ${selectedEnvironment}</p>
-            </div>
-        `;
-    }
+    displaySelectedData();
 
     // Load API data
     loadApiData();
 }
 
-// Function to load API data
+// Function to display the selected grade and environment (with their labels once the standards are loaded)
+function displaySelectedData(standards = null) {
+    const displayDiv = document.getElementById('selectedDataDisplay');
+    if (!displayDiv) return;
+    
+    const group = standards?.age_groups[selectedGrade];
+    const environment = group?.environments[selectedEnvironment];
+    displayDiv.innerHTML = `
+        <div class="col-md-6">
+            <p><strong class="text-warning">Grade:</strong> ${group ? `${group.label} (${group.age_range})` : selectedGrade}</p>
+        </div>
+        <div class="col-md-6">
+            <p><strong class="text-warning">Environment:</strong> ${environment ? environment.label : selectedEnvironment}</p>
+        </div>
+    `;
+}
+
+// Function to resolve the selection (e.g. "adults" -> "secondary") against the standards data
+// and report anything that could not be resolved instead of silently showing empty results
+function applySelection(standards) {
+    const selection = resolveSelection(standards, selectedGrade, selectedEnvironment);
+    if (selection.grade) selectedGrade = selection.grade;
+    if (selection.environment) selectedEnvironment = selection.environment;
+    
+    displaySelectedData(standards);
+    
+    const warningsDiv = document.getElementById('selectionWarnings');
+    if (!warningsDiv) return;
+    if (selection.errors.length === 0) {
+        warningsDiv.innerHTML = '';
+        return;
+    }
+    
+    console.warn('Selection could not be fully resolved:', selection.errors);
+    warningsDiv.innerHTML = `
+        <div class="alert alert-danger mt-3 mb-0" role="alert">
+            <strong>Selection not found in the lighting standards.</strong>
+            <ul class="mb-2">
+                ${selection.errors.map(error => `<li>${error}</li>`).join('')}
+            </ul>
+            <a href="index.html" class="alert-link">Choose another grade / environment</a>
+        </div>
+    `;
+}
+
+// Loader for the standards data (see load-orchestrator.js)
+let simulatorLoader = null;
+
+// Function to load the standards and set up the simulator, showing their progress on the
+// preloader (with a retry for anything that fails) and hiding it once all are ready. The photo
+// is picked by the recommendation cards once the values have been compared.
 async function loadApiData() {
-    try {
-        // Show preloader while loading data
-        showPreloader('Loading API Data...');
-        
-        // Load only two data files: newData.json and lighting.json
-        updatePreloaderMessage('Fetching lighting standards...');
-        const [dataResponse, lightingResponse] = await Promise.all([
-            fetch('api/newData.json'),
-            fetch('api/lighting.json')
-        ]);
-        
-        updatePreloaderMessage('Processing data...');
-        const dataJson = await dataResponse.json();
-        const lightingJson = await lightingResponse.json();
-        
-        console.log(dataJson , lightingJson);
-        
-        updatePreloaderMessage('Merging datasets...');
-        // Merge the data for slider ranges and recommendations
-        apiData = {};
-        for (const grade in dataJson) {
-            apiData[grade] = {
-                ...dataJson[grade],
-                lighting_data: lightingJson[grade] || {}
-            };
+    showPreloader('Loading Lighting Simulator...');
+    
+    simulatorLoader = createLoadOrchestrator([
+        {
+            id: 'schema',
+            label: 'Standards schema',
+            run: (results, report) => fetchStandardsFile(STANDARDS_SCHEMA_PATH, report)
+        },
+        {
+            // Validated as it loads, so a retry after fixing the file checks it again
+            id: 'standards',
+            label: 'Lighting standards',
+            weight: 3,
+            after: ['schema'],
+            run: async ({ schema }, report) => checkStandards(await fetchStandardsFile(STANDARDS_PATH, report), schema)
+        },
+        {
+            id: 'ranges',
+            label: 'Recommended ranges',
+            after: ['standards'],
+            run: ({ standards }) => setUpStandards(standards)
         }
-        
-        updatePreloaderMessage('Initializing simulator...');
-        // Set slider ranges based on API data for the selected grade
-        setSliderRanges();
-        
-        updatePreloaderMessage('Setting up validation...');
-        // Update validation status after loading data
-        setTimeout(() => {
-            updateValidationStatus();
-        }, 2000);
-        
-        // // Update info cards with dynamic data
-        updateInfoCards();
-                
+    ], renderLoadProgress);
+    
+    await simulatorLoader.start();
+    hidePreloader();
+}
 
-        compareValues(); // Compare values after loading data
-        
-        // Hide preloader after everything is loaded (3 seconds)
-        setTimeout(() => {
-            hidePreloader();
-        }, 3000);
-        
-    } catch (error) {
-        console.error('Failed to load API data:', error);
-        updatePreloaderMessage('Error loading data. Please refresh the page.');
-        setTimeout(() => {
-            hidePreloader();
-            alert('Failed to load lighting data. Please try again.');
-        }, 1000);
+// Function to set up the simulator from the validated standards data
+function setUpStandards(standards) {
+    // Per-grade view for slider ranges and recommendations:
+    // graded ranges by parameter plus lighting_data for each environment
+    apiData = buildApiData(standards);
+    
+    // Resolve the selected grade / environment before anything reads apiData
+    applySelection(standards);
+    
+    // Set slider ranges based on API data for the selected grade
+    setSliderRanges();
+    
+    // Restore slider values from a shared link and put the full scenario in the URL
+    restoreSliderState();
+    
+    updateValidationStatus();
+    
+    // Update info cards with dynamic data
+    updateInfoCards();
+    
+    compareValues();
+}
+
+// Function to show the loader's progress on the preloader: the percentage, each resource's
+// status and a retry button for each one that failed
+function renderLoadProgress(state) {
+    const percent = Math.round(state.percent);
+    const loading = state.tasks.find(task => task.status === 'loading');
+    updatePreloaderMessage(state.failed
+        ? 'Some resources could not be loaded'
+        : `${loading ? `Loading ${loading.label.toLowerCase()}` : 'Loading'}... ${percent}%`);
+    
+    const bar = document.getElementById('preloaderProgress');
+    if (bar) {
+        bar.setAttribute('aria-valuenow', percent);
+        bar.firstElementChild.style.width = `${percent}%`;
+    }
+    
+    const list = document.getElementById('preloaderTasks');
+    if (!list) return;
+    const icons = { waiting: '○', loading: '◌', done: '✓', failed: '✗' };
+    list.replaceChildren(...state.tasks.map(task => {
+        const item = document.createElement('li');
+        item.className = `preloader-task preloader-task-${task.status}`;
+        item.textContent = `${icons[task.status]} ${task.label}`;
+        if (task.status === 'loading' && task.progress > 0) {
+            item.textContent += ` (${Math.round(task.progress * 100)}%)`;
+        }
+        if (task.status === 'failed') {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'preloader-retry';
+            button.dataset.retryTask = task.id;
+            button.textContent = 'Retry';
+            const error = document.createElement('div');
+            error.className = 'preloader-task-error';
+            error.textContent = task.error.message.split('\n')[0];
+            item.append(button, error);
+        }
+        return item;
+    }));
+    if (state.failed) {
+        const back = document.createElement('li');
+        back.innerHTML = '<a href="index.html">Choose another grade / environment</a>';
+        list.append(back);
     }
 }
 
@@ -211,6 +308,36 @@ async function loadApiData() {
  * Slider Management Functions
  */
 
+// Function to apply slider values restored from the URL over the defaults
+function restoreSliderState() {
+    if (restoredState && Object.keys(restoredState.sliders).length > 0) {
+        applySliderState(restoredState.sliders);
+        updateMelanopicEDI();
+    }
+    if (restoredState) {
+        applyOptionState(restoredState.options);
+    }
+    updateFlickerControls();
+    if (restoredState?.sliders.flickerDutySlider !== undefined) {
+        applySliderState({ flickerDutySlider: restoredState.sliders.flickerDutySlider });
+    }
+    updateSimulatorUrl();
+}
+
+// Function to keep the URL in sync with the current scenario so it can be bookmarked or shared.
+// The image is not included: here it follows the recommendation score (happy / sad person).
+function updateSimulatorUrl() {
+    if (!selectedGrade || !selectedEnvironment) return;
+    
+    writeSimulatorState({
+        grade: selectedGrade,
+        environment: selectedEnvironment,
+        sliders: getSliderState(),
+        options: getOptionState(),
+        luminaires
+    });
+}
+
 // Function to set slider ranges based on API data
 function setSliderRanges() {
     if (!apiData || !selectedGrade) return;
@@ -234,13 +361,34 @@ function setSliderRanges() {
     document.getElementById('criValue').textContent = criSlider.value;
     document.getElementById('criRange').textContent = `Range: 0 - 100`;
     
-    // Flicker: 0% to 100% (full range)
+    // Flicker frequency: 1 Hz to 5000 Hz (mains-driven sources flicker at 100 / 120 Hz)
     const flickerSlider = document.getElementById('flickerSlider');
-    flickerSlider.min = 100;
-    flickerSlider.max = 10000;
-    flickerSlider.value = 1250; // Default low value
-    document.getElementById('flickerValue').textContent = ( flickerSlider.value );
-    document.getElementById('flickerRange').textContent = `Range: 100 - 10000 HZ`;
+    flickerSlider.min = 1;
+    flickerSlider.max = 5000;
+    flickerSlider.step = 1;
+    flickerSlider.value = 100; // Default twice the 50 Hz mains frequency
+    document.getElementById('flickerValue').textContent = flickerSlider.value;
+    document.getElementById('flickerRange').textContent = `Range: 1 - 5000 Hz`;
+    
+    // Percent flicker (modulation depth): 0% to 100% (full range)
+    const flickerModulationSlider = document.getElementById('flickerModulationSlider');
+    if (flickerModulationSlider) {
+        flickerModulationSlider.min = 0;
+        flickerModulationSlider.max = 100;
+        flickerModulationSlider.value = 5; // Default low value
+        document.getElementById('flickerModulationValue').textContent = flickerModulationSlider.value;
+        document.getElementById('flickerModulationRange').textContent = `Range: 0 - 100 %`;
+    }
+    
+    // PWM duty cycle: 5% to 95% (only used by the square waveform)
+    const flickerDutySlider = document.getElementById('flickerDutySlider');
+    if (flickerDutySlider) {
+        flickerDutySlider.min = 5;
+        flickerDutySlider.max = 95;
+        flickerDutySlider.value = 50; // Default symmetric square wave
+        document.getElementById('flickerDutyValue').textContent = flickerDutySlider.value;
+        document.getElementById('flickerDutyRange').textContent = `Range: 5 - 95 %`;
+    }
     
     // UGR (Glare): 0 to 100 (wide range)
     const glareSlider = document.getElementById('glareSlider');
@@ -259,13 +407,11 @@ function setSliderRanges() {
     // document.getElementById('uniformityValue').textContent = uniformitySlider.value;
     // document.getElementById('uniformityRange').textContent = `Range: 0 - 1`;
     
-    // Melanopic EDI: 0 to 1000 (wide range)
-    // const melanopicSlider = document.getElementById('melanopicSlider');
-    // melanopicSlider.min = 0;
-    // melanopicSlider.max = 1000;
-    // melanopicSlider.value = 200; // Default moderate value
-    // document.getElementById('melanopicValue').textContent = melanopicSlider.value;
-    // document.getElementById('melanopicRange').textContent = `Range: 0 - 1000`;
+    // Melanopic EDI: 0 to 1000, read-only (calculated from the light source and vertical illuminance)
+    const melanopicSlider = document.getElementById('melanopicSlider');
+    melanopicSlider.min = 0;
+    melanopicSlider.max = 1000;
+    document.getElementById('melanopicRange').textContent = `Calculated: mel-DER × vertical lux`;
     
     // Vertical Illuminance: 0 to 2000 lux (wide range)
     const verticalSlider = document.getElementById('verticalSlider');
@@ -311,8 +457,82 @@ function updateSliderValue(sliderId, valueId) {
     }
 }
 
+// Function to calculate the melanopic EDI (lux) of the simulated light source at the vertical illuminance
+function getMelanopicEDI() {
+    const cct = parseInt(document.getElementById('cctSlider')?.value || 6500);
+    const cri = parseInt(document.getElementById('criSlider')?.value || 80);
+    const verticalIlluminance = parseInt(document.getElementById('verticalSlider')?.value || 300);
+    return calculateMelanopicEDI(getLightingMatrix(cct, cri).lightSource.spectrum, verticalIlluminance);
+}
+
+// Function to get the flicker set on the sliders as { frequency, modulation, shape, dutyCycle }
+function getFlickerLight() {
+    return {
+        frequency: parseFloat(document.getElementById('flickerSlider')?.value || 100),
+        modulation: parseFloat(document.getElementById('flickerModulationSlider')?.value || 5),
+        shape: document.getElementById('flickerWaveform')?.value || 'sine',
+        dutyCycle: parseFloat(document.getElementById('flickerDutySlider')?.value || 50) / 100
+    };
+}
+
+// Function to evaluate the flicker set on the sliders (frequency, percent flicker, waveform and duty cycle)
+function getFlickerEvaluation() {
+    return evaluateFlicker(getFlickerLight());
+}
+
+// Function to enable the duty cycle slider only for the PWM (square) waveform
+function updateFlickerControls() {
+    const dutySlider = document.getElementById('flickerDutySlider');
+    if (dutySlider) {
+        dutySlider.disabled = document.getElementById('flickerWaveform')?.value !== 'square';
+    }
+}
+
+// Function to point the flicker animation at the image and the stroboscopic demo, and run it
+// while the animation switch is on
+function updateFlickerAnimation() {
+    const light = getFlickerLight();
+    const overlay = document.getElementById('flickerOverlay');
+    setFlickerAnimationTargets(overlay ? [{ overlay, light }] : []);
+    
+    const strobeCanvas = document.getElementById('strobeCanvas');
+    if (strobeCanvas) {
+        setStroboscopicDemo(strobeCanvas, light);
+    }
+    
+    const status = document.getElementById('flickerAnimationStatus');
+    const enabled = document.getElementById('flickerAnimationToggle')?.checked;
+    if (status) {
+        status.textContent = enabled ? describeFlickerAnimation(light) : 'Switch on to see the flicker in real time.';
+    }
+    
+    if (enabled) {
+        startFlickerAnimation();
+    } else {
+        stopFlickerAnimation();
+    }
+}
+
+// Function to get the percent flicker set on the sliders (one decimal)
+function getPercentFlicker() {
+    return Math.round(getFlickerEvaluation().percentFlicker * 10) / 10;
+}
+
+// Function to show the calculated melanopic EDI on the (read-only) melanopic slider
+function updateMelanopicEDI() {
+    const melanopicSlider = document.getElementById('melanopicSlider');
+    const melanopicValue = document.getElementById('melanopicValue');
+    if (!melanopicSlider || !melanopicValue) return;
+    
+    const edi = Math.round(getMelanopicEDI());
+    melanopicSlider.value = edi;
+    melanopicValue.textContent = edi;
+}
+
 // Function to update validation status for all sliders
 function updateValidationStatus() {
+    updateMelanopicEDI();
+    
     if (!apiData || !selectedGrade || !selectedEnvironment) {
         console.warn('No API data, selected grade, or environment available for validation');
         return;
@@ -330,10 +550,10 @@ function updateValidationStatus() {
     const currentValues = {
         CCT: parseInt(document.getElementById('cctSlider')?.value || 6500),
         CRI: parseInt(document.getElementById('criSlider')?.value || 80),
-        Flicker: (1 / parseFloat(document.getElementById('flickerSlider')?.value || 1)) * 10000, // Convert to percentage
+        Flicker: getPercentFlicker(),
         UGR: parseInt(document.getElementById('glareSlider')?.value || 6),
         Uniformity: parseFloat(document.getElementById('uniformitySlider')?.value || 0.8),
-        Melanopic_EDI: parseInt(document.getElementById('melanopicSlider')?.value || 200),
+        Melanopic_EDI: Math.round(getMelanopicEDI()),
         Vertical_Illuminance: parseInt(document.getElementById('verticalSlider')?.value || 300),
         Exposure_Duration: parseInt(document.getElementById('exposureSlider')?.value || 8),
         Lux: parseInt(document.getElementById('luxSlider')?.value || 500)
@@ -379,9 +599,11 @@ function updateValidationStatus() {
     updateParameterValidation('CCT', currentValues.CCT, parameterData.CCT, 'cctStatus');
     updateParameterValidation('CRI', currentValues.CRI, parameterData.CRI, 'criStatus');
     updateParameterValidation('Flicker', currentValues.Flicker, parameterData.Flicker, 'flickerStatus');
+    updateFlickerValidation(getFlickerEvaluation());
     updateParameterValidation('UGR', currentValues.UGR, parameterData.UGR, 'glareStatus');
     updateParameterValidation('Uniformity', currentValues.Uniformity, parameterData.Uniformity, 'uniformityStatus');
-    updateParameterValidation('Melanopic_EDI', currentValues.Melanopic_EDI, parameterData.Melanopic_EDI, 'melanopicStatus');
+    // Melanopic EDI is graded by age group in the standards data rather than per environment
+    updateParameterValidation('Melanopic_EDI', currentValues.Melanopic_EDI, normalizeGradedRanges(gradeData.Melanopic_EDI), 'melanopicStatus');
     updateParameterValidation('Vertical_Illuminance', currentValues.Vertical_Illuminance, parameterData.Vertical_Illuminance, 'verticalStatus');
     updateParameterValidation('Exposure_Duration', currentValues.Exposure_Duration, parameterData.Exposure_Duration, 'exposureStatus');
     updateParameterValidation('Lux', currentValues.Lux, parameterData.Lux, 'luxStatus');
@@ -452,7 +674,7 @@ function updateParameterValidation(paramName, currentValue, paramDataArray, stat
             console.log(paramDataArray);
         
             // statusText = `BAD - Outside recommended range (${min}-${max} ${getUnit(paramName)})`;
-            statusText = `BAD - Outside recommended range (${ paramDataArray[0].range.unit == "%" ? ( 1 / max) * 10000 : min}-${ paramDataArray[0].range.unit == "%" ? ( 1 /min) * 10000 : max} ${getUnit(paramDataArray[0])})`;
+            statusText = `BAD - Outside recommended range (${min}-${max} ${getUnit(paramName)})`;
         } else {
             // Value is within a range
             statusText = `${bestRating.toUpperCase()} - ${reason}`;
@@ -466,6 +688,20 @@ function updateParameterValidation(paramName, currentValue, paramDataArray, stat
     statusElement.className = `validation-status ${bestRating}`;
 }
 
+// Function to mark flicker as bad when it fails IEEE 1789 low risk, SVM or Pst LM, whatever
+// its percent flicker; frequency and modulation depth are only meaningful together
+function updateFlickerValidation(evaluation) {
+    const statusElement = document.getElementById('flickerStatus');
+    if (!statusElement) return;
+    
+    const failed = evaluation.criteria.filter(criterion => !criterion.passed);
+    statusElement.title = evaluation.criteria.map(criterion => criterion.explanation).join('\n');
+    if (failed.length > 0) {
+        statusElement.textContent = `BAD - ${failed.map(criterion => criterion.explanation).join('; ')}`;
+        statusElement.className = 'validation-status bad';
+    }
+}
+
 // Function to get rating priority (higher is better)
 function getRatingPriority(rating) {
     const priorities = {
@@ -534,15 +770,8 @@ function initializeCanvas(currentImageState = 0) {
     // Load classroom image
     classroomImage = new Image();
     classroomImage.onload = function() {
-        // Set canvas size to match image
-        canvas.width = classroomImage.width;
-        canvas.height = classroomImage.height;
-        
-        // Draw original image
-        ctx.drawImage(classroomImage, 0, 0);
-        
-        // Store original pixel data
-        originalImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        // Draw the image at the size it is shown and store its pixels
+        loadWorkingCopy();
         
         // Apply initial lighting effects
         applyVisualEffects();
@@ -553,24 +782,32 @@ function initializeCanvas(currentImageState = 0) {
     classroomImage.onerror = function() {
         console.error('Failed to load classroom image');
         // Try to load a fallback image
-        classroomImage.src = (currentImageState == 0 ? apiData[selectedGrade].lighting_data.recommendation_levels.highly_recommended.environments[selectedEnvironment].emotion.happyPerson : apiData[selectedGrade].lighting_data.recommendation_levels.highly_recommended.environments[selectedEnvironment].emotion.sadPerson );
+        classroomImage.src = getEmotionImagePath(currentImageState);
     };
     
     // Use appropriate image based on environment and API data
     const imagePath = getClassroomImagePath(currentImageState);
     // classroomImage.src = imagePath;
-    console.log(apiData[selectedGrade].lighting_data.recommendation_levels.highly_recommended.environments[selectedEnvironment].emotion.happyPerson);
-    console.log(apiData[selectedGrade].lighting_data.recommendation_levels.highly_recommended.environments[selectedEnvironment].emotion.sadPerson);
     console.log(selectedGrade);
     console.log(selectedEnvironment);
-    classroomImage.src = (currentImageState == 0 ? apiData[selectedGrade].lighting_data.recommendation_levels.highly_recommended.environments[selectedEnvironment].emotion.happyPerson : apiData[selectedGrade].lighting_data.recommendation_levels.highly_recommended.environments[selectedEnvironment].emotion.sadPerson );
+    classroomImage.src = getEmotionImagePath(currentImageState);
+}
+
+// Function to get the photo of a person reacting well (0) or badly (1) to the lighting, or the
+// environment's first photo where the standards have no such photos
+function getEmotionImagePath(imageState = 0) {
+    const emotion = apiData?.[selectedGrade]?.lighting_data?.recommendation_levels?.highly_recommended?.environments?.[selectedEnvironment]?.emotion;
+    if (!emotion) {
+        return getClassroomImagePath(0);
+    }
+    return standardsAssetPath(imageState == 0 ? emotion.happyPerson : emotion.sadPerson);
 }
 
 // Function to get appropriate classroom image based on environment
 function getClassroomImagePath(imageState = 0) {
     if (!apiData || !selectedGrade || !selectedEnvironment) {
         console.warn('No API data or selection data available, using default image');
-        return 'assets/secondary.jpg'; // Default fallback
+        return standardsAssetPath('assets/secondary.jpg'); // Default fallback
     }
     
     const gradeData = apiData[selectedGrade];
@@ -578,7 +815,7 @@ function getClassroomImagePath(imageState = 0) {
     
     if (!lightingData || !lightingData.recommendation_levels) {
         console.warn('No lighting data available for grade:', selectedGrade);
-        return 'assets/secondary.jpg'; // Default fallback
+        return standardsAssetPath('assets/secondary.jpg'); // Default fallback
     }
     
     const recommendationLevels = lightingData.recommendation_levels;
@@ -586,7 +823,7 @@ function getClassroomImagePath(imageState = 0) {
     
     if (!highlyRecommended || !highlyRecommended.environments) {
         console.warn('No highly recommended environments found');
-        return 'assets/secondary.jpg'; // Default fallback
+        return standardsAssetPath('assets/secondary.jpg'); // Default fallback
     }
     
     const environments = highlyRecommended.environments;
@@ -594,7 +831,7 @@ function getClassroomImagePath(imageState = 0) {
     
     if (!selectedEnvData || !selectedEnvData.images || !Array.isArray(selectedEnvData.images)) {
         console.warn('No images found for environment:', selectedEnvironment);
-        return apiData[selectedGrade].lighting_data.recommendation_levels.highly_recommended.environments[selectedEnvironment].emotion.happyPerson; // Default fallback
+        return standardsAssetPath('assets/secondary.jpg'); // Default fallback
     }
     
     // Get the image at the specified index (or random if no index specified)
@@ -610,7 +847,7 @@ function getClassroomImagePath(imageState = 0) {
     }
     
     console.log('Selected image for environment:', selectedEnvironment, 'Image:', selectedImage, 'Index:', imageState);
-    return selectedImage;
+    return standardsAssetPath(selectedImage);
 }
 
 // Function to cycle to the next image for the current environment
@@ -637,10 +874,10 @@ function cycleToNextImage() {
     }
     
     const images = selectedEnvData.images;
-    currentImageState = (currentImageState + 1) % images.length;
+    currentImageIndex = (currentImageIndex + 1) % images.length;
     
     // Reload the image
-    const newImagePath = getClassroomImagePath(currentImageState);
+    const newImagePath = getClassroomImagePath(currentImageIndex);
     if (classroomImage) {
         classroomImage.src = newImagePath;
     }
@@ -675,10 +912,10 @@ function cycleToPreviousImage() {
     }
     
     const images = selectedEnvData.images;
-    currentImageState = (currentImageState - 1 + images.length) % images.length;
+    currentImageIndex = (currentImageIndex - 1 + images.length) % images.length;
     
     // Reload the image
-    const newImagePath = getClassroomImagePath(currentImageState);
+    const newImagePath = getClassroomImagePath(currentImageIndex);
     if (classroomImage) {
         classroomImage.src = newImagePath;
     }
@@ -689,28 +926,56 @@ function cycleToPreviousImage() {
     console.log('Cycled to image', currentImageIndex + 1, 'of', images.length);
 }
 
-// Function to apply visual effects to the classroom image
+// Function to draw the loaded image onto the canvas as its working copy: scaled down to the
+// screen pixels the canvas covers, so a large photo costs no more to light than a small one
+function loadWorkingCopy() {
+    const size = workingCopySize(classroomImage.naturalWidth, classroomImage.naturalHeight, canvas.clientWidth, window.devicePixelRatio);
+    canvas.width = size.width;
+    canvas.height = size.height;
+    ctx.drawImage(classroomImage, 0, 0, size.width, size.height);
+    originalImageData = ctx.getImageData(0, 0, size.width, size.height);
+}
+
+// Function to redo the working copy when the canvas has become wider than it on the page
+function refreshWorkingCopy() {
+    if (!canvas || !originalImageData || !classroomImage?.complete) return;
+    
+    const size = workingCopySize(classroomImage.naturalWidth, classroomImage.naturalHeight, canvas.clientWidth, window.devicePixelRatio);
+    if (size.width > originalImageData.width) {
+        loadWorkingCopy();
+        applyVisualEffects();
+    }
+}
+
+// Function to apply visual effects to the classroom image. The photo is redrawn once per
+// animation frame, however fast the sliders move.
 function applyVisualEffects() {
     if (!canvas || !ctx || !originalImageData) return;
     
+    if (!lightingFrame) {
+        lightingFrame = createFrameScheduler(drawLightingEffects);
+    }
+    lightingFrame.request();
+}
+
+// Function to draw the photo under the current slider values (requested by applyVisualEffects)
+function drawLightingEffects() {
+    if (!canvas || !ctx || !originalImageData) return;
+    
     // Get current slider values
     const cct = parseInt(document.getElementById('cctSlider')?.value || 6500);
     const cri = parseInt(document.getElementById('criSlider')?.value || 80);
-    const flicker = (1 / (parseInt(document.getElementById('flickerSlider')?.value || 1))) * 10000; // Convert to percentage
+    const flicker = getFlickerEvaluation();
     const glare = parseInt(document.getElementById('glareSlider')?.value || 6);
     
     // Apply canvas-based lighting effects
-    processImageWithLighting(cct, cri, glare, flicker);
+    processImageWithLighting(cct, cri, glare, flicker.percentFlicker);
     
-    // Apply flicker animation if needed
-    if (flicker > 8) {
-        canvas.classList.add('flicker');
-    } else {
-        canvas.classList.remove('flicker');
-    }
+    // Flicker is shown by the real-time animation rather than a fixed CSS effect
+    updateFlickerAnimation();
     
     // Apply blur effect for extreme conditions
-    if (glare > 60 || flicker > 8) {
+    if (glare > 60) {
         canvas.classList.add('blurred');
     } else {
         canvas.classList.remove('blurred');
@@ -721,105 +986,68 @@ function applyVisualEffects() {
 function processImageWithLighting(cct, cri, glare, flicker) {
     if (!originalImageData) return;
     
-    // Create a copy of original image data
-    const imageData = new ImageData(new Uint8ClampedArray(originalImageData.data), originalImageData.width, originalImageData.height);
-    const data = imageData.data;
-    
-    // Calculate CCT color temperature effects using proper Kelvin scale
-    const kelvin = cct;
-    let redMultiplier = 1.0;
-    let greenMultiplier = 1.0;
-    let blueMultiplier = 1.0;
-    
-    // Apply color temperature based on Kelvin scale
-    if (kelvin <= 2000) {
-        // Very warm (candlelight) - strong red, weak blue
-        redMultiplier = 1.8;
-        greenMultiplier = 0.8;
-        blueMultiplier = 0.4;
-    } else if (kelvin <= 3000) {
-        // Warm (incandescent) - red dominant
-        redMultiplier = 1.6;
-        greenMultiplier = 0.9;
-        blueMultiplier = 0.5;
-    } else if (kelvin <= 4000) {
-        // Warm white - slight red tint
-        redMultiplier = 1.3;
-        greenMultiplier = 1.0;
-        blueMultiplier = 0.7;
-    } else if (kelvin <= 5000) {
-        // Neutral white
-        redMultiplier = 1.1;
-        greenMultiplier = 1.0;
-        blueMultiplier = 0.9;
-    } else if (kelvin <= 6000) {
-        // Cool white - slight blue tint
-        redMultiplier = 0.9;
-        greenMultiplier = 1.0;
-        blueMultiplier = 1.1;
-    } else if (kelvin <= 7000) {
-        // Cool (daylight) - blue dominant
-        redMultiplier = 0.7;
-        greenMultiplier = 0.9;
-        blueMultiplier = 1.3;
-    } else {
-        // Very cool (overcast sky) - strong blue
-        redMultiplier = 0.5;
-        greenMultiplier = 0.8;
-        blueMultiplier = 1.6;
-    }
+    const { lightSource, matrix } = getLightingMatrix(cct, cri);
+    updateCriSpectrumInfo(lightSource);
     
-    // Calculate glare brightness factor with dramatic increase above 19
-    let brightnessMultiplier = 1.0;
-    if (glare <= 16) {
-        // Normal brightness for low glare
-        brightnessMultiplier = 1.0 + (glare / 19) * 0.3; // 1.0 to 1.3
-    } else {
-        // Dramatic brightness increase above 19
-        const highGlareFactor = (glare - 19) / 9; // 0-1 for range 19-28
-        brightnessMultiplier = 1.3 + (highGlareFactor * 2.7); // 1.3 to 4.0 brightness
-    }
+    // Glare: veiling luminance around the luminaires, scaled by UGR; the rest of the scene keeps its exposure
+    const job = {
+        image: originalImageData,
+        matrix,
+        veil: getVeilMap(originalImageData.width, originalImageData.height),
+        veilStrength: glareStrength(glare)
+    };
     
-    // Process each pixel
-    for (let i = 0; i < data.length; i += 4) {
-        let r = data[i];     // Red channel
-        let g = data[i + 1]; // Green channel
-        let b = data[i + 2]; // Blue channel
-        
-        // Apply CCT color temperature
-        r = clamp(r * redMultiplier);
-        g = clamp(g * greenMultiplier);
-        b = clamp(b * blueMultiplier);
-        
-        // Apply glare brightness
-        r = clamp(r * brightnessMultiplier);
-        g = clamp(g * brightnessMultiplier);
-        b = clamp(b * brightnessMultiplier);
-        
-        // Calculate CRI effects
-        const criFactor = cri / 100; // Normalize CRI to 0-1
-        const avg = (r + g + b) / 3; // Calculate average brightness
-        
-        // CRI simulation: lower CRI reduces color accuracy
-        if (cri < 95) {
-            r = lerp(r, avg, 1 - criFactor);
-            g = lerp(g, avg, 1 - criFactor);
-            b = lerp(b, avg, 1 - criFactor);
-        }
-        
-        // Desaturate colors based on CRI
-        r = lerp(r, avg, 0.5 * (1 - criFactor));
-        g = lerp(g, avg, 0.5 * (1 - criFactor));
-        b = lerp(b, avg, 0.5 * (1 - criFactor));
-        
-        // Store processed pixel values
-        data[i] = clamp(r);
-        data[i + 1] = clamp(g);
-        data[i + 2] = clamp(b);
+    // The pixels are lit on the GPU or in a worker where the browser allows it (see ../lighting-renderer.js)
+    if (!lightingRenderer) {
+        lightingRenderer = createLightingRenderer();
     }
+    lightingRenderer.render(ctx, job);
+}
+
+// Function to get the light source for a CCT / CRI and the matrix that lights the photo's linear
+// RGB with it (kept for the last LIGHTING_MATRIX_CACHE_SIZE light sources)
+function getLightingMatrix(cct, cri) {
+    const key = `${cct}|${cri}`;
+    if (lightingMatrixCache.has(key)) {
+        return lightingMatrixCache.get(key);
+    }
+    
+    // Calculate CRI effects: pick / blend a light source spectrum with the requested Ra
+    // and work out how it shifts surface colours compared with the reference illuminant
+    const lightSource = selectLightSource(cct, cri);
+    const renderingMatrix = buildColorRenderingMatrix(lightSource.spectrum, cct);
+    
+    // Calculate CCT color temperature effects: adapt the photo's reference white
+    // to the illuminant's white point (Planckian / CIE daylight locus, Bradford CAT),
+    // then apply the light source's colour rendering
+    const entry = { lightSource, matrix: buildWhiteBalanceMatrix(cct, DEFAULT_REFERENCE_CCT, renderingMatrix) };
     
-    // Draw processed image back to canvas
-    ctx.putImageData(imageData, 0, 0);
+    lightingMatrixCache.set(key, entry);
+    if (lightingMatrixCache.size > LIGHTING_MATRIX_CACHE_SIZE) {
+        lightingMatrixCache.delete(lightingMatrixCache.keys().next().value);
+    }
+    return entry;
+}
+
+// Function to get the veil map for an image size and the current luminaires (recalculated
+// only when either changes)
+function getVeilMap(width, height) {
+    const key = `${width}x${height}:${luminaires.map(point => `${point.x},${point.y}`).join(';')}`;
+    if (!veilCache || veilCache.key !== key) {
+        veilCache = { key, map: veilingLuminanceMap(width, height, luminaires) };
+    }
+    return veilCache.map;
+}
+
+// Function to show the Ra / R9 calculated from the light source spectrum next to the CRI slider
+function updateCriSpectrumInfo(lightSource) {
+    const criSpectrum = document.getElementById('criSpectrum');
+    if (!criSpectrum) return;
+    
+    const ra = Math.round(lightSource.cri.ra);
+    const r9 = Math.round(lightSource.cri.ri[8]);
+    criSpectrum.textContent = `Calculated: Ra ${ra}, R9 ${r9}`;
+    criSpectrum.title = lightSource.name;
 }
 
 /**
@@ -937,10 +1165,10 @@ function compareValues() {
     const currentValues = {
         CCT: parseInt(document.getElementById('cctSlider').value),
         CRI: parseInt(document.getElementById('criSlider').value),
-        Flicker: (1 / parseInt(document.getElementById('flickerSlider').value) ) * 10000, // Convert to percentage
+        Flicker: getPercentFlicker(),
         UGR: parseInt(document.getElementById('glareSlider').value),
         // Uniformity: parseFloat(document.getElementById('uniformitySlider').value),
-        // Melanopic_EDI: parseInt(document.getElementById('melanopicSlider').value),
+        Melanopic_EDI: Math.round(getMelanopicEDI()),
         Vertical_Illuminance: parseInt(document.getElementById('verticalSlider').value),
         // Exposure_Duration: parseInt(document.getElementById('exposureSlider').value),
         Lux: parseInt(document.getElementById('luxSlider').value)
@@ -1019,11 +1247,22 @@ function updateRecommendationCards(currentValues, gradeData) {
                         
                         console.log(`Checking param: ${param}, current value: ${currentValue}`, paramData);
                         if (currentValue !== undefined && paramData.range) {
-                            param == "Flicker" ? console.log(`Flicker value: ${currentValue}`) : null;
                             const { min, max } = paramData.range;
                             console.log(`Parameter ${param} range: ${min} - ${max}`, paramData);
                             
-                            if (currentValue >= min && currentValue <= max) {
+                            // Flicker also has to pass IEEE 1789 low risk, SVM and Pst LM at its frequency
+                            const flickerFailures = param === 'Flicker'
+                                ? getFlickerEvaluation().criteria.filter(criterion => !criterion.passed)
+                                : [];
+                            
+                            if (flickerFailures.length > 0) {
+                                recommendations.push({
+                                    param: param,
+                                    status: 'Not Recommended',
+                                    reason: `${flickerFailures.map(criterion => criterion.explanation).join('; ')}.`,
+                                    recommendation: paramData.recommendation
+                                });
+                            } else if (currentValue >= min && currentValue <= max) {
                                 console.log(currentValue);
                                 // if (param == "Flicker") {
                                 //     console.log(`Converting Flicker value from ${currentValue} to percentage`);
@@ -1041,7 +1280,7 @@ function updateRecommendationCards(currentValues, gradeData) {
                                 recommendations.push({
                                     param: param,
                                     status: 'Not Recommended',
-                                    reason: `Value ${currentValue} ${getUnit(param)} is outside recommended range (${ param == "Flicker" ? ( 1 / max) * 10000 : min}-${ param == "Flicker" ? ( 1 /min) * 10000 : max} ${getUnit(param)})`,
+                                    reason: `Value ${currentValue} ${getUnit(param)} is outside recommended range (${min}-${max} ${getUnit(param)})`,
                                     recommendation: paramData.recommendation
                                 });
                             }
@@ -1165,13 +1404,29 @@ function initializeSimulator() {
     // Show preloader immediately when simulator starts
     showPreloader('Initializing Classroom Simulator...');
     
+    // A wider window needs a larger working copy of the photo
+    let resizeTimeout = null;
+    window.addEventListener('resize', () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(refreshWorkingCopy, 250);
+    });
+    
     loadSelectedData();
-    // initializeCanvas(); // This will be called by setSliderRanges after API data is loaded
+    
+    // Retry buttons for the resources that failed to load
+    document.getElementById('preloaderTasks')?.addEventListener('click', event => {
+        const button = event.target.closest('[data-retry-task]');
+        if (button && simulatorLoader) {
+            simulatorLoader.retry(button.dataset.retryTask);
+        }
+    });
     
     // Set up slider event listeners
     updateSliderValue('cctSlider', 'cctValue');
     updateSliderValue('criSlider', 'criValue');
     updateSliderValue('flickerSlider', 'flickerValue');
+    updateSliderValue('flickerModulationSlider', 'flickerModulationValue');
+    updateSliderValue('flickerDutySlider', 'flickerDutyValue');
     updateSliderValue('glareSlider', 'glareValue');
     updateSliderValue('uniformitySlider', 'uniformityValue');
     updateSliderValue('melanopicSlider', 'melanopicValue');
@@ -1180,7 +1435,7 @@ function initializeSimulator() {
     updateSliderValue('luxSlider', 'luxValue');
     
     // Add event listeners to update recommendation cards and validation when sliders change
-    const sliders = ['cctSlider', 'criSlider', 'flickerSlider', 'glareSlider', 'uniformitySlider', 'melanopicSlider', 'verticalSlider', 'exposureSlider', 'luxSlider'];
+    const sliders = ['cctSlider', 'criSlider', 'flickerSlider', 'flickerModulationSlider', 'flickerDutySlider', 'glareSlider', 'uniformitySlider', 'melanopicSlider', 'verticalSlider', 'exposureSlider', 'luxSlider'];
     sliders.forEach(sliderId => {
         const slider = document.getElementById(sliderId);
         if (slider) {
@@ -1199,20 +1454,34 @@ function initializeSimulator() {
                         const currentValues = {
                             CCT: parseInt(document.getElementById('cctSlider').value),
                             CRI: parseInt(document.getElementById('criSlider').value),
-                            Flicker: (1 / parseInt(document.getElementById('flickerSlider').value)) * 10000, // Convert to percentage
+                            Flicker: getPercentFlicker(),
                             UGR: parseInt(document.getElementById('glareSlider').value),
                             // Uniformity: parseFloat(document.getElementById('uniformitySlider').value),
-                            // Melanopic_EDI: parseInt(document.getElementById('melanopicSlider').value),
+                            Melanopic_EDI: Math.round(getMelanopicEDI()),
                             Vertical_Illuminance: parseInt(document.getElementById('verticalSlider').value),
                             // Exposure_Duration: parseInt(document.getElementById('exposureSlider').value),
                             Lux: parseInt(document.getElementById('luxSlider').value)
                         };
                         updateRecommendationCards(currentValues, apiData[selectedGrade]);
+                        updateSimulatorUrl();
                     }, 300); // Wait 300ms after user stops moving slider
                 }
             });
         }
     });
+    
+    // Flicker waveform (sinusoidal / PWM square / rectified mains) changes the flicker metrics
+    document.getElementById('flickerWaveform')?.addEventListener('change', () => {
+        updateFlickerControls();
+        applyVisualEffects();
+        if (apiData && selectedGrade) {
+            updateValidationStatus();
+            compareValues();
+            updateSimulatorUrl();
+        }
+    });
+    document.getElementById('flickerAnimationToggle')?.addEventListener('change', updateFlickerAnimation);
+    updateFlickerAnimation();
 }
 
 // Export functions for use in HTML
@@ -1222,5 +1491,5 @@ window.showPreloader = showPreloader;
 window.hidePreloader = hidePreloader;
 window.updatePreloaderMessage = updatePreloaderMessage;
 // window.applyVisualEffects = applyVisualEffects;
-// window.cycleToNextImage = cycleToNextImage;
-// window.cycleToPreviousImage = cycleToPreviousImage; 
+window.cycleToNextImage = cycleToNextImage;
+window.cycleToPreviousImage = cycleToPreviousImage;
@@ -0,0 +1,270 @@
+/**
+ * Circadian Schedule
+ * A tunable-white lighting schedule over the school day and the melanopic light it gives
+ *
+ * This file contains:
+ * - Keyframes (clock time, CCT and lux) and reading / checking them
+ * - The CCT and lux between keyframes (CCT faded in mired, as tunable-white drivers do)
+ * - Sampling the school day: melanopic dose, mean and peak melanopic EDI, exposure duration
+ * - The timeline chart
+ *
+ * Times are minutes after midnight. The melanopic EDI of a moment comes from a function the
+ * caller passes in (ediAt(minute, cct, lux)), so the spectra and daylight stay in their own files.
+ *
+ * The chart uses niceStep() from photometric-plots.js.
+ */
+
+
+// The school day (minutes after midnight): 8:00 to 15:00
+const SCHOOL_DAY_START = 8 * 60;
+const SCHOOL_DAY_END = 15 * 60;
+
+// Minutes between the samples of a schedule
+const SCHEDULE_STEP = 5;
+
+// Melanopic EDI (lux) that counts towards the exposure duration when the age group gives none:
+// the daytime minimum recommended by Brown et al. (2022)
+const DEFAULT_EXPOSURE_THRESHOLD = 250;
+
+// Human centric lighting curve for schools (after the TRILUX HCL school curve): neutral on
+// arrival, cool and bright to activate in the morning, then warmer and dimmer into the afternoon
+const DEFAULT_SCHEDULE = [
+    { minute: 8 * 60, cct: 4000, lux: 500 },
+    { minute: 9 * 60, cct: 6500, lux: 750 },
+    { minute: 11 * 60, cct: 5000, lux: 500 },
+    { minute: 12 * 60 + 30, cct: 4000, lux: 500 },
+    { minute: 14 * 60, cct: 3500, lux: 400 },
+    { minute: 15 * 60, cct: 3000, lux: 300 }
+];
+
+// Chart colours: lux, melanopic EDI, the exposure threshold and the playback position
+const SCHEDULE_LUX_COLOUR = '#ffc107';
+const SCHEDULE_EDI_COLOUR = '#0dcaf0';
+const SCHEDULE_THRESHOLD_COLOUR = 'rgba(13, 202, 240, 0.5)';
+const SCHEDULE_MARKER_COLOUR = '#fff';
+
+/**
+ * Keyframes
+ */
+
+// Function to read a clock time ('08:30') as minutes after midnight
+function parseClockTime(text) {
+    const match = /^\s*(\d{1,2}):(\d{2})\s*$/.exec(String(text));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`"${text}" is not a time (hh:mm)`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Function to write minutes after midnight as a clock time ('08:30')
+function formatClockTime(minute) {
+    const rounded = Math.round(minute);
+    return `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+// Function to check a schedule, returning its keyframes sorted by time or throwing with the
+// first problem found
+function normalizeSchedule(keyframes) {
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+        throw new Error('The schedule needs at least one keyframe');
+    }
+
+    const sorted = keyframes.map((keyframe, i) => {
+        const label = `Keyframe ${i + 1}`;
+        const minute = typeof keyframe.minute === 'number' ? keyframe.minute : parseClockTime(keyframe.time);
+        if (!(minute >= SCHOOL_DAY_START && minute <= SCHOOL_DAY_END)) {
+            throw new Error(`${label}: ${formatClockTime(minute)} is outside the school day (${formatClockTime(SCHOOL_DAY_START)} - ${formatClockTime(SCHOOL_DAY_END)})`);
+        }
+        if (!(keyframe.cct >= 1000 && keyframe.cct <= 20000)) {
+            throw new Error(`${label}: the CCT has to be between 1000 and 20000 K`);
+        }
+        if (!(keyframe.lux >= 0)) {
+            throw new Error(`${label}: the illuminance cannot be negative`);
+        }
+        return { minute, cct: Number(keyframe.cct), lux: Number(keyframe.lux) };
+    }).sort((a, b) => a.minute - b.minute);
+
+    sorted.forEach((keyframe, i) => {
+        if (i > 0 && keyframe.minute === sorted[i - 1].minute) {
+            throw new Error(`Two keyframes are at ${formatClockTime(keyframe.minute)}`);
+        }
+    });
+    return sorted;
+}
+
+// Function to get the CCT and lux of a (sorted) schedule at a minute: held before the first and
+// after the last keyframe, faded between them (lux linearly, CCT linearly in mired)
+function scheduleAt(keyframes, minute) {
+    const next = keyframes.findIndex(keyframe => keyframe.minute >= minute);
+    if (next === 0) return { cct: keyframes[0].cct, lux: keyframes[0].lux };
+    if (next === -1) {
+        const last = keyframes[keyframes.length - 1];
+        return { cct: last.cct, lux: last.lux };
+    }
+
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    const t = (minute - from.minute) / (to.minute - from.minute);
+    const mired = 1e6 / from.cct + (1e6 / to.cct - 1e6 / from.cct) * t;
+    return { cct: 1e6 / mired, lux: from.lux + (to.lux - from.lux) * t };
+}
+
+/**
+ * Evaluation
+ */
+
+// Function to sample a schedule over the school day: [{ minute, cct, lux, edi }]
+function sampleSchedule(keyframes, ediAt, step = SCHEDULE_STEP) {
+    const samples = [];
+    for (let minute = SCHOOL_DAY_START; minute <= SCHOOL_DAY_END; minute += step) {
+        const { cct, lux } = scheduleAt(keyframes, minute);
+        samples.push({ minute, cct, lux, edi: ediAt(minute, cct, lux) });
+    }
+    return samples;
+}
+
+// Function to get the hours of a sampled day during which a value is within a range { min, max }.
+// Each interval between samples counts when the value at its middle (the mean of its ends) does.
+function hoursWithinRange(samples, key, range) {
+    let minutes = 0;
+    for (let i = 1; i < samples.length; i++) {
+        const middle = (samples[i - 1][key] + samples[i][key]) / 2;
+        if (middle >= range.min && middle <= range.max) {
+            minutes += samples[i].minute - samples[i - 1].minute;
+        }
+    }
+    return minutes / 60;
+}
+
+// Function to sum up the melanopic light of a sampled day: { dose (melanopic EDI lux hours),
+// meanEDI, peakEDI, exposureDuration (hours at or above the threshold EDI), hours }
+function evaluateSchedule(samples, threshold = DEFAULT_EXPOSURE_THRESHOLD) {
+    let dose = 0;
+    for (let i = 1; i < samples.length; i++) {
+        dose += (samples[i - 1].edi + samples[i].edi) / 2 * (samples[i].minute - samples[i - 1].minute) / 60;
+    }
+    const hours = samples.length > 1 ? (samples[samples.length - 1].minute - samples[0].minute) / 60 : 0;
+    return {
+        dose,
+        meanEDI: hours > 0 ? dose / hours : (samples[0]?.edi || 0),
+        peakEDI: Math.max(0, ...samples.map(sample => sample.edi)),
+        exposureDuration: hoursWithinRange(samples, 'edi', { min: threshold, max: Infinity }),
+        hours
+    };
+}
+
+/**
+ * Timeline Chart
+ */
+
+// Function to get a colour for a CCT, from amber (2700 K) to pale blue (6500 K and above)
+function cctColour(cct) {
+    const t = Math.max(0, Math.min(1, (1e6 / 2700 - 1e6 / cct) / (1e6 / 2700 - 1e6 / 6500)));
+    const warm = [255, 169, 87];
+    const cool = [196, 220, 255];
+    return `rgb(${warm.map((value, i) => Math.round(value + (cool[i] - value) * t)).join(', ')})`;
+}
+
+// Function to draw the timeline of a sampled schedule: a CCT colour band along the bottom, lux
+// and melanopic EDI curves on a shared lux axis, the exposure threshold, the keyframes and the
+// playback position (minute, optional)
+function drawScheduleChart(canvas, samples, { keyframes = [], threshold, minute } = {}) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const left = 44;
+    const right = width - 12;
+    const top = 12;
+    const bandHeight = 14;
+    const bottom = height - 24 - bandHeight;
+    const peak = Math.max(100, ...samples.map(sample => Math.max(sample.lux, sample.edi)), threshold || 0);
+    const step = niceStep(peak, 4);
+    const axisMaximum = Math.ceil(peak / step) * step;
+    const toX = value => left + (value - SCHOOL_DAY_START) / (SCHOOL_DAY_END - SCHOOL_DAY_START) * (right - left);
+    const toY = value => bottom - value / axisMaximum * (bottom - top);
+
+    context.fillStyle = '#111';
+    context.fillRect(0, 0, width, height);
+    context.font = '10px sans-serif';
+
+    // Lux grid and hour lines
+    context.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    context.lineWidth = 1;
+    for (let value = 0; value <= axisMaximum; value += step) {
+        context.beginPath();
+        context.moveTo(left, toY(value));
+        context.lineTo(right, toY(value));
+        context.stroke();
+        context.fillText(String(value), 4, toY(value) + 3);
+    }
+    for (let hour = SCHOOL_DAY_START; hour <= SCHOOL_DAY_END; hour += 60) {
+        context.beginPath();
+        context.moveTo(toX(hour), top);
+        context.lineTo(toX(hour), bottom);
+        context.stroke();
+        context.fillText(formatClockTime(hour), toX(hour) - 14, height - 6);
+    }
+
+    // CCT colour band
+    samples.forEach((sample, i) => {
+        const next = samples[i + 1] || sample;
+        context.fillStyle = cctColour(sample.cct);
+        context.fillRect(toX(sample.minute), bottom + 4, Math.max(1, toX(next.minute) - toX(sample.minute) + 0.5), bandHeight);
+    });
+
+    // Exposure threshold
+    if (threshold) {
+        context.strokeStyle = SCHEDULE_THRESHOLD_COLOUR;
+        context.setLineDash([4, 4]);
+        context.beginPath();
+        context.moveTo(left, toY(threshold));
+        context.lineTo(right, toY(threshold));
+        context.stroke();
+        context.setLineDash([]);
+    }
+
+    // Lux and melanopic EDI curves
+    [['lux', SCHEDULE_LUX_COLOUR], ['edi', SCHEDULE_EDI_COLOUR]].forEach(([key, colour]) => {
+        context.strokeStyle = colour;
+        context.lineWidth = 2;
+        context.beginPath();
+        samples.forEach((sample, i) => {
+            if (i === 0) context.moveTo(toX(sample.minute), toY(sample[key]));
+            else context.lineTo(toX(sample.minute), toY(sample[key]));
+        });
+        context.stroke();
+    });
+
+    // Keyframes on the lux curve
+    context.fillStyle = SCHEDULE_LUX_COLOUR;
+    keyframes.forEach(keyframe => {
+        context.beginPath();
+        context.arc(toX(keyframe.minute), toY(keyframe.lux), 4, 0, 2 * Math.PI);
+        context.fill();
+    });
+
+    // Playback position
+    if (minute !== undefined) {
+        context.strokeStyle = SCHEDULE_MARKER_COLOUR;
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(toX(minute), top);
+        context.lineTo(toX(minute), bottom + 4 + bandHeight);
+        context.stroke();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCHOOL_DAY_START,
+        SCHOOL_DAY_END,
+        DEFAULT_SCHEDULE,
+        parseClockTime,
+        formatClockTime,
+        normalizeSchedule,
+        scheduleAt,
+        sampleSchedule,
+        hoursWithinRange,
+        evaluateSchedule
+    };
+}
@@ -6,6 +6,7 @@
  * - Loading and managing API data
  * - Canvas-based lighting effects simulation
  * - Visual effects (flicker, glare, color temperature)
+ * - Real-time flicker animation (see flicker-animation.js)
  * - Comparison with recommendations
  * - Real-time slider updates
  */
@@ -54,15 +55,76 @@ function updatePreloaderMessage(message) {
 let selectedGrade = '';
 let selectedEnvironment = '';
 let apiData = null;
+let lightingStandards = null; // The unified standards data apiData was built from (labels, parameters)
 let updateTimeout = null;
 let currentImageIndex = 0; // Track current image index for cycling
 
 // Canvas variables for lighting effects
 let canvas = null;
 let ctx = null;
-let originalImageData = null;
+let originalImageData = null; // Pixels of the display-sized working copy of the photo
 let classroomImage = null;
 
+// Renderer for the lit photo (WebGL, Web Worker or main thread, see lighting-renderer.js) and the
+// redraw of the photo, at most once per animation frame; both are created on first use
+let lightingRenderer = null;
+let lightingFrame = null;
+
+// Light source and colour matrix per CCT / CRI (or imported spectrum), as working them out takes
+// far longer than drawing the photo
+const LIGHTING_MATRIX_CACHE_SIZE = 64;
+const lightingMatrixCache = new Map();
+
+// Imported luminaire spectrum: { name, spectrum, metrics } (null = use the CCT / CRI sliders)
+let importedSpectrum = null;
+
+// Thumbnail strip of the environment's photos: { index, button, canvas, source, requested, light }
+// per photo; the previews are redrawn GALLERY_PREVIEW_DELAY ms after the light source last changed
+const GALLERY_THUMBNAIL_WIDTH = 120;
+const GALLERY_PREVIEW_DELAY = 200;
+let galleryThumbnails = [];
+let galleryObserver = null;
+let galleryPreviewTimeout = null;
+
+// Photo of the client's room used in place of the environment's photos (see room-photo.js) and the
+// matrix that brings it to a neutral white (null = none, or the photo is used as it is)
+let roomPhoto = null;
+let roomPhotoMatrix = null;
+const ROOM_PHOTO_SESSION_KEY = 'lightingSimulator.roomPhoto';
+
+// Scenario restored from the URL (see simulator-state.js), applied once the standards are loaded
+let restoredState = null;
+
+// A/B comparison: { layout: 'split' | 'wipe', wipe: divider position in %, active: 'A' | 'B',
+// sides: { A: setting, B: setting } } (null = single view). The sliders edit the active side;
+// a setting is { sliders, options, spectrum, energy } as returned by getLightingSetting().
+let comparison = null;
+
+// Luminaire positions in the photo ({ x, y } relative to the image size, see glare.js), shared by
+// both A/B sides as they are the same room. Clicking the image places them while placingLuminaires is on.
+let luminaires = DEFAULT_LUMINAIRES.map(point => ({ ...point }));
+let placingLuminaires = false;
+
+// Veil map for the current image size and luminaires: { key, map }
+let veilCache = null;
+
+// Catalogue luminaire (photometry.js) used by the room calculator, with its intensity(gamma, c)
+// function; null for the generic diffuser
+let roomLuminaire = null;
+
+// Fine illuminance grid of the last room calculation, for the isolux map:
+// { room, luminaires, margin, result }
+let isoluxMap = null;
+
+// Daylight added to the electric lighting while the daylight panel is switched on: the
+// calculateDaylight() result with its sky type; null for electric lighting only
+let daylight = null;
+
+// Circadian day schedule: the keyframes (circadian-schedule.js), the sampled day and the melanopic
+// EDI threshold of the exposure duration; timer is set while the schedule plays on the photo and
+// derCache keeps the mel-DER of the light sources used
+let schedule = { keyframes: DEFAULT_SCHEDULE.map(keyframe => ({ ...keyframe })), samples: [], threshold: DEFAULT_EXPOSURE_THRESHOLD, timer: null, derCache: new Map() };
+
 /**
  * Utility Functions
  */
@@ -75,20 +137,11 @@ function getCookie(name) {
     return null;
 }
 
-// Function to get unit for parameter
-function getUnit(param) {
-    const units = {
-        'CCT': 'K',
-        'CRI': '',
-        'Flicker': 'HZ',
-        'UGR': '',
-        'Uniformity': '',
-        'Melanopic_EDI': '',
-        'Vertical_Illuminance': 'lux',
-        'Exposure_Duration': 'hours',
-        'Lux': 'lux'
-    };
-    return units[param] || '';
+// Function to escape text for use in HTML (e.g. user-entered scenario names)
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
 }
 
 // Linear interpolation function
@@ -96,19 +149,19 @@ function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
-// Clamp value to valid range (0-255 for pixel values)
-function clamp(value) {
-    return Math.max(0, Math.min(255, Math.round(value)));
-}
-
 /**
  * Data Loading Functions
  */
 
-// Function to load selected data from cookies
+// Function to load selected data from the URL, falling back to the cookies set by index.html
 function loadSelectedData() {
-    selectedGrade = getCookie('selectedGrade');
-    selectedEnvironment = getCookie('selectedEnvironment');
+    restoredState = readSimulatorState();
+    selectedGrade = restoredState.grade || getCookie('selectedGrade');
+    selectedEnvironment = restoredState.environment || getCookie('selectedEnvironment');
+    currentImageIndex = restoredState.image ?? 0;
+    if (restoredState.luminaires) {
+        luminaires = restoredState.luminaires;
+    }
     
     if (!selectedGrade || !selectedEnvironment) {
         alert('No selection data found. Please go back to the main page and make a selection.');
@@ -117,83 +170,251 @@ function loadSelectedData() {
     }
 
     // Display selected data
-    const displayDiv = document.getElementById('selectedDataDisplay');
-    if (displayDiv) {
-        displayDiv.innerHTML = `
-            <div class="col-md-6">
-                <p><strong class="text-warning">Grade:</strong> ${selectedGrade}</p>
-            </div>
-            <div class="col-md-6">
-                <p><strong class="text-warning">Environment:</strong> ${selectedEnvironment}</p>
-            </div>
-        `;
-    }
+    displaySelectedData();
 
     // Load API data
     loadApiData();
 }
 
-// Function to load API data
+// Function to display the selected grade and environment (with their labels once the standards are loaded)
+function displaySelectedData(standards = null) {
+    const displayDiv = document.getElementById('selectedDataDisplay');
+    if (!displayDiv) return;
+    
+    const group = standards?.age_groups[selectedGrade];
+    const environment = group?.environments[selectedEnvironment];
+    displayDiv.innerHTML = `
+        <div class="col-md-6">
+            <p><strong class="text-warning">Grade:</strong> ${group ? `${group.label} (${group.age_range})` : selectedGrade}</p>
+        </div>
+        <div class="col-md-6">
+            <p><strong class="text-warning">Environment:</strong> ${environment ? environment.label : selectedEnvironment}</p>
+        </div>
+    `;
+}
+
+// Function to resolve the selection (e.g. "adults" -> "secondary") against the standards data
+// and report anything that could not be resolved instead of silently showing empty results
+function applySelection(standards) {
+    const selection = resolveSelection(standards, selectedGrade, selectedEnvironment);
+    if (selection.grade) selectedGrade = selection.grade;
+    if (selection.environment) selectedEnvironment = selection.environment;
+    
+    displaySelectedData(standards);
+    
+    const warningsDiv = document.getElementById('selectionWarnings');
+    if (!warningsDiv) return;
+    if (selection.errors.length === 0) {
+        warningsDiv.innerHTML = '';
+        return;
+    }
+    
+    console.warn('Selection could not be fully resolved:', selection.errors);
+    warningsDiv.innerHTML = `
+        <div class="alert alert-danger mt-3 mb-0" role="alert">
+            <strong>Selection not found in the lighting standards.</strong>
+            <ul class="mb-2">
+                ${selection.errors.map(error => `<li>${error}</li>`).join('')}
+            </ul>
+            <a href="index.html" class="alert-link">Choose another grade / environment</a>
+        </div>
+    `;
+}
+
+const FALLBACK_CLASSROOM_IMAGE = 'assets/secondary.jpg';
+
+// Loader for the standards, the photo and the canvas (see load-orchestrator.js)
+let simulatorLoader = null;
+
+// Function to load the standards, the photo and the canvas, showing their progress on the
+// preloader (with a retry for anything that fails) and hiding it once all are ready
 async function loadApiData() {
-    try {
-        // Show preloader while loading data
-        showPreloader('Loading API Data...');
-        
-        // Load only two data files: newData.json and lighting.json
-        updatePreloaderMessage('Fetching lighting standards...');
-        const [dataResponse, lightingResponse] = await Promise.all([
-            fetch('api/newData.json'),
-            fetch('api/lighting.json')
-        ]);
-        
-        updatePreloaderMessage('Processing data...');
-        const dataJson = await dataResponse.json();
-        const lightingJson = await lightingResponse.json();
-        
-        console.log(dataJson , lightingJson);
-        
-        updatePreloaderMessage('Merging datasets...');
-        // Merge the data for slider ranges and recommendations
-        apiData = {};
-        for (const grade in dataJson) {
-            apiData[grade] = {
-                ...dataJson[grade],
-                lighting_data: lightingJson[grade] || {}
-            };
+    showPreloader('Loading Lighting Simulator...');
+    
+    simulatorLoader = createLoadOrchestrator([
+        {
+            id: 'schema',
+            label: 'Standards schema',
+            run: (results, report) => fetchStandardsFile(STANDARDS_SCHEMA_PATH, report)
+        },
+        {
+            // Validated as it loads, so a retry after fixing the file checks it again
+            id: 'standards',
+            label: 'Lighting standards',
+            weight: 3,
+            after: ['schema'],
+            run: async ({ schema }, report) => checkStandards(await fetchStandardsFile(STANDARDS_PATH, report), schema)
+        },
+        {
+            id: 'ranges',
+            label: 'Recommended ranges',
+            after: ['standards'],
+            run: ({ standards }) => setUpStandards(standards)
+        },
+        {
+            id: 'image',
+            label: 'Classroom photo',
+            weight: 4,
+            after: ['ranges'],
+            run: () => loadClassroomImage()
+        },
+        {
+            id: 'canvas',
+            label: 'Lighting canvas',
+            after: ['image'],
+            run: ({ image }) => initializeCanvas(image)
         }
-        
-        updatePreloaderMessage('Initializing simulator...');
-        // Set slider ranges based on API data for the selected grade
-        setSliderRanges();
-        
-        // Update validation status after loading data
-        setTimeout(() => {
-            updateValidationStatus();
-        }, 20000);
-        
-        // Update info cards with dynamic data
-        updateInfoCards();
-        
-        compareValues(); // Compare values after loading data
-        
-        // Hide preloader after everything is loaded (20 seconds)
-        setTimeout(() => {
-            hidePreloader();
-        }, 5000);
+    ], renderLoadProgress);
+    
+    await simulatorLoader.start();
+    hidePreloader();
+}
+
+// Function to set up the simulator from the validated standards data
+function setUpStandards(standards) {
+    lightingStandards = standards;
+    updateOfflineStatus(standardsDataVersion(standards));
+    
+    // Per-grade view for slider ranges and recommendations:
+    // graded ranges by parameter plus lighting_data for each environment
+    apiData = buildApiData(standards);
+    
+    // Resolve the selected grade / environment before anything reads apiData
+    applySelection(standards);
+    
+    // Set slider ranges based on API data for the selected grade
+    setSliderRanges();
+    
+    // Restore slider values from a shared link and put the full scenario in the URL
+    restoreSliderState();
+    
+    updateValidationStatus();
+    
+    // Update info cards with dynamic data
+    updateInfoCards();
+    
+    // Rate the day schedule against the age group's melanopic ranges
+    updateSchedule();
+    
+    compareValues();
+}
+
+// Function to load and decode the first photo: the room photo kept for this session, or the
+// environment's photo (the one a shared link names), falling back to the secondary classroom image
+async function loadClassroomImage() {
+    const photo = readSessionRoomPhoto();
+    if (photo) {
+        try {
+            const image = await decodeImage(photo.data);
+            setRoomPhoto(photo);
+            return image;
+        } catch (error) {
+            console.warn('The room photo kept for this session could not be shown:', error);
+            setRoomPhoto(null);
+        }
+    }
+    
+    const imagePath = getClassroomImagePath(currentImageIndex);
+    try {
+        return await decodeImage(imagePath);
     } catch (error) {
-        console.error('Failed to load API data:', error);
-        updatePreloaderMessage('Error loading data. Please refresh the page.');
-        setTimeout(() => {
-            hidePreloader();
-            alert('Failed to load lighting data. Please try again.');
-        }, 1000);
+        console.error('Failed to load classroom image:', error);
+        // Report the photo that was asked for when the fallback fails too
+        return decodeImage(FALLBACK_CLASSROOM_IMAGE).catch(() => { throw error; });
+    }
+}
+
+// Function to show the loader's progress on the preloader: the percentage, each resource's
+// status and a retry button for each one that failed
+function renderLoadProgress(state) {
+    const percent = Math.round(state.percent);
+    const loading = state.tasks.find(task => task.status === 'loading');
+    updatePreloaderMessage(state.failed
+        ? 'Some resources could not be loaded'
+        : `${loading ? `Loading ${loading.label.toLowerCase()}` : 'Loading'}... ${percent}%`);
+    
+    const bar = document.getElementById('preloaderProgress');
+    if (bar) {
+        bar.setAttribute('aria-valuenow', percent);
+        bar.firstElementChild.style.width = `${percent}%`;
     }
+    
+    const list = document.getElementById('preloaderTasks');
+    if (!list) return;
+    const icons = { waiting: '○', loading: '◌', done: '✓', failed: '✗' };
+    list.innerHTML = state.tasks.map(task => `
+        <li class="preloader-task preloader-task-${task.status}">
+            <span aria-hidden="true">${icons[task.status]}</span>
+            ${task.label}${task.status === 'loading' && task.progress > 0 ? ` (${Math.round(task.progress * 100)}%)` : ''}
+            ${task.status === 'failed' ? `
+                <button type="button" class="btn btn-sm btn-warning ms-2" data-retry-task="${task.id}">Retry</button>
+                <div class="preloader-task-error">${escapeHtml(task.error.message.split('\n')[0])}</div>
+            ` : ''}
+        </li>
+    `).join('') + (state.failed ? '<li class="mt-2"><a href="index.html">Choose another grade / environment</a></li>' : '');
 }
 
 /**
  * Slider Management Functions
  */
 
+// Function to apply slider values restored from the URL over the defaults
+function restoreSliderState() {
+    if (restoredState && Object.keys(restoredState.sliders).length > 0) {
+        applySliderState(restoredState.sliders);
+        updateMelanopicEDI();
+    }
+    if (restoredState) {
+        applyOptionState(restoredState.options);
+        applyEnergyState(restoredState.energy);
+    }
+    updateFlickerControls();
+    if (restoredState?.sliders.flickerDutySlider !== undefined) {
+        applySliderState({ flickerDutySlider: restoredState.sliders.flickerDutySlider });
+    }
+    updateFlickerMetrics();
+    renderEnergyResult();
+    updateSimulatorUrl();
+}
+
+// Function to keep the URL in sync with the current scenario so it can be bookmarked or shared
+function updateSimulatorUrl() {
+    if (!selectedGrade || !selectedEnvironment) return;
+    
+    writeSimulatorState(getCurrentState());
+}
+
+// Function to get the current scenario: { grade, environment, image, sliders, options, luminaires, energy }
+function getCurrentState() {
+    return {
+        grade: selectedGrade,
+        environment: selectedEnvironment,
+        image: currentImageIndex,
+        sliders: getSliderState(),
+        options: getOptionState(),
+        luminaires,
+        energy: getEnergyState()
+    };
+}
+
+// Function to copy a link to the current scenario
+async function copySimulatorLink() {
+    updateSimulatorUrl();
+    const url = window.location.href;
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        const status = document.getElementById('shareLinkStatus');
+        if (status) {
+            status.textContent = 'Link copied';
+            setTimeout(() => { status.textContent = ''; }, 2000);
+        }
+    } catch (error) {
+        // Clipboard access can be blocked (e.g. pages opened from file://); show the link instead
+        window.prompt('Copy this link to share the scenario:', url);
+    }
+}
+
 // Function to set slider ranges based on API data
 function setSliderRanges() {
     if (!apiData || !selectedGrade) return;
@@ -217,13 +438,34 @@ function setSliderRanges() {
     document.getElementById('criValue').textContent = criSlider.value;
     document.getElementById('criRange').textContent = `Range: 0 - 100`;
     
-    // Flicker: 0% to 100% (full range)
+    // Flicker frequency: 1 Hz to 5000 Hz (mains-driven sources flicker at 100 / 120 Hz)
     const flickerSlider = document.getElementById('flickerSlider');
-    flickerSlider.min = 100;
-    flickerSlider.max = 10000;
-    flickerSlider.value = 1250; // Default low value
-    document.getElementById('flickerValue').textContent = ( flickerSlider.value );
-    document.getElementById('flickerRange').textContent = `Range: 100 - 10000 HZ`;
+    flickerSlider.min = 1;
+    flickerSlider.max = 5000;
+    flickerSlider.step = 1;
+    flickerSlider.value = 100; // Default twice the 50 Hz mains frequency
+    document.getElementById('flickerValue').textContent = flickerSlider.value;
+    document.getElementById('flickerRange').textContent = `Range: 1 - 5000 Hz`;
+    
+    // Percent flicker (modulation depth): 0% to 100% (full range)
+    const flickerModulationSlider = document.getElementById('flickerModulationSlider');
+    if (flickerModulationSlider) {
+        flickerModulationSlider.min = 0;
+        flickerModulationSlider.max = 100;
+        flickerModulationSlider.value = 5; // Default low value
+        document.getElementById('flickerModulationValue').textContent = flickerModulationSlider.value;
+        document.getElementById('flickerModulationRange').textContent = `Range: 0 - 100 %`;
+    }
+    
+    // PWM duty cycle: 5% to 95% (only used by the square waveform)
+    const flickerDutySlider = document.getElementById('flickerDutySlider');
+    if (flickerDutySlider) {
+        flickerDutySlider.min = 5;
+        flickerDutySlider.max = 95;
+        flickerDutySlider.value = 50; // Default symmetric square wave
+        document.getElementById('flickerDutyValue').textContent = flickerDutySlider.value;
+        document.getElementById('flickerDutyRange').textContent = `Range: 5 - 95 %`;
+    }
     
     // UGR (Glare): 0 to 100 (wide range)
     const glareSlider = document.getElementById('glareSlider');
@@ -233,22 +475,14 @@ function setSliderRanges() {
     document.getElementById('glareValue').textContent = glareSlider.value;
     document.getElementById('glareRange').textContent = `Range: 0 - 100`;
     
-    // Uniformity: 0 to 1 (full range)
-    // const uniformitySlider = document.getElementById('uniformitySlider');
-    // uniformitySlider.min = 0;
-    // uniformitySlider.max = 1;
-    // uniformitySlider.step = 0.1;
-    // uniformitySlider.value = 0.7; // Default good value
-    // document.getElementById('uniformityValue').textContent = uniformitySlider.value;
-    // document.getElementById('uniformityRange').textContent = `Range: 0 - 1`;
-    
-    // Melanopic EDI: 0 to 1000 (wide range)
-    // const melanopicSlider = document.getElementById('melanopicSlider');
-    // melanopicSlider.min = 0;
-    // melanopicSlider.max = 1000;
-    // melanopicSlider.value = 200; // Default moderate value
-    // document.getElementById('melanopicValue').textContent = melanopicSlider.value;
-    // document.getElementById('melanopicRange').textContent = `Range: 0 - 1000`;
+    // Uniformity: 0 to 1 (full range), fine enough steps for calculated U0 values
+    const uniformitySlider = document.getElementById('uniformitySlider');
+    uniformitySlider.min = 0;
+    uniformitySlider.max = 1;
+    uniformitySlider.step = 0.01;
+    uniformitySlider.value = 0.7; // Default good value
+    document.getElementById('uniformityValue').textContent = uniformitySlider.value;
+    document.getElementById('uniformityRange').textContent = `Range: 0 - 1`;
     
     // Vertical Illuminance: 0 to 2000 lux (wide range)
     const verticalSlider = document.getElementById('verticalSlider');
@@ -258,6 +492,9 @@ function setSliderRanges() {
     document.getElementById('verticalValue').textContent = verticalSlider.value;
     document.getElementById('verticalRange').textContent = `Range: 0 - 2000 lux`;
     
+    // Melanopic EDI: calculated from the light source spectrum and vertical illuminance
+    updateMelanopicEDI();
+    
     // Exposure Duration: 0 to 24 hours (full day range)
     // const exposureSlider = document.getElementById('exposureSlider');
     // exposureSlider.min = 0;
@@ -273,11 +510,6 @@ function setSliderRanges() {
     luxSlider.value = 500; // Default moderate value
     document.getElementById('luxValue').textContent = luxSlider.value;
     document.getElementById('luxRange').textContent = `Range: 0 - 2000 lux`;
-    
-    // Initialize canvas after setting slider ranges (when API data is available)
-    setTimeout(() => {
-        initializeCanvas();
-    }, 100);
 }
 
 // Function to update slider values
@@ -312,8 +544,8 @@ function updateValidationStatus() {
     const parameters = [
         { sliderId: 'cctSlider', key: 'CCT' },
         { sliderId: 'criSlider', key: 'CRI' },
-        { sliderId: 'flickerSlider', key: 'Flicker' },
         { sliderId: 'glareSlider', key: 'UGR' },
+        { sliderId: 'uniformitySlider', key: 'Uniformity' },
         { sliderId: 'verticalSlider', key: 'Vertical_Illuminance' },
         { sliderId: 'luxSlider', key: 'Lux' }
     ];
@@ -323,7 +555,7 @@ function updateValidationStatus() {
         const paramData = environmentData[param.key];
         
         if (slider && paramData && paramData.range) {
-            const currentValue = parseInt(slider.value);
+            const currentValue = Number(slider.value) + getDaylightContribution(param.key);
             const { min, max } = paramData.range;
             
             // Remove existing validation classes
@@ -338,6 +570,18 @@ function updateValidationStatus() {
         }
     });
     
+    // Flicker depends on frequency and percent flicker together, so both sliders share one result
+    if (environmentData.Flicker?.range) {
+        const passed = flickerMeetsRange(getFlickerEvaluation(), environmentData.Flicker.range);
+        ['flickerSlider', 'flickerModulationSlider'].forEach(sliderId => {
+            const slider = document.getElementById(sliderId);
+            if (slider) {
+                slider.classList.remove('is-valid', 'is-invalid');
+                slider.classList.add(passed ? 'is-valid' : 'is-invalid');
+            }
+        });
+    }
+    
     console.log('Validation status updated');
 }
 
@@ -350,6 +594,11 @@ function updateImageCounter() {
     const counterElement = document.getElementById('imageCounter');
     if (!counterElement) return;
     
+    if (roomPhoto) {
+        counterElement.textContent = 'Room photo';
+        return;
+    }
+    
     if (!apiData || !selectedGrade || !selectedEnvironment) {
         counterElement.textContent = 'Image 1';
         return;
@@ -375,8 +624,8 @@ function updateImageCounter() {
     counterElement.textContent = `Image ${currentImageIndex + 1} of ${totalImages}`;
 }
 
-// Initialize canvas and load classroom image
-function initializeCanvas() {
+// Initialize the canvas with the decoded classroom photo; images picked later load through its onload
+function initializeCanvas(image) {
     canvas = document.getElementById('lightingCanvas');
     if (!canvas) {
         console.warn('Canvas element not found');
@@ -385,20 +634,12 @@ function initializeCanvas() {
     
     ctx = canvas.getContext('2d');
     
-    // Load classroom image
-    classroomImage = new Image();
+    classroomImage = image;
     classroomImage.onload = function() {
-        // Set canvas size to match image
-        canvas.width = classroomImage.width;
-        canvas.height = classroomImage.height;
+        // Draw the image at the size it is shown and store its pixels
+        loadWorkingCopy();
         
-        // Draw original image
-        ctx.drawImage(classroomImage, 0, 0);
-        
-        // Store original pixel data
-        originalImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        
-        // Apply initial lighting effects
+        // Apply the lighting effects
         applyVisualEffects();
         
         // Update the image counter
@@ -407,13 +648,38 @@ function initializeCanvas() {
     classroomImage.onerror = function() {
         console.error('Failed to load classroom image');
         // Try to load a fallback image
-        classroomImage.src = 'assets/secondary.jpg';
+        classroomImage.src = FALLBACK_CLASSROOM_IMAGE;
     };
     
-    // Use appropriate image based on environment and API data
-    const imagePath = getClassroomImagePath(currentImageIndex);
-    // classroomImage.src = imagePath;
-    classroomImage.src = "assets/ChatGPT Image Aug 3, 2025, 11_32_14 PM.png";
+    loadWorkingCopy();
+    applyVisualEffects();
+    // Draw the lit photo now rather than on the next frame, before the preloader goes
+    lightingFrame?.flush();
+    updateImageCounter();
+    
+    // The gallery's thumbnails load after the photo on the canvas
+    renderImageGallery();
+}
+
+// Function to draw the loaded image onto the canvas as its working copy: scaled down to the
+// screen pixels the canvas covers, so a large photo costs no more to light than a small one
+function loadWorkingCopy() {
+    const size = workingCopySize(classroomImage.naturalWidth, classroomImage.naturalHeight, canvas.clientWidth, window.devicePixelRatio);
+    canvas.width = size.width;
+    canvas.height = size.height;
+    ctx.drawImage(classroomImage, 0, 0, size.width, size.height);
+    originalImageData = ctx.getImageData(0, 0, size.width, size.height);
+}
+
+// Function to redo the working copy when the canvas has become wider than it on the page
+function refreshWorkingCopy() {
+    if (!canvas || !originalImageData || !classroomImage?.complete) return;
+    
+    const size = workingCopySize(classroomImage.naturalWidth, classroomImage.naturalHeight, canvas.clientWidth, window.devicePixelRatio);
+    if (size.width > originalImageData.width) {
+        loadWorkingCopy();
+        applyVisualEffects();
+    }
 }
 
 // Function to get appropriate classroom image based on environment
@@ -463,238 +729,555 @@ function getClassroomImagePath(imageIndex = 0) {
     return selectedImage;
 }
 
-// Function to cycle to the next image for the current environment
-function cycleToNextImage() {
-    if (!apiData || !selectedGrade || !selectedEnvironment) {
-        console.warn('Cannot cycle images - no data available');
-        return;
-    }
-    
-    const gradeData = apiData[selectedGrade];
-    const lightingData = gradeData.lighting_data;
-    
-    if (!lightingData || !lightingData.recommendation_levels) {
-        console.warn('No lighting data available for cycling');
-        return;
+// Function to get the photos of the selected grade / environment ([] before the data is loaded)
+function getEnvironmentImages() {
+    const environments = apiData?.[selectedGrade]?.lighting_data?.recommendation_levels?.highly_recommended?.environments;
+    return environments?.[selectedEnvironment]?.images || [];
+}
+
+// Function to show one of the environment's photos; the sliders and luminaires stay as they are
+function selectClassroomImage(index) {
+    const images = getEnvironmentImages();
+    if (index < 0 || index >= images.length || (index === currentImageIndex && !roomPhoto)) return;
+    
+    // The environment's photos take over from a room photo
+    if (roomPhoto) {
+        setRoomPhoto(null);
     }
     
-    const environments = lightingData.recommendation_levels.highly_recommended.environments;
-    const selectedEnvData = environments[selectedEnvironment];
+    currentImageIndex = index;
+    showClassroomImage(getClassroomImagePath(currentImageIndex));
     
-    if (!selectedEnvData || !selectedEnvData.images || !Array.isArray(selectedEnvData.images)) {
+    // Update the counter display, the gallery and the shareable URL
+    updateImageCounter();
+    updateGallerySelection();
+    updateSimulatorUrl();
+}
+
+// Function to cycle to the next image for the current environment
+function cycleToNextImage() {
+    const images = getEnvironmentImages();
+    if (images.length === 0) {
         console.warn('No images available for cycling');
         return;
     }
-    
-    const images = selectedEnvData.images;
-    currentImageIndex = (currentImageIndex + 1) % images.length;
-    
-    // Reload the image
-    const newImagePath = getClassroomImagePath(currentImageIndex);
-    if (classroomImage) {
-        classroomImage.src = newImagePath;
-    }
-    
-    // Update the counter display
-    updateImageCounter();
-    
-    console.log('Cycled to image', currentImageIndex + 1, 'of', images.length);
+    selectClassroomImage((currentImageIndex + 1) % images.length);
 }
 
 // Function to cycle to the previous image for the current environment
 function cycleToPreviousImage() {
-    if (!apiData || !selectedGrade || !selectedEnvironment) {
-        console.warn('Cannot cycle images - no data available');
+    const images = getEnvironmentImages();
+    if (images.length === 0) {
+        console.warn('No images available for cycling');
         return;
     }
-    
-    const gradeData = apiData[selectedGrade];
-    const lightingData = gradeData.lighting_data;
-    
-    if (!lightingData || !lightingData.recommendation_levels) {
-        console.warn('No lighting data available for cycling');
+    selectClassroomImage((currentImageIndex - 1 + images.length) % images.length);
+}
+
+/**
+ * Image Gallery Functions
+ */
+
+// Function to show a thumbnail strip of the environment's photos. Each preview is drawn with
+// the current lighting once its thumbnail scrolls into view.
+function renderImageGallery() {
+    const gallery = document.getElementById('imageGallery');
+    if (!gallery) return;
+    
+    galleryObserver?.disconnect();
+    const images = getEnvironmentImages();
+    gallery.hidden = images.length < 2;
+    gallery.innerHTML = images.map((image, i) => `
+        <button type="button" class="gallery-thumbnail" role="option" data-image-index="${i}" aria-label="Photo ${i + 1} of ${images.length}" title="Photo ${i + 1} of ${images.length}">
+            <canvas></canvas>
+        </button>
+    `).join('');
+    galleryThumbnails = Array.from(gallery.querySelectorAll('.gallery-thumbnail'), (button, index) => ({
+        index,
+        button,
+        canvas: button.querySelector('canvas'),
+        source: null,
+        requested: false
+    }));
+    updateGallerySelection();
+    
+    if (typeof IntersectionObserver === 'undefined') {
+        galleryThumbnails.forEach(loadGalleryThumbnail);
         return;
     }
+    galleryObserver = new IntersectionObserver(entries => {
+        entries.filter(entry => entry.isIntersecting)
+            .forEach(entry => loadGalleryThumbnail(galleryThumbnails[entry.target.dataset.imageIndex]));
+    }, { root: gallery, rootMargin: `0px ${GALLERY_THUMBNAIL_WIDTH * 2}px` });
+    galleryThumbnails.forEach(thumbnail => galleryObserver.observe(thumbnail.button));
+}
+
+// Function to mark the photo on the canvas in the gallery (none while a room photo is shown).
+// Only that thumbnail is in the tab order; the arrow keys move between them.
+function updateGallerySelection() {
+    galleryThumbnails.forEach(thumbnail => {
+        const current = thumbnail.index === currentImageIndex;
+        thumbnail.button.setAttribute('aria-selected', String(current && !roomPhoto));
+        thumbnail.button.tabIndex = current ? 0 : -1;
+    });
+}
+
+// Function to load a thumbnail's photo at the size it is shown and draw its preview
+async function loadGalleryThumbnail(thumbnail) {
+    if (!thumbnail || thumbnail.requested) return;
+    thumbnail.requested = true;
+    galleryObserver?.unobserve(thumbnail.button);
     
-    const environments = lightingData.recommendation_levels.highly_recommended.environments;
-    const selectedEnvData = environments[selectedEnvironment];
-    
-    if (!selectedEnvData || !selectedEnvData.images || !Array.isArray(selectedEnvData.images)) {
-        console.warn('No images available for cycling');
-        return;
+    try {
+        const image = await decodeImage(getClassroomImagePath(thumbnail.index));
+        const size = workingCopySize(image.naturalWidth, image.naturalHeight, GALLERY_THUMBNAIL_WIDTH, window.devicePixelRatio);
+        thumbnail.canvas.width = size.width;
+        thumbnail.canvas.height = size.height;
+        const thumbnailContext = thumbnail.canvas.getContext('2d');
+        thumbnailContext.drawImage(image, 0, 0, size.width, size.height);
+        thumbnail.source = thumbnailContext.getImageData(0, 0, size.width, size.height);
+        drawGalleryPreview(thumbnail);
+    } catch (error) {
+        console.warn('Gallery thumbnail could not be loaded:', error);
+        thumbnail.button.classList.add('gallery-thumbnail-missing');
+        thumbnail.button.title = 'This photo could not be loaded';
     }
-    
-    const images = selectedEnvData.images;
-    currentImageIndex = (currentImageIndex - 1 + images.length) % images.length;
-    
-    // Reload the image
-    const newImagePath = getClassroomImagePath(currentImageIndex);
-    if (classroomImage) {
-        classroomImage.src = newImagePath;
+}
+
+// Function to light a thumbnail with the current light source (without the glare veil, which
+// belongs to the luminaires placed on the photo on the canvas), unless it is already lit with it
+function drawGalleryPreview(thumbnail) {
+    const light = { ...getDisplayedLight(), spectrum: importedSpectrum };
+    if (!galleryPreviewNeedsDrawing(thumbnail, light)) return;
+    
+    const preview = new ImageData(thumbnail.source.width, thumbnail.source.height);
+    shadeLightingPixels(thumbnail.source.data, preview.data, getLightingMatrix(light.cct, light.cri, light.spectrum).matrix, null, 0);
+    thumbnail.canvas.getContext('2d').putImageData(preview, 0, 0);
+    markGalleryPreviewDrawn(thumbnail, light);
+}
+
+// Function to redraw the loaded previews once the sliders have settled
+function scheduleGalleryPreviews() {
+    clearTimeout(galleryPreviewTimeout);
+    galleryPreviewTimeout = setTimeout(() => galleryThumbnails.forEach(drawGalleryPreview), GALLERY_PREVIEW_DELAY);
+}
+
+// Function to switch to the photo of a clicked thumbnail
+function handleGalleryClick(event) {
+    const button = event.target.closest('[data-image-index]');
+    if (button) {
+        selectClassroomImage(parseInt(button.dataset.imageIndex));
     }
-    
-    // Update the counter display
-    updateImageCounter();
-    
-    console.log('Cycled to image', currentImageIndex + 1, 'of', images.length);
+}
+
+// Function to move through the gallery with the arrow keys (Home / End for the first / last photo)
+function handleGalleryKeydown(event) {
+    const index = galleryKeyIndex(event.key, currentImageIndex, galleryThumbnails.length);
+    if (index === null) return;
+    
+    event.preventDefault();
+    selectClassroomImage(index);
+    galleryThumbnails[index]?.button.focus();
 }
 
 // Function to apply visual effects to the classroom image
 function applyVisualEffects() {
+    // Melanopic EDI follows the light source and vertical illuminance, even before the image loads
+    updateMelanopicEDI();
+    updateDaylightNotes();
+    
+    if (!canvas || !ctx || !originalImageData) return;
+    
+    // The photo is redrawn once per animation frame, however fast the sliders move
+    if (!lightingFrame) {
+        lightingFrame = createFrameScheduler(drawLightingEffects);
+    }
+    lightingFrame.request();
+}
+
+// Function to draw the photo under the current slider values (requested by applyVisualEffects)
+function drawLightingEffects() {
     if (!canvas || !ctx || !originalImageData) return;
     
+    scheduleGalleryPreviews();
+    
+    // In A/B mode both sides are drawn on the comparison canvases instead
+    if (comparison) {
+        renderComparison();
+        return;
+    }
+    
     // Get current slider values
-    const cct = parseInt(document.getElementById('cctSlider')?.value || 6500);
-    const cri = parseInt(document.getElementById('criSlider')?.value || 80);
-    const flicker = (1 / (parseInt(document.getElementById('flickerSlider')?.value || 1))) * 10000; // Convert to percentage
+    const { cct, cri } = getDisplayedLight();
     const glare = parseInt(document.getElementById('glareSlider')?.value || 6);
+    const flicker = updateFlickerMetrics();
     
     // Apply canvas-based lighting effects
-    processImageWithLighting(cct, cri, glare, flicker);
+    processImageWithLighting(cct, cri, glare, flicker.percentFlicker);
     
-    // Apply flicker animation if needed
-    if (flicker > 8) {
-        canvas.classList.add('flicker');
-    } else {
-        canvas.classList.remove('flicker');
-    }
+    // Flicker is shown by the real-time animation rather than a fixed CSS effect
+    updateFlickerAnimation();
     
     // Apply blur effect for extreme conditions
-    if (glare > 60 || flicker > 8) {
+    if (glare > 60) {
         canvas.classList.add('blurred');
     } else {
         canvas.classList.remove('blurred');
     }
 }
 
-// Process image with lighting effects
-function processImageWithLighting(cct, cri, glare, flicker) {
+// Function to get the CCT and CRI being shown (from the imported spectrum when there is one)
+function getDisplayedLight() {
+    return {
+        cct: importedSpectrum ? importedSpectrum.metrics.cct : parseInt(document.getElementById('cctSlider')?.value || 6500),
+        cri: importedSpectrum ? importedSpectrum.metrics.ra : parseInt(document.getElementById('criSlider')?.value || 80)
+    };
+}
+
+// Process image with lighting effects, drawing onto the main canvas or another 2D context
+// (used by the A/B comparison) for the given light source spectrum
+function processImageWithLighting(cct, cri, glare, flicker, target = ctx, spectrum = importedSpectrum) {
     if (!originalImageData) return;
     
-    // Create a copy of original image data
-    const imageData = new ImageData(new Uint8ClampedArray(originalImageData.data), originalImageData.width, originalImageData.height);
-    const data = imageData.data;
-    
-    // Calculate CCT color temperature effects using proper Kelvin scale
-    const kelvin = cct;
-    let redMultiplier = 1.0;
-    let greenMultiplier = 1.0;
-    let blueMultiplier = 1.0;
-    
-    // Apply color temperature based on Kelvin scale
-    if (kelvin <= 2000) {
-        // Very warm (candlelight) - strong red, weak blue
-        redMultiplier = 1.8;
-        greenMultiplier = 0.8;
-        blueMultiplier = 0.4;
-    } else if (kelvin <= 3000) {
-        // Warm (incandescent) - red dominant
-        redMultiplier = 1.6;
-        greenMultiplier = 0.9;
-        blueMultiplier = 0.5;
-    } else if (kelvin <= 4000) {
-        // Warm white - slight red tint
-        redMultiplier = 1.3;
-        greenMultiplier = 1.0;
-        blueMultiplier = 0.7;
-    } else if (kelvin <= 5000) {
-        // Neutral white
-        redMultiplier = 1.1;
-        greenMultiplier = 1.0;
-        blueMultiplier = 0.9;
-    } else if (kelvin <= 6000) {
-        // Cool white - slight blue tint
-        redMultiplier = 0.9;
-        greenMultiplier = 1.0;
-        blueMultiplier = 1.1;
-    } else if (kelvin <= 7000) {
-        // Cool (daylight) - blue dominant
-        redMultiplier = 0.7;
-        greenMultiplier = 0.9;
-        blueMultiplier = 1.3;
-    } else {
-        // Very cool (overcast sky) - strong blue
-        redMultiplier = 0.5;
-        greenMultiplier = 0.8;
-        blueMultiplier = 1.6;
+    const { lightSource, matrix: lightingMatrix } = getLightingMatrix(cct, cri, spectrum);
+    if (target === ctx) {
+        updateCriSpectrumInfo(lightSource);
     }
     
-    // Calculate glare brightness factor with dramatic increase above 19
-    let brightnessMultiplier = 1.0;
-    if (glare <= 19) {
-        // Normal brightness for low glare
-        brightnessMultiplier = 1.0 + (glare / 19) * 0.3; // 1.0 to 1.3
-    } else {
-        // Dramatic brightness increase above 19
-        const highGlareFactor = (glare - 19) / 9; // 0-1 for range 19-28
-        brightnessMultiplier = 1.3 + (highGlareFactor * 2.7); // 1.3 to 4.0 brightness
-    }
+    // A room photo is first brought to a neutral white, so the light starts where it does for the stock photos
+    const matrix = roomPhotoMatrix ? multiplyMatrices(lightingMatrix, roomPhotoMatrix) : lightingMatrix;
     
-    // Process each pixel
-    for (let i = 0; i < data.length; i += 4) {
-        let r = data[i];     // Red channel
-        let g = data[i + 1]; // Green channel
-        let b = data[i + 2]; // Blue channel
-        
-        // Apply CCT color temperature
-        r = clamp(r * redMultiplier);
-        g = clamp(g * greenMultiplier);
-        b = clamp(b * blueMultiplier);
-        
-        // Apply glare brightness
-        r = clamp(r * brightnessMultiplier);
-        g = clamp(g * brightnessMultiplier);
-        b = clamp(b * brightnessMultiplier);
-        
-        // Calculate CRI effects
-        const criFactor = cri / 100; // Normalize CRI to 0-1
-        const avg = (r + g + b) / 3; // Calculate average brightness
-        
-        // CRI simulation: lower CRI reduces color accuracy
-        if (cri < 95) {
-            r = lerp(r, avg, 1 - criFactor);
-            g = lerp(g, avg, 1 - criFactor);
-            b = lerp(b, avg, 1 - criFactor);
+    // Glare: veiling luminance around the luminaires, scaled by UGR; the rest of the scene keeps its exposure
+    const job = {
+        image: originalImageData,
+        matrix,
+        veil: getVeilMap(originalImageData.width, originalImageData.height),
+        veilStrength: glareStrength(glare)
+    };
+    
+    // The pixels are lit on the GPU or in a worker where the browser allows it (see lighting-renderer.js)
+    if (!lightingRenderer) {
+        lightingRenderer = createLightingRenderer();
+    }
+    lightingRenderer.render(target, job, () => {
+        if (target === ctx && placingLuminaires) {
+            drawLuminaireMarkers(target);
         }
-        
-        // Desaturate colors based on CRI
-        r = lerp(r, avg, 0.5 * (1 - criFactor));
-        g = lerp(g, avg, 0.5 * (1 - criFactor));
-        b = lerp(b, avg, 0.5 * (1 - criFactor));
-        
-        // Store processed pixel values
-        data[i] = clamp(r);
-        data[i + 1] = clamp(g);
-        data[i + 2] = clamp(b);
+    });
+}
+
+// Function to get the light source for a CCT / CRI or spectrum and the matrix that lights the
+// photo's linear RGB with it (kept for the last LIGHTING_MATRIX_CACHE_SIZE light sources)
+function getLightingMatrix(cct, cri, spectrum = importedSpectrum) {
+    const key = spectrum || `${cct}|${cri}`;
+    if (lightingMatrixCache.has(key)) {
+        return lightingMatrixCache.get(key);
     }
     
-    // Draw processed image back to canvas
-    ctx.putImageData(imageData, 0, 0);
+    // Calculate CRI effects: use the imported spectrum, or pick / blend a light source spectrum
+    // with the requested Ra, and work out how it shifts surface colours compared with the reference illuminant
+    const lightSource = getActiveLightSource(cct, cri, spectrum);
+    const renderingMatrix = buildColorRenderingMatrix(lightSource.spectrum, cct);
+    
+    // Calculate CCT color temperature effects: adapt the photo's reference white
+    // to the illuminant's white point (Planckian / CIE daylight locus, Bradford CAT),
+    // then apply the light source's colour rendering
+    const entry = { lightSource, matrix: buildWhiteBalanceMatrix(cct, DEFAULT_REFERENCE_CCT, renderingMatrix) };
+    
+    lightingMatrixCache.set(key, entry);
+    if (lightingMatrixCache.size > LIGHTING_MATRIX_CACHE_SIZE) {
+        lightingMatrixCache.delete(lightingMatrixCache.keys().next().value);
+    }
+    return entry;
 }
 
-/**
- * Info Cards Functions
- */
+// Function to get the veil map for an image size and the current luminaires (recalculated
+// only when either changes)
+function getVeilMap(width, height) {
+    const key = `${width}x${height}:${luminaires.map(point => `${point.x},${point.y}`).join(';')}`;
+    if (!veilCache || veilCache.key !== key) {
+        veilCache = { key, map: veilingLuminanceMap(width, height, luminaires) };
+    }
+    return veilCache.map;
+}
 
-// Function to update info cards based on selected age and environment
-function updateInfoCards() {
-    if (!apiData || !selectedGrade || !selectedEnvironment) {
-        console.log('Cannot update info cards: missing data');
-        return;
+// Function to get the light source being simulated: the imported spectrum, or the
+// library spectrum matching the CCT / CRI sliders
+function getActiveLightSource(cct, cri, spectrum = importedSpectrum) {
+    if (spectrum) {
+        return { name: spectrum.name, spectrum: spectrum.spectrum, cri: spectrum.metrics };
     }
+    return selectLightSource(cct, cri);
+}
 
-    const gradeData = apiData[selectedGrade];
-    const environmentData = gradeData?.lighting_data?.recommendation_levels?.highly_recommended?.environments?.[selectedEnvironment];
-    
-    if (!environmentData) {
-        console.log('No environment data found for:', selectedGrade, selectedEnvironment);
-        return;
+// Function to get the current lighting setting: the slider values (keyed by slider id), the
+// imported spectrum, if any, and the energy inputs. The A/B comparison keeps one of these per side.
+// Disabled sliders (e.g. the PWM duty cycle of a sine waveform) keep their default from class.html.
+function getLightingSetting() {
+    return {
+        sliders: { ...getSliderDefaults(), ...getSliderState() },
+        options: { ...getOptionDefaults(), ...getOptionState() },
+        spectrum: importedSpectrum,
+        energy: getEnergyState()
+    };
+}
+
+// Function to get the flicker of a setting's light source as { frequency, modulation, shape, dutyCycle }
+function getFlickerLight(setting = getLightingSetting()) {
+    return {
+        frequency: setting.sliders.flickerSlider,
+        modulation: setting.sliders.flickerModulationSlider,
+        shape: setting.options?.flickerWaveform || 'sine',
+        dutyCycle: setting.sliders.flickerDutySlider / 100
+    };
+}
+
+// Function to evaluate the flicker of a setting (frequency, percent flicker, waveform and duty cycle)
+function getFlickerEvaluation(setting = getLightingSetting()) {
+    return evaluateFlicker(getFlickerLight(setting));
+}
+
+// Function to enable the duty cycle slider only for the PWM (square) waveform
+function updateFlickerControls() {
+    const dutySlider = document.getElementById('flickerDutySlider');
+    if (dutySlider) {
+        dutySlider.disabled = document.getElementById('flickerWaveform')?.value !== 'square';
     }
+}
 
-    const infoCardsContainer = document.getElementById('infoCards');
-    if (!infoCardsContainer) {
-        console.log('Info cards container not found');
-        return;
+// Function to point the flicker animation at the main image (or both A/B sides) and the
+// stroboscopic demo, and run it while the animation switch is on
+function updateFlickerAnimation() {
+    const targets = [];
+    if (comparison) {
+        ['A', 'B'].forEach(side => {
+            const overlay = document.getElementById(`comparisonFlicker${side}`);
+            if (overlay && comparison.sides[side]) {
+                targets.push({ overlay, light: getFlickerLight(comparison.sides[side]) });
+            }
+        });
+    } else {
+        const overlay = document.getElementById('flickerOverlay');
+        if (overlay) {
+            targets.push({ overlay, light: getFlickerLight() });
+        }
+    }
+    setFlickerAnimationTargets(targets);
+    
+    // The demo follows the setting the sliders edit
+    const light = getFlickerLight();
+    const strobeCanvas = document.getElementById('strobeCanvas');
+    if (strobeCanvas) {
+        setStroboscopicDemo(strobeCanvas, light);
+    }
+    
+    const status = document.getElementById('flickerAnimationStatus');
+    const enabled = document.getElementById('flickerAnimationToggle')?.checked;
+    if (status) {
+        status.textContent = enabled ? describeFlickerAnimation(light) : 'Switch on to see the flicker in real time.';
+    }
+    
+    if (enabled) {
+        startFlickerAnimation();
+    } else {
+        stopFlickerAnimation();
+    }
+}
+
+// Function to show the flicker metrics under the flicker controls; returns the evaluation
+function updateFlickerMetrics() {
+    const evaluation = getFlickerEvaluation();
+    const metricsElement = document.getElementById('flickerMetrics');
+    if (!metricsElement) return evaluation;
+    
+    const ieeeLabels = { 'no-effect': 'No observable effect', 'low-risk': 'Low risk', 'elevated-risk': 'Elevated risk' };
+    const ieeeClasses = { 'no-effect': 'text-success', 'low-risk': 'text-warning', 'elevated-risk': 'text-danger' };
+    const region = evaluation.ieee1789.region;
+    
+    metricsElement.innerHTML = `
+        <span class="d-block text-light">Percent flicker ${evaluation.percentFlicker.toFixed(1)}%, flicker index ${evaluation.flickerIndex.toFixed(3)}</span>
+        <span class="d-block ${ieeeClasses[region]}">IEEE 1789: ${ieeeLabels[region]}</span>
+        <span class="d-block ${evaluation.svm <= SVM_LIMIT ? 'text-success' : 'text-danger'}">SVM ${evaluation.svm.toFixed(2)} (limit ${SVM_LIMIT})</span>
+        <span class="d-block ${evaluation.pstLM <= PST_LM_LIMIT ? 'text-success' : 'text-danger'}">Pst LM ${evaluation.pstLM.toFixed(2)} (limit ${PST_LM_LIMIT})</span>
+    `;
+    metricsElement.title = evaluation.criteria.map(criterion => criterion.explanation).join('\n');
+    return evaluation;
+}
+
+// Function to calculate the melanopic EDI of a setting's light source at its vertical illuminance
+function getMelanopicEDI(setting = getLightingSetting()) {
+    const cct = setting.spectrum ? setting.spectrum.metrics.cct : setting.sliders.cctSlider;
+    const cri = setting.spectrum ? setting.spectrum.metrics.ra : setting.sliders.criSlider;
+    const verticalIlluminance = setting.sliders.verticalSlider;
+    const spectrum = getLightingMatrix(cct, cri, setting.spectrum).lightSource.spectrum;
+    
+    // Daylight at the eye adds its own melanopic EDI to the electric lighting's
+    return {
+        edi: calculateMelanopicEDI(spectrum, verticalIlluminance) + getDaylightMelanopicEDI(),
+        der: melanopicDER(spectrum),
+        verticalIlluminance
+    };
+}
+
+// Function to show the calculated melanopic EDI and rate it against the age group's ranges
+function updateMelanopicEDI() {
+    const valueElement = document.getElementById('melanopicValue');
+    if (!valueElement) return;
+    
+    const { edi, der, verticalIlluminance } = getMelanopicEDI();
+    valueElement.textContent = Math.round(edi);
+    
+    const rangeElement = document.getElementById('melanopicRange');
+    if (rangeElement) {
+        rangeElement.textContent = daylight
+            ? `mel-DER ${der.toFixed(2)} × ${verticalIlluminance} lux vertical + ${Math.round(getDaylightMelanopicEDI())} lux from daylight`
+            : `mel-DER ${der.toFixed(2)} × ${verticalIlluminance} lux vertical`;
+    }
+    
+    const statusElement = document.getElementById('melanopicStatus');
+    if (!statusElement || !apiData || !selectedGrade) return;
+    
+    const rating = rateMelanopicEDI(edi, apiData[selectedGrade]?.Melanopic_EDI);
+    if (!rating) {
+        statusElement.className = 'text-muted d-block';
+        statusElement.textContent = 'No melanopic EDI ranges for this age group';
+        return;
+    }
+    
+    const ratingClasses = { good: 'text-success', medium: 'text-warning', bad: 'text-danger' };
+    statusElement.className = `${ratingClasses[rating.rating] || 'text-muted'} d-block`;
+    statusElement.textContent = `${rating.rating.charAt(0).toUpperCase() + rating.rating.slice(1)} (${rating.range.min}-${rating.range.max} lux): ${rating.reason}`;
+}
+
+// Function to show the Ra / R9 calculated from the light source spectrum next to the CRI slider
+function updateCriSpectrumInfo(lightSource) {
+    const criSpectrum = document.getElementById('criSpectrum');
+    if (!criSpectrum) return;
+    
+    const ra = Math.round(lightSource.cri.ra);
+    const r9 = Math.round(lightSource.cri.ri[8]);
+    criSpectrum.textContent = `Calculated: Ra ${ra}, R9 ${r9}`;
+    criSpectrum.title = lightSource.name;
+}
+
+/**
+ * Spectrum Import Functions
+ */
+
+// Function to import a luminaire SPD (CSV / JSON) and evaluate it in the simulator
+async function handleSpectrumImport(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    
+    const status = document.getElementById('spectrumImportStatus');
+    try {
+        const text = await file.text();
+        const spectrum = toSimulatorSpectrum(parseSpectrumFile(file.name, text));
+        
+        // TM-30 needs its data file (see README); Ra etc. are calculated either way
+        await loadTM30Data();
+        const metrics = analyzeSpectrum(spectrum);
+        importedSpectrum = { name: file.name, spectrum, metrics };
+        
+        // Move the CCT / CRI sliders to the calculated values
+        const cctSlider = document.getElementById('cctSlider');
+        const criSlider = document.getElementById('criSlider');
+        cctSlider.value = Math.round(metrics.cct);
+        criSlider.value = Math.round(metrics.ra);
+        document.getElementById('cctValue').textContent = Math.round(metrics.cct);
+        document.getElementById('criValue').textContent = Math.round(metrics.ra);
+        
+        if (status) {
+            status.className = 'text-success d-block';
+            status.textContent = `Using ${file.name}`;
+        }
+        renderSpectrumResults(metrics);
+        
+        applyVisualEffects();
+        if (apiData && selectedGrade) {
+            compareValues();
+        }
+    } catch (error) {
+        console.error('Failed to import spectrum:', error);
+        if (status) {
+            status.className = 'text-danger d-block';
+            status.textContent = `Could not import ${file.name}: ${error.message}`;
+        }
+    } finally {
+        // Allow re-importing the same file after editing it
+        event.target.value = '';
+    }
+}
+
+// Function to stop using the imported spectrum and go back to the CCT / CRI sliders
+function clearImportedSpectrum() {
+    if (!importedSpectrum) return;
+    importedSpectrum = null;
+    
+    const status = document.getElementById('spectrumImportStatus');
+    if (status) {
+        status.className = 'text-muted d-block';
+        status.textContent = 'No spectrum imported - using the CCT / CRI sliders';
+    }
+    const results = document.getElementById('spectrumResults');
+    if (results) {
+        results.innerHTML = '';
+    }
+}
+
+// Function to show the metrics calculated from the imported spectrum. Duv, R9 and TM-30 are
+// for information only; the compliance score uses its CCT and Ra.
+function renderSpectrumResults(metrics) {
+    const results = document.getElementById('spectrumResults');
+    if (!results) return;
+    
+    const riBadges = metrics.ri.map((value, i) => {
+        if (value === null) {
+            return `<span class="badge bg-secondary bg-opacity-75 me-1 mb-1" title="Not calculated">R${i + 1}: -</span>`;
+        }
+        const badgeClass = value >= 90 ? 'success' : value >= 50 ? 'warning' : 'danger';
+        return `<span class="badge bg-${badgeClass} bg-opacity-75 me-1 mb-1">R${i + 1}: ${Math.round(value)}</span>`;
+    }).join('');
+    const tm30 = metrics.tm30
+        ? `Rf ${metrics.tm30.rf.toFixed(0)}, Rg ${metrics.tm30.rg.toFixed(0)}`
+        : '<span class="text-muted">not available (api/tm30-data.json not found)</span>';
+    
+    results.innerHTML = `
+        <div class="row g-2 small">
+            <div class="col-6">CCT: <span class="text-warning">${Math.round(metrics.cct)} K</span></div>
+            <div class="col-6">Duv: <span class="text-warning">${metrics.duv.toFixed(4)}</span></div>
+            <div class="col-6">CRI Ra: <span class="text-warning">${metrics.ra.toFixed(1)}</span></div>
+            <div class="col-6">R9: <span class="text-warning">${Math.round(metrics.ri[8])}</span></div>
+            <div class="col-12">TM-30: <span class="text-warning">${tm30}</span></div>
+            <div class="col-12">${riBadges}</div>
+            <div class="col-12 text-muted">Duv, R9 and TM-30 are for information; the standards have no range for them.</div>
+        </div>
+    `;
+}
+
+/**
+ * Info Cards Functions
+ */
+
+// Function to update info cards based on selected age and environment
+function updateInfoCards() {
+    if (!apiData || !selectedGrade || !selectedEnvironment) {
+        console.log('Cannot update info cards: missing data');
+        return;
+    }
+
+    const gradeData = apiData[selectedGrade];
+    const environmentData = gradeData?.lighting_data?.recommendation_levels?.highly_recommended?.environments?.[selectedEnvironment];
+    
+    if (!environmentData) {
+        console.log('No environment data found for:', selectedGrade, selectedEnvironment);
+        return;
+    }
+
+    const infoCardsContainer = document.getElementById('infoCards');
+    if (!infoCardsContainer) {
+        console.log('Info cards container not found');
+        return;
     }
 
     // Define the parameters to display
@@ -750,6 +1333,29 @@ function updateInfoCards() {
  * Comparison and Recommendation Functions
  */
 
+// Function to collect the parameter values of a setting (by default the current sliders).
+// CCT and CRI are the values calculated from the imported spectrum when one is loaded. Its Duv
+// and R9 are only shown with the spectrum (see renderSpectrumResults): the standards have no
+// ranges for them.
+// Lux and vertical illuminance include the daylight when it is switched on.
+// Flicker is the percent flicker; flickerEvaluation holds the full flicker assessment.
+function getCurrentValues(setting = getLightingSetting()) {
+    const { sliders, spectrum } = setting;
+    const flickerEvaluation = getFlickerEvaluation(setting);
+    return {
+        CCT: spectrum ? Math.round(spectrum.metrics.cct) : sliders.cctSlider,
+        CRI: spectrum ? Math.round(spectrum.metrics.ra) : sliders.criSlider,
+        Flicker: Math.round(flickerEvaluation.percentFlicker * 10) / 10,
+        flickerEvaluation,
+        UGR: sliders.glareSlider,
+        Uniformity: sliders.uniformitySlider,
+        Melanopic_EDI: Math.round(getMelanopicEDI(setting).edi),
+        Vertical_Illuminance: sliders.verticalSlider + getDaylightContribution('Vertical_Illuminance'),
+        // Exposure_Duration: sliders.exposureSlider,
+        Lux: sliders.luxSlider + getDaylightContribution('Lux')
+    };
+}
+
 // Function to compare values with API recommendations
 function compareValues() {
     if (!apiData || !selectedGrade) {
@@ -759,17 +1365,7 @@ function compareValues() {
 
     const gradeData = apiData[selectedGrade];
 
-    const currentValues = {
-        CCT: parseInt(document.getElementById('cctSlider').value),
-        CRI: parseInt(document.getElementById('criSlider').value),
-        Flicker: (1 / parseInt(document.getElementById('flickerSlider').value) ) * 10000, // Convert to percentage
-        UGR: parseInt(document.getElementById('glareSlider').value),
-        // Uniformity: parseFloat(document.getElementById('uniformitySlider').value),
-        // Melanopic_EDI: parseInt(document.getElementById('melanopicSlider').value),
-        Vertical_Illuminance: parseInt(document.getElementById('verticalSlider').value),
-        // Exposure_Duration: parseInt(document.getElementById('exposureSlider').value),
-        Lux: parseInt(document.getElementById('luxSlider').value)
-    };
+    const currentValues = getCurrentValues();
 
     // console.log('Current values:', currentValues);
     console.log('Current values:', currentValues, 'Grade data:', gradeData);
@@ -790,6 +1386,7 @@ function updateRecommendationCards(currentValues, gradeData) {
         }
         
         let recommendationHTML = '';
+        const energyLine = formatEnergyLine(getEnergyResult());
 
         // Get lighting data for the selected grade
         const lightingData = gradeData.lighting_data;
@@ -832,66 +1429,8 @@ function updateRecommendationCards(currentValues, gradeData) {
                     console.log(`Processing environment: ${environment}`, envData);
                     
                     // Calculate overall recommendation score for this environment
-                    let totalScore = 0;
-                    let totalParams = 0;
-                    let recommendations = [];
-                    
-                    for (const param in envData) {
-                        if (param === 'range' || param === 'images') continue;
-                        
-                        const paramData = envData[param];
-                        const currentValue = currentValues[param];
-                        
-                        console.log(`Checking param: ${param}, current value: ${currentValue}`, paramData);
-                        if (currentValue !== undefined && paramData.range) {
-                            param == "Flicker" ? console.log(`Flicker value: ${currentValue}`) : null;
-                            const { min, max } = paramData.range;
-                            console.log(`Parameter ${param} range: ${min} - ${max}`, paramData);
-                            
-                            if (currentValue >= min && currentValue <= max) {
-                                console.log(currentValue);
-                                // if (param == "Flicker") {
-                                //     console.log(`Converting Flicker value from ${currentValue} to percentage`);
-                                //     // min = min * 10000; // Convert to percentage
-                                //     // max = max * 10000; // Convert to percentage
-                                // }
-                                totalScore += 1;
-                                recommendations.push({
-                                    param: param,
-                                    status: 'Recommended',
-                                    reason: paramData.reason,
-                                    recommendation: paramData.recommendation
-                                });
-                            } else {
-                                recommendations.push({
-                                    param: param,
-                                    status: 'Not Recommended',
-                                    reason: `Value ${currentValue} ${getUnit(param)} is outside recommended range (${ param == "Flicker" ? ( 1 / max) * 10000 : min}-${ param == "Flicker" ? ( 1 /min) * 10000 : max} ${getUnit(param)})`,
-                                    recommendation: paramData.recommendation
-                                });
-                            }
-                            totalParams += 1;
-                        }
-                    }
-                    
-                    // Calculate recommendation percentage
-                    const recommendationPercentage = totalParams > 0 ? (totalScore / totalParams) * 100 : 0;
-                    
-                    // Determine overall recommendation status
-                    let overallStatus, statusClass, statusIcon;
-                    if (recommendationPercentage >= 80) {
-                        overallStatus = 'Highly Recommended';
-                        statusClass = 'success';
-                        statusIcon = 'fas fa-star';
-                    } else if (recommendationPercentage >= 60) {
-                        overallStatus = 'Recommended';
-                        statusClass = 'warning';
-                        statusIcon = 'fas fa-check-circle';
-                    } else {
-                        overallStatus = 'Not Recommended';
-                        statusClass = 'danger';
-                        statusIcon = 'fas fa-exclamation-triangle';
-                    }
+                    const { percentage: recommendationPercentage, recommendations } = scoreEnvironment(currentValues, envData);
+                    const { overallStatus, statusClass, statusIcon } = getRecommendationStatus(recommendationPercentage);
                     
                     // Create recommendation card
                     recommendationHTML += `
@@ -918,6 +1457,7 @@ function updateRecommendationCards(currentValues, gradeData) {
                                                 ${recommendationPercentage.toFixed(0)}%
                                             </div>
                                         </div>
+                                        ${energyLine}
                                     </div>
                                     
                                     <div class="recommendation-details">
@@ -977,62 +1517,1747 @@ function updateRecommendationCards(currentValues, gradeData) {
 }
 
 /**
- * Initialization Function
+ * A/B Comparison Functions
  */
 
-// Initialize when page loads
-function initializeSimulator() {
-    loadSelectedData();
-    // initializeCanvas(); // This will be called by setSliderRanges after API data is loaded
+// Function to switch the A/B comparison on or off. Both sides start from the current settings;
+// switching off keeps the side that was being edited.
+function toggleComparison() {
+    if (comparison) {
+        comparison = null;
+    } else {
+        const setting = getLightingSetting();
+        comparison = {
+            layout: 'split',
+            wipe: 50,
+            active: 'A',
+            sides: {
+                A: setting,
+                B: { sliders: { ...setting.sliders }, options: { ...setting.options }, spectrum: setting.spectrum, energy: { ...setting.energy } }
+            }
+        };
+    }
     
-    // Set up slider event listeners
-    updateSliderValue('cctSlider', 'cctValue');
-    updateSliderValue('criSlider', 'criValue');
-    updateSliderValue('flickerSlider', 'flickerValue');
-    updateSliderValue('glareSlider', 'glareValue');
-    updateSliderValue('uniformitySlider', 'uniformityValue');
-    updateSliderValue('melanopicSlider', 'melanopicValue');
-    updateSliderValue('verticalSlider', 'verticalValue');
-    updateSliderValue('exposureSlider', 'exposureValue');
-    updateSliderValue('luxSlider', 'luxValue');
+    document.getElementById('appendImage')?.classList.toggle('d-none', !!comparison);
+    document.getElementById('comparisonView')?.classList.toggle('d-none', !comparison);
+    document.getElementById('comparisonSummary')?.classList.toggle('d-none', !comparison);
+    updateComparisonControls();
     
-    // Add event listeners to update recommendation cards when sliders change
-    const sliders = ['cctSlider', 'criSlider', 'flickerSlider', 'glareSlider', 'uniformitySlider', 'melanopicSlider', 'verticalSlider', 'exposureSlider', 'luxSlider'];
-    sliders.forEach(sliderId => {
-        const slider = document.getElementById(sliderId);
-        if (slider) {
-            slider.addEventListener('input', function() {
-                if (apiData && selectedGrade) {
-                    // Clear previous timeout to prevent multiple rapid updates
-                    if (updateTimeout) {
-                        clearTimeout(updateTimeout);
-                    }
-                    
-                    // Debounce the update to prevent excessive re-rendering
-                    updateTimeout = setTimeout(() => {
-                        const currentValues = {
-                            CCT: parseInt(document.getElementById('cctSlider').value),
-                            CRI: parseInt(document.getElementById('criSlider').value),
-                            Flicker: (1 / parseInt(document.getElementById('flickerSlider').value)) * 10000, // Convert to percentage
-                            UGR: parseInt(document.getElementById('glareSlider').value),
-                            // Uniformity: parseFloat(document.getElementById('uniformitySlider').value),
-                            // Melanopic_EDI: parseInt(document.getElementById('melanopicSlider').value),
-                            Vertical_Illuminance: parseInt(document.getElementById('verticalSlider').value),
-                            // Exposure_Duration: parseInt(document.getElementById('exposureSlider').value),
-                            Lux: parseInt(document.getElementById('luxSlider').value)
-                        };
-                        updateRecommendationCards(currentValues, apiData[selectedGrade]);
-                    }, 300); // Wait 300ms after user stops moving slider
-                }
-            });
+    if (comparison) {
+        renderComparison();
+    } else {
+        // Bring the main canvas and its lux overlay up to date with the sliders
+        document.getElementById('luxSlider')?.dispatchEvent(new Event('input'));
+    }
+}
+
+// Function to show the comparison side by side ('split') or with a draggable divider ('wipe')
+function setComparisonLayout(layout) {
+    if (!comparison) return;
+    comparison.layout = layout;
+    updateComparisonControls();
+}
+
+// Function to choose which side the sliders edit
+function selectComparisonSide(side) {
+    if (!comparison || side === comparison.active) return;
+    
+    // Keep the side being left, then load the other side into the sliders
+    comparison.sides[comparison.active] = getLightingSetting();
+    comparison.active = side;
+    
+    const setting = comparison.sides[side];
+    applyOptionState(setting.options);
+    updateFlickerControls();
+    applySliderState(setting.sliders);
+    applyEnergyState(setting.energy);
+    renderEnergyResult();
+    if (setting.spectrum) {
+        importedSpectrum = setting.spectrum;
+        const status = document.getElementById('spectrumImportStatus');
+        if (status) {
+            status.className = 'text-success d-block';
+            status.textContent = `Using ${setting.spectrum.name}`;
+        }
+        renderSpectrumResults(setting.spectrum.metrics);
+    } else {
+        clearImportedSpectrum();
+    }
+    
+    updateComparisonControls();
+    applyVisualEffects();
+    compareValues();
+    updateSimulatorUrl();
+}
+
+// Function to update the comparison buttons, layout classes and divider position
+function updateComparisonControls() {
+    const toggleButton = document.getElementById('comparisonToggle');
+    if (toggleButton) {
+        toggleButton.classList.toggle('active', !!comparison);
+        toggleButton.setAttribute('aria-pressed', comparison ? 'true' : 'false');
+    }
+    document.getElementById('comparisonOptions')?.classList.toggle('d-none', !comparison);
+    if (!comparison) return;
+    
+    document.querySelectorAll('[data-comparison-layout]').forEach(button => {
+        button.classList.toggle('active', button.dataset.comparisonLayout === comparison.layout);
+    });
+    document.querySelectorAll('[data-comparison-side]').forEach(button => {
+        button.classList.toggle('active', button.dataset.comparisonSide === comparison.active);
+    });
+    
+    const stage = document.getElementById('comparisonStage');
+    if (stage) {
+        stage.classList.toggle('layout-split', comparison.layout === 'split');
+        stage.classList.toggle('layout-wipe', comparison.layout === 'wipe');
+        stage.style.setProperty('--wipe-position', `${comparison.wipe}%`);
+    }
+    const divider = document.getElementById('comparisonDivider');
+    if (divider) {
+        divider.setAttribute('aria-valuenow', Math.round(comparison.wipe));
+    }
+}
+
+// Function to move the wipe divider (position in % of the image width)
+function setComparisonWipe(position) {
+    if (!comparison) return;
+    comparison.wipe = Math.max(0, Math.min(100, position));
+    updateComparisonControls();
+}
+
+// Function to draw one lighting setting onto a canvas
+function renderLightingSetting(setting, targetCanvas) {
+    // Resizing clears the canvas, so only do it for a new image
+    if (targetCanvas.width !== originalImageData.width || targetCanvas.height !== originalImageData.height) {
+        targetCanvas.width = originalImageData.width;
+        targetCanvas.height = originalImageData.height;
+    }
+    
+    const cct = setting.spectrum ? setting.spectrum.metrics.cct : setting.sliders.cctSlider;
+    const cri = setting.spectrum ? setting.spectrum.metrics.ra : setting.sliders.criSlider;
+    const flicker = getFlickerEvaluation(setting);
+    processImageWithLighting(cct, cri, setting.sliders.glareSlider, flicker.percentFlicker, targetCanvas.getContext('2d'), setting.spectrum);
+}
+
+// Function to draw both sides of the comparison and update the compliance summary
+function renderComparison() {
+    if (!comparison || !originalImageData) return;
+    
+    // The sliders hold the active side
+    comparison.sides[comparison.active] = getLightingSetting();
+    
+    ['A', 'B'].forEach(side => {
+        const setting = comparison.sides[side];
+        const sideCanvas = document.getElementById(`comparisonCanvas${side}`);
+        if (sideCanvas) {
+            renderLightingSetting(setting, sideCanvas);
+        }
+        
+        // Same brightening as the lux overlay on the main image
+        const luxOverlay = document.getElementById(`comparisonLux${side}`);
+        if (luxOverlay) {
+            luxOverlay.style.opacity = Math.max(0, ((setting.sliders.luxSlider + getDaylightContribution('Lux')) / 2000) - .5);
+        }
+    });
+    
+    const active = comparison.sides[comparison.active];
+    const activeCct = active.spectrum ? active.spectrum.metrics.cct : active.sliders.cctSlider;
+    updateCriSpectrumInfo(getLightingMatrix(activeCct, active.sliders.criSlider, active.spectrum).lightSource);
+    
+    updateComparisonControls();
+    renderComparisonSummary();
+    updateFlickerAnimation();
+}
+
+// Function to show each side's compliance score and a per-parameter delta table
+function renderComparisonSummary() {
+    const summary = document.getElementById('comparisonSummaryContent');
+    if (!summary || !comparison) return;
+    
+    const envData = apiData?.[selectedGrade]?.lighting_data?.recommendation_levels?.highly_recommended?.environments?.[selectedEnvironment];
+    if (!envData) {
+        summary.innerHTML = '<p class="text-muted mb-0">No recommended ranges for this grade and environment.</p>';
+        return;
+    }
+    
+    const values = { A: getCurrentValues(comparison.sides.A), B: getCurrentValues(comparison.sides.B) };
+    const { scores, verdict, parameters } = compareSettings(values, envData);
+    const energy = { A: getEnergyResult(comparison.sides.A), B: getEnergyResult(comparison.sides.B) };
+    
+    const scoreCard = side => {
+        const { overallStatus, statusClass } = getRecommendationStatus(scores[side].percentage);
+        return `
+            <div class="col-md-6">
+                <div class="p-3 rounded bg-${statusClass} bg-opacity-25 h-100">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <h5 class="mb-0 text-light">Side ${side}</h5>
+                        <span class="badge bg-${statusClass}">${scores[side].percentage.toFixed(0)}%</span>
+                    </div>
+                    <small class="text-${statusClass}">${overallStatus}</small>
+                    <small class="d-block text-muted">${scores[side].totalScore} of ${scores[side].totalParams} parameters within the recommended range</small>
+                    ${formatEnergyLine(energy[side])}
+                </div>
+            </div>
+        `;
+    };
+    
+    const energyVerdict = describeEnergySavings(energy.A, energy.B);
+    
+    const rows = parameters.map(({ param, range, meets, delta, better }) => {
+        const format = value => formatParameterValue(param, value);
+        const valueCell = side => `<td class="text-${meets[side] ? 'success' : 'danger'}">${format(values[side][param])} ${getUnit(param)}</td>`;
+        return `
+            <tr>
+                <th scope="row">${param.replace(/_/g, ' ')}</th>
+                <td>${formatDisplayRange(param, range)} ${getUnit(param)}</td>
+                ${valueCell('A')}
+                ${valueCell('B')}
+                <td>${delta > 0 ? '+' : ''}${format(delta)}</td>
+                <td>${better}</td>
+            </tr>
+        `;
+    });
+    
+    // Energy per year: lower is better, there is no recommended range
+    if (!energy.A.error && !energy.B.error) {
+        ENERGY_ROWS.forEach(({ key, label, unit, digits }) => {
+            if (energy.A[key] === null || energy.B[key] === null) return;
+            const delta = energy.B[key] - energy.A[key];
+            const format = value => formatEnergyNumber(value, digits);
+            rows.push(`
+                <tr>
+                    <th scope="row">${label}</th>
+                    <td>-</td>
+                    <td>${format(energy.A[key])} ${unit}</td>
+                    <td>${format(energy.B[key])} ${unit}</td>
+                    <td>${delta > 0 ? '+' : ''}${format(delta)}</td>
+                    <td>${delta === 0 ? '-' : delta < 0 ? 'B' : 'A'}</td>
+                </tr>
+            `);
+        });
+    }
+    
+    summary.innerHTML = `
+        <div class="row g-3 mb-3">
+            ${scoreCard('A')}
+            ${scoreCard('B')}
+        </div>
+        <p class="text-light">${verdict}${energyVerdict ? ` ${energyVerdict}` : ''}</p>
+        <div class="table-responsive">
+            <table class="table table-dark table-sm align-middle mb-0">
+                <thead>
+                    <tr>
+                        <th scope="col">Parameter</th>
+                        <th scope="col">Recommended</th>
+                        <th scope="col">A</th>
+                        <th scope="col">B</th>
+                        <th scope="col">Δ (B − A)</th>
+                        <th scope="col">Better</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Function to let the wipe divider be dragged (pointer) or moved with the arrow keys
+function initializeComparisonWipe() {
+    const stage = document.getElementById('comparisonStage');
+    const divider = document.getElementById('comparisonDivider');
+    if (!stage || !divider) return;
+    
+    let dragging = false;
+    const moveTo = event => {
+        const rect = stage.getBoundingClientRect();
+        setComparisonWipe(((event.clientX - rect.left) / rect.width) * 100);
+    };
+    
+    stage.addEventListener('pointerdown', event => {
+        if (!comparison || comparison.layout !== 'wipe') return;
+        dragging = true;
+        stage.setPointerCapture(event.pointerId);
+        moveTo(event);
+    });
+    stage.addEventListener('pointermove', event => {
+        if (dragging) moveTo(event);
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        stage.addEventListener(type, () => { dragging = false; });
+    });
+    
+    divider.addEventListener('keydown', event => {
+        if (!comparison) return;
+        const steps = { ArrowLeft: -5, ArrowRight: 5, Home: -100, End: 100 };
+        if (event.key in steps) {
+            event.preventDefault();
+            setComparisonWipe(comparison.wipe + steps[event.key]);
         }
     });
 }
 
+/**
+ * Report Functions
+ */
+
+// Function to collect the report data for one lighting setting drawn on the given canvas
+function getReportSide(setting, label, sourceCanvas) {
+    const envData = apiData?.[selectedGrade]?.lighting_data?.recommendation_levels?.highly_recommended?.environments?.[selectedEnvironment] || {};
+    const values = getCurrentValues(setting);
+    const score = scoreEnvironment(values, envData);
+    
+    // Reason / recommendation per parameter as on the recommendation cards
+    const parameters = score.recommendations.map(rec => ({
+        label: lightingStandards?.parameters?.[rec.param]?.label || rec.param.replace(/_/g, ' '),
+        value: formatParameterValue(rec.param, values[rec.param]),
+        unit: getUnit(rec.param),
+        range: formatDisplayRange(rec.param, envData[rec.param].range),
+        passed: rec.status === 'Recommended',
+        reason: rec.reason,
+        recommendation: rec.recommendation
+    }));
+    
+    let image = null;
+    try {
+        image = sourceCanvas && sourceCanvas.width > 0 ? sourceCanvas.toDataURL('image/png') : null;
+    } catch (error) {
+        // A canvas drawn from another origin (e.g. a page opened from file://) cannot be exported
+        console.warn('Canvas snapshot not available for the report:', error);
+    }
+    
+    const lightSource = setting.spectrum
+        ? `${setting.spectrum.name} (imported spectrum, ${Math.round(setting.spectrum.metrics.cct)} K, Ra ${Math.round(setting.spectrum.metrics.ra)})`
+        : `${getActiveLightSource(setting.sliders.cctSlider, setting.sliders.criSlider).name}, ${setting.sliders.cctSlider} K`;
+    
+    return {
+        label,
+        image,
+        lightSource,
+        score: { ...score, overallStatus: getRecommendationStatus(score.percentage).overallStatus },
+        parameters
+    };
+}
+
+// Function to generate a printable compliance report for the simulated room (both sides in A/B mode)
+function generateReport() {
+    if (!apiData || !selectedGrade || !selectedEnvironment) {
+        alert('Please wait for the lighting data to load before generating a report.');
+        return;
+    }
+    
+    updateSimulatorUrl();
+    
+    // The snapshots are taken from the canvases, so draw any redraw that is still waiting
+    lightingFrame?.flush();
+    
+    let sides;
+    if (comparison) {
+        comparison.sides[comparison.active] = getLightingSetting();
+        sides = ['A', 'B'].map(side => getReportSide(comparison.sides[side], side, document.getElementById(`comparisonCanvas${side}`)));
+    } else {
+        sides = [getReportSide(getLightingSetting(), null, canvas)];
+    }
+    
+    const group = lightingStandards?.age_groups?.[selectedGrade];
+    const environment = group?.environments?.[selectedEnvironment];
+    const report = {
+        generatedAt: new Date(),
+        grade: { key: selectedGrade, label: group?.label || selectedGrade, ageRange: group?.age_range || '' },
+        environment: { key: selectedEnvironment, label: environment?.label || selectedEnvironment },
+        link: window.location.href,
+        sides
+    };
+    
+    const fileName = `lighting-report-${selectedGrade}-${selectedEnvironment.replace(/\s+/g, '-')}-${report.generatedAt.toISOString().slice(0, 10)}.html`;
+    openPrintableReport(buildReportHTML(report), fileName);
+}
+
+/**
+ * Luminaire Placement Functions
+ */
+
+// Function to switch luminaire placement on or off (clicks on the image add / remove luminaires)
+function toggleLuminairePlacement() {
+    placingLuminaires = !placingLuminaires;
+    updateLuminaireControls();
+    applyVisualEffects();
+}
+
+// Function to get the image position (0 - 1) of a click on a canvas shown with object-fit: cover
+function canvasPointFromEvent(event, targetCanvas) {
+    const rect = targetCanvas.getBoundingClientRect();
+    const scale = Math.max(rect.width / targetCanvas.width, rect.height / targetCanvas.height);
+    const offsetX = (rect.width - targetCanvas.width * scale) / 2;
+    const offsetY = (rect.height - targetCanvas.height * scale) / 2;
+    return {
+        x: (event.clientX - rect.left - offsetX) / scale / targetCanvas.width,
+        y: (event.clientY - rect.top - offsetY) / scale / targetCanvas.height
+    };
+}
+
+// Function to add a luminaire where the image was clicked, or remove one clicked on
+function handleLuminaireClick(event) {
+    if (!placingLuminaires || !canvas) return;
+    
+    const point = canvasPointFromEvent(event, canvas);
+    if (point.x < 0 || point.x > 1 || point.y < 0 || point.y > 1) return;
+    
+    // A click within 3% of the image width of a luminaire removes it
+    const aspect = canvas.height / canvas.width;
+    const nearby = luminaires.findIndex(luminaire => Math.hypot(luminaire.x - point.x, (luminaire.y - point.y) * aspect) < 0.03);
+    if (nearby >= 0) {
+        luminaires = luminaires.filter((luminaire, i) => i !== nearby);
+    } else {
+        luminaires = normalizeLuminaires([...luminaires, point]);
+    }
+    
+    updateLuminaireControls();
+    applyVisualEffects();
+    updateSimulatorUrl();
+}
+
+// Function to remove all luminaires (no glare is rendered without them)
+function clearLuminaires() {
+    luminaires = [];
+    updateLuminaireControls();
+    applyVisualEffects();
+    updateSimulatorUrl();
+}
+
+// Function to update the placement button, the luminaire count and the image cursor
+function updateLuminaireControls() {
+    const placeButton = document.getElementById('placeLuminairesButton');
+    if (placeButton) {
+        placeButton.classList.toggle('active', placingLuminaires);
+        placeButton.setAttribute('aria-pressed', placingLuminaires);
+    }
+    document.getElementById('appendImage')?.classList.toggle('placing-luminaires', placingLuminaires);
+    
+    const status = document.getElementById('luminaireStatus');
+    if (status) {
+        const count = `${luminaires.length} luminaire${luminaires.length === 1 ? '' : 's'}`;
+        status.textContent = placingLuminaires
+            ? `${count} - click the image to add one, click a marker to remove it`
+            : `${count} in the photo`;
+    }
+}
+
+// Function to mark the luminaires on the image while placing them
+function drawLuminaireMarkers(target) {
+    const radius = Math.max(6, target.canvas.width / 100);
+    target.save();
+    target.lineWidth = Math.max(2, radius / 3);
+    target.strokeStyle = '#ffc107';
+    luminaires.forEach(point => {
+        target.beginPath();
+        target.arc(point.x * target.canvas.width, point.y * target.canvas.height, radius, 0, 2 * Math.PI);
+        target.stroke();
+    });
+    target.restore();
+}
+
+/**
+ * Room Lighting Calculator Functions
+ */
+
+// Function to read a number from a room calculator input
+function getRoomInput(inputId) {
+    return Number(document.getElementById(inputId)?.value);
+}
+
+// Function to read the room from the calculator (dimensions in m, reflectances as 0 - 1)
+function getRoomModel() {
+    return {
+        width: getRoomInput('roomWidth'),
+        length: getRoomInput('roomLength'),
+        height: getRoomInput('roomHeight'),
+        reflectances: {
+            ceiling: getRoomInput('ceilingReflectance') / 100,
+            walls: getRoomInput('wallReflectance') / 100,
+            floor: getRoomInput('floorReflectance') / 100
+        }
+    };
+}
+
+// Function to read the luminaire positions with the luminaire data (the generic diffuser or the
+// selected catalogue luminaire), as { luminaires, warnings }
+function getRoomLuminaires(room) {
+    const { positions, errors } = parseLuminairePositions(document.getElementById('luminairePositions').value);
+    const warnings = [...errors];
+    
+    const outside = positions.filter(point => point.x < 0 || point.x > room.width || point.y < 0 || point.y > room.length || point.z > room.height).length;
+    if (outside > 0) {
+        warnings.push(`${outside} luminaire${outside === 1 ? ' is' : 's are'} outside the room`);
+    }
+    
+    let luminaire = {
+        flux: getRoomInput('luminaireFlux'),
+        luminance: getRoomInput('luminaireLuminance'),
+        area: getRoomInput('luminaireArea')
+    };
+    if (roomLuminaire) {
+        // Measured photometry: the flux and the intensity in every direction come from the file
+        const area = getLuminousArea(roomLuminaire);
+        if (!area) {
+            warnings.push(`${roomLuminaire.name} has no luminous area in its file; the area entered is used for UGR`);
+        }
+        luminaire = { flux: roomLuminaire.lumens, area: area || luminaire.area, intensity: roomLuminaire.intensity };
+    }
+    return { luminaires: positions.map(point => ({ ...point, ...luminaire })), warnings };
+}
+
+// Function to fill the luminaire positions with an even grid over the room
+function fillLuminaireGrid() {
+    const room = getRoomModel();
+    const rows = Math.max(1, Math.round(getRoomInput('luminaireRows')) || 1);
+    const columns = Math.max(1, Math.round(getRoomInput('luminaireColumns')) || 1);
+    const positions = luminaireGrid(room, rows, columns, getRoomInput('mountingHeight'));
+    
+    document.getElementById('luminairePositions').value = positions
+        .map(point => `${point.x}, ${point.y}, ${point.z}`)
+        .join('\n');
+}
+
+// Function to get the selected environment's range for a parameter (or undefined)
+function getEnvironmentRange(param) {
+    const envData = apiData?.[selectedGrade]?.lighting_data?.recommendation_levels?.highly_recommended?.environments?.[selectedEnvironment];
+    return envData?.[param]?.range;
+}
+
+// Function to describe whether a calculated value meets the selected environment's range
+function describeRangeCheck(param, value) {
+    const range = getEnvironmentRange(param);
+    if (!range) return '';
+    
+    const environmentLabel = escapeHtml(lightingStandards?.age_groups?.[selectedGrade]?.environments?.[selectedEnvironment]?.label || selectedEnvironment);
+    const passed = value >= range.min && value <= range.max;
+    return passed
+        ? `<span class="text-success">meets ${formatDisplayRange(param, range)} for ${environmentLabel}</span>`
+        : `<span class="text-danger">does not meet ${formatDisplayRange(param, range)} for ${environmentLabel}</span>`;
+}
+
+// Function to set a slider to a calculated value (within its range) and update the page as if
+// it had been moved. With notify off only the slider and its label change, for setting several
+// sliders before one update.
+function setSliderFromCalculation(sliderId, value, notify = true) {
+    const slider = document.getElementById(sliderId);
+    if (!slider) return;
+    
+    const step = Number(slider.step) || 1;
+    const rounded = Math.round(value / step) * step;
+    slider.value = Math.min(Number(slider.max), Math.max(Number(slider.min), rounded));
+    if (notify) {
+        slider.dispatchEvent(new Event('input'));
+    } else {
+        const valueSpan = document.getElementById(sliderId.replace('Slider', 'Value'));
+        if (valueSpan) valueSpan.textContent = slider.value;
+    }
+}
+
+// Function to calculate illuminance over the working plane, show Eavg, Emin and U0 and set the
+// lux and uniformity sliders to them so the compliance cards check the calculated room
+function calculateRoomIlluminance() {
+    const output = document.getElementById('illuminanceResult');
+    const room = getRoomModel();
+    const { luminaires, warnings } = getRoomLuminaires(room);
+    if (luminaires.length === 0) {
+        output.innerHTML = `<div class="text-danger">Add at least one luminaire position (or use Fill grid).</div>`;
+        return;
+    }
+    
+    const spacing = document.getElementById('gridSpacing').value === '' ? undefined : getRoomInput('gridSpacing');
+    let result;
+    try {
+        result = calculateIlluminance({
+            room,
+            luminaires,
+            reflectances: room.reflectances,
+            workingPlaneHeight: getRoomInput('workingPlaneHeight'),
+            maintenanceFactor: getRoomInput('maintenanceFactor'),
+            spacing: spacing > 0 ? spacing : undefined,
+            margin: getRoomInput('wallMargin')
+        });
+    } catch (error) {
+        output.innerHTML = `<div class="text-danger">${escapeHtml(error.message)}</div>`;
+        return;
+    }
+    
+    const points = result.grid.xs.length * result.grid.ys.length;
+    output.innerHTML = `
+        <div><strong>E<sub>avg</sub> ${Math.round(result.average)} lux</strong> ${describeRangeCheck('Lux', result.average)}</div>
+        <div><strong>U<sub>0</sub> ${result.uniformity.toFixed(2)}</strong> ${describeRangeCheck('Uniformity', result.uniformity)}</div>
+        <div class="text-muted">E<sub>min</sub> ${Math.round(result.minimum)} lux, E<sub>max</sub> ${Math.round(result.maximum)} lux over ${points} points
+            (${result.grid.xs.length} × ${result.grid.ys.length}); ${Math.round(result.indirect)} lux of it reflected light</div>
+        ${warnings.map(warning => `<div class="text-warning">${escapeHtml(warning)}</div>`).join('')}
+    `;
+    
+    setSliderFromCalculation('luxSlider', result.average);
+    setSliderFromCalculation('uniformitySlider', result.uniformity);
+    
+    // The isolux map needs a much finer grid than the EN 12464-1 points, over the whole room
+    isoluxMap = {
+        room,
+        luminaires,
+        margin: getRoomInput('wallMargin'),
+        result: calculateIlluminance({
+            room,
+            luminaires,
+            reflectances: room.reflectances,
+            workingPlaneHeight: getRoomInput('workingPlaneHeight'),
+            maintenanceFactor: getRoomInput('maintenanceFactor'),
+            spacing: Math.max(room.width, room.length) / ISOLUX_RESOLUTION,
+            margin: 0
+        })
+    };
+    updateIsoluxMap();
+}
+
+// Function to calculate UGR from the calculator inputs, show the breakdown and set the glare
+// slider to the result so the visuals and the compliance cards use it
+function calculateRoomUGR() {
+    const output = document.getElementById('ugrResult');
+    const room = getRoomModel();
+    const { luminaires, warnings } = getRoomLuminaires(room);
+    if (luminaires.length === 0) {
+        output.innerHTML = `<div class="text-danger">Add at least one luminaire position (or use Fill grid).</div>`;
+        return;
+    }
+    
+    let result;
+    try {
+        result = calculateUGR({
+            observer: {
+                x: getRoomInput('ugrObserverX'),
+                y: getRoomInput('ugrObserverY'),
+                z: getRoomInput('ugrEyeHeight'),
+                direction: getRoomInput('ugrViewDirection')
+            },
+            backgroundLuminance: getRoomInput('ugrBackgroundLuminance'),
+            luminaires
+        });
+    } catch (error) {
+        output.innerHTML = `<div class="text-danger">${escapeHtml(error.message)}</div>`;
+        return;
+    }
+    warnings.push(...result.warnings);
+    
+    renderUGRResult(result, warnings);
+    
+    // UGR below the scale's 10 is rounded as it is; no glare at all gives the slider's minimum
+    const glareSlider = document.getElementById('glareSlider');
+    setSliderFromCalculation('glareSlider', Number.isFinite(result.ugr) ? result.ugr : Number(glareSlider.min));
+}
+
+// Function to show a UGR result against the selected environment's UGR range, with the
+// contribution of each luminaire
+function renderUGRResult(result, warnings) {
+    const output = document.getElementById('ugrResult');
+    const ugrText = Number.isFinite(result.ugr) ? result.ugr.toFixed(1) : '< 10';
+    const verdict = describeRangeCheck('UGR', Number.isFinite(result.ugr) ? result.ugr : 0);
+    
+    const rows = result.terms.map((term, i) => term.included
+        ? `<tr><td>${i + 1}</td><td>${term.beta.toFixed(1)}°</td><td>${term.alpha.toFixed(1)}°</td><td>${term.p.toFixed(2)}</td><td>${term.omega.toFixed(4)}</td><td>${Math.round(term.luminance)}</td><td>${(100 * term.term / result.glareSum).toFixed(0)}%</td></tr>`
+        : `<tr class="text-muted"><td>${i + 1}</td><td colspan="6">Left out: ${term.reason}</td></tr>`
+    ).join('');
+    
+    output.innerHTML = `
+        <div><strong>UGR ${ugrText}</strong> ${verdict}</div>
+        ${warnings.map(warning => `<div class="text-warning">${escapeHtml(warning)}</div>`).join('')}
+        <table class="table table-sm table-dark mt-2 mb-0">
+            <thead><tr><th>#</th><th>β</th><th>α</th><th>p</th><th>ω (sr)</th><th>L (cd/m²)</th><th>Share</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Luminaire Catalogue Functions
+ */
+
+// Function to get the luminous area of a catalogue luminaire (m²; 0 when the file gives none)
+function getLuminousArea(luminaire) {
+    return luminaire.round
+        ? Math.PI * luminaire.length * luminaire.length / 4
+        : luminaire.width * luminaire.length;
+}
+
+// Function to show the catalogue with use / delete buttons and fill the luminaire type list
+function renderLuminaireCatalogue() {
+    const list = document.getElementById('luminaireCatalogue');
+    const select = document.getElementById('roomLuminaireSource');
+    if (!list || !select) return;
+    
+    const catalogue = loadLuminaireCatalogue();
+    const unknown = '<span class="text-muted">-</span>';
+    list.innerHTML = catalogue.map(luminaire => `
+        <div class="d-flex align-items-center gap-2 py-1 border-bottom border-secondary">
+            <div class="flex-grow-1 small">
+                <span class="text-white">${escapeHtml(luminaire.name)}</span>
+                <span class="text-muted d-block">${escapeHtml([luminaire.manufacturer, luminaire.catalogueNumber].filter(Boolean).join(' ') || luminaire.fileName)}</span>
+                <span class="d-block">
+                    ${Math.round(luminaire.lumens)} lm ·
+                    ${luminaire.watts ? `${Math.round(luminaire.watts * 10) / 10} W` : unknown} ·
+                    ${luminaire.cct ? `${luminaire.cct} K` : unknown} ·
+                    ${luminaire.cri ? `Ra ${luminaire.cri}` : unknown}
+                </span>
+            </div>
+            <button type="button" class="btn btn-sm btn-outline-warning" data-luminaire-action="use" data-luminaire-id="${escapeHtml(luminaire.id)}">Use</button>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-luminaire-action="delete" data-luminaire-id="${escapeHtml(luminaire.id)}" title="Delete">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+    `).join('');
+    
+    select.innerHTML = '<option value="">Generic diffuser (flux, luminance and area below)</option>' + catalogue
+        .map(luminaire => `<option value="${escapeHtml(luminaire.id)}">${escapeHtml(luminaire.name)} (${Math.round(luminaire.lumens)} lm)</option>`)
+        .join('');
+    select.value = roomLuminaire?.id || '';
+}
+
+// Function to show a message under the photometry import
+function setPhotometryStatus(message, type = 'muted') {
+    const status = document.getElementById('photometryStatus');
+    if (status) {
+        status.className = `text-${type} d-block mt-1`;
+        status.textContent = message;
+    }
+}
+
+// Function to import an IES / LDT file into the catalogue and use it in the room
+async function handlePhotometryImport(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const entry = addLuminaireToCatalogue(parsePhotometryFile(file.name, await file.text()), file.name);
+        setPhotometryStatus(`Imported ${entry.name} from ${file.name}`, 'success');
+        selectRoomLuminaire(entry.id);
+    } catch (error) {
+        console.error('Failed to import photometry:', error);
+        setPhotometryStatus(`Could not import ${file.name}: ${error.message}`, 'danger');
+    } finally {
+        // Allow importing the same file again
+        event.target.value = '';
+    }
+}
+
+// Function to use a catalogue luminaire (by id) in the room calculator, or the generic diffuser
+// for an empty id. The luminaire's CCT and CRI are set on the sliders when its file gives them.
+function selectRoomLuminaire(id) {
+    const entry = id ? loadLuminaireCatalogue().find(luminaire => luminaire.id === id) : null;
+    roomLuminaire = entry ? { ...entry, intensity: photometricIntensity(entry) } : null;
+    
+    // Flux and area come from the file; the luminance is worked out per direction
+    ['luminaireFlux', 'luminaireLuminance', 'luminaireArea'].forEach(inputId => {
+        document.getElementById(inputId).disabled = Boolean(roomLuminaire);
+    });
+    if (roomLuminaire) {
+        document.getElementById('luminaireFlux').value = Math.round(roomLuminaire.lumens);
+        const area = getLuminousArea(roomLuminaire);
+        if (area) {
+            document.getElementById('luminaireArea').value = Math.round(area * 1000) / 1000;
+            document.getElementById('luminaireLuminance').value = Math.round(roomLuminaire.intensity(0, 0) / area);
+        }
+        if (roomLuminaire.cct) setSliderFromCalculation('cctSlider', roomLuminaire.cct);
+        if (roomLuminaire.cri) setSliderFromCalculation('criSlider', roomLuminaire.cri);
+    }
+    renderLuminaireCatalogue();
+    updatePolarDiagram();
+}
+
+// Function to handle the use / delete buttons in the catalogue
+function handleLuminaireCatalogueClick(event) {
+    const button = event.target.closest('[data-luminaire-action]');
+    if (!button) return;
+    
+    const id = button.dataset.luminaireId;
+    if (button.dataset.luminaireAction === 'use') {
+        selectRoomLuminaire(id);
+    } else if (button.dataset.luminaireAction === 'delete') {
+        removeLuminaireFromCatalogue(id);
+        if (roomLuminaire?.id === id) {
+            selectRoomLuminaire('');
+        } else {
+            renderLuminaireCatalogue();
+        }
+    }
+}
+
+/**
+ * Lighting Analysis Functions
+ */
+
+// Function to draw the polar diagram of the room calculator's luminaire
+function updatePolarDiagram() {
+    const polarCanvas = document.getElementById('polarCanvas');
+    if (!polarCanvas) return;
+    
+    const caption = document.getElementById('polarCaption');
+    if (roomLuminaire) {
+        drawPolarDiagram(polarCanvas, roomLuminaire.intensity, roomLuminaire.lumens);
+        caption.textContent = `${roomLuminaire.name} - ${Math.round(roomLuminaire.lumens)} lm`;
+    } else {
+        const flux = getRoomInput('luminaireFlux');
+        drawPolarDiagram(polarCanvas, lambertianIntensity(flux), flux);
+        caption.textContent = 'Generic diffuser (I = Φ / π × cos γ)';
+    }
+}
+
+// Function to draw the isolux map of the last room calculation against the environment's lux range
+function updateIsoluxMap() {
+    const isoluxCanvas = document.getElementById('isoluxCanvas');
+    if (!isoluxCanvas || !isoluxMap) return;
+    
+    const range = getEnvironmentRange('Lux');
+    const { room, luminaires, margin, result } = isoluxMap;
+    drawIsoluxMap(isoluxCanvas, result, { room, range, luminaires, margin });
+    
+    document.getElementById('isoluxCaption').textContent = range
+        ? `${room.width} × ${room.length} m room, ${Math.round(result.minimum)} - ${Math.round(result.maximum)} lux; recommended ${range.min} - ${range.max} lux`
+        : `${room.width} × ${room.length} m room, ${Math.round(result.minimum)} - ${Math.round(result.maximum)} lux`;
+}
+
+/**
+ * Daylight Functions
+ */
+
+// Function to get the daylight added to a parameter's value (lux); 0 when daylight is off
+function getDaylightContribution(param) {
+    if (!daylight) return 0;
+    if (param === 'Lux') return Math.round(daylight.horizontal);
+    if (param === 'Vertical_Illuminance') return Math.round(daylight.vertical);
+    return 0;
+}
+
+// Function to get the melanopic EDI of the daylight at the eye: its vertical illuminance weighted
+// by the mel-DER of a CIE daylight spectrum for the sky (overcast is close to D65)
+function getDaylightMelanopicEDI() {
+    if (!daylight) return 0;
+    return calculateMelanopicEDI(daylightSpectrum(DAYLIGHT_CCT[daylight.sky]), getDaylightContribution('Vertical_Illuminance'));
+}
+
+// Function to read the daylight panel and the room calculator's room as calculateDaylight()
+// arguments; the hour is the panel's solar time
+function getDaylightInputs() {
+    const room = getRoomModel();
+    const [hours, minutes] = (document.getElementById('daylightTime').value || '12:00').split(':').map(Number);
+    return {
+        room,
+        reflectances: room.reflectances,
+        glazing: {
+            width: getRoomInput('windowWidth'),
+            height: getRoomInput('windowHeight'),
+            sill: getRoomInput('windowSill'),
+            orientation: getRoomInput('windowOrientation'),
+            transmittance: getRoomInput('windowTransmittance') / 100,
+            obstruction: getRoomInput('windowObstruction')
+        },
+        latitude: getRoomInput('daylightLatitude'),
+        date: document.getElementById('daylightDate').value,
+        hour: hours + minutes / 60,
+        sky: document.getElementById('daylightSky').value
+    };
+}
+
+// Function to calculate the daylight from the daylight panel and the room calculator's room, or
+// clear it when the panel is switched off, then update everything that uses lux
+function updateDaylight() {
+    const output = document.getElementById('daylightResult');
+    const status = document.getElementById('daylightStatus');
+    daylight = null;
+    
+    if (document.getElementById('daylightEnabled').checked) {
+        const inputs = getDaylightInputs();
+        try {
+            daylight = { ...calculateDaylight(inputs), sky: inputs.sky };
+        } catch (error) {
+            output.innerHTML = `<div class="text-danger">${escapeHtml(error.message)}</div>`;
+            status.textContent = 'Off - the daylight inputs need fixing';
+        }
+    } else {
+        output.innerHTML = '';
+        status.textContent = 'Off - electric lighting only';
+    }
+    
+    if (daylight) {
+        renderDaylightResult(daylight);
+        status.textContent = `On - +${getDaylightContribution('Lux')} lux on the desks, +${getDaylightContribution('Vertical_Illuminance')} lux at the eye`;
+    }
+    
+    // Lux, vertical illuminance and melanopic EDI all change: refresh as if the lux slider moved
+    updateValidationStatus();
+    document.getElementById('luxSlider')?.dispatchEvent(new Event('input'));
+}
+
+// Function to show the sun, the sky and the daylight in the room
+function renderDaylightResult(result) {
+    const { sun, outdoor } = result;
+    const lux = getCurrentValues().Lux;
+    const sunText = sun.altitude > 0
+        ? `Sun ${sun.altitude.toFixed(1)}° high, bearing ${Math.round(sun.azimuth)}°`
+        : 'Sun below the horizon';
+    
+    document.getElementById('daylightResult').innerHTML = `
+        <div>${sunText}; ${Math.round(outdoor.globalHorizontal)} lux outdoors (${Math.round(outdoor.diffuseHorizontal)} lux from the sky), ${Math.round(result.onWindow.total)} lux on the window</div>
+        <div><strong>Daylight factor ${result.daylightFactor.toFixed(1)}%</strong></div>
+        <div><strong>+${getDaylightContribution('Lux')} lux</strong> on the desks (average): ${lux} lux with the electric lighting ${describeRangeCheck('Lux', lux)}</div>
+        <div><strong>+${getDaylightContribution('Vertical_Illuminance')} lux</strong> vertical at the eye, facing the window from the middle of the room</div>
+        ${result.warnings.map(warning => `<div class="text-warning">${escapeHtml(warning)}</div>`).join('')}
+    `;
+}
+
+// Function to show the daylight added to the lux and vertical illuminance sliders
+function updateDaylightNotes() {
+    [['luxSlider', 'luxDaylight', 'Lux'], ['verticalSlider', 'verticalDaylight', 'Vertical_Illuminance']].forEach(([sliderId, noteId, param]) => {
+        const note = document.getElementById(noteId);
+        const slider = document.getElementById(sliderId);
+        if (!note || !slider) return;
+        
+        const added = getDaylightContribution(param);
+        note.classList.toggle('d-none', !daylight);
+        note.textContent = daylight ? `+ ${added} lux daylight = ${Number(slider.value) + added} lux` : '';
+    });
+}
+
+/**
+ * Energy Functions
+ */
+
+// Yearly energy figures shown in the A/B delta table, with their decimals
+const ENERGY_ROWS = [
+    { key: 'energy', label: 'Energy per year', unit: 'kWh', digits: 0 },
+    { key: 'cost', label: 'Cost per year', unit: '', digits: 2 },
+    { key: 'co2', label: 'CO₂ per year', unit: 'kg', digits: 0 },
+    { key: 'leni', label: 'LENI', unit: 'kWh/m²', digits: 1 }
+];
+
+// Function to turn energy inputs keyed by input id (as in a setting) into calculateEnergy() inputs
+function getEnergyInputs(energyState) {
+    const inputs = {};
+    for (const inputId in energyState || {}) {
+        inputs[ENERGY_STATE_PARAMS[inputId]] = energyState[inputId];
+    }
+    return inputs;
+}
+
+// Function to work out a setting's yearly energy, with the room calculator's floor area for
+// LENI, as calculateEnergy() returns it or { error } when an input is not valid
+function getEnergyResult(setting = getLightingSetting()) {
+    try {
+        return calculateEnergy(getEnergyInputs(setting.energy), getRoomInput('roomWidth') * getRoomInput('roomLength'));
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Function to format an energy figure with thousands separators
+function formatEnergyNumber(value, digits = 0) {
+    return value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+// Function to describe a yearly energy result in one line, for the recommendation and A/B cards
+function formatEnergyLine(result) {
+    if (result.error) {
+        return `<small class="d-block text-warning mt-2">Energy: ${escapeHtml(result.error)}</small>`;
+    }
+    const leni = result.leni !== null ? ` · LENI ${formatEnergyNumber(result.leni, 1)} kWh/m²` : '';
+    return `
+        <small class="d-block text-muted mt-2">
+            <i class="fas fa-bolt me-1"></i>${formatEnergyNumber(result.energy)} kWh / year · cost ${formatEnergyNumber(result.cost, 2)} · ${formatEnergyNumber(result.co2)} kg CO₂${leni}
+        </small>
+    `;
+}
+
+// Function to describe what side B saves (or costs) over side A each year
+function describeEnergySavings(existing, proposed) {
+    if (existing.error || proposed.error) return '';
+    
+    const savings = compareEnergy(existing, proposed);
+    if (Math.round(savings.energy) === 0) return 'Both sides use the same energy.';
+    
+    const more = savings.energy < 0;
+    return `Side B uses ${formatEnergyNumber(Math.abs(savings.percent))}% ${more ? 'more' : 'less'} energy than side A: `
+        + `${formatEnergyNumber(Math.abs(savings.energy))} kWh, ${formatEnergyNumber(Math.abs(savings.cost), 2)} and `
+        + `${formatEnergyNumber(Math.abs(savings.co2))} kg CO₂ ${more ? 'more' : 'less'} a year.`;
+}
+
+// Function to show the yearly energy of the energy inputs in the panel
+function renderEnergyResult() {
+    const output = document.getElementById('energyResult');
+    const status = document.getElementById('energyStatus');
+    if (!output || !status) return;
+    
+    const result = getEnergyResult();
+    if (result.error) {
+        output.innerHTML = `<div class="text-danger">${escapeHtml(result.error)}</div>`;
+        status.textContent = 'The energy inputs need fixing';
+        return;
+    }
+    
+    const density = result.powerDensity !== null ? ` (${formatEnergyNumber(result.powerDensity, 1)} W/m²)` : '';
+    output.innerHTML = `
+        <div>${formatEnergyNumber(result.power)} W installed${density}, on ${formatEnergyNumber(result.operatingHours)} hours a year</div>
+        <div><strong>${formatEnergyNumber(result.energy)} kWh</strong> a year, costing <strong>${formatEnergyNumber(result.cost, 2)}</strong></div>
+        <div><strong>${formatEnergyNumber(result.co2)} kg CO₂</strong> a year</div>
+        ${result.leni !== null ? `<div><strong>LENI ${formatEnergyNumber(result.leni, 1)} kWh/m²</strong> a year</div>` : ''}
+    `;
+    status.textContent = `${formatEnergyNumber(result.energy)} kWh, ${formatEnergyNumber(result.cost, 2)} and ${formatEnergyNumber(result.co2)} kg CO₂ a year`;
+}
+
+// Function to recalculate the energy and update the cards, the A/B summary and the URL
+function updateEnergy() {
+    renderEnergyResult();
+    if (!apiData || !selectedGrade) return;
+    
+    compareValues();
+    if (comparison) {
+        comparison.sides[comparison.active] = getLightingSetting();
+        renderComparisonSummary();
+    }
+    updateSimulatorUrl();
+}
+
+// Function to take the luminaire count from the room calculator's positions and the power from
+// its catalogue luminaire (when the file gives one)
+function fillEnergyFromRoom() {
+    const { positions } = parseLuminairePositions(document.getElementById('luminairePositions').value);
+    document.getElementById('energyCount').value = positions.length;
+    if (roomLuminaire?.watts) {
+        document.getElementById('energyWatts').value = Math.round(roomLuminaire.watts * 10) / 10;
+    }
+    updateEnergy();
+}
+
+/**
+ * Circadian Schedule Functions
+ */
+
+// Function to show the schedule's keyframes in the editor table
+function renderScheduleKeyframes() {
+    const tbody = document.getElementById('scheduleKeyframes');
+    if (!tbody) return;
+    
+    tbody.innerHTML = schedule.keyframes.map((keyframe, i) => `
+        <tr data-keyframe-index="${i}">
+            <td><input type="time" class="form-control form-control-sm bg-dark text-light" data-field="time" value="${formatClockTime(keyframe.minute)}" min="${formatClockTime(SCHOOL_DAY_START)}" max="${formatClockTime(SCHOOL_DAY_END)}" step="300" aria-label="Keyframe ${i + 1} time"></td>
+            <td><input type="number" class="form-control form-control-sm bg-dark text-light" data-field="cct" value="${Math.round(keyframe.cct)}" min="1000" max="20000" step="100" aria-label="Keyframe ${i + 1} CCT"></td>
+            <td><input type="number" class="form-control form-control-sm bg-dark text-light" data-field="lux" value="${Math.round(keyframe.lux)}" min="0" step="10" aria-label="Keyframe ${i + 1} lux"></td>
+            <td><button type="button" class="btn btn-sm btn-outline-danger" data-schedule-action="remove" title="Remove keyframe" ${schedule.keyframes.length === 1 ? 'disabled' : ''}>&times;</button></td>
+        </tr>
+    `).join('');
+}
+
+// Function to read the keyframes from the editor table (throws when one is not valid)
+function readScheduleKeyframes() {
+    const rows = document.querySelectorAll('#scheduleKeyframes tr');
+    return normalizeSchedule(Array.from(rows, row => ({
+        time: row.querySelector('[data-field="time"]').value,
+        cct: Number(row.querySelector('[data-field="cct"]').value),
+        lux: Number(row.querySelector('[data-field="lux"]').value)
+    })));
+}
+
+// Function to get the mel-DER of the library light source of a CCT at the CRI slider's Ra
+// (cached, as picking the source is slow)
+function getScheduleDER(cct) {
+    const cri = Number(document.getElementById('criSlider')?.value || 80);
+    const key = `${Math.round(cct)}:${cri}`;
+    if (!schedule.derCache.has(key)) {
+        schedule.derCache.set(key, melanopicDER(selectLightSource(cct, cri).spectrum));
+    }
+    return schedule.derCache.get(key);
+}
+
+// Function to get the melanopic EDI at a moment of the schedule, at the vertical illuminance the
+// desk lux gives, plus the daylight at that time of day when the daylight panel is on. A
+// tunable-white luminaire fades by mixing two spectra, so between keyframes the mel-DER is the
+// mix of the keyframes' mel-DERs, weighted by how far the CCT has moved (in mired).
+function getScheduleEDI(minute, cct, lux) {
+    const next = schedule.keyframes.findIndex(keyframe => keyframe.minute >= minute);
+    const from = schedule.keyframes[Math.max(0, next === -1 ? schedule.keyframes.length - 1 : next - 1)];
+    const to = next === -1 ? from : schedule.keyframes[next];
+    const span = 1e6 / from.cct - 1e6 / to.cct;
+    const weight = span === 0 ? 0 : (1e6 / from.cct - 1e6 / cct) / span;
+    const der = getScheduleDER(from.cct) * (1 - weight) + getScheduleDER(to.cct) * weight;
+    let edi = der * lux * (getRoomInput('scheduleVerticalRatio') || 0);
+    
+    if (daylight) {
+        const inputs = getDaylightInputs();
+        const vertical = calculateDaylight({ ...inputs, hour: minute / 60 }).vertical;
+        edi += calculateMelanopicEDI(daylightSpectrum(DAYLIGHT_CCT[inputs.sky]), vertical);
+    }
+    return edi;
+}
+
+// Function to get the melanopic EDI that counts towards the exposure duration: the lower end of
+// the age group's good melanopic EDI range
+function getExposureThreshold() {
+    const good = normalizeGradedRanges(apiData?.[selectedGrade]?.Melanopic_EDI).find(entry => entry.rating === 'good');
+    return good ? good.range.min : DEFAULT_EXPOSURE_THRESHOLD;
+}
+
+// Function to read the editor, sample the school day, draw the timeline and rate the schedule
+function updateSchedule() {
+    const status = document.getElementById('scheduleStatus');
+    if (!status) return;
+    
+    try {
+        schedule.keyframes = readScheduleKeyframes();
+    } catch (error) {
+        status.innerHTML = `<span class="text-danger">${escapeHtml(error.message)}</span>`;
+        return;
+    }
+    status.innerHTML = importedSpectrum
+        ? `<span class="text-warning">The imported spectrum (${escapeHtml(importedSpectrum.name)}) sets the colour on the photo; the schedule's CCT is used for the melanopic EDI only.</span>`
+        : '';
+    
+    schedule.threshold = getExposureThreshold();
+    schedule.samples = sampleSchedule(schedule.keyframes, getScheduleEDI);
+    drawScheduleTimeline();
+    renderScheduleResult(evaluateSchedule(schedule.samples, schedule.threshold));
+}
+
+// Function to draw the timeline with the playback position
+function drawScheduleTimeline() {
+    const scheduleCanvas = document.getElementById('scheduleCanvas');
+    if (!scheduleCanvas || schedule.samples.length === 0) return;
+    
+    drawScheduleChart(scheduleCanvas, schedule.samples, {
+        keyframes: schedule.keyframes,
+        threshold: schedule.threshold,
+        minute: Number(document.getElementById('scheduleTime').value)
+    });
+}
+
+// Function to rate the whole schedule against the age group's melanopic EDI and exposure
+// duration ranges and show how long the lux and CCT stay within the environment's ranges
+function renderScheduleResult(summary) {
+    const output = document.getElementById('scheduleResult');
+    const gradeData = apiData?.[selectedGrade];
+    const ratingClasses = { good: 'text-success', medium: 'text-warning', bad: 'text-danger' };
+    const describeRating = (rating) => rating
+        ? `<span class="${ratingClasses[rating.rating] || 'text-muted'}">${rating.rating.charAt(0).toUpperCase() + rating.rating.slice(1)} (${rating.range.min}-${rating.range.max} ${escapeHtml(rating.range.unit || '')})</span>`
+        : '<span class="text-muted">no range for this age group</span>';
+    
+    const exposureHours = Math.round(summary.exposureDuration * 10) / 10;
+    const rows = [
+        ['Mean melanopic EDI', `${Math.round(summary.meanEDI)} lux (peak ${Math.round(summary.peakEDI)})`, describeRating(rateMelanopicEDI(summary.meanEDI, gradeData?.Melanopic_EDI))],
+        ['Exposure duration', `${exposureHours} h at ≥ ${schedule.threshold} lux melanopic EDI`, describeRating(rateGradedValue(exposureHours, gradeData?.Exposure_Duration, 'hours'))],
+        ['Melanopic dose', `${Math.round(summary.dose)} lux·h`, '']
+    ];
+    ['Lux', 'CCT'].forEach(param => {
+        const range = getEnvironmentRange(param);
+        if (range) {
+            const hours = hoursWithinRange(schedule.samples, param === 'Lux' ? 'lux' : 'cct', range);
+            rows.push([`${param} in ${formatDisplayRange(param, range)}`, `${(Math.round(hours * 10) / 10)} of ${summary.hours} h`, '']);
+        }
+    });
+    
+    output.innerHTML = `
+        <table class="table table-sm table-dark mb-0">
+            <tbody>${rows.map(([name, value, rating]) => `<tr><td>${name}</td><td>${value}</td><td>${rating}</td></tr>`).join('')}</tbody>
+        </table>
+    `;
+}
+
+// Function to show one moment of the schedule on the photo: the CCT, lux and vertical illuminance
+// sliders (and the daylight's time of day) are set, then the page updates once
+function applyScheduleMoment(minute) {
+    const { cct, lux } = scheduleAt(schedule.keyframes, minute);
+    document.getElementById('scheduleTime').value = minute;
+    document.getElementById('scheduleClock').textContent = formatClockTime(minute);
+    
+    setSliderFromCalculation('cctSlider', cct, false);
+    setSliderFromCalculation('verticalSlider', lux * (getRoomInput('scheduleVerticalRatio') || 0), false);
+    setSliderFromCalculation('luxSlider', lux, false);
+    if (daylight) {
+        document.getElementById('daylightTime').value = formatClockTime(minute);
+        updateDaylight();
+    } else {
+        document.getElementById('luxSlider').dispatchEvent(new Event('input'));
+    }
+    drawScheduleTimeline();
+}
+
+// Function to play the schedule on the photo (one school hour every 3 seconds), or stop it
+function toggleSchedulePlayback() {
+    const button = document.getElementById('schedulePlayButton');
+    if (schedule.timer) {
+        stopSchedulePlayback();
+        return;
+    }
+    
+    const timeInput = document.getElementById('scheduleTime');
+    let minute = Number(timeInput.value) >= SCHOOL_DAY_END ? SCHOOL_DAY_START : Number(timeInput.value);
+    applyScheduleMoment(minute);
+    button.textContent = 'Stop';
+    schedule.timer = setInterval(() => {
+        minute += SCHEDULE_STEP;
+        applyScheduleMoment(Math.min(minute, SCHOOL_DAY_END));
+        if (minute >= SCHOOL_DAY_END) stopSchedulePlayback();
+    }, 250);
+}
+
+// Function to stop the schedule playback, leaving the sliders at the last moment shown
+function stopSchedulePlayback() {
+    clearInterval(schedule.timer);
+    schedule.timer = null;
+    document.getElementById('schedulePlayButton').textContent = 'Play';
+}
+
+// Function to handle the remove buttons in the keyframe table
+function handleScheduleKeyframeClick(event) {
+    const button = event.target.closest('[data-schedule-action="remove"]');
+    if (!button) return;
+    
+    const index = Number(button.closest('tr').dataset.keyframeIndex);
+    schedule.keyframes.splice(index, 1);
+    renderScheduleKeyframes();
+    updateSchedule();
+}
+
+// Function to add a keyframe halfway through the longest gap of the schedule, with the
+// schedule's CCT and lux at that time
+function addScheduleKeyframe() {
+    const points = [SCHOOL_DAY_START, ...schedule.keyframes.map(keyframe => keyframe.minute), SCHOOL_DAY_END];
+    let minute = SCHOOL_DAY_START;
+    let gap = 0;
+    for (let i = 1; i < points.length; i++) {
+        if (points[i] - points[i - 1] > gap) {
+            gap = points[i] - points[i - 1];
+            minute = Math.round((points[i] + points[i - 1]) / 2 / SCHEDULE_STEP) * SCHEDULE_STEP;
+        }
+    }
+    if (gap < 2 * SCHEDULE_STEP) return;
+    
+    schedule.keyframes = normalizeSchedule([...schedule.keyframes, { minute, ...scheduleAt(schedule.keyframes, minute) }]);
+    renderScheduleKeyframes();
+    updateSchedule();
+}
+
+// Function to go back to the HCL school curve
+function resetSchedule() {
+    schedule.keyframes = DEFAULT_SCHEDULE.map(keyframe => ({ ...keyframe }));
+    renderScheduleKeyframes();
+    updateSchedule();
+}
+
+/**
+ * Room Photo Functions
+ */
+
+// Function to read the room photo kept for this browser session (null when there is none)
+function readSessionRoomPhoto() {
+    try {
+        return normalizeRoomPhoto(JSON.parse(sessionStorage.getItem(ROOM_PHOTO_SESSION_KEY)));
+    } catch (error) {
+        console.warn('The room photo kept for this session could not be read:', error);
+        return null;
+    }
+}
+
+// Function to keep the room photo for this browser session, so it survives a reload and
+// loading a scenario for another grade / environment
+function storeSessionRoomPhoto(photo) {
+    try {
+        if (photo) {
+            sessionStorage.setItem(ROOM_PHOTO_SESSION_KEY, JSON.stringify(photo));
+        } else {
+            sessionStorage.removeItem(ROOM_PHOTO_SESSION_KEY);
+        }
+    } catch (error) {
+        console.warn('The room photo could not be kept for this session:', error);
+    }
+}
+
+// Function to scale down an uploaded photo and estimate the white point of the light it was
+// taken under; resolves with a room photo (see room-photo.js)
+async function readRoomPhoto(file) {
+    if (!file.type.startsWith('image/')) {
+        throw new Error(`${file.name} is not an image`);
+    }
+    
+    // Phone photos are turned the way they were taken (EXIF orientation)
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+        throw new Error(`${file.name} could not be read as an image`);
+    }
+    
+    const size = roomPhotoSize(bitmap.width, bitmap.height);
+    const scaled = document.createElement('canvas');
+    scaled.width = size.width;
+    scaled.height = size.height;
+    const scaledContext = scaled.getContext('2d');
+    // Transparent parts of a PNG become white rather than black in the JPEG
+    scaledContext.fillStyle = '#ffffff';
+    scaledContext.fillRect(0, 0, size.width, size.height);
+    scaledContext.drawImage(bitmap, 0, 0, size.width, size.height);
+    bitmap.close();
+    
+    // Every 4th pixel is plenty for the white point
+    const white = estimateWhitePoint(scaledContext.getImageData(0, 0, size.width, size.height).data, 4);
+    return {
+        name: file.name,
+        data: scaled.toDataURL('image/jpeg', ROOM_PHOTO_QUALITY),
+        width: size.width,
+        height: size.height,
+        white,
+        neutralize: white !== null
+    };
+}
+
+// Function to make a room photo the current one (null = back to the environment's photos): its
+// neutral white matrix, the session copy and the panel. The caller shows the image.
+function setRoomPhoto(photo) {
+    roomPhoto = photo || null;
+    roomPhotoMatrix = roomPhoto?.neutralize && roomPhoto.white ? buildNeutralizingMatrix(roomPhoto.white.xyz) : null;
+    storeSessionRoomPhoto(roomPhoto);
+    renderRoomPhotoPanel();
+    updateGallerySelection();
+}
+
+// Function to show an image on the canvas (its onload redraws the working copy)
+function showClassroomImage(src) {
+    if (classroomImage) {
+        classroomImage.src = src;
+    }
+}
+
+// Function to use a chosen, captured or dropped photo as the base image
+async function useRoomPhotoFile(file) {
+    if (!file) return;
+    
+    setRoomPhotoStatus(`Reading ${file.name}...`);
+    try {
+        const photo = await readRoomPhoto(file);
+        setRoomPhoto(photo);
+        showClassroomImage(photo.data);
+        updateImageCounter();
+    } catch (error) {
+        console.error('Failed to read the room photo:', error);
+        setRoomPhotoStatus(`Could not use ${file.name}: ${error.message}`, 'danger');
+    }
+}
+
+// Function to go back to the environment's own photos
+function removeRoomPhoto() {
+    setRoomPhoto(null);
+    showClassroomImage(getClassroomImagePath(currentImageIndex));
+    updateImageCounter();
+}
+
+// Function to switch the neutral white of the room photo on or off
+function toggleRoomPhotoNeutral(event) {
+    if (!roomPhoto) return;
+    setRoomPhoto({ ...roomPhoto, neutralize: event.target.checked });
+    applyVisualEffects();
+}
+
+// Function to show a message under the room photo controls
+function setRoomPhotoStatus(message, type = 'muted') {
+    const status = document.getElementById('roomPhotoStatus');
+    if (status) {
+        status.className = `text-${type} mt-1`;
+        status.textContent = message;
+    }
+}
+
+// Function to show the room photo in use, its estimated white point and the matching controls
+function renderRoomPhotoPanel() {
+    const removeButton = document.getElementById('roomPhotoRemove');
+    const neutralRow = document.getElementById('roomPhotoNeutralRow');
+    const neutralCheckbox = document.getElementById('roomPhotoNeutral');
+    if (removeButton) removeButton.hidden = !roomPhoto;
+    if (neutralRow) neutralRow.hidden = !roomPhoto?.white;
+    if (neutralCheckbox && roomPhoto) neutralCheckbox.checked = roomPhoto.neutralize;
+    
+    if (!roomPhoto) {
+        setRoomPhotoStatus('Using the photos of the selected environment');
+        return;
+    }
+    const size = roomPhoto.width ? `, ${roomPhoto.width} × ${roomPhoto.height} px` : '';
+    const white = roomPhoto.white
+        ? `taken under about ${Math.round(roomPhoto.white.cct / 50) * 50} K (Duv ${roomPhoto.white.duv >= 0 ? '+' : ''}${roomPhoto.white.duv.toFixed(3)})`
+        : 'the colour of its light could not be estimated';
+    setRoomPhotoStatus(`${roomPhoto.name}${size}, ${white}`);
+}
+
+// Function to take photos dropped on the picture or the room photo panel
+function setUpRoomPhotoDrop(element) {
+    if (!element) return;
+    
+    element.addEventListener('dragover', event => {
+        if (!event.dataTransfer.types.includes('Files')) return;
+        event.preventDefault();
+        element.classList.add('room-photo-dragover');
+    });
+    element.addEventListener('dragleave', () => element.classList.remove('room-photo-dragover'));
+    element.addEventListener('drop', event => {
+        event.preventDefault();
+        element.classList.remove('room-photo-dragover');
+        useRoomPhotoFile(event.dataTransfer.files[0]);
+    });
+}
+
+/**
+ * Saved Scenario Functions
+ */
+
+// Function to show the saved scenarios with load / delete buttons
+function renderSavedScenarios() {
+    const list = document.getElementById('scenarioList');
+    if (!list) return;
+    
+    const scenarios = loadSavedScenarios();
+    if (scenarios.length === 0) {
+        list.innerHTML = '<small class="text-muted">No saved scenarios yet</small>';
+        return;
+    }
+    
+    list.innerHTML = scenarios.map((scenario, i) => `
+        <div class="d-flex align-items-center gap-2 py-1 border-bottom border-secondary">
+            <div class="flex-grow-1 small">
+                <span class="text-white">${escapeHtml(scenario.name)}</span>
+                ${scenario.state.photo ? '<i class="fas fa-camera text-muted ms-1" title="Saved with a room photo"></i>' : ''}
+                <span class="text-muted d-block">${escapeHtml(scenario.state.grade)} / ${escapeHtml(scenario.state.environment)} - ${new Date(scenario.saved_at).toLocaleString()}</span>
+            </div>
+            <button type="button" class="btn btn-sm btn-outline-warning" data-scenario-action="load" data-scenario-index="${i}">Load</button>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-scenario-action="delete" data-scenario-index="${i}" title="Delete">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+// Function to show a message under the scenario controls
+function setScenarioStatus(message, type = 'muted') {
+    const status = document.getElementById('scenarioStatus');
+    if (status) {
+        status.className = `text-${type} d-block mt-1`;
+        status.textContent = message;
+    }
+}
+
+// Function to save the current scenario under the name typed in #scenarioName
+function handleSaveScenario() {
+    const nameInput = document.getElementById('scenarioName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        setScenarioStatus('Enter a name for the scenario', 'warning');
+        nameInput.focus();
+        return;
+    }
+    if (!selectedGrade || !selectedEnvironment) {
+        setScenarioStatus('Wait for the lighting data to load before saving', 'warning');
+        return;
+    }
+    
+    const exists = loadSavedScenarios().some(scenario => scenario.name.toLowerCase() === name.toLowerCase());
+    if (exists && !confirm(`Replace the saved scenario "${name}"?`)) return;
+    
+    try {
+        // The room photo is saved with the scenario (it is too large for the URL)
+        saveScenario(name, { ...getCurrentState(), photo: roomPhoto });
+        nameInput.value = '';
+        setScenarioStatus(`Saved "${name}"`, 'success');
+    } catch (error) {
+        console.error('Failed to save scenario:', error);
+        setScenarioStatus(`Could not save "${name}": ${error.message}`, 'danger');
+    }
+    renderSavedScenarios();
+}
+
+// Function to load a saved scenario. The same grade / environment is applied in place;
+// another grade / environment reloads the simulator with the scenario in the URL.
+function loadScenario(scenario) {
+    const state = scenario.state;
+    if (state.grade !== selectedGrade || state.environment !== selectedEnvironment) {
+        // The room photo goes with it through the session
+        setRoomPhoto(state.photo);
+        window.location.href = `${window.location.pathname}?${buildSimulatorStateQuery(state)}`;
+        return;
+    }
+    
+    clearImportedSpectrum();
+    applyOptionState(state.options);
+    updateFlickerControls();
+    applySliderState(state.sliders);
+    applyEnergyState(state.energy);
+    renderEnergyResult();
+    luminaires = state.luminaires ?? DEFAULT_LUMINAIRES.map(point => ({ ...point }));
+    updateLuminaireControls();
+    
+    if (state.photo) {
+        setRoomPhoto(state.photo);
+        showClassroomImage(state.photo.data);
+    } else if (roomPhoto || (state.image !== null && state.image !== currentImageIndex)) {
+        currentImageIndex = state.image ?? currentImageIndex;
+        setRoomPhoto(null);
+        showClassroomImage(getClassroomImagePath(currentImageIndex));
+    }
+    updateImageCounter();
+    updateGallerySelection();
+    
+    applyVisualEffects();
+    compareValues();
+    updateSimulatorUrl();
+    setScenarioStatus(`Loaded "${scenario.name}"`, 'success');
+}
+
+// Function to handle the load / delete buttons in the scenario list
+function handleScenarioListClick(event) {
+    const button = event.target.closest('[data-scenario-action]');
+    if (!button) return;
+    
+    const scenario = loadSavedScenarios()[parseInt(button.dataset.scenarioIndex)];
+    if (!scenario) return;
+    
+    if (button.dataset.scenarioAction === 'load') {
+        loadScenario(scenario);
+    } else if (confirm(`Delete the saved scenario "${scenario.name}"?`)) {
+        deleteScenario(scenario.name);
+        setScenarioStatus(`Deleted "${scenario.name}"`);
+        renderSavedScenarios();
+    }
+}
+
+// Function to download all saved scenarios as a JSON file
+function exportScenarios() {
+    const scenarios = loadSavedScenarios();
+    if (scenarios.length === 0) {
+        setScenarioStatus('There are no saved scenarios to export', 'warning');
+        return;
+    }
+    
+    const blob = new Blob([exportScenariosJSON(scenarios)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `lighting-scenarios-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Function to import scenarios from an exported JSON file (scenarios with the same name are replaced)
+async function handleScenarioImport(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const imported = parseScenariosJSON(await file.text());
+        storeScenarios(mergeScenarios(loadSavedScenarios(), imported));
+        setScenarioStatus(`Imported ${imported.length} scenario${imported.length === 1 ? '' : 's'} from ${file.name}`, 'success');
+        renderSavedScenarios();
+    } catch (error) {
+        console.error('Failed to import scenarios:', error);
+        setScenarioStatus(`Could not import ${file.name}: ${error.message}`, 'danger');
+    } finally {
+        // Allow importing the same file again
+        event.target.value = '';
+    }
+}
+
+/**
+ * Initialization Function
+ */
+
+// Initialize when page loads
+function initializeSimulator() {
+    loadSelectedData();
+    
+    // Retry buttons for the resources that failed to load
+    document.getElementById('preloaderTasks')?.addEventListener('click', event => {
+        const button = event.target.closest('[data-retry-task]');
+        if (button && simulatorLoader) {
+            simulatorLoader.retry(button.dataset.retryTask);
+        }
+    });
+    
+    // A wider window needs a larger working copy of the photo
+    let resizeTimeout = null;
+    window.addEventListener('resize', () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(refreshWorkingCopy, 250);
+    });
+    
+    // Spectrum import; moving the CCT / CRI sliders switches back to the slider values
+    const spectrumFile = document.getElementById('spectrumFile');
+    if (spectrumFile) {
+        spectrumFile.addEventListener('change', handleSpectrumImport);
+    }
+    ['cctSlider', 'criSlider'].forEach(sliderId => {
+        document.getElementById(sliderId)?.addEventListener('input', clearImportedSpectrum);
+    });
+    
+    // A/B comparison
+    document.getElementById('comparisonToggle')?.addEventListener('click', toggleComparison);
+    document.querySelectorAll('[data-comparison-layout]').forEach(button => {
+        button.addEventListener('click', () => setComparisonLayout(button.dataset.comparisonLayout));
+    });
+    document.querySelectorAll('[data-comparison-side]').forEach(button => {
+        button.addEventListener('click', () => selectComparisonSide(button.dataset.comparisonSide));
+    });
+    initializeComparisonWipe();
+    
+    // Saved scenarios
+    renderSavedScenarios();
+    document.getElementById('saveScenarioButton')?.addEventListener('click', handleSaveScenario);
+    document.getElementById('scenarioName')?.addEventListener('keydown', event => {
+        if (event.key === 'Enter') handleSaveScenario();
+    });
+    document.getElementById('scenarioList')?.addEventListener('click', handleScenarioListClick);
+    document.getElementById('exportScenariosButton')?.addEventListener('click', exportScenarios);
+    document.getElementById('scenarioFile')?.addEventListener('change', handleScenarioImport);
+    
+    // Set up slider event listeners
+    updateSliderValue('cctSlider', 'cctValue');
+    updateSliderValue('criSlider', 'criValue');
+    updateSliderValue('flickerSlider', 'flickerValue');
+    updateSliderValue('flickerModulationSlider', 'flickerModulationValue');
+    updateSliderValue('flickerDutySlider', 'flickerDutyValue');
+    updateSliderValue('glareSlider', 'glareValue');
+    updateSliderValue('uniformitySlider', 'uniformityValue');
+    updateSliderValue('melanopicSlider', 'melanopicValue');
+    updateSliderValue('verticalSlider', 'verticalValue');
+    updateSliderValue('exposureSlider', 'exposureValue');
+    updateSliderValue('luxSlider', 'luxValue');
+    
+    // Add event listeners to update recommendation cards when sliders change
+    const sliders = ['cctSlider', 'criSlider', 'flickerSlider', 'flickerModulationSlider', 'flickerDutySlider', 'glareSlider', 'uniformitySlider', 'melanopicSlider', 'verticalSlider', 'exposureSlider', 'luxSlider'];
+    sliders.forEach(sliderId => {
+        const slider = document.getElementById(sliderId);
+        if (slider) {
+            slider.addEventListener('input', function() {
+                if (apiData && selectedGrade) {
+                    // Clear previous timeout to prevent multiple rapid updates
+                    if (updateTimeout) {
+                        clearTimeout(updateTimeout);
+                    }
+                    
+                    // Debounce the update to prevent excessive re-rendering
+                    updateTimeout = setTimeout(() => {
+                        updateRecommendationCards(getCurrentValues(), apiData[selectedGrade]);
+                        updateSimulatorUrl();
+                    }, 300); // Wait 300ms after user stops moving slider
+                }
+            });
+        }
+    });
+    
+    // Flicker waveform (sinusoidal / PWM square / rectified mains) changes the flicker metrics
+    document.getElementById('flickerWaveform')?.addEventListener('change', () => {
+        updateFlickerControls();
+        applyVisualEffects();
+        if (apiData && selectedGrade) {
+            updateRecommendationCards(getCurrentValues(), apiData[selectedGrade]);
+            updateSimulatorUrl();
+        }
+    });
+    document.getElementById('flickerAnimationToggle')?.addEventListener('change', updateFlickerAnimation);
+    updateFlickerAnimation();
+    
+    // Luminaire placement for the glare rendering
+    document.getElementById('placeLuminairesButton')?.addEventListener('click', toggleLuminairePlacement);
+    document.getElementById('clearLuminairesButton')?.addEventListener('click', clearLuminaires);
+    document.getElementById('lightingCanvas')?.addEventListener('click', handleLuminaireClick);
+    
+    // Room photo: choose a file, take one with the camera or drop one on the picture
+    ['roomPhotoFile', 'roomPhotoCamera'].forEach(inputId => {
+        document.getElementById(inputId)?.addEventListener('change', event => {
+            useRoomPhotoFile(event.target.files[0]);
+            // Allow choosing the same file again
+            event.target.value = '';
+        });
+    });
+    document.getElementById('roomPhotoRemove')?.addEventListener('click', removeRoomPhoto);
+    document.getElementById('roomPhotoNeutral')?.addEventListener('change', toggleRoomPhotoNeutral);
+    setUpRoomPhotoDrop(document.getElementById('appendImage'));
+    setUpRoomPhotoDrop(document.getElementById('roomPhotoPanel'));
+    renderRoomPhotoPanel();
+    
+    // Thumbnail strip of the environment's photos
+    const gallery = document.getElementById('imageGallery');
+    if (gallery) {
+        gallery.addEventListener('click', handleGalleryClick);
+        gallery.addEventListener('keydown', handleGalleryKeydown);
+    }
+    updateLuminaireControls();
+    
+    // Room lighting calculator (working plane illuminance / uniformity and UGR)
+    if (document.getElementById('roomCalculator')) {
+        document.getElementById('fillLuminaireGridButton').addEventListener('click', fillLuminaireGrid);
+        document.getElementById('calculateIlluminanceButton').addEventListener('click', calculateRoomIlluminance);
+        document.getElementById('ugrCalculateButton').addEventListener('click', calculateRoomUGR);
+        document.getElementById('roomLuminaireSource').addEventListener('change', event => selectRoomLuminaire(event.target.value));
+        document.getElementById('photometryFile').addEventListener('change', handlePhotometryImport);
+        document.getElementById('luminaireCatalogue').addEventListener('click', handleLuminaireCatalogueClick);
+        document.getElementById('luminaireFlux').addEventListener('input', updatePolarDiagram);
+        renderLuminaireCatalogue();
+        fillLuminaireGrid();
+        updatePolarDiagram();
+    }
+
+    // Daylight through the window, added to the electric lighting while switched on
+    const daylightPanel = document.getElementById('daylightPanel');
+    if (daylightPanel) {
+        const dateInput = document.getElementById('daylightDate');
+        if (!dateInput.value) {
+            dateInput.value = new Date().toISOString().slice(0, 10);
+        }
+        daylightPanel.addEventListener('change', updateDaylight);
+
+        // The daylight uses the room calculator's room
+        ['roomWidth', 'roomLength', 'roomHeight', 'ceilingReflectance', 'wallReflectance', 'floorReflectance'].forEach(inputId => {
+            document.getElementById(inputId)?.addEventListener('change', () => {
+                if (daylight) updateDaylight();
+            });
+        });
+    }
+    
+    // Yearly energy and cost of the lighting; LENI uses the room calculator's floor area
+    const energyPanel = document.getElementById('energyPanel');
+    if (energyPanel) {
+        energyPanel.addEventListener('change', updateEnergy);
+        document.getElementById('energyFromRoomButton').addEventListener('click', fillEnergyFromRoom);
+        ['roomWidth', 'roomLength'].forEach(inputId => {
+            document.getElementById(inputId)?.addEventListener('change', updateEnergy);
+        });
+        renderEnergyResult();
+    }
+    
+    // Circadian day schedule: keyframe editor, timeline and playback
+    if (document.getElementById('schedulePanel')) {
+        renderScheduleKeyframes();
+        document.getElementById('scheduleKeyframes').addEventListener('change', updateSchedule);
+        document.getElementById('scheduleKeyframes').addEventListener('click', handleScheduleKeyframeClick);
+        document.getElementById('addKeyframeButton').addEventListener('click', addScheduleKeyframe);
+        document.getElementById('resetScheduleButton').addEventListener('click', resetSchedule);
+        document.getElementById('scheduleVerticalRatio').addEventListener('change', updateSchedule);
+        document.getElementById('schedulePlayButton').addEventListener('click', toggleSchedulePlayback);
+        document.getElementById('scheduleTime').addEventListener('input', event => {
+            if (schedule.timer) stopSchedulePlayback();
+            applyScheduleMoment(Number(event.target.value));
+        });
+        
+        // The melanopic EDI of the schedule depends on the CRI and on the daylight
+        document.getElementById('criSlider')?.addEventListener('change', updateSchedule);
+        document.getElementById('daylightPanel')?.addEventListener('change', updateSchedule);
+        updateSchedule();
+    }
+}
+
 // Export functions for use in HTML
 window.initializeSimulator = initializeSimulator;
 window.compareValues = compareValues;
 window.updateInfoCards = updateInfoCards;
+window.copySimulatorLink = copySimulatorLink;
+window.generateReport = generateReport;
 // window.applyVisualEffects = applyVisualEffects;
-// window.cycleToNextImage = cycleToNextImage;
-// window.cycleToPreviousImage = cycleToPreviousImage;
\ No newline at end of file
+window.cycleToNextImage = cycleToNextImage;
+window.cycleToPreviousImage = cycleToPreviousImage;
\ No newline at end of file
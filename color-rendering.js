@@ -0,0 +1,381 @@
+/**
+ * Colour Rendering
+ * CIE 13.3 colour rendering index (Ra, R1 - R14) and IES TM-30 fidelity / gamut
+ * indices (Rf, Rg) calculated from a light source spectrum
+ *
+ * This file contains:
+ * - The CIE 13.3 test colour samples (TCS01 - TCS14)
+ * - The CIE 1964 U*V*W* based special and general colour rendering indices
+ * - The IES TM-30-18 method (CIECAM02-UCS, 99 colour evaluation samples, 16 hue bins)
+ *
+ * Depends on colorimetry.js for the spectral grid, CMFs and CCT calculation.
+ */
+
+
+// CIE 13.3 test colour sample reflectances, 380-780 nm in 5 nm steps.
+// CIE F2 comes out at Ra 64 and R9 -84 as published (see tests/color-rendering.test.js).
+// TCS13 is left out (null, so R13 is null) until its row can be taken from the CIE 13.3 table:
+// the row this file used to carry gave a sample far darker than 5 YR 8/4.
+const CIE_TEST_COLOR_SAMPLES = [
+    // TCS01: 7.5 R 6/4, light greyish red
+    [
+        0.219, 0.239, 0.252, 0.256, 0.256, 0.254, 0.252, 0.248, 0.244, 0.24, 0.237, 0.232, 0.23, 0.226,
+        0.225, 0.222, 0.22, 0.218, 0.216, 0.214, 0.214, 0.214, 0.216, 0.218, 0.223, 0.225, 0.226, 0.226,
+        0.225, 0.225, 0.227, 0.23, 0.236, 0.245, 0.253, 0.262, 0.272, 0.283, 0.298, 0.318, 0.341, 0.367,
+        0.39, 0.409, 0.424, 0.435, 0.442, 0.448, 0.452, 0.455, 0.457, 0.458, 0.46, 0.462, 0.463, 0.464,
+        0.465, 0.466, 0.466, 0.466, 0.467, 0.467, 0.467, 0.467, 0.468, 0.468, 0.469, 0.469, 0.47, 0.47,
+        0.471, 0.471, 0.472, 0.472, 0.473, 0.473, 0.474, 0.474, 0.475, 0.475, 0.476
+    ],
+    // TCS02: 5 Y 6/4, dark greyish yellow
+    [
+        0.07, 0.079, 0.089, 0.101, 0.111, 0.116, 0.118, 0.12, 0.121, 0.122, 0.122, 0.122, 0.123, 0.124,
+        0.127, 0.128, 0.131, 0.134, 0.138, 0.143, 0.15, 0.159, 0.174, 0.19, 0.207, 0.225, 0.242, 0.253,
+        0.26, 0.264, 0.267, 0.269, 0.272, 0.276, 0.282, 0.289, 0.299, 0.309, 0.322, 0.329, 0.335, 0.339,
+        0.341, 0.341, 0.342, 0.342, 0.342, 0.341, 0.341, 0.339, 0.339, 0.338, 0.338, 0.337, 0.336, 0.335,
+        0.334, 0.332, 0.332, 0.331, 0.331, 0.33, 0.329, 0.328, 0.328, 0.327, 0.326, 0.325, 0.324, 0.324,
+        0.324, 0.323, 0.322, 0.321, 0.32, 0.318, 0.316, 0.315, 0.315, 0.314, 0.314
+    ],
+    // TCS03: 5 GY 6/8, strong yellow green
+    [
+        0.065, 0.068, 0.07, 0.072, 0.073, 0.073, 0.074, 0.074, 0.074, 0.073, 0.073, 0.073, 0.073, 0.073,
+        0.074, 0.075, 0.077, 0.08, 0.085, 0.094, 0.109, 0.126, 0.148, 0.172, 0.198, 0.221, 0.241, 0.26,
+        0.278, 0.302, 0.339, 0.37, 0.392, 0.399, 0.4, 0.393, 0.38, 0.365, 0.349, 0.332, 0.315, 0.299,
+        0.285, 0.272, 0.264, 0.257, 0.252, 0.247, 0.241, 0.235, 0.229, 0.224, 0.22, 0.217, 0.216, 0.216,
+        0.219, 0.224, 0.23, 0.238, 0.251, 0.269, 0.288, 0.312, 0.34, 0.366, 0.39, 0.412, 0.431, 0.447,
+        0.46, 0.472, 0.481, 0.488, 0.493, 0.497, 0.5, 0.502, 0.505, 0.51, 0.516
+    ],
+    // TCS04: 2.5 G 6/6, moderate yellowish green
+    [
+        0.074, 0.083, 0.093, 0.105, 0.116, 0.121, 0.124, 0.126, 0.128, 0.131, 0.135, 0.139, 0.144, 0.151,
+        0.161, 0.172, 0.186, 0.205, 0.229, 0.254, 0.281, 0.308, 0.332, 0.352, 0.37, 0.383, 0.39, 0.394,
+        0.395, 0.392, 0.385, 0.377, 0.367, 0.354, 0.341, 0.327, 0.312, 0.296, 0.28, 0.263, 0.247, 0.229,
+        0.214, 0.198, 0.185, 0.175, 0.169, 0.164, 0.16, 0.156, 0.154, 0.152, 0.151, 0.149, 0.148, 0.148,
+        0.148, 0.149, 0.151, 0.154, 0.158, 0.162, 0.165, 0.168, 0.17, 0.171, 0.17, 0.168, 0.166, 0.164,
+        0.164, 0.165, 0.168, 0.172, 0.177, 0.181, 0.185, 0.189, 0.192, 0.194, 0.197
+    ],
+    // TCS05: 10 BG 6/4, light bluish green
+    [
+        0.295, 0.306, 0.31, 0.312, 0.313, 0.315, 0.319, 0.322, 0.326, 0.33, 0.334, 0.339, 0.346, 0.352,
+        0.36, 0.369, 0.381, 0.394, 0.403, 0.41, 0.415, 0.418, 0.419, 0.417, 0.413, 0.409, 0.403, 0.396,
+        0.389, 0.381, 0.372, 0.363, 0.353, 0.342, 0.331, 0.32, 0.308, 0.296, 0.284, 0.271, 0.259, 0.247,
+        0.236, 0.226, 0.217, 0.209, 0.203, 0.198, 0.194, 0.191, 0.189, 0.187, 0.185, 0.183, 0.181, 0.179,
+        0.178, 0.177, 0.176, 0.175, 0.175, 0.175, 0.175, 0.177, 0.177, 0.178, 0.179, 0.179, 0.179, 0.179,
+        0.18, 0.181, 0.182, 0.183, 0.184, 0.185, 0.186, 0.186, 0.187, 0.188, 0.189
+    ],
+    // TCS06: 5 PB 6/8, light blue
+    [
+        0.151, 0.203, 0.265, 0.339, 0.41, 0.464, 0.492, 0.508, 0.517, 0.524, 0.531, 0.538, 0.544, 0.551,
+        0.556, 0.556, 0.554, 0.549, 0.541, 0.531, 0.519, 0.504, 0.488, 0.469, 0.45, 0.431, 0.414, 0.395,
+        0.377, 0.358, 0.341, 0.325, 0.309, 0.293, 0.279, 0.265, 0.253, 0.241, 0.234, 0.227, 0.225, 0.222,
+        0.221, 0.22, 0.22, 0.22, 0.22, 0.22, 0.223, 0.227, 0.233, 0.239, 0.244, 0.251, 0.258, 0.263,
+        0.268, 0.273, 0.278, 0.281, 0.283, 0.286, 0.291, 0.296, 0.302, 0.313, 0.325, 0.338, 0.351, 0.364,
+        0.376, 0.389, 0.401, 0.413, 0.425, 0.436, 0.447, 0.458, 0.469, 0.479, 0.488
+    ],
+    // TCS07: 2.5 P 6/8, light violet
+    [
+        0.378, 0.459, 0.524, 0.546, 0.551, 0.555, 0.559, 0.56, 0.561, 0.558, 0.556, 0.551, 0.544, 0.535,
+        0.522, 0.506, 0.488, 0.469, 0.448, 0.429, 0.408, 0.385, 0.363, 0.341, 0.324, 0.311, 0.301, 0.291,
+        0.283, 0.273, 0.265, 0.26, 0.257, 0.257, 0.259, 0.26, 0.26, 0.258, 0.256, 0.254, 0.254, 0.259,
+        0.27, 0.284, 0.302, 0.324, 0.344, 0.362, 0.377, 0.389, 0.4, 0.41, 0.419, 0.424, 0.429, 0.434,
+        0.438, 0.442, 0.445, 0.448, 0.452, 0.455, 0.457, 0.458, 0.46, 0.461, 0.462, 0.463, 0.464, 0.465,
+        0.466, 0.466, 0.467, 0.467, 0.467, 0.467, 0.467, 0.467, 0.467, 0.467, 0.467
+    ],
+    // TCS08: 10 P 6/8, light reddish purple
+    [
+        0.104, 0.129, 0.17, 0.24, 0.319, 0.416, 0.462, 0.482, 0.49, 0.488, 0.482, 0.473, 0.462, 0.45,
+        0.439, 0.426, 0.413, 0.397, 0.382, 0.366, 0.352, 0.337, 0.325, 0.31, 0.299, 0.289, 0.283, 0.276,
+        0.27, 0.262, 0.256, 0.251, 0.25, 0.251, 0.254, 0.258, 0.264, 0.269, 0.272, 0.274, 0.278, 0.284,
+        0.295, 0.316, 0.348, 0.384, 0.434, 0.482, 0.528, 0.568, 0.604, 0.629, 0.648, 0.663, 0.676, 0.685,
+        0.693, 0.7, 0.705, 0.709, 0.712, 0.715, 0.717, 0.719, 0.721, 0.72, 0.719, 0.722, 0.725, 0.727,
+        0.729, 0.73, 0.73, 0.73, 0.73, 0.73, 0.73, 0.73, 0.73, 0.73, 0.73
+    ],
+    // TCS09: 4.5 R 4/13, strong red
+    [
+        0.066, 0.062, 0.058, 0.055, 0.052, 0.052, 0.051, 0.05, 0.05, 0.049, 0.048, 0.047, 0.046, 0.044,
+        0.042, 0.041, 0.038, 0.035, 0.033, 0.031, 0.03, 0.029, 0.028, 0.028, 0.028, 0.029, 0.03, 0.03,
+        0.031, 0.031, 0.032, 0.032, 0.033, 0.034, 0.035, 0.037, 0.041, 0.044, 0.048, 0.052, 0.06, 0.076,
+        0.102, 0.136, 0.19, 0.256, 0.336, 0.418, 0.505, 0.581, 0.641, 0.682, 0.717, 0.74, 0.758, 0.77,
+        0.781, 0.79, 0.797, 0.803, 0.809, 0.814, 0.819, 0.824, 0.828, 0.83, 0.831, 0.833, 0.835, 0.836,
+        0.836, 0.837, 0.838, 0.839, 0.839, 0.839, 0.839, 0.839, 0.839, 0.839, 0.839
+    ],
+    // TCS10: 5 Y 8/10, strong yellow
+    [
+        0.05, 0.054, 0.059, 0.063, 0.066, 0.067, 0.068, 0.069, 0.069, 0.07, 0.072, 0.073, 0.076, 0.078,
+        0.083, 0.088, 0.095, 0.103, 0.113, 0.125, 0.142, 0.162, 0.189, 0.219, 0.262, 0.305, 0.365, 0.416,
+        0.465, 0.509, 0.546, 0.581, 0.61, 0.634, 0.653, 0.666, 0.678, 0.687, 0.693, 0.698, 0.701, 0.704,
+        0.705, 0.705, 0.706, 0.707, 0.707, 0.707, 0.708, 0.708, 0.71, 0.711, 0.712, 0.714, 0.716, 0.718,
+        0.72, 0.722, 0.725, 0.729, 0.731, 0.735, 0.739, 0.742, 0.746, 0.748, 0.749, 0.751, 0.753, 0.754,
+        0.755, 0.755, 0.755, 0.755, 0.756, 0.757, 0.758, 0.759, 0.759, 0.759, 0.759
+    ],
+    // TCS11: 4.5 G 5/8, strong green
+    [
+        0.111, 0.121, 0.127, 0.129, 0.127, 0.121, 0.116, 0.112, 0.108, 0.105, 0.104, 0.104, 0.105, 0.106,
+        0.11, 0.115, 0.123, 0.134, 0.148, 0.167, 0.192, 0.219, 0.252, 0.291, 0.325, 0.347, 0.356, 0.353,
+        0.346, 0.333, 0.314, 0.294, 0.271, 0.248, 0.227, 0.206, 0.188, 0.17, 0.153, 0.138, 0.125, 0.114,
+        0.106, 0.1, 0.096, 0.092, 0.09, 0.087, 0.085, 0.082, 0.08, 0.079, 0.078, 0.078, 0.078, 0.078,
+        0.081, 0.083, 0.088, 0.093, 0.102, 0.112, 0.125, 0.141, 0.161, 0.182, 0.203, 0.223, 0.242, 0.257,
+        0.27, 0.282, 0.292, 0.302, 0.31, 0.314, 0.317, 0.323, 0.33, 0.334, 0.338
+    ],
+    // TCS12: 3 PB 3/11, strong blue
+    [
+        0.12, 0.103, 0.09, 0.082, 0.076, 0.068, 0.064, 0.065, 0.075, 0.093, 0.123, 0.16, 0.207, 0.256,
+        0.3, 0.331, 0.346, 0.347, 0.341, 0.328, 0.307, 0.282, 0.257, 0.23, 0.204, 0.178, 0.154, 0.129,
+        0.109, 0.09, 0.075, 0.062, 0.051, 0.041, 0.035, 0.029, 0.025, 0.022, 0.019, 0.017, 0.017, 0.017,
+        0.016, 0.016, 0.016, 0.016, 0.016, 0.016, 0.016, 0.016, 0.016, 0.016, 0.016, 0.016, 0.016, 0.016,
+        0.016, 0.016, 0.016, 0.017, 0.018, 0.018, 0.019, 0.021, 0.024, 0.027, 0.031, 0.036, 0.042, 0.049,
+        0.056, 0.063, 0.071, 0.079, 0.088, 0.096, 0.103, 0.112, 0.118, 0.126, 0.132
+    ],
+    // TCS13: 5 YR 8/4, light yellowish pink (skin)
+    null,
+    // TCS14: 5 GY 4/4, moderate olive green (leaf)
+    [
+        0.036, 0.037, 0.038, 0.039, 0.039, 0.039, 0.039, 0.039, 0.04, 0.04, 0.04, 0.041, 0.042, 0.042,
+        0.043, 0.044, 0.044, 0.045, 0.045, 0.046, 0.047, 0.048, 0.05, 0.052, 0.055, 0.057, 0.062, 0.067,
+        0.075, 0.083, 0.092, 0.1, 0.108, 0.106, 0.103, 0.099, 0.094, 0.09, 0.086, 0.083, 0.079, 0.076,
+        0.074, 0.071, 0.069, 0.067, 0.066, 0.065, 0.063, 0.062, 0.061, 0.06, 0.06, 0.059, 0.059, 0.058,
+        0.058, 0.059, 0.06, 0.061, 0.063, 0.066, 0.069, 0.074, 0.081, 0.089, 0.099, 0.112, 0.127, 0.143,
+        0.16, 0.179, 0.201, 0.223, 0.245, 0.268, 0.292, 0.316, 0.339, 0.362, 0.386
+    ]
+];
+
+// CIE 1960 (c, d) coordinates used by the CIE 13.3 von Kries adaptation
+function chromaticAdaptationCoordinates({ u, v }) {
+    return {
+        c: (4 - u - 10 * v) / v,
+        d: (1.708 * v + 0.404 - 1.481 * u) / v
+    };
+}
+
+// CIE 1964 U*V*W* coordinates relative to a white point (u0, v0)
+function uvwCoordinates(Y, u, v, white) {
+    const W = 25 * Math.cbrt(Y) - 17;
+    return [13 * W * (u - white.u), 13 * W * (v - white.v), W];
+}
+
+// Calculate the CIE colour rendering index of a light source spectrum
+// Returns { ra, ri: [R1 ... R14], cct, duv } (R13 is null, see CIE_TEST_COLOR_SAMPLES)
+function calculateCRI(spectrum) {
+    const testXYZ = spectrumToXYZ(spectrum);
+    const { cct, duv } = calculateCCT(testXYZ);
+    const reference = referenceSpectrum(cct);
+    const referenceXYZ = spectrumToXYZ(reference);
+
+    const testWhite = xyzToUV(testXYZ);
+    const referenceWhite = xyzToUV(referenceXYZ);
+    const testCD = chromaticAdaptationCoordinates(testWhite);
+    const referenceCD = chromaticAdaptationCoordinates(referenceWhite);
+
+    const ri = CIE_TEST_COLOR_SAMPLES.map(reflectance => {
+        if (!reflectance) return null;
+
+        // Sample under the reference illuminant (Y relative to the source = 100)
+        const refSample = spectrumToXYZ(reference, reflectance);
+        const refUV = xyzToUV(refSample);
+        const refUVW = uvwCoordinates(100 * refSample[1] / referenceXYZ[1], refUV.u, refUV.v, referenceWhite);
+
+        // Sample under the test source, von Kries adapted to the reference white
+        const testSample = spectrumToXYZ(spectrum, reflectance);
+        const sampleCD = chromaticAdaptationCoordinates(xyzToUV(testSample));
+        const c = (referenceCD.c / testCD.c) * sampleCD.c;
+        const d = (referenceCD.d / testCD.d) * sampleCD.d;
+        const denominator = 16.518 + 1.481 * c - d;
+        const adaptedU = (10.872 + 0.404 * c - 4 * d) / denominator;
+        const adaptedV = 5.520 / denominator;
+        const testUVW = uvwCoordinates(100 * testSample[1] / testXYZ[1], adaptedU, adaptedV, referenceWhite);
+
+        const deltaE = Math.hypot(
+            testUVW[0] - refUVW[0],
+            testUVW[1] - refUVW[1],
+            testUVW[2] - refUVW[2]
+        );
+        return 100 - 4.6 * deltaE;
+    });
+
+    // General colour rendering index: mean of the first eight samples
+    const ra = ri.slice(0, 8).reduce((sum, value) => sum + value, 0) / 8;
+
+    return { ra, ri, cct, duv };
+}
+
+/**
+ * IES TM-30-18 (Rf, Rg)
+ * TM-30 needs the 99 colour evaluation samples (CES) and the CIE 1964 10° observer. They are
+ * published by the IES (TM-30 calculator) and the CIE (CIE 15) and are read from
+ * api/tm30-data.json:
+ *   { "wavelengths": [380, ...], "cmf10": { "x": [...], "y": [...], "z": [...] }, "ces": [[...], ...] }
+ * Without that file Rf / Rg are reported as not available.
+ */
+
+const TM30_DATA_PATH = 'api/tm30-data.json';
+let tm30Data = null;
+let tm30DataRequest = null;
+
+// Function to check the TM-30 data file and resample it onto the spectral grid.
+// Throws if the file does not have the 10° observer and 99 samples covering the grid.
+function prepareTM30Data(json) {
+    if (!Array.isArray(json.wavelengths) || !json.cmf10 || !Array.isArray(json.ces) || json.ces.length !== 99) {
+        throw new Error('expected wavelengths, cmf10 and 99 ces rows');
+    }
+    const rows = [json.cmf10.x, json.cmf10.y, json.cmf10.z, ...json.ces];
+    if (rows.some(row => !Array.isArray(row) || row.length !== json.wavelengths.length)) {
+        throw new Error('every cmf10 and ces row needs a value per wavelength');
+    }
+    if (json.wavelengths[0] > WAVELENGTH_START || json.wavelengths[json.wavelengths.length - 1] < WAVELENGTH_END) {
+        throw new Error(`wavelengths must cover ${WAVELENGTH_START}-${WAVELENGTH_END} nm`);
+    }
+
+    return {
+        cmf10: {
+            x: resampleSpectrum(json.wavelengths, json.cmf10.x),
+            y: resampleSpectrum(json.wavelengths, json.cmf10.y),
+            z: resampleSpectrum(json.wavelengths, json.cmf10.z)
+        },
+        ces: json.ces.map(sample => resampleSpectrum(json.wavelengths, sample))
+    };
+}
+
+// Function to load (once) the TM-30 data. Resolves to null if the file is missing or malformed.
+function loadTM30Data(path = TM30_DATA_PATH) {
+    if (!tm30DataRequest) {
+        tm30DataRequest = fetch(path)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(json => {
+                tm30Data = prepareTM30Data(json);
+                return tm30Data;
+            })
+            .catch(error => {
+                console.warn(`TM-30 data not available (${path}): ${error.message}`);
+                return null;
+            });
+    }
+    return tm30DataRequest;
+}
+
+// TM-30 reference illuminant: blackbody up to 4000 K, CIE daylight from 5000 K
+// and a mix of the two (at equal 10° luminance) in between
+function tm30ReferenceSpectrum(cct, cmf10) {
+    if (cct <= 4000) return planckSpectrum(cct);
+    if (cct >= 5000) return daylightSpectrum(cct);
+
+    const planck = planckSpectrum(cct);
+    const daylight = daylightSpectrum(cct);
+    const planckY = spectrumToXYZ(planck, null, cmf10)[1];
+    const daylightY = spectrumToXYZ(daylight, null, cmf10)[1];
+    const weight = (5000 - cct) / 1000;
+    return planck.map((value, i) => weight * value / planckY + (1 - weight) * daylight[i] / daylightY);
+}
+
+// CIECAM02 viewing conditions used by TM-30 (La = 100 cd/m², Yb = 20, average surround, D = 1)
+const CAT02 = [
+    [0.7328, 0.4296, -0.1624],
+    [-0.7036, 1.6975, 0.0061],
+    [0.0030, 0.0136, 0.9834]
+];
+const HPE = [
+    [0.38971, 0.68898, -0.07868],
+    [-0.22981, 1.18340, 0.04641],
+    [0, 0, 1]
+];
+const CAT02_TO_HPE = multiplyMatrices(HPE, invertMatrix(CAT02));
+
+// CAM02-UCS (J', a', b') of a sample XYZ seen under a white XYZw (both with Yw = 100)
+function cam02ucs(xyz, whiteXYZ) {
+    const La = 100;
+    const Yb = 20;
+    const c = 0.69;
+    const Nc = 1;
+    const k = 1 / (5 * La + 1);
+    const FL = 0.2 * Math.pow(k, 4) * 5 * La + 0.1 * Math.pow(1 - Math.pow(k, 4), 2) * Math.cbrt(5 * La);
+    const n = Yb / whiteXYZ[1];
+    const z = 1.48 + Math.sqrt(n);
+    const Nbb = 0.725 * Math.pow(1 / n, 0.2);
+
+    const compress = value => {
+        const scaled = Math.pow(FL * Math.abs(value) / 100, 0.42);
+        return Math.sign(value) * 400 * scaled / (27.13 + scaled) + 0.1;
+    };
+    const whiteCone = multiplyMatrixVector(CAT02, whiteXYZ);
+    const responses = XYZ => {
+        const cone = multiplyMatrixVector(CAT02, XYZ).map((value, i) => value * whiteXYZ[1] / whiteCone[i]);
+        return multiplyMatrixVector(CAT02_TO_HPE, cone).map(compress);
+    };
+
+    const [Ra, Ga, Ba] = responses(xyz);
+    const [Rw, Gw, Bw] = responses(whiteXYZ);
+    const a = Ra - 12 * Ga / 11 + Ba / 11;
+    const b = (Ra + Ga - 2 * Ba) / 9;
+    const h = Math.atan2(b, a);
+    const A = (2 * Ra + Ga + Ba / 20 - 0.305) * Nbb;
+    const Aw = (2 * Rw + Gw + Bw / 20 - 0.305) * Nbb;
+
+    const J = 100 * Math.pow(A / Aw, c * z);
+    const et = 0.25 * (Math.cos(h + 2) + 3.8);
+    const t = (50000 / 13 * Nc * Nbb * et * Math.hypot(a, b)) / (Ra + Ga + 21 * Ba / 20);
+    const C = Math.pow(t, 0.9) * Math.sqrt(J / 100) * Math.pow(1.64 - Math.pow(0.29, n), 0.73);
+    const M = C * Math.pow(FL, 0.25);
+
+    const Jp = 1.7 * J / (1 + 0.007 * J);
+    const Mp = Math.log(1 + 0.0228 * M) / 0.0228;
+    return [Jp, Mp * Math.cos(h), Mp * Math.sin(h)];
+}
+
+// Calculate the TM-30 fidelity (Rf) and gamut (Rg) indices of a light source spectrum.
+// Returns { rf, rg } or null if the TM-30 data has not been loaded.
+function calculateTM30(spectrum, data = tm30Data) {
+    if (!data) return null;
+
+    const { cmf10, ces } = data;
+    const { cct } = calculateCCT(spectrumToXYZ(spectrum));
+    const reference = tm30ReferenceSpectrum(cct, cmf10);
+
+    const colorimetry = source => {
+        const scale = 100 / spectrumToXYZ(source, null, cmf10)[1];
+        const white = spectrumToXYZ(source, null, cmf10).map(value => value * scale);
+        return ces.map(sample => cam02ucs(spectrumToXYZ(source, sample, cmf10).map(value => value * scale), white));
+    };
+    const test = colorimetry(spectrum);
+    const ref = colorimetry(reference);
+
+    // Fidelity: mean colour difference, rescaled so Rf stays between 0 and 100
+    const meanDeltaE = test.reduce((sum, sample, i) => sum + Math.hypot(
+        sample[0] - ref[i][0], sample[1] - ref[i][1], sample[2] - ref[i][2]
+    ), 0) / test.length;
+    const rf = 10 * Math.log(Math.exp((100 - 6.73 * meanDeltaE) / 10) + 1);
+
+    // Gamut: area of the 16 hue-bin averages under the test source relative to the reference
+    const bins = Array.from({ length: 16 }, () => ({ test: [0, 0], ref: [0, 0], count: 0 }));
+    ref.forEach((sample, i) => {
+        const hue = (Math.atan2(sample[2], sample[1]) + 2 * Math.PI) % (2 * Math.PI);
+        const bin = bins[Math.min(15, Math.floor(hue / (2 * Math.PI / 16)))];
+        bin.test[0] += test[i][1];
+        bin.test[1] += test[i][2];
+        bin.ref[0] += sample[1];
+        bin.ref[1] += sample[2];
+        bin.count += 1;
+    });
+    const polygonArea = points => points.reduce((sum, point, i) => {
+        const next = points[(i + 1) % points.length];
+        return sum + point[0] * next[1] - next[0] * point[1];
+    }, 0) / 2;
+    const filled = bins.filter(bin => bin.count > 0);
+    const testArea = polygonArea(filled.map(bin => bin.test.map(value => value / bin.count)));
+    const refArea = polygonArea(filled.map(bin => bin.ref.map(value => value / bin.count)));
+    const rg = 100 * testArea / refArea;
+
+    return { rf, rg };
+}
+
+// Export for tests (the browser uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CIE_TEST_COLOR_SAMPLES,
+        calculateCRI,
+        prepareTM30Data,
+        loadTM30Data,
+        cam02ucs,
+        calculateTM30
+    };
+}
@@ -0,0 +1,433 @@
+/**
+ * Colorimetry Helpers
+ * Shared colour-science functions for the lighting simulator
+ *
+ * This file contains:
+ * - Illuminant chromaticity from the Planckian locus and CIE daylight locus
+ * - sRGB <-> CIE XYZ conversion matrices and transfer functions
+ * - Bradford chromatic adaptation between two white points
+ * - The white-balance matrix used to preview a given CCT on a photo
+ * - Spectral data (CIE 1931 CMFs, daylight basis) and CCT / Duv from a spectrum
+ */
+
+
+/**
+ * Matrix Helpers
+ */
+
+// Multiply two 3x3 matrices
+function multiplyMatrices(a, b) {
+    const result = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            result[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+        }
+    }
+    return result;
+}
+
+// Multiply a 3x3 matrix with a 3-component vector
+function multiplyMatrixVector(m, v) {
+    return [
+        m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+        m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+        m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+    ];
+}
+
+// Invert a 3x3 matrix
+function invertMatrix(m) {
+    const [a, b, c] = m[0];
+    const [d, e, f] = m[1];
+    const [g, h, i] = m[2];
+    const A = e * i - f * h;
+    const B = -(d * i - f * g);
+    const C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+
+    if (Math.abs(det) < 1e-12) {
+        throw new Error('Matrix is not invertible');
+    }
+
+    return [
+        [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+        [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+        [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+    ];
+}
+
+/**
+ * Colour Space Constants
+ */
+
+// Linear sRGB (D65) to CIE XYZ, IEC 61966-2-1
+const SRGB_TO_XYZ = [
+    [0.4124564, 0.3575761, 0.1804375],
+    [0.2126729, 0.7151522, 0.0721750],
+    [0.0193339, 0.1191920, 0.9503041]
+];
+const XYZ_TO_SRGB = invertMatrix(SRGB_TO_XYZ);
+
+// Bradford cone response matrix
+const BRADFORD = [
+    [0.8951, 0.2664, -0.1614],
+    [-0.7502, 1.7135, 0.0367],
+    [0.0389, -0.0685, 1.0296]
+];
+const BRADFORD_INVERSE = invertMatrix(BRADFORD);
+
+// Reference white of the photographs: they are assumed to be balanced for daylight
+const DEFAULT_REFERENCE_CCT = 6500;
+
+// sRGB 8-bit value -> linear light lookup table
+const SRGB_TO_LINEAR_LUT = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    SRGB_TO_LINEAR_LUT[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Linear light (quantised to 12 bits) -> sRGB 8-bit value lookup table
+const LINEAR_LUT_SIZE = 4096;
+const LINEAR_TO_SRGB_LUT = new Uint8ClampedArray(LINEAR_LUT_SIZE);
+for (let i = 0; i < LINEAR_LUT_SIZE; i++) {
+    const c = i / (LINEAR_LUT_SIZE - 1);
+    const encoded = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    LINEAR_TO_SRGB_LUT[i] = Math.round(encoded * 255);
+}
+
+// Encode a linear value (0-1) to an 8-bit sRGB value
+function linearToSrgb8(value) {
+    if (value <= 0) return 0;
+    if (value >= 1) return 255;
+    return LINEAR_TO_SRGB_LUT[Math.round(value * (LINEAR_LUT_SIZE - 1))];
+}
+
+/**
+ * Illuminant Chromaticity Functions
+ */
+
+// Chromaticity of a blackbody radiator (Kim et al. cubic spline, valid 1667 K - 25000 K)
+function planckianChromaticity(cct) {
+    const t = Math.max(1667, Math.min(25000, cct));
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    let x;
+    if (t <= 4000) {
+        x = -0.2661239e9 / t3 - 0.2343589e6 / t2 + 0.8776956e3 / t + 0.179910;
+    } else {
+        x = -3.0258469e9 / t3 + 2.1070379e6 / t2 + 0.2226347e3 / t + 0.240390;
+    }
+
+    const x2 = x * x;
+    const x3 = x2 * x;
+    let y;
+    if (t <= 2222) {
+        y = -1.1063814 * x3 - 1.34811020 * x2 + 2.18555832 * x - 0.20219683;
+    } else if (t <= 4000) {
+        y = -0.9549476 * x3 - 1.37418593 * x2 + 2.09137015 * x - 0.16748867;
+    } else {
+        y = 3.0817580 * x3 - 5.87338670 * x2 + 3.75112997 * x - 0.37001483;
+    }
+
+    return { x, y };
+}
+
+// Chromaticity of a CIE daylight illuminant (CIE 15, valid 4000 K - 25000 K)
+function daylightChromaticity(cct) {
+    const t = Math.max(4000, Math.min(25000, cct));
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    let x;
+    if (t <= 7000) {
+        x = -4.6070e9 / t3 + 2.9678e6 / t2 + 0.09911e3 / t + 0.244063;
+    } else {
+        x = -2.0064e9 / t3 + 1.9018e6 / t2 + 0.24748e3 / t + 0.237040;
+    }
+    const y = -3.000 * x * x + 2.870 * x - 0.275;
+
+    return { x, y };
+}
+
+// Convert xy chromaticity to XYZ with the given luminance
+function chromaticityToXYZ({ x, y }, luminance = 1) {
+    return [x * luminance / y, luminance, (1 - x - y) * luminance / y];
+}
+
+// White point (XYZ, Y = 1) of the reference illuminant for a CCT.
+// Blackbody below 4500 K, CIE daylight above 5500 K and an equal-luminance mix
+// in between (the CIE 224 / TM-30 convention), so the locus has no jump at 5000 K.
+function illuminantWhitePoint(cct) {
+    if (cct <= 4500) {
+        return chromaticityToXYZ(planckianChromaticity(cct));
+    }
+    if (cct >= 5500) {
+        return chromaticityToXYZ(daylightChromaticity(cct));
+    }
+
+    const t = (cct - 4500) / 1000;
+    const blackbody = chromaticityToXYZ(planckianChromaticity(cct));
+    const daylight = chromaticityToXYZ(daylightChromaticity(cct));
+    return blackbody.map((value, i) => value + (daylight[i] - value) * t);
+}
+
+/**
+ * Chromatic Adaptation Functions
+ */
+
+// Bradford chromatic adaptation matrix (XYZ -> XYZ) from one white point to another
+function bradfordAdaptationMatrix(sourceWhite, targetWhite) {
+    const sourceCone = multiplyMatrixVector(BRADFORD, sourceWhite);
+    const targetCone = multiplyMatrixVector(BRADFORD, targetWhite);
+    const scale = [
+        [targetCone[0] / sourceCone[0], 0, 0],
+        [0, targetCone[1] / sourceCone[1], 0],
+        [0, 0, targetCone[2] / sourceCone[2]]
+    ];
+    return multiplyMatrices(BRADFORD_INVERSE, multiplyMatrices(scale, BRADFORD));
+}
+
+// Linear sRGB matrix that re-lights a photo taken under `referenceCCT` with an
+// illuminant of `cct`, as seen by a viewer still adapted to the display white.
+// An optional XYZ `renderingMatrix` (see buildColorRenderingMatrix) is applied after the
+// adaptation to add the colour shifts of a real light source's spectrum.
+// The result is scaled so the brightest channel of white stays at 1 (no clipping).
+function buildWhiteBalanceMatrix(cct, referenceCCT = DEFAULT_REFERENCE_CCT, renderingMatrix = null) {
+    let adaptation = bradfordAdaptationMatrix(
+        illuminantWhitePoint(referenceCCT),
+        illuminantWhitePoint(cct)
+    );
+    if (renderingMatrix) {
+        adaptation = multiplyMatrices(renderingMatrix, adaptation);
+    }
+    const matrix = multiplyMatrices(XYZ_TO_SRGB, multiplyMatrices(adaptation, SRGB_TO_XYZ));
+
+    const white = multiplyMatrixVector(matrix, [1, 1, 1]);
+    const scale = 1 / Math.max(white[0], white[1], white[2]);
+    return matrix.map(row => row.map(value => value * scale));
+}
+
+/**
+ * Spectral Data
+ * All spectra in the simulator are sampled from 380 nm to 780 nm in 5 nm steps.
+ */
+
+const WAVELENGTH_START = 380;
+const WAVELENGTH_END = 780;
+const WAVELENGTH_STEP = 5;
+const WAVELENGTHS = [];
+for (let wl = WAVELENGTH_START; wl <= WAVELENGTH_END; wl += WAVELENGTH_STEP) {
+    WAVELENGTHS.push(wl);
+}
+
+// CIE 1931 2-degree colour matching functions, 380-780 nm in 5 nm steps
+const CIE_1931_CMF = {
+    x: [
+        0.001368, 0.002236, 0.004243, 0.00765, 0.01431, 0.02319, 0.04351, 0.07763, 0.13438,
+        0.21477, 0.2839, 0.3285, 0.34828, 0.34806, 0.3362, 0.3187, 0.2908, 0.2511,
+        0.19536, 0.1421, 0.09564, 0.05795, 0.03201, 0.0147, 0.0049, 0.0024, 0.0093,
+        0.0291, 0.06327, 0.1096, 0.1655, 0.22575, 0.2904, 0.3597, 0.43345, 0.51205,
+        0.5945, 0.6784, 0.7621, 0.8425, 0.9163, 0.9786, 1.0263, 1.0567, 1.0622,
+        1.0456, 1.0026, 0.9384, 0.85445, 0.7514, 0.6424, 0.5419, 0.4479, 0.3608,
+        0.2835, 0.2187, 0.1649, 0.1212, 0.0874, 0.0636, 0.04677, 0.0329, 0.0227,
+        0.01584, 0.0113592, 0.00811092, 0.00579035, 0.00410946, 0.00289933, 0.00204919, 0.00143997, 0.000999949,
+        0.000690079, 0.000476021, 0.000332301, 0.000234826, 0.000166151, 0.000117413, 0.0000830753, 0.0000587065, 0.0000415099
+    ],
+    y: [
+        0.000039, 0.000064, 0.00012, 0.000217, 0.000396, 0.00064, 0.00121, 0.00218, 0.004,
+        0.0073, 0.0116, 0.01684, 0.023, 0.0298, 0.038, 0.048, 0.06, 0.0739,
+        0.09098, 0.1126, 0.13902, 0.1693, 0.20802, 0.2586, 0.323, 0.4073, 0.503,
+        0.6082, 0.71, 0.7932, 0.862, 0.91485, 0.954, 0.9803, 0.99495, 1,
+        0.995, 0.9786, 0.952, 0.9154, 0.87, 0.8163, 0.757, 0.6949, 0.631,
+        0.5668, 0.503, 0.4412, 0.381, 0.321, 0.265, 0.217, 0.175, 0.1382,
+        0.107, 0.0816, 0.061, 0.04458, 0.032, 0.0232, 0.017, 0.01192, 0.00821,
+        0.005723, 0.004102, 0.002929, 0.002091, 0.001484, 0.001047, 0.00074, 0.00052, 0.0003611,
+        0.0002492, 0.0001719, 0.00012, 0.0000848, 0.00006, 0.0000424, 0.00003, 0.0000212, 0.00001499
+    ],
+    z: [
+        0.00645, 0.01055, 0.02005, 0.03621, 0.06785, 0.1102, 0.2074, 0.3713, 0.6456,
+        1.03905, 1.3856, 1.62296, 1.74706, 1.7826, 1.77211, 1.7441, 1.6692, 1.5281,
+        1.28764, 1.0419, 0.81295, 0.6162, 0.46518, 0.3533, 0.272, 0.2123, 0.1582,
+        0.1117, 0.07825, 0.05725, 0.04216, 0.02984, 0.0203, 0.0134, 0.00875, 0.00575,
+        0.0039, 0.00275, 0.0021, 0.0018, 0.00165, 0.0014, 0.0011, 0.001, 0.0008,
+        0.0006, 0.00034, 0.00024, 0.00019, 0.0001, 0.00005, 0.00003, 0.00002, 0.00001,
+        0, 0, 0, 0, 0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0, 0, 0, 0, 0
+    ]
+};
+
+// CIE daylight basis functions S0, S1, S2, 380-780 nm in 10 nm steps (CIE 15)
+const CIE_DAYLIGHT_BASIS = {
+    S0: [
+        63.4, 65.8, 94.8, 104.8, 105.9, 96.8, 113.9, 125.6, 125.5, 121.3, 121.3, 113.5, 113.1, 110.8,
+        106.5, 108.8, 105.3, 104.4, 100.0, 96.0, 95.1, 89.1, 90.5, 90.3, 88.4, 84.0, 85.1, 81.9,
+        82.6, 84.9, 81.3, 71.9, 74.3, 76.4, 63.3, 71.7, 77.0, 65.2, 47.7, 68.6, 65.0
+    ],
+    S1: [
+        38.5, 35.0, 43.4, 46.3, 43.9, 37.1, 36.7, 35.9, 32.6, 27.9, 24.3, 20.1, 16.2, 13.2,
+        8.6, 6.1, 4.2, 1.9, 0.0, -1.6, -3.5, -3.5, -5.8, -7.2, -8.6, -9.5, -10.9, -10.7,
+        -12.0, -14.0, -13.6, -12.0, -13.3, -12.9, -10.6, -11.6, -12.2, -10.2, -7.8, -11.2, -10.4
+    ],
+    S2: [
+        3.0, 1.2, -1.1, -0.5, -0.7, -1.2, -2.6, -2.9, -2.8, -2.6, -2.6, -1.8, -1.5, -1.3,
+        -1.2, -1.0, -0.5, -0.3, 0.0, 0.2, 0.5, 2.1, 3.2, 4.1, 4.7, 5.1, 6.7, 7.3,
+        8.6, 9.8, 10.2, 8.3, 9.6, 8.5, 7.0, 7.6, 8.0, 6.7, 5.2, 7.4, 6.8
+    ]
+};
+
+/**
+ * Spectral Functions
+ */
+
+// Relative spectral power of a blackbody radiator (Planck's law), normalised to 1 at 560 nm
+function planckSpectrum(cct) {
+    const c2 = 1.4388e-2; // second radiation constant (m K)
+    const radiance = wl => {
+        const lambda = wl * 1e-9;
+        return 1 / (Math.pow(lambda, 5) * (Math.exp(c2 / (lambda * cct)) - 1));
+    };
+    const norm = radiance(560);
+    return WAVELENGTHS.map(wl => radiance(wl) / norm);
+}
+
+// Relative spectral power of a CIE daylight illuminant (CIE 15), 4000 K - 25000 K
+function daylightSpectrum(cct) {
+    const { x, y } = daylightChromaticity(cct);
+    const m = 0.0241 + 0.2562 * x - 0.7341 * y;
+    const m1 = (-1.3515 - 1.7703 * x + 5.9114 * y) / m;
+    const m2 = (0.0300 - 31.4424 * x + 30.0717 * y) / m;
+    const { S0, S1, S2 } = CIE_DAYLIGHT_BASIS;
+
+    // The basis is tabulated every 10 nm; interpolate linearly to the 5 nm grid
+    return WAVELENGTHS.map((wl, index) => {
+        const position = index / 2;
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, S0.length - 1);
+        const t = position - lower;
+        const at = i => S0[i] + m1 * S1[i] + m2 * S2[i];
+        return at(lower) + (at(upper) - at(lower)) * t;
+    });
+}
+
+// Reference illuminant used for colour rendering (CIE 13.3):
+// blackbody below 5000 K, CIE daylight from 5000 K upwards
+function referenceSpectrum(cct) {
+    return cct < 5000 ? planckSpectrum(cct) : daylightSpectrum(cct);
+}
+
+// Tristimulus values of a spectrum, optionally reflected by a surface
+// (CIE 1931 2° observer unless another set of colour matching functions is given)
+function spectrumToXYZ(spectrum, reflectance = null, cmf = CIE_1931_CMF) {
+    let X = 0;
+    let Y = 0;
+    let Z = 0;
+    for (let i = 0; i < WAVELENGTHS.length; i++) {
+        const power = spectrum[i] * (reflectance ? reflectance[i] : 1);
+        X += power * cmf.x[i];
+        Y += power * cmf.y[i];
+        Z += power * cmf.z[i];
+    }
+    return [X, Y, Z];
+}
+
+// Scale a spectrum so its luminance (Y) is 1
+function normalizeSpectrum(spectrum) {
+    const Y = spectrumToXYZ(spectrum)[1];
+    return spectrum.map(value => value / Y);
+}
+
+// Linearly resample tabulated data (ascending wavelengths) onto the simulator's
+// 380-780 nm grid; samples outside the tabulated range are 0
+function resampleSpectrum(wavelengths, values) {
+    let j = 0;
+    return WAVELENGTHS.map(wl => {
+        if (wl < wavelengths[0] || wl > wavelengths[wavelengths.length - 1]) return 0;
+        while (j < wavelengths.length - 2 && wavelengths[j + 1] < wl) j++;
+        const span = wavelengths[j + 1] - wavelengths[j];
+        const t = span > 0 ? (wl - wavelengths[j]) / span : 0;
+        return values[j] + (values[j + 1] - values[j]) * t;
+    });
+}
+
+// CIE 1960 UCS chromaticity (u, v) of a tristimulus value
+function xyzToUV([X, Y, Z]) {
+    const denominator = X + 15 * Y + 3 * Z;
+    return { u: 4 * X / denominator, v: 6 * Y / denominator };
+}
+
+// Planckian locus in CIE 1960 (u, v), built on first use from the CMFs
+let planckianLocusTable = null;
+
+function getPlanckianLocusTable() {
+    if (!planckianLocusTable) {
+        planckianLocusTable = [];
+        // Sample evenly in reciprocal temperature (mired), 1000 K to 25000 K
+        for (let mired = 1000; mired >= 40; mired -= 2) {
+            const cct = 1e6 / mired;
+            planckianLocusTable.push({ cct, ...xyzToUV(spectrumToXYZ(planckSpectrum(cct))) });
+        }
+    }
+    return planckianLocusTable;
+}
+
+// Correlated colour temperature and Duv of a tristimulus value.
+// Projects the (u, v) point onto the closest segment of the tabulated locus and
+// interpolates in mired; Duv is positive above the Planckian locus (greenish)
+// and negative below it (pinkish).
+function calculateCCT(xyz) {
+    const { u, v } = xyzToUV(xyz);
+    const table = getPlanckianLocusTable();
+
+    let best = null;
+    for (let i = 0; i < table.length - 1; i++) {
+        const a = table[i];
+        const b = table[i + 1];
+        const du = b.u - a.u;
+        const dv = b.v - a.v;
+        const t = Math.max(0, Math.min(1, ((u - a.u) * du + (v - a.v) * dv) / (du * du + dv * dv)));
+        const pu = a.u + du * t;
+        const pv = a.v + dv * t;
+        const distance = Math.hypot(u - pu, v - pv);
+
+        if (!best || distance < best.distance) {
+            const mired = 1e6 / a.cct + (1e6 / b.cct - 1e6 / a.cct) * t;
+            best = { distance, mired, sign: Math.sign(v - pv) };
+        }
+    }
+
+    return { cct: 1e6 / best.mired, duv: best.distance * best.sign };
+}
+
+// Export for tests and the other colour modules in Node (the browser uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        multiplyMatrices,
+        multiplyMatrixVector,
+        invertMatrix,
+        SRGB_TO_XYZ,
+        XYZ_TO_SRGB,
+        DEFAULT_REFERENCE_CCT,
+        SRGB_TO_LINEAR_LUT,
+        linearToSrgb8,
+        planckianChromaticity,
+        daylightChromaticity,
+        chromaticityToXYZ,
+        illuminantWhitePoint,
+        bradfordAdaptationMatrix,
+        buildWhiteBalanceMatrix,
+        WAVELENGTH_START,
+        WAVELENGTH_END,
+        WAVELENGTHS,
+        CIE_1931_CMF,
+        planckSpectrum,
+        daylightSpectrum,
+        referenceSpectrum,
+        spectrumToXYZ,
+        normalizeSpectrum,
+        resampleSpectrum,
+        xyzToUV,
+        calculateCCT
+    };
+}
@@ -0,0 +1,198 @@
+/**
+ * Compliance Score
+ * Scores a lighting setting against an environment's recommended ranges
+ *
+ * This file contains:
+ * - Parameter units and value / range formatting
+ * - The compliance score of one setting (the share of parameters within their range)
+ * - The overall status for a score
+ * - The A/B comparison of two settings, parameter by parameter
+ *
+ * The values are those of getCurrentValues in classroom-simulator.js, keyed by parameter; the
+ * ranges are one environment's entries from apiData ({ range: { min, max }, reason,
+ * recommendation }).
+ */
+
+
+/**
+ * Units and Formatting
+ */
+
+// Function to get unit for parameter
+function getUnit(param) {
+    const units = {
+        'CCT': 'K',
+        'CRI': '',
+        'Flicker': '%',
+        'UGR': '',
+        'Uniformity': '',
+        'Melanopic_EDI': 'lux',
+        'Vertical_Illuminance': 'lux',
+        'Exposure_Duration': 'hours',
+        'Lux': 'lux'
+    };
+    return units[param] || '';
+}
+
+// Function to format a parameter value for display: percent flicker keeps one decimal, other
+// parameters are whole numbers
+function formatParameterValue(param, value) {
+    if (param === 'Flicker') return +value.toFixed(1);
+    return Math.round(value);
+}
+
+// Function to format a recommended range. Lower flicker and glare are always better, so they
+// show only their maximum; the frequency-dependent flicker limits are in the flicker reason.
+function formatDisplayRange(param, range) {
+    if (param === 'Flicker' || param === 'UGR') {
+        return `≤ ${range.max}`;
+    }
+    return `${range.min} - ${range.max}`;
+}
+
+/**
+ * Scoring Functions
+ */
+
+// Function to check a flicker evaluation against the standards: percent flicker within the
+// recommended maximum and IEEE 1789 low risk, SVM and Pst LM within their limits
+function flickerMeetsRange(evaluation, range) {
+    return evaluation.passed && evaluation.percentFlicker <= range.max;
+}
+
+// Function to score parameter values against one environment's ranges. Each parameter with
+// a range counts once; the percentage is the share of parameters within their range.
+// Flicker is checked with its evaluation (see flickerMeetsRange) and explained per criterion.
+function scoreEnvironment(currentValues, envData) {
+    let totalScore = 0;
+    let totalParams = 0;
+    const recommendations = [];
+
+    for (const param in envData) {
+        if (param === 'range' || param === 'images') continue;
+
+        const paramData = envData[param];
+        const currentValue = currentValues[param];
+
+        if (currentValue !== undefined && paramData.range) {
+            const { min, max } = paramData.range;
+
+            if (param === 'Flicker' && currentValues.flickerEvaluation) {
+                const evaluation = currentValues.flickerEvaluation;
+                const passed = flickerMeetsRange(evaluation, paramData.range);
+                const explanations = evaluation.criteria.map(criterion => criterion.explanation);
+                if (evaluation.percentFlicker > max) {
+                    explanations.unshift(`${currentValue}% flicker is above the recommended maximum of ${max}%`);
+                }
+
+                if (passed) totalScore += 1;
+                recommendations.push({
+                    param: param,
+                    status: passed ? 'Recommended' : 'Not Recommended',
+                    reason: passed ? `${paramData.reason} ${explanations.join('; ')}.` : `${explanations.join('; ')}.`,
+                    recommendation: paramData.recommendation
+                });
+            } else if (currentValue >= min && currentValue <= max) {
+                totalScore += 1;
+                recommendations.push({
+                    param: param,
+                    status: 'Recommended',
+                    reason: paramData.reason,
+                    recommendation: paramData.recommendation
+                });
+            } else {
+                recommendations.push({
+                    param: param,
+                    status: 'Not Recommended',
+                    reason: `Value ${currentValue} ${getUnit(param)} is outside recommended range (${min}-${max} ${getUnit(param)})`,
+                    recommendation: paramData.recommendation
+                });
+            }
+            totalParams += 1;
+        }
+    }
+
+    return {
+        totalScore,
+        totalParams,
+        percentage: totalParams > 0 ? (totalScore / totalParams) * 100 : 0,
+        recommendations
+    };
+}
+
+// Function to get the overall status, colour and icon for a recommendation percentage
+function getRecommendationStatus(percentage) {
+    if (percentage >= 80) {
+        return { overallStatus: 'Highly Recommended', statusClass: 'success', statusIcon: 'fas fa-star' };
+    } else if (percentage >= 60) {
+        return { overallStatus: 'Recommended', statusClass: 'warning', statusIcon: 'fas fa-check-circle' };
+    }
+    return { overallStatus: 'Not Recommended', statusClass: 'danger', statusIcon: 'fas fa-exclamation-triangle' };
+}
+
+/**
+ * A/B Comparison
+ */
+
+// Function to get how far a value is outside a range (0 when inside)
+function rangeDistance(value, range) {
+    if (value < range.min) return range.min - value;
+    if (value > range.max) return value - range.max;
+    return 0;
+}
+
+// Function to compare the values of two settings (A and B) against the same ranges.
+// Returns each side's score, a verdict and, per parameter both sides have a value for,
+// { param, range, meets: { A, B }, delta (B - A), better: 'A' | 'B' | '-' }.
+function compareSettings(values, ranges) {
+    const scores = { A: scoreEnvironment(values.A, ranges), B: scoreEnvironment(values.B, ranges) };
+
+    const difference = scores.B.totalScore - scores.A.totalScore;
+    const verdict = difference === 0
+        ? 'Both sides meet the same number of recommended ranges.'
+        : `Side ${difference > 0 ? 'B' : 'A'} meets ${Math.abs(difference)} more recommended range${Math.abs(difference) === 1 ? '' : 's'}.`;
+
+    const parameters = [];
+    for (const param in ranges) {
+        const range = ranges[param]?.range;
+        if (!range || values.A[param] === undefined || values.B[param] === undefined) continue;
+
+        const meets = side => scores[side].recommendations.find(rec => rec.param === param)?.status === 'Recommended';
+        // Flicker compares the worst metric-to-limit ratio, as frequency and depth both matter
+        const distance = side => param === 'Flicker' && values[side].flickerEvaluation
+            ? values[side].flickerEvaluation.severity
+            : rangeDistance(values[side][param], range);
+
+        // Within range beats outside; otherwise the side closer to the range is better
+        let better = '-';
+        if (meets('A') !== meets('B')) {
+            better = meets('A') ? 'A' : 'B';
+        } else if (!meets('A') && distance('A') !== distance('B')) {
+            better = distance('A') < distance('B') ? 'A' : 'B';
+        }
+
+        parameters.push({
+            param,
+            range,
+            meets: { A: meets('A'), B: meets('B') },
+            delta: values.B[param] - values.A[param],
+            better
+        });
+    }
+
+    return { scores, verdict, parameters };
+}
+
+// Export for tests (the browser uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getUnit,
+        formatParameterValue,
+        formatDisplayRange,
+        flickerMeetsRange,
+        scoreEnvironment,
+        getRecommendationStatus,
+        rangeDistance,
+        compareSettings
+    };
+}
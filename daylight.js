@@ -0,0 +1,244 @@
+/**
+ * Daylight
+ * Daylight entering a side-lit room through one window, for a place, date, time and sky type
+ *
+ * This file contains:
+ * - The position of the sun (latitude, day of the year and solar time)
+ * - Outdoor illuminance under the CIE overcast and clear skies, and on the outside of the window
+ * - The average daylight factor of the room (BRE / Littlefair formula)
+ * - Average horizontal illuminance on the working plane and vertical illuminance at the eye
+ *
+ * The room is the one from illuminance.js ({ width, length, height } in m, reflectances 0 - 1).
+ * The window is in the wall along the room width (y = 0), centred, and faces the compass bearing
+ * given by its orientation (0° north, 90° east, 180° south, 270° west).
+ *
+ * Depends on illuminance.js for the inter-reflection term.
+ */
+
+
+// Sky types: the CIE standard overcast sky and the CIE clear sky with sun
+const SKY_TYPES = ['overcast', 'clear'];
+
+// Colour temperature of the daylight let in (K): an overcast sky is close to D65, sun and blue
+// sky together are warmer
+const DAYLIGHT_CCT = { overcast: 6500, clear: 5500 };
+
+// Light transmittance of clean double glazing
+const DEFAULT_GLAZING_TRANSMITTANCE = 0.7;
+
+// Reflectance of the ground outside (grass, paving)
+const DEFAULT_GROUND_REFLECTANCE = 0.2;
+
+// Height of a seated pupil's eyes (m), as in ugr.js
+const DAYLIGHT_EYE_HEIGHT = 1.2;
+
+const DEGREES = Math.PI / 180;
+
+/**
+ * Sun Position
+ */
+
+// Function to get the day of the year (1 - 366) of an ISO date ('2024-03-21') or a Date
+function dayOfYear(date) {
+    const day = typeof date === 'string' ? new Date(`${date}T00:00:00Z`) : date;
+    if (!(day instanceof Date) || Number.isNaN(day.getTime())) {
+        throw new Error(`"${date}" is not a date`);
+    }
+    const start = Date.UTC(day.getUTCFullYear(), 0, 1);
+    return Math.floor((Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) - start) / 86400000) + 1;
+}
+
+// Function to get the solar declination (degrees) on a day of the year (Cooper's formula)
+function solarDeclination(day) {
+    return 23.45 * Math.sin(360 * (284 + day) / 365 * DEGREES);
+}
+
+// Function to get the position of the sun at a latitude (degrees, north positive) on a date at a
+// solar time (hours, 12 = solar noon). Returns { altitude, azimuth } in degrees, the azimuth as a
+// compass bearing (0° north, 90° east).
+function solarPosition(latitude, date, hour) {
+    const declination = solarDeclination(dayOfYear(date)) * DEGREES;
+    const phi = latitude * DEGREES;
+    const hourAngle = 15 * (hour - 12) * DEGREES;
+
+    const sinAltitude = Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+    const altitude = Math.asin(Math.max(-1, Math.min(1, sinAltitude)));
+    const azimuth = Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+    ) + Math.PI;
+    return { altitude: altitude / DEGREES, azimuth: (azimuth / DEGREES + 360) % 360 };
+}
+
+/**
+ * Outdoor Illuminance
+ */
+
+// Function to get the unobstructed outdoor illuminance (lx) for a sky type and sun altitude:
+// { diffuseHorizontal (sky only), directNormal (sun beam), globalHorizontal }.
+// Overcast: E = 300 + 21000 sin(γs) (Krochmann, CIE overcast sky), no sun.
+// Clear: sky E = 800 + 15500 √sin(γs) and sun E = 127500 exp(-0.21 / sin(γs)).
+function skyIlluminance(sky, altitude) {
+    if (!SKY_TYPES.includes(sky)) {
+        throw new Error(`Unknown sky type "${sky}"`);
+    }
+    if (altitude <= 0) {
+        return { diffuseHorizontal: 0, directNormal: 0, globalHorizontal: 0 };
+    }
+
+    const sinAltitude = Math.sin(altitude * DEGREES);
+    const diffuseHorizontal = sky === 'overcast' ? 300 + 21000 * sinAltitude : 800 + 15500 * Math.sqrt(sinAltitude);
+    const directNormal = sky === 'clear' ? 127500 * Math.exp(-0.21 / sinAltitude) : 0;
+    return { diffuseHorizontal, directNormal, globalHorizontal: diffuseHorizontal + directNormal * sinAltitude };
+}
+
+// Function to get the fraction of a vertical window's sky illuminance left above an obstruction
+// rising to an angle (degrees) above the horizon, for a sky of even luminance
+function visibleSkyFraction(obstruction) {
+    const angle = Math.max(0, Math.min(90, obstruction)) * DEGREES;
+    return 1 - (2 * angle + Math.sin(2 * angle)) / Math.PI;
+}
+
+// Function to get the illuminance (lx) on the outside of a vertical window: { sky, ground, sun,
+// total }. The overcast sky gives a vertical plane 0.396 of its horizontal illuminance; the clear
+// sky is treated as even (0.5). The ground below reflects half its illuminance onto the window,
+// and the sun adds its beam when it is in front of the window and above the obstruction.
+function windowIlluminance(outdoor, sun, sky, orientation, obstruction = 0, groundReflectance = DEFAULT_GROUND_REFLECTANCE) {
+    const skyShare = sky === 'overcast' ? 0.396 : 0.5;
+    const skyPart = skyShare * outdoor.diffuseHorizontal * visibleSkyFraction(obstruction);
+    const groundPart = 0.5 * groundReflectance * outdoor.globalHorizontal;
+
+    const incidence = Math.cos(sun.altitude * DEGREES) * Math.cos((sun.azimuth - orientation) * DEGREES);
+    const sunPart = sun.altitude > obstruction && incidence > 0 ? outdoor.directNormal * incidence : 0;
+    return { sky: skyPart, ground: groundPart, sun: sunPart, total: skyPart + groundPart + sunPart };
+}
+
+/**
+ * Daylight Factor
+ */
+
+// Function to get the area-weighted reflectance of the room's surfaces
+function averageReflectance(room, reflectances) {
+    const floorArea = room.width * room.length;
+    const wallArea = 2 * (room.width + room.length) * room.height;
+    return (floorArea * (reflectances.ceiling + reflectances.floor) + wallArea * reflectances.walls) / (2 * floorArea + wallArea);
+}
+
+// Function to get the average daylight factor (%) of a side-lit room:
+// DF = T * Aw * θ / (A * (1 - R²)), with T the glazing transmittance, Aw the glazed area, θ the
+// angle of visible sky (90° less the obstruction angle), A the area of all room surfaces and R
+// their area-weighted reflectance (Littlefair, BRE)
+function averageDaylightFactor(room, reflectances, glazing) {
+    const surfaceArea = 2 * room.width * room.length + 2 * (room.width + room.length) * room.height;
+    const reflectance = averageReflectance(room, reflectances);
+    const skyAngle = 90 - Math.max(0, Math.min(90, glazing.obstruction || 0));
+    return glazing.transmittance * glazing.width * glazing.height * skyAngle / (surfaceArea * (1 - reflectance * reflectance));
+}
+
+/**
+ * Vertical Illuminance at the Eye
+ */
+
+// Function to get the configuration factor of a rectangle parallel to a surface, with one corner
+// on the surface's normal, x and y along its sides and at a distance from the surface
+function cornerRectangleFactor(x, y, distance) {
+    const a = x / distance;
+    const b = y / distance;
+    const rootA = Math.sqrt(1 + a * a);
+    const rootB = Math.sqrt(1 + b * b);
+    return (a / rootA * Math.atan(b / rootA) + b / rootB * Math.atan(a / rootB)) / (2 * Math.PI);
+}
+
+// Function to get the configuration factor of a window seen by an eye facing it: the share of the
+// eye's vertical illuminance a window of even luminance L gives (E = π L F). The window spans
+// left - right across and bottom - top up, relative to the foot of the normal from the eye.
+function windowViewFactor(left, right, bottom, top, distance) {
+    const signed = (x, y) => Math.sign(x) * Math.sign(y) * cornerRectangleFactor(Math.abs(x), Math.abs(y), distance);
+    return signed(right, top) - signed(left, top) - signed(right, bottom) + signed(left, bottom);
+}
+
+/**
+ * Daylight in the Room
+ */
+
+// Function to calculate the daylight in a room.
+// glazing: { width, height, sill (m above the floor), orientation (degrees, compass bearing the
+// window faces), transmittance, obstruction (degrees above the horizon) }.
+// Returns { sun, outdoor, onWindow (illuminance on the outside), daylightFactor (%), horizontal
+// (average on the working plane, lx), vertical (at the eye of a pupil in the middle of the room
+// facing the window, lx), sunlight (direct sun enters), warnings }.
+function calculateDaylight({
+    room,
+    reflectances,
+    glazing,
+    latitude,
+    date,
+    hour,
+    sky = 'overcast',
+    groundReflectance = DEFAULT_GROUND_REFLECTANCE,
+    eyeHeight = DAYLIGHT_EYE_HEIGHT
+}) {
+    if (!(room.width > 0 && room.length > 0 && room.height > 0)) {
+        throw new Error('The room needs a width, a length and a height');
+    }
+    if (!(glazing.width > 0 && glazing.height > 0) || glazing.width > room.width || glazing.sill < 0 || glazing.sill + glazing.height > room.height) {
+        throw new Error('The window has to fit in the wall along the room width');
+    }
+    if (!(latitude >= -90 && latitude <= 90)) {
+        throw new Error('The latitude has to be between -90° and 90°');
+    }
+
+    const opening = { transmittance: DEFAULT_GLAZING_TRANSMITTANCE, obstruction: 0, ...glazing };
+    const sun = solarPosition(latitude, date, hour);
+    const outdoor = skyIlluminance(sky, sun.altitude);
+    const onWindow = windowIlluminance(outdoor, sun, sky, opening.orientation, opening.obstruction, groundReflectance);
+    const daylightFactor = averageDaylightFactor(room, reflectances, opening);
+
+    // Flux let in through the glazing (lm), in total and from the sun's beam
+    const glazedArea = opening.width * opening.height;
+    const flux = onWindow.total * glazedArea * opening.transmittance;
+    const sunFlux = onWindow.sun * glazedArea * opening.transmittance;
+
+    // Horizontal: the daylight factor applied to the sky, plus the sun patch spread over the
+    // floor and the sunlight it reflects around the room
+    const sunHorizontal = sunFlux > 0 ? sunFlux / (room.width * room.length) + interreflectedIlluminance(room, reflectances, sunFlux) : 0;
+    const horizontal = daylightFactor / 100 * outdoor.diffuseHorizontal + sunHorizontal;
+
+    // Vertical: the window seen from the middle of the room (its luminance is the diffuse light on
+    // its outside, over π, through the glass), plus the light reflected around the room
+    const windowLuminance = opening.transmittance * (onWindow.sky + onWindow.ground) / Math.PI;
+    const viewFactor = windowViewFactor(
+        -opening.width / 2,
+        opening.width / 2,
+        opening.sill - eyeHeight,
+        opening.sill + opening.height - eyeHeight,
+        room.length / 2
+    );
+    const vertical = Math.PI * windowLuminance * viewFactor + interreflectedIlluminance(room, reflectances, flux);
+
+    const warnings = [];
+    if (sun.altitude <= 0) {
+        warnings.push('The sun is below the horizon: there is no daylight');
+    }
+    if (sunFlux > 0) {
+        warnings.push('Direct sunlight comes through the window: expect glare and a bright patch on the desks unless it is shaded');
+    }
+
+    return { sun, outdoor, onWindow, daylightFactor, horizontal, vertical, sunlight: sunFlux > 0, warnings };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SKY_TYPES,
+        DAYLIGHT_CCT,
+        dayOfYear,
+        solarDeclination,
+        solarPosition,
+        skyIlluminance,
+        visibleSkyFraction,
+        windowIlluminance,
+        averageDaylightFactor,
+        windowViewFactor,
+        calculateDaylight
+    };
+}
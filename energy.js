@@ -0,0 +1,119 @@
+/**
+ * Lighting Energy
+ * The yearly energy, cost and CO₂ of a lighting installation, to set an existing installation
+ * against a proposed one
+ *
+ * This file contains:
+ * - Reading / checking the installation and use inputs
+ * - Annual energy (kWh), cost, CO₂ and LENI (EN 15193-1)
+ * - The savings of one installation over another
+ *
+ * The inputs are { count, watts, hours, days, tariff, dimming, occupancy, carbon }: the number of
+ * luminaires and the power of each (W), the hours a day and days a year the lighting is used, the
+ * price of a kWh, the constant illuminance / daylight dimming factor F_C and occupancy factor F_O
+ * (1 = always at full power) and the CO₂ of a kWh of electricity (kg).
+ */
+
+
+// Defaults: a classroom of 12 luminaires on 8 hours a day for a school year of 190 days. The
+// carbon factor is about that of the UK grid (DESNZ 2024, 0.207 kg CO₂e / kWh).
+const ENERGY_DEFAULTS = {
+    count: 12,
+    watts: 36,
+    hours: 8,
+    days: 190,
+    tariff: 0.3,
+    dimming: 1,
+    occupancy: 1,
+    carbon: 0.207
+};
+
+// Labels used in the error messages
+const ENERGY_INPUT_LABELS = {
+    count: 'luminaire count',
+    watts: 'luminaire power',
+    hours: 'hours per day',
+    days: 'days per year',
+    tariff: 'tariff',
+    dimming: 'dimming factor',
+    occupancy: 'occupancy factor',
+    carbon: 'carbon factor'
+};
+
+/**
+ * Inputs
+ */
+
+// Function to check the inputs, returning them with the defaults filled in or throwing with the
+// first problem found
+function normalizeEnergyInputs(inputs = {}) {
+    const values = { ...ENERGY_DEFAULTS };
+    for (const key in ENERGY_DEFAULTS) {
+        const value = inputs[key];
+        if (value === undefined || value === null || value === '') continue;
+        if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+            throw new Error(`The ${ENERGY_INPUT_LABELS[key]} has to be a number of 0 or more`);
+        }
+        values[key] = Number(value);
+    }
+
+    if (values.hours > 24) {
+        throw new Error('The hours per day cannot be more than 24');
+    }
+    if (values.days > 366) {
+        throw new Error('The days per year cannot be more than 366');
+    }
+    ['dimming', 'occupancy'].forEach(key => {
+        if (values[key] > 1) {
+            throw new Error(`The ${ENERGY_INPUT_LABELS[key]} has to be between 0 and 1`);
+        }
+    });
+    return values;
+}
+
+/**
+ * Calculation
+ */
+
+// Function to work out the yearly energy of an installation: { power (installed W), powerDensity
+// (W/m²), operatingHours, energy (kWh), cost, co2 (kg), leni (kWh/m² per year) }. The energy is
+// W = P t_U F_C F_O (EN 15193-1, without parasitic energy); powerDensity and leni are null
+// without a floor area.
+function calculateEnergy(inputs, floorArea) {
+    const values = normalizeEnergyInputs(inputs);
+    const power = values.count * values.watts;
+    const operatingHours = values.hours * values.days;
+    const energy = power * operatingHours * values.dimming * values.occupancy / 1000;
+    const area = floorArea > 0 ? floorArea : null;
+
+    return {
+        power,
+        powerDensity: area ? power / area : null,
+        operatingHours,
+        energy,
+        cost: energy * values.tariff,
+        co2: energy * values.carbon,
+        leni: area ? energy / area : null
+    };
+}
+
+// Function to get what a proposed installation saves over an existing one, per year:
+// { energy, cost, co2, leni, percent } (negative when it uses more)
+function compareEnergy(existing, proposed) {
+    return {
+        energy: existing.energy - proposed.energy,
+        cost: existing.cost - proposed.cost,
+        co2: existing.co2 - proposed.co2,
+        leni: existing.leni !== null && proposed.leni !== null ? existing.leni - proposed.leni : null,
+        percent: existing.energy > 0 ? (existing.energy - proposed.energy) / existing.energy * 100 : 0
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ENERGY_DEFAULTS,
+        normalizeEnergyInputs,
+        calculateEnergy,
+        compareEnergy
+    };
+}
@@ -0,0 +1,197 @@
+/**
+ * Flicker Animation
+ * Shows the flicker of the simulated light source in real time (requestAnimationFrame)
+ *
+ * This file contains:
+ * - Measuring the display refresh rate
+ * - Modulating the brightness of the simulated room with the perceptible part of the flicker
+ * - The stroboscopic effect / phantom array demo: a moving object lit by the light source
+ *
+ * A display can only show modulation below half its refresh rate, and the eye only sees
+ * modulation below about 80 Hz as direct flicker. The room brightness therefore follows the
+ * components of the waveform below both limits, at their real frequency and depth. Faster
+ * flicker is invisible on a still scene but shows up on moving objects: the demo works out
+ * what the eye integrates over a short time for an object lit by the full waveform.
+ *
+ * A light is { frequency, modulation, shape, dutyCycle } as in evaluateFlicker (flicker.js).
+ * Depends on flicker.js.
+ */
+
+
+// Above this frequency modulation is not seen as direct flicker (flicker fusion)
+const FLICKER_FUSION_FREQUENCY = 80;
+
+// Time over which the eye integrates a moving object in the demo (s)
+const PERSISTENCE_TIME = 0.05;
+
+// Revolutions per second of the object in the demo
+const STROBE_DEMO_SPEED = 2;
+
+const flickerAnimation = {
+    frameId: null,
+    lastTimestamp: null,
+    frameIntervals: [],
+    refreshRate: 60,
+    targets: [],
+    strobe: null
+};
+
+/**
+ * Refresh Rate
+ */
+
+// Function to track the display refresh rate from the time between animation frames
+function measureRefreshRate(timestamp) {
+    if (flickerAnimation.lastTimestamp !== null) {
+        const interval = timestamp - flickerAnimation.lastTimestamp;
+        // Ignore gaps (background tab, slow frame) so they don't pull the estimate down
+        if (interval > 2 && interval < 50) {
+            flickerAnimation.frameIntervals.push(interval);
+            if (flickerAnimation.frameIntervals.length > 60) {
+                flickerAnimation.frameIntervals.shift();
+            }
+            const sorted = [...flickerAnimation.frameIntervals].sort((a, b) => a - b);
+            flickerAnimation.refreshRate = 1000 / sorted[Math.floor(sorted.length / 2)];
+        }
+    }
+    flickerAnimation.lastTimestamp = timestamp;
+}
+
+// Function to get the highest flicker frequency that can be shown as direct flicker (Hz)
+function displayableFlickerFrequency() {
+    return Math.min(flickerAnimation.refreshRate / 2, FLICKER_FUSION_FREQUENCY);
+}
+
+/**
+ * Targets
+ */
+
+// Function to set the overlays that darken the simulated room with the flicker, as
+// [{ overlay: element, light }]. The overlays are black; their opacity is set per frame.
+function setFlickerAnimationTargets(targets) {
+    flickerAnimation.targets.forEach(target => {
+        if (!targets.some(next => next.overlay === target.overlay)) {
+            target.overlay.style.opacity = 0;
+        }
+    });
+
+    flickerAnimation.targets = targets.map(({ overlay, light }) => {
+        const components = perceptibleComponents(light, displayableFlickerFrequency());
+        // Highest possible output, so the overlay is clear at the peak and never negative
+        const peak = components.reduce((sum, component) => sum + component.amplitude, 1);
+        return { overlay, light, components, peak };
+    });
+}
+
+// Function to set the canvas and light of the stroboscopic effect demo
+function setStroboscopicDemo(canvas, light) {
+    const waveform = flickerWaveform(light.shape, light.modulation, light.dutyCycle);
+    const mean = waveform.reduce((sum, value) => sum + value, 0) / waveform.length;
+    flickerAnimation.strobe = { canvas, light, waveform, mean };
+}
+
+// Function to describe what the animation can show for a light at the current refresh rate
+function describeFlickerAnimation(light) {
+    const limit = displayableFlickerFrequency();
+    const shown = perceptibleComponents(light, limit).length > 0;
+
+    if (light.frequency > FLICKER_FUSION_FREQUENCY) {
+        return `${light.frequency} Hz is too fast to see as direct flicker; watch the moving object for the stroboscopic effect.`;
+    }
+    if (!shown) {
+        return `${light.frequency} Hz cannot be shown at this display's ${Math.round(flickerAnimation.refreshRate)} Hz refresh rate, but would be visible as flicker in the room.`;
+    }
+    return `Showing the flicker components up to ${Math.round(limit)} Hz at their real speed and depth.`;
+}
+
+/**
+ * Animation Loop
+ */
+
+// Function to start the animation (nothing happens if it is already running)
+function startFlickerAnimation() {
+    if (flickerAnimation.frameId !== null) return;
+    flickerAnimation.lastTimestamp = null;
+    flickerAnimation.frameId = requestAnimationFrame(renderFlickerFrame);
+}
+
+// Function to stop the animation and show the room at its mean brightness
+function stopFlickerAnimation() {
+    if (flickerAnimation.frameId !== null) {
+        cancelAnimationFrame(flickerAnimation.frameId);
+        flickerAnimation.frameId = null;
+    }
+    flickerAnimation.targets.forEach(target => {
+        target.overlay.style.opacity = 0;
+    });
+
+    const strobe = flickerAnimation.strobe;
+    if (strobe) {
+        drawStroboscopicDemo(strobe, 0);
+    }
+}
+
+// Function to draw one animation frame
+function renderFlickerFrame(timestamp) {
+    measureRefreshRate(timestamp);
+    const time = timestamp / 1000;
+
+    flickerAnimation.targets.forEach(target => {
+        const output = lightOutputAt(target.components, time);
+        target.overlay.style.opacity = Math.max(0, Math.min(1, 1 - output / target.peak));
+    });
+
+    if (flickerAnimation.strobe) {
+        drawStroboscopicDemo(flickerAnimation.strobe, time);
+    }
+
+    flickerAnimation.frameId = requestAnimationFrame(renderFlickerFrame);
+}
+
+/**
+ * Stroboscopic Effect Demo
+ */
+
+// Function to draw a dot circling on a dark background as the eye would see it over the last
+// PERSISTENCE_TIME: under steady light it leaves a smooth trail, under flicker a row of copies
+// (the phantom array), one per light pulse
+function drawStroboscopicDemo(strobe, time) {
+    const { canvas, light, waveform, mean } = strobe;
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const radius = Math.min(width, height) * 0.35;
+    const centerX = width / 2;
+    const centerY = height / 2;
+
+    context.globalCompositeOperation = 'source-over';
+    context.fillStyle = '#111';
+    context.fillRect(0, 0, width, height);
+    context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    context.beginPath();
+    context.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+    context.stroke();
+
+    // Enough samples to resolve every light pulse within the trail
+    const samples = Math.max(60, Math.min(600, Math.ceil(PERSISTENCE_TIME * light.frequency * 16)));
+    context.globalCompositeOperation = 'lighter';
+    context.fillStyle = '#fff';
+
+    for (let i = 0; i < samples; i++) {
+        const age = PERSISTENCE_TIME * i / samples;
+        const sampleTime = time - age;
+        const output = waveformOutputAt(waveform, mean, light.frequency, Math.max(0, sampleTime));
+        // Older positions fade, as the eye's response decays
+        const fade = 2 * (1 - age / PERSISTENCE_TIME);
+        const alpha = Math.min(1, output * fade * 4 / samples);
+        if (alpha <= 0) continue;
+
+        const angle = 2 * Math.PI * STROBE_DEMO_SPEED * sampleTime;
+        context.globalAlpha = alpha;
+        context.beginPath();
+        context.arc(centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle), 6, 0, 2 * Math.PI);
+        context.fill();
+    }
+
+    context.globalAlpha = 1;
+    context.globalCompositeOperation = 'source-over';
+}
@@ -0,0 +1,311 @@
+/**
+ * Flicker
+ * Temporal light modulation of a light source and its risk / visibility metrics
+ *
+ * This file contains:
+ * - Light output waveforms (sinusoidal, PWM square or rectified mains, described by frequency,
+ *   modulation depth and, for PWM, duty cycle)
+ * - Percent flicker (modulation depth) and flicker index (IES)
+ * - The IEEE 1789-2015 low-risk and no-observable-effect regions
+ * - SVM, the stroboscopic visibility measure (CIE TN 006:2016)
+ * - Pst LM, the short-term flicker severity of light (IEC TR 61547-1), estimated for periodic waveforms
+ * - One evaluation combining these, with an explanation per criterion
+ * - The perceptible (direct flicker) components of a waveform, for animating it in real time
+ *
+ * The lighting standards give flicker as percent flicker (%). Frequency alone says nothing about
+ * flicker risk: it is the combination of frequency and modulation depth that matters.
+ */
+
+
+// Samples per period used to describe a waveform
+const FLICKER_SAMPLES = 1024;
+
+// Compliance limits for SVM and Pst LM (as in the EU ecodesign regulation 2019/2020)
+const SVM_LIMIT = 0.4;
+const PST_LM_LIMIT = 1.0;
+
+// The stroboscopic effect is assessed from 80 Hz to 2 kHz (CIE TN 006); below 80 Hz
+// modulation is seen directly as flicker and is covered by Pst LM
+const SVM_MIN_FREQUENCY = 80;
+const SVM_MAX_FREQUENCY = 2000;
+
+/**
+ * Waveforms
+ */
+
+// Function to build one period of relative light output for a waveform shape and modulation depth
+// (percent flicker, 0 - 100). Shapes: 'sine', 'square' (PWM; dutyCycle is the 'on' share of the
+// period) and 'rectified' (full-wave rectified mains: one period is half a mains cycle).
+function flickerWaveform(shape, modulationPercent, dutyCycle = 0.5, samples = FLICKER_SAMPLES) {
+    const modulation = Math.max(0, Math.min(100, modulationPercent)) / 100;
+    const waveform = new Array(samples);
+
+    for (let i = 0; i < samples; i++) {
+        const phase = i / samples;
+        if (shape === 'square') {
+            waveform[i] = 1 + (phase < dutyCycle ? modulation : -modulation);
+        } else if (shape === 'rectified') {
+            waveform[i] = 1 - modulation + 2 * modulation * Math.abs(Math.sin(Math.PI * phase));
+        } else {
+            waveform[i] = 1 + modulation * Math.sin(2 * Math.PI * phase);
+        }
+    }
+    return waveform;
+}
+
+// Function to calculate percent flicker (modulation depth): 100 * (max - min) / (max + min)
+function percentFlicker(waveform) {
+    const max = Math.max(...waveform);
+    const min = Math.min(...waveform);
+    return max + min > 0 ? 100 * (max - min) / (max + min) : 0;
+}
+
+// Function to calculate the flicker index: the area above the mean light output divided by the
+// total area over one period (0 = steady light, 1 = all light in a short pulse)
+function flickerIndex(waveform) {
+    const mean = waveform.reduce((sum, value) => sum + value, 0) / waveform.length;
+    if (mean <= 0) return 0;
+
+    const above = waveform.reduce((sum, value) => sum + Math.max(0, value - mean), 0);
+    return above / (mean * waveform.length);
+}
+
+// Function to get harmonics 1 ... count of a waveform as { amplitude, phase }, with the amplitude
+// relative to the mean (DC): waveform / mean = 1 + sum of amplitude * cos(2 pi m x + phase)
+function harmonicComponents(waveform, count) {
+    const samples = waveform.length;
+    const mean = waveform.reduce((sum, value) => sum + value, 0) / samples;
+    const components = [];
+
+    for (let m = 1; m <= count; m++) {
+        let re = 0;
+        let im = 0;
+        for (let i = 0; i < samples; i++) {
+            const angle = 2 * Math.PI * m * i / samples;
+            re += waveform[i] * Math.cos(angle);
+            im -= waveform[i] * Math.sin(angle);
+        }
+        components.push({
+            amplitude: mean > 0 ? 2 * Math.hypot(re, im) / samples / mean : 0,
+            phase: Math.atan2(im, re)
+        });
+    }
+    return components;
+}
+
+// Function to get the amplitude of harmonics 1 ... count of a waveform relative to its mean (DC)
+function harmonicAmplitudes(waveform, count) {
+    return harmonicComponents(waveform, count).map(component => component.amplitude);
+}
+
+/**
+ * IEEE 1789-2015
+ */
+
+// Function to get the IEEE 1789 percent flicker limits at a frequency. Infinity means the
+// frequency is exempt (above 1250 Hz for low risk, above 3000 Hz for no observable effect).
+function ieee1789Limits(frequency) {
+    return {
+        lowRisk: frequency < 90 ? 0.025 * frequency : frequency <= 1250 ? 0.08 * frequency : Infinity,
+        noEffect: frequency < 90 ? 0.01 * frequency : frequency <= 3000 ? 0.0333 * frequency : Infinity
+    };
+}
+
+// Function to classify a frequency / percent flicker pair into the IEEE 1789 regions:
+// 'no-effect', 'low-risk' or 'elevated-risk'
+function ieee1789Region(frequency, percent) {
+    const limits = ieee1789Limits(frequency);
+    // Tolerance so a value on a limit (e.g. 8 % at 100 Hz) is not pushed over it by rounding
+    const tolerance = 1e-9;
+    let region = 'elevated-risk';
+    if (percent <= limits.noEffect + tolerance) {
+        region = 'no-effect';
+    } else if (percent <= limits.lowRisk + tolerance) {
+        region = 'low-risk';
+    }
+    return { region, ...limits };
+}
+
+/**
+ * Stroboscopic Visibility Measure (SVM)
+ */
+
+// Function to get the SVM visibility threshold (relative modulation) of a sinusoid at a frequency
+function svmThreshold(frequency) {
+    return 1 / (1 + Math.exp(-0.00518 * (frequency - 306.6))) + 20 * Math.exp(-frequency / 10);
+}
+
+// Function to calculate SVM: a Minkowski sum (exponent 3.7) of the waveform's harmonics from
+// 80 Hz to 2 kHz, each relative to its visibility threshold. SVM = 1 is just visible.
+function calculateSVM(waveform, frequency) {
+    const count = Math.floor(SVM_MAX_FREQUENCY / frequency);
+    if (count < 1) return 0;
+
+    const amplitudes = harmonicAmplitudes(waveform, count);
+    let sum = 0;
+    amplitudes.forEach((amplitude, i) => {
+        const harmonicFrequency = (i + 1) * frequency;
+        if (harmonicFrequency >= SVM_MIN_FREQUENCY) {
+            sum += Math.pow(amplitude / svmThreshold(harmonicFrequency), 3.7);
+        }
+    });
+    return Math.pow(sum, 1 / 3.7);
+}
+
+/**
+ * Short-term Flicker Severity of Light (Pst LM)
+ * The light flickermeter weights relative light modulation with the eye-brain response of the
+ * IEC 61000-4-15 flickermeter (peak sensitivity at 8.8 Hz, with its 35 Hz low-pass), squares and
+ * smooths it (Pinst) and combines percentiles of Pinst into Pst. For a steady periodic waveform
+ * Pinst is constant, so Pst LM is proportional to the RMS of the weighted modulation.
+ * The scale is an estimate: Pst LM = 1 for a sinusoidal modulation of PST_LM_THRESHOLD at 8.8 Hz,
+ * taken from the voltage flickermeter threshold (0.25 % at 8.8 Hz) through the light output of
+ * the 230 V incandescent reference lamp. It is not a substitute for a certified flickermeter.
+ */
+
+const PST_LM_THRESHOLD = 0.006;
+
+// Function to get the gain of the flickermeter weighting (eye-brain filter and 35 Hz low-pass)
+function flickerWeighting(frequency) {
+    const w = 2 * Math.PI * frequency;
+    const k = 1.74802;
+    const lambda = 2 * Math.PI * 4.05981;
+    const w1 = 2 * Math.PI * 9.15494;
+    const w2 = 2 * Math.PI * 2.27979;
+    const w3 = 2 * Math.PI * 1.22535;
+    const w4 = 2 * Math.PI * 21.9;
+
+    // |k w1 s (1 + s/w2) / ((s^2 + 2 lambda s + w1^2)(1 + s/w3)(1 + s/w4))| at s = jw
+    const numerator = k * w1 * w * Math.hypot(1, w / w2);
+    const denominator = Math.hypot(w1 * w1 - w * w, 2 * lambda * w) * Math.hypot(1, w / w3) * Math.hypot(1, w / w4);
+    const lowPass = 1 / Math.sqrt(1 + Math.pow(frequency / 35, 12));
+
+    return numerator / denominator * lowPass;
+}
+
+// Function to estimate Pst LM of a periodic waveform at a frequency
+function calculatePstLM(waveform, frequency) {
+    // The weighting is negligible above a few hundred Hz
+    const count = Math.max(1, Math.floor(400 / frequency));
+    const amplitudes = harmonicAmplitudes(waveform, count);
+
+    const weighted = amplitudes.reduce((sum, amplitude, i) => {
+        const gain = flickerWeighting((i + 1) * frequency);
+        return sum + Math.pow(amplitude * gain, 2);
+    }, 0);
+    return Math.sqrt(weighted) / (PST_LM_THRESHOLD * flickerWeighting(8.8));
+}
+
+/**
+ * Evaluation
+ */
+
+// Function to evaluate flicker for { frequency (Hz), modulation (percent flicker), shape, dutyCycle }.
+// Returns the metrics, the IEEE 1789 region, whether it passes (IEEE 1789 low risk or better,
+// SVM <= 0.4 and Pst LM <= 1), the worst metric-to-limit ratio (severity), whether flicker is
+// likely to be seen, and an explanation per criterion.
+function evaluateFlicker({ frequency, modulation, shape = 'sine', dutyCycle = 0.5 }) {
+    const waveform = flickerWaveform(shape, modulation, dutyCycle);
+    const percent = percentFlicker(waveform);
+    const ieee = ieee1789Region(frequency, percent);
+    const svm = calculateSVM(waveform, frequency);
+    const pstLM = calculatePstLM(waveform, frequency);
+
+    const formatLimit = limit => Number.isFinite(limit) ? `${+limit.toFixed(1)}%` : 'no limit';
+    const ieeeLabels = {
+        'no-effect': 'no observable effect',
+        'low-risk': 'low risk',
+        'elevated-risk': 'elevated risk'
+    };
+
+    const criteria = [
+        {
+            name: 'IEEE 1789',
+            passed: ieee.region !== 'elevated-risk',
+            explanation: `${+percent.toFixed(1)}% flicker at ${frequency} Hz is ${ieeeLabels[ieee.region]} ` +
+                `(low-risk limit ${formatLimit(ieee.lowRisk)}, no-effect limit ${formatLimit(ieee.noEffect)} at this frequency)`
+        },
+        {
+            name: 'SVM',
+            passed: svm <= SVM_LIMIT,
+            explanation: `SVM ${svm.toFixed(2)} (stroboscopic effect ${svm >= 1 ? 'visible' : 'not visible'}; limit ${SVM_LIMIT})`
+        },
+        {
+            name: 'Pst LM',
+            passed: pstLM <= PST_LM_LIMIT,
+            explanation: `Pst LM ${pstLM.toFixed(2)} (direct flicker ${pstLM >= 1 ? 'visible' : 'not visible'}; limit ${PST_LM_LIMIT})`
+        }
+    ];
+
+    // Worst ratio of a metric to its limit: 1 or less passes every criterion
+    const severity = Math.max(
+        Number.isFinite(ieee.lowRisk) ? (ieee.lowRisk > 0 ? percent / ieee.lowRisk : Infinity) : 0,
+        svm / SVM_LIMIT,
+        pstLM / PST_LM_LIMIT
+    );
+
+    return {
+        frequency,
+        shape,
+        dutyCycle,
+        percentFlicker: percent,
+        flickerIndex: flickerIndex(waveform),
+        ieee1789: ieee,
+        svm,
+        pstLM,
+        severity,
+        passed: criteria.every(criterion => criterion.passed),
+        visible: svm >= 1 || pstLM >= 1,
+        criteria
+    };
+}
+
+/**
+ * Perceptible Flicker
+ */
+
+// Function to get the components of a light's flicker up to maxFrequency (Hz) as
+// [{ frequency, amplitude, phase }]. Used to show only what a display can reproduce and the eye
+// can see as direct flicker; faster components are fused into steady light.
+function perceptibleComponents({ frequency, modulation, shape = 'sine', dutyCycle = 0.5 }, maxFrequency) {
+    const count = Math.floor(maxFrequency / frequency);
+    if (count < 1) return [];
+
+    return harmonicComponents(flickerWaveform(shape, modulation, dutyCycle), count)
+        .map((component, i) => ({ frequency: (i + 1) * frequency, ...component }))
+        .filter(component => component.amplitude > 1e-4);
+}
+
+// Function to get the relative light output (mean 1) of a set of components at a time (s)
+function lightOutputAt(components, time) {
+    return components.reduce((output, component) =>
+        output + component.amplitude * Math.cos(2 * Math.PI * component.frequency * time + component.phase), 1);
+}
+
+// Function to get the relative light output (mean 1) of a full waveform period at a time (s)
+function waveformOutputAt(waveform, mean, frequency, time) {
+    const phase = (time * frequency) % 1;
+    return waveform[Math.floor(phase * waveform.length)] / mean;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SVM_LIMIT,
+        PST_LM_LIMIT,
+        flickerWaveform,
+        percentFlicker,
+        flickerIndex,
+        harmonicComponents,
+        harmonicAmplitudes,
+        ieee1789Limits,
+        ieee1789Region,
+        svmThreshold,
+        calculateSVM,
+        flickerWeighting,
+        calculatePstLM,
+        evaluateFlicker,
+        perceptibleComponents,
+        lightOutputAt,
+        waveformOutputAt
+    };
+}
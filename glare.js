@@ -0,0 +1,93 @@
+/**
+ * Glare
+ * Renders discomfort glare as veiling luminance and bloom around the luminaires in the photo
+ *
+ * This file contains:
+ * - Luminaire positions (relative to the image, so they survive resizing)
+ * - The glare strength for a UGR value
+ * - The veil map that, scaled by the glare strength, is added to the scene in linear light
+ *
+ * Light scattered in the eye spreads a veil around each bright source that falls off with about
+ * the square of the angle from it (CIE disability glare: Lv = 10 E / θ²). The veil lowers
+ * contrast near the sources while the rest of the scene keeps its exposure. UGR is logarithmic
+ * (8 log10 of the glare sum), so the veil doubles roughly every 2.4 UGR points.
+ */
+
+
+// Luminaire shown when none has been placed: a ceiling light above the middle of the photo
+const DEFAULT_LUMINAIRES = [{ x: 0.5, y: 0.2 }];
+
+// UGR at which the veil reaches GLARE_REFERENCE_STRENGTH (the usual classroom limit)
+const GLARE_REFERENCE_UGR = 19;
+
+// Veiling luminance (relative to white) 1° from a luminaire at the reference UGR
+const GLARE_REFERENCE_STRENGTH = 0.12;
+
+// Horizontal field of view assumed for the photos (degrees)
+const PHOTO_FIELD_OF_VIEW = 60;
+
+// Angle over which the veil is flat near a source (degrees) and the size of the bloom core
+const VEIL_CORE_ANGLE = 1;
+const BLOOM_ANGLE = 0.6;
+
+/**
+ * Luminaires
+ */
+
+// Function to check a list of luminaire positions, keeping points with x and y between 0 and 1
+function normalizeLuminaires(luminaires) {
+    if (!Array.isArray(luminaires)) return null;
+
+    return luminaires
+        .filter(point => point && Number.isFinite(point.x) && Number.isFinite(point.y))
+        .filter(point => point.x >= 0 && point.x <= 1 && point.y >= 0 && point.y <= 1)
+        .map(point => ({ x: Math.round(point.x * 1000) / 1000, y: Math.round(point.y * 1000) / 1000 }));
+}
+
+/**
+ * Veiling Luminance
+ */
+
+// Function to get the glare strength for a UGR value: the veiling luminance (relative to white)
+// 1° from a luminaire
+function glareStrength(ugr) {
+    if (!Number.isFinite(ugr) || ugr <= 0) return 0;
+    return GLARE_REFERENCE_STRENGTH * Math.pow(10, (ugr - GLARE_REFERENCE_UGR) / 8);
+}
+
+// Function to build the veil map for an image: one value per pixel for a glare strength of 1,
+// to be scaled by glareStrength(ugr) and added to the scene in linear light. Each luminaire gets
+// a veil falling off with the square of the angle and a small bloom core. The map depends only
+// on the geometry, so it can be kept while the UGR changes.
+function veilingLuminanceMap(width, height, luminaires, fieldOfView = PHOTO_FIELD_OF_VIEW) {
+    const map = new Float32Array(width * height);
+    if (!luminaires || luminaires.length === 0) return map;
+
+    const pixelsPerDegree = width / fieldOfView;
+    const core = VEIL_CORE_ANGLE * pixelsPerDegree;
+    const bloom = BLOOM_ANGLE * pixelsPerDegree;
+    const sources = luminaires.map(point => ({ x: point.x * width, y: point.y * height }));
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let veil = 0;
+            for (const source of sources) {
+                const dx = x - source.x;
+                const dy = y - source.y;
+                const distanceSquared = dx * dx + dy * dy;
+                veil += 1 / (1 + distanceSquared / (core * core)) + 2 * Math.exp(-distanceSquared / (2 * bloom * bloom));
+            }
+            map[y * width + x] = veil;
+        }
+    }
+    return map;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_LUMINAIRES,
+        normalizeLuminaires,
+        glareStrength,
+        veilingLuminanceMap
+    };
+}
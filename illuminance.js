@@ -0,0 +1,155 @@
+/**
+ * Illuminance
+ * Illuminance and uniformity on the working plane of a rectangular room lit by a luminaire grid
+ *
+ * This file contains:
+ * - The calculation grid (EN 12464-1 point spacing)
+ * - Direct illuminance at a point (inverse square and cosine law)
+ * - A simple inter-reflection term (Sumpner's integrating sphere formula)
+ * - Eavg, Emin, Emax and U0 = Emin / Eavg over the grid
+ *
+ * Coordinates are in metres as in ugr.js: x across the room (0 - width), y along it (0 - length)
+ * and z up from the floor. Luminaires hang facing down; each has an intensity(gamma, c) function
+ * giving candela at gamma degrees from straight down in the C plane c (degrees from +x).
+ */
+
+
+// Height of desks (m)
+const DEFAULT_WORKING_PLANE_HEIGHT = 0.75;
+
+// Band along the walls left out of the calculation area (m)
+const DEFAULT_WALL_MARGIN = 0.5;
+
+// Light loss from dirt and lamp ageing over the maintenance cycle
+const DEFAULT_MAINTENANCE_FACTOR = 0.8;
+
+// Typical reflectances of a classroom (light ceiling, mid walls, darker floor)
+const DEFAULT_REFLECTANCES = { ceiling: 0.7, walls: 0.5, floor: 0.2 };
+
+/**
+ * Luminaires
+ */
+
+// Function to get the intensity distribution of a flat, downward facing luminaire that spreads
+// its flux (lm) like a diffuser: I(gamma) = flux / π * cos(gamma), no light upwards
+function lambertianIntensity(flux) {
+    const peak = flux / Math.PI;
+    return gamma => (gamma < 90 ? peak * Math.cos(gamma * Math.PI / 180) : 0);
+}
+
+/**
+ * Calculation Grid
+ */
+
+// Function to get the EN 12464-1 grid spacing for an area: p = 0.2 * 5^log10(d), d being its
+// longer side (m); gives about 0.9 m for a 9 m classroom
+function defaultGridSpacing(width, length) {
+    return Math.min(10, 0.2 * Math.pow(5, Math.log10(Math.max(width, length))));
+}
+
+// Function to lay out the calculation points over the room, inside the wall margin. The area is
+// split into cells no larger than the spacing with a point at the centre of each cell.
+// Returns { xs, ys }: the x positions of the columns and the y positions of the rows.
+function calculationGrid(room, spacing = defaultGridSpacing(room.width, room.length), margin = DEFAULT_WALL_MARGIN) {
+    const axis = (size) => {
+        // A margin that would leave no area is dropped rather than giving an empty grid
+        const edge = size > 2 * margin ? margin : 0;
+        const span = size - 2 * edge;
+        const count = Math.max(1, Math.ceil(span / spacing - 1e-9));
+        return Array.from({ length: count }, (value, i) => edge + (i + 0.5) * span / count);
+    };
+    return { xs: axis(room.width), ys: axis(room.length) };
+}
+
+/**
+ * Illuminance
+ */
+
+// Function to calculate the direct illuminance (lx) on a horizontal plane at a point from
+// luminaires [{ x, y, z, intensity }]: the sum of I(gamma) cos(gamma) / d²
+function directIlluminance(point, luminaires) {
+    let illuminance = 0;
+    for (const luminaire of luminaires) {
+        const dx = point.x - luminaire.x;
+        const dy = point.y - luminaire.y;
+        const drop = luminaire.z - point.z;
+        if (drop <= 0) continue;
+
+        const distanceSquared = dx * dx + dy * dy + drop * drop;
+        const cosGamma = drop / Math.sqrt(distanceSquared);
+        const gamma = Math.acos(cosGamma) * 180 / Math.PI;
+        const c = (Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360;
+        illuminance += luminaire.intensity(gamma, c) * cosGamma / distanceSquared;
+    }
+    return illuminance;
+}
+
+// Function to estimate the illuminance added by light reflected around the room (lx). Treats the
+// room as an integrating sphere: E = flux * ρ / (S * (1 - ρ)), with S the area of all surfaces and
+// ρ their area-weighted reflectance. It is spread evenly, which is close enough in rooms of
+// ordinary proportions.
+function interreflectedIlluminance(room, reflectances, flux) {
+    const floorArea = room.width * room.length;
+    const wallArea = 2 * (room.width + room.length) * room.height;
+    const surfaceArea = 2 * floorArea + wallArea;
+    const reflectance = (floorArea * reflectances.ceiling + floorArea * reflectances.floor + wallArea * reflectances.walls) / surfaceArea;
+
+    if (reflectance <= 0) return 0;
+    return flux * reflectance / (surfaceArea * Math.max(0.05, 1 - reflectance));
+}
+
+// Function to calculate illuminance over the working plane.
+// luminaires: [{ x, y, z, flux, intensity }] (intensity defaults to lambertianIntensity(flux)).
+// Returns { grid, values (values[row][column], lx), average, minimum, maximum, uniformity,
+// indirect } with maintained values (after the maintenance factor).
+function calculateIlluminance({
+    room,
+    luminaires,
+    reflectances = DEFAULT_REFLECTANCES,
+    workingPlaneHeight = DEFAULT_WORKING_PLANE_HEIGHT,
+    maintenanceFactor = DEFAULT_MAINTENANCE_FACTOR,
+    spacing,
+    margin
+}) {
+    if (!(room.width > 0 && room.length > 0 && room.height > workingPlaneHeight)) {
+        throw new Error('The room needs a width, a length and a height above the working plane');
+    }
+
+    const sources = luminaires.map(luminaire => ({
+        ...luminaire,
+        intensity: luminaire.intensity || lambertianIntensity(luminaire.flux)
+    }));
+    const totalFlux = luminaires.reduce((sum, luminaire) => sum + (luminaire.flux || 0), 0);
+    const indirect = interreflectedIlluminance(room, reflectances, totalFlux);
+
+    const grid = calculationGrid(room, spacing, margin);
+    const values = grid.ys.map(y => grid.xs.map(x =>
+        maintenanceFactor * (directIlluminance({ x, y, z: workingPlaneHeight }, sources) + indirect)
+    ));
+
+    const all = values.flat();
+    const average = all.reduce((sum, value) => sum + value, 0) / all.length;
+    const minimum = Math.min(...all);
+    return {
+        grid,
+        values,
+        average,
+        minimum,
+        maximum: Math.max(...all),
+        uniformity: average > 0 ? minimum / average : 0,
+        indirect: maintenanceFactor * indirect
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_WORKING_PLANE_HEIGHT,
+        DEFAULT_REFLECTANCES,
+        lambertianIntensity,
+        defaultGridSpacing,
+        calculationGrid,
+        directIlluminance,
+        interreflectedIlluminance,
+        calculateIlluminance
+    };
+}
@@ -0,0 +1,57 @@
+/**
+ * Image Gallery
+ * Navigation and preview bookkeeping for the thumbnail strip of an environment's photos
+ *
+ * This file contains:
+ * - The photo a key moves the gallery to (arrow keys with wrap-around, Home / End)
+ * - Whether a thumbnail's lit preview has to be drawn again for the current light
+ *
+ * The strip itself (thumbnails, lazy loading and drawing) is in classroom-simulator.js.
+ */
+
+
+/**
+ * Keyboard Navigation
+ */
+
+// Steps of the arrow keys: right / down is the next photo, left / up the previous one
+const GALLERY_KEY_STEPS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+// Function to get the index of the photo a key moves to from `index` among `count` photos,
+// or null for keys the gallery does not handle. The arrow keys wrap around at either end.
+function galleryKeyIndex(key, index, count) {
+    if (count < 1) return null;
+    if (key in GALLERY_KEY_STEPS) {
+        return ((index + GALLERY_KEY_STEPS[key]) % count + count) % count;
+    }
+    if (key === 'Home') return 0;
+    if (key === 'End') return count - 1;
+    return null;
+}
+
+/**
+ * Lit Previews
+ */
+
+// Function to check whether a thumbnail's preview has to be drawn for a light ({ cct, cri,
+// spectrum }): only once its photo has loaded, and only when it was last drawn with another
+// light (see markGalleryPreviewDrawn), so slider moves that keep the light source redraw nothing
+function galleryPreviewNeedsDrawing(thumbnail, light) {
+    if (!thumbnail || !thumbnail.source) return false;
+    const drawn = thumbnail.light;
+    return !drawn || drawn.cct !== light.cct || drawn.cri !== light.cri || drawn.spectrum !== light.spectrum;
+}
+
+// Function to record the light a thumbnail's preview was drawn with
+function markGalleryPreviewDrawn(thumbnail, light) {
+    thumbnail.light = { cct: light.cct, cri: light.cri, spectrum: light.spectrum };
+}
+
+// Export for tests (the browser uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        galleryKeyIndex,
+        galleryPreviewNeedsDrawing,
+        markGalleryPreviewDrawn
+    };
+}
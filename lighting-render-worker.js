@@ -0,0 +1,32 @@
+/**
+ * Lighting Render Worker
+ * Lights the photo off the main thread for browsers without WebGL 2 (see lighting-renderer.js)
+ *
+ * Messages:
+ * - { type: 'image', width, height, pixels } the working copy of the photo (RGBA bytes)
+ * - { type: 'veil', veil } the veil map for it (Float32Array or null)
+ * - { type: 'render', id, matrix, veilStrength } light the photo; answered with { id, bitmap }
+ */
+
+importScripts('colorimetry.js', 'lighting-renderer.js');
+
+let photo = null;
+let veilMap = null;
+let offscreen = null;
+let offscreenContext = null;
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'image') {
+        photo = new ImageData(data.pixels, data.width, data.height);
+        offscreen = new OffscreenCanvas(data.width, data.height);
+        offscreenContext = offscreen.getContext('2d');
+    } else if (data.type === 'veil') {
+        veilMap = data.veil;
+    } else if (data.type === 'render') {
+        const output = new ImageData(photo.width, photo.height);
+        shadeLightingPixels(photo.data, output.data, data.matrix, veilMap, data.veilStrength);
+        offscreenContext.putImageData(output, 0, 0);
+        const bitmap = offscreen.transferToImageBitmap();
+        self.postMessage({ id: data.id, bitmap }, [bitmap]);
+    }
+};
@@ -0,0 +1,373 @@
+/**
+ * Lighting Renderer
+ * Draws the photo under the simulated light off the main thread's pixel loop
+ *
+ * This file contains:
+ * - The display-sized working copy of a photo
+ * - The per-pixel lighting step (linearise, colour matrix plus veiling glare, re-encode)
+ * - Renderers for it: a WebGL 2 fragment shader, a Web Worker drawing on an OffscreenCanvas
+ *   (lighting-render-worker.js) and the main thread, tried in that order
+ * - Running a redraw at most once per animation frame
+ *
+ * A render job is { image (ImageData of the working copy), matrix (3x3 rows, linear sRGB), veil
+ * (Float32Array, one value per pixel, see glare.js), veilStrength }. The matrix and veil are
+ * worked out by the caller, so the colour science stays in colorimetry.js / spectral-rendering.js.
+ *
+ * Depends on colorimetry.js for the sRGB lookup tables.
+ */
+
+
+// Width of the working copy when the canvas has no size on the page yet (e.g. it is hidden)
+const DEFAULT_WORKING_WIDTH = 1280;
+
+// The worker script, next to this file (pages in sub-folders load this file with a relative path)
+const LIGHTING_WORKER_URL = typeof document !== 'undefined' && document.currentScript
+    ? new URL('lighting-render-worker.js', document.currentScript.src).href
+    : 'lighting-render-worker.js';
+
+const LIGHTING_VERTEX_SHADER = `#version 300 es
+in vec2 position;
+out vec2 uv;
+void main() {
+    // Image row 0 is the top of the canvas
+    uv = vec2(position.x * 0.5 + 0.5, 0.5 - position.y * 0.5);
+    gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+const LIGHTING_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+uniform sampler2D photo;
+uniform sampler2D veil;
+uniform mat3 lightMatrix;
+uniform float veilStrength;
+in vec2 uv;
+out vec4 colour;
+
+vec3 toLinear(vec3 c) {
+    return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+}
+
+vec3 toSrgb(vec3 c) {
+    c = clamp(c, 0.0, 1.0);
+    return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+}
+
+void main() {
+    vec4 pixel = texture(photo, uv);
+    // Veiling luminance is added in linear light, like scattered light in the eye
+    vec3 light = lightMatrix * toLinear(pixel.rgb) + veilStrength * texture(veil, uv).r;
+    colour = vec4(toSrgb(light), pixel.a);
+}`;
+
+/**
+ * Working Copy
+ */
+
+// Function to get the size of the working copy of a photo shown displayWidth CSS pixels wide:
+// the photo scaled down to the screen pixels it covers, never up
+function workingCopySize(imageWidth, imageHeight, displayWidth, pixelRatio = 1) {
+    const targetWidth = displayWidth > 0 ? displayWidth * (pixelRatio > 0 ? pixelRatio : 1) : DEFAULT_WORKING_WIDTH;
+    const scale = Math.min(1, targetWidth / imageWidth);
+    return {
+        width: Math.max(1, Math.round(imageWidth * scale)),
+        height: Math.max(1, Math.round(imageHeight * scale))
+    };
+}
+
+/**
+ * Pixel Step
+ */
+
+// Function to light the pixels of source (RGBA bytes) into output: each pixel is linearised,
+// multiplied by the matrix, has the veil added and is re-encoded to sRGB. Alpha is copied.
+function shadeLightingPixels(source, output, matrix, veil, veilStrength) {
+    const [m0, m1, m2] = matrix;
+    for (let i = 0; i < source.length; i += 4) {
+        const lr = SRGB_TO_LINEAR_LUT[source[i]];
+        const lg = SRGB_TO_LINEAR_LUT[source[i + 1]];
+        const lb = SRGB_TO_LINEAR_LUT[source[i + 2]];
+        const veiling = veil ? veilStrength * veil[i / 4] : 0;
+
+        output[i] = linearToSrgb8(m0[0] * lr + m0[1] * lg + m0[2] * lb + veiling);
+        output[i + 1] = linearToSrgb8(m1[0] * lr + m1[1] * lg + m1[2] * lb + veiling);
+        output[i + 2] = linearToSrgb8(m2[0] * lr + m2[1] * lg + m2[2] * lb + veiling);
+        output[i + 3] = source[i + 3];
+    }
+}
+
+/**
+ * Renderers
+ * Each has a name and render(target, job, onDrawn): it draws the job onto a 2D context the size
+ * of the job's image and calls onDrawn once it is on screen.
+ */
+
+// Function to create the main-thread renderer (always available)
+function createMainThreadRenderer() {
+    return {
+        name: 'main thread',
+        render(target, job, onDrawn) {
+            const { width, height, data } = job.image;
+            const output = new ImageData(width, height);
+            shadeLightingPixels(data, output.data, job.matrix, job.veil, job.veilStrength);
+            target.putImageData(output, 0, 0);
+            if (onDrawn) onDrawn();
+        }
+    };
+}
+
+// Function to compile the lighting shader program, or null when it does not compile
+function createLightingProgram(gl) {
+    const compile = (type, source) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.warn('Lighting shader did not compile:', gl.getShaderInfoLog(shader));
+            return null;
+        }
+        return shader;
+    };
+    const vertexShader = compile(gl.VERTEX_SHADER, LIGHTING_VERTEX_SHADER);
+    const fragmentShader = compile(gl.FRAGMENT_SHADER, LIGHTING_FRAGMENT_SHADER);
+    if (!vertexShader || !fragmentShader) return null;
+
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        console.warn('Lighting shader did not link:', gl.getProgramInfoLog(program));
+        return null;
+    }
+    return program;
+}
+
+// Function to create a texture sampled pixel for pixel (no filtering, clamped at the edges)
+function createPixelTexture(gl) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+}
+
+// Function to create the WebGL 2 renderer, or null without WebGL 2. It draws on a canvas of its
+// own and copies the result onto the target, so the page canvases keep their 2D contexts. The
+// photo and the veil are uploaded only when they change; a redraw sends the matrix and strength.
+function createWebGLRenderer() {
+    if (typeof document === 'undefined') return null;
+
+    const glCanvas = document.createElement('canvas');
+    const gl = glCanvas.getContext('webgl2', { alpha: true, premultipliedAlpha: false, antialias: false, depth: false });
+    if (!gl) return null;
+
+    const program = createLightingProgram(gl);
+    if (!program) return null;
+    gl.useProgram(program);
+
+    // One triangle covering the whole canvas
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'position');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    const imageTexture = createPixelTexture(gl);
+    const veilTexture = createPixelTexture(gl);
+    gl.uniform1i(gl.getUniformLocation(program, 'photo'), 0);
+    gl.uniform1i(gl.getUniformLocation(program, 'veil'), 1);
+    const matrixLocation = gl.getUniformLocation(program, 'lightMatrix');
+    const strengthLocation = gl.getUniformLocation(program, 'veilStrength');
+
+    let uploadedImage = null;
+    let uploadedVeil = null;
+    let lost = false;
+    glCanvas.addEventListener('webglcontextlost', event => {
+        event.preventDefault();
+        lost = true;
+    });
+
+    return {
+        name: 'WebGL',
+        render(target, job, onDrawn) {
+            if (lost) throw new Error('The WebGL context was lost');
+
+            const { width, height } = job.image;
+            if (glCanvas.width !== width || glCanvas.height !== height) {
+                glCanvas.width = width;
+                glCanvas.height = height;
+                gl.viewport(0, 0, width, height);
+            }
+            if (job.image !== uploadedImage) {
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D, imageTexture);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, job.image);
+                uploadedImage = job.image;
+            }
+            if (job.veil !== uploadedVeil) {
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, veilTexture);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, width, height, 0, gl.RED, gl.FLOAT, job.veil || new Float32Array(width * height));
+                uploadedVeil = job.veil;
+            }
+
+            // GLSL matrices are column-major
+            const [m0, m1, m2] = job.matrix;
+            gl.uniformMatrix3fv(matrixLocation, false, [m0[0], m1[0], m2[0], m0[1], m1[1], m2[1], m0[2], m1[2], m2[2]]);
+            gl.uniform1f(strengthLocation, job.veil ? job.veilStrength : 0);
+            gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+            // Copied in the same task, before the drawing buffer is cleared
+            target.drawImage(glCanvas, 0, 0);
+            if (onDrawn) onDrawn();
+        }
+    };
+}
+
+// Function to create the Web Worker renderer, or null without workers or OffscreenCanvas. Jobs
+// are sent to lighting-render-worker.js and drawn when the lit image comes back; while a target
+// waits for one, only its latest job is kept. onError is called if the worker fails.
+function createWorkerRenderer(onError) {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+        return null;
+    }
+
+    const worker = new Worker(LIGHTING_WORKER_URL);
+    const targets = new Map();
+    const callbacks = new Map();
+    let nextId = 1;
+    let sentImage = null;
+    let sentVeil = null;
+
+    const send = (target, job, onDrawn) => {
+        if (job.image !== sentImage) {
+            const pixels = new Uint8ClampedArray(job.image.data);
+            worker.postMessage({ type: 'image', width: job.image.width, height: job.image.height, pixels }, [pixels.buffer]);
+            sentImage = job.image;
+        }
+        if (job.veil !== sentVeil) {
+            const veil = job.veil ? new Float32Array(job.veil) : null;
+            worker.postMessage({ type: 'veil', veil }, veil ? [veil.buffer] : []);
+            sentVeil = job.veil;
+        }
+
+        const id = nextId++;
+        callbacks.set(id, { target, onDrawn });
+        targets.set(target, { busy: true, pending: null });
+        worker.postMessage({ type: 'render', id, matrix: job.matrix, veilStrength: job.veilStrength });
+    };
+
+    worker.onmessage = ({ data }) => {
+        const { target, onDrawn } = callbacks.get(data.id);
+        callbacks.delete(data.id);
+        target.drawImage(data.bitmap, 0, 0);
+        data.bitmap.close();
+        if (onDrawn) onDrawn();
+
+        const state = targets.get(target);
+        if (state.pending) {
+            send(target, state.pending.job, state.pending.onDrawn);
+        } else {
+            state.busy = false;
+        }
+    };
+    worker.onerror = event => {
+        event.preventDefault();
+        worker.terminate();
+        onError(new Error(event.message || 'The lighting worker failed'));
+    };
+
+    return {
+        name: 'Web Worker',
+        render(target, job, onDrawn) {
+            const state = targets.get(target);
+            if (state?.busy) {
+                state.pending = { job, onDrawn };
+            } else {
+                send(target, job, onDrawn);
+            }
+        }
+    };
+}
+
+// Function to create the lighting renderer: WebGL 2 where the browser has it, else a Web Worker,
+// else the main thread. If the renderer in use fails, the main thread takes over and redraws
+// the last job of each target.
+function createLightingRenderer() {
+    const lastJobs = new Map();
+    let renderer = null;
+
+    const fallBack = error => {
+        console.warn(`Lighting renderer (${renderer.name}) failed, drawing on the main thread instead:`, error);
+        renderer = createMainThreadRenderer();
+        lastJobs.forEach(({ job, onDrawn }, target) => renderer.render(target, job, onDrawn));
+    };
+
+    for (const create of [createWebGLRenderer, () => createWorkerRenderer(fallBack)]) {
+        try {
+            renderer = create();
+        } catch (error) {
+            console.warn('Lighting renderer not available:', error);
+            renderer = null;
+        }
+        if (renderer) break;
+    }
+    renderer = renderer || createMainThreadRenderer();
+
+    return {
+        get name() {
+            return renderer.name;
+        },
+        render(target, job, onDrawn) {
+            lastJobs.set(target, { job, onDrawn });
+            try {
+                renderer.render(target, job, onDrawn);
+            } catch (error) {
+                fallBack(error);
+            }
+        }
+    };
+}
+
+/**
+ * Frame Scheduling
+ */
+
+// Function to wrap a redraw so that it runs at most once per animation frame, however often it is
+// requested: { request(), flush() (run a waiting redraw now), cancel() }
+function createFrameScheduler(callback, requestFrame = fn => window.requestAnimationFrame(fn), cancelFrame = id => window.cancelAnimationFrame(id)) {
+    let frame = null;
+    const run = () => {
+        frame = null;
+        callback();
+    };
+    return {
+        request() {
+            if (frame === null) {
+                frame = requestFrame(run);
+            }
+        },
+        flush() {
+            if (frame !== null) {
+                cancelFrame(frame);
+                run();
+            }
+        },
+        cancel() {
+            if (frame !== null) {
+                cancelFrame(frame);
+                frame = null;
+            }
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        workingCopySize,
+        shadeLightingPixels,
+        createFrameScheduler
+    };
+}
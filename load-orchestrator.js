@@ -0,0 +1,157 @@
+/**
+ * Load Orchestrator
+ * Loads the simulator's resources as promises, with the overall progress and a retry for each
+ * resource that fails
+ *
+ * This file contains:
+ * - Load tasks with dependencies, weights and progress
+ * - The overall percentage and the status of each task
+ * - Retrying a failed task (the tasks waiting for it carry on once it succeeds)
+ * - Loading and decoding an image
+ *
+ * A task is { id, label, run(results, report), after, weight }. run gets the results of the
+ * tasks listed in after (by id) and a report(fraction) callback for its own progress, and
+ * returns the task's result or a promise of it. weight (default 1) is its share of the progress.
+ */
+
+
+/**
+ * Orchestration
+ */
+
+// Function to create a loader for a list of tasks. onChange(state) is called whenever a task
+// starts, reports progress, finishes or fails, with the state from getState().
+function createLoadOrchestrator(tasks, onChange = () => {}) {
+    const entries = new Map();
+    tasks.forEach(task => {
+        if (entries.has(task.id)) {
+            throw new Error(`Two load tasks are called "${task.id}"`);
+        }
+        let resolve;
+        const succeeded = new Promise(done => { resolve = done; });
+        entries.set(task.id, {
+            id: task.id,
+            label: task.label || task.id,
+            run: task.run,
+            after: task.after || [],
+            weight: task.weight ?? 1,
+            status: 'waiting',
+            progress: 0,
+            error: null,
+            result: undefined,
+            succeeded,
+            resolve
+        });
+    });
+    entries.forEach(entry => {
+        entry.after.forEach(id => {
+            if (!entries.has(id)) {
+                throw new Error(`Load task "${entry.id}" waits for an unknown task "${id}"`);
+            }
+        });
+    });
+
+    let started = null;
+
+    // Function to get { percent, failed, tasks: [{ id, label, status, progress, error }] }; a task
+    // is 'waiting' (for the tasks it depends on), 'loading', 'done' or 'failed'
+    const getState = () => {
+        let total = 0;
+        let loaded = 0;
+        const list = [];
+        entries.forEach(entry => {
+            total += entry.weight;
+            loaded += entry.weight * (entry.status === 'done' ? 1 : entry.status === 'loading' ? entry.progress : 0);
+            list.push({ id: entry.id, label: entry.label, status: entry.status, progress: entry.progress, error: entry.error });
+        });
+        return {
+            percent: total > 0 ? loaded / total * 100 : 100,
+            failed: list.some(task => task.status === 'failed'),
+            tasks: list
+        };
+    };
+    const notify = () => onChange(getState());
+
+    // Function to run a task whose dependencies have all succeeded
+    const attempt = async entry => {
+        entry.status = 'loading';
+        entry.progress = 0;
+        entry.error = null;
+        notify();
+
+        const results = {};
+        entry.after.forEach(id => { results[id] = entries.get(id).result; });
+        const report = fraction => {
+            if (entry.status !== 'loading') return;
+            entry.progress = Math.max(0, Math.min(1, fraction));
+            notify();
+        };
+
+        try {
+            entry.result = await entry.run(results, report);
+            entry.status = 'done';
+            entry.progress = 1;
+            notify();
+            entry.resolve(entry.result);
+        } catch (error) {
+            console.error(`Failed to load ${entry.label}:`, error);
+            entry.status = 'failed';
+            entry.error = error;
+            notify();
+        }
+    };
+
+    return {
+        // Function to start every task (each once its dependencies have succeeded). The promise
+        // resolves with the results by task id once all have succeeded, after any retries.
+        start() {
+            if (!started) {
+                entries.forEach(entry => {
+                    Promise.all(entry.after.map(id => entries.get(id).succeeded)).then(() => attempt(entry));
+                });
+                started = Promise.all(Array.from(entries.values(), entry => entry.succeeded)).then(() => {
+                    const results = {};
+                    entries.forEach(entry => { results[entry.id] = entry.result; });
+                    return results;
+                });
+                notify();
+            }
+            return started;
+        },
+
+        // Function to run a failed task again; returns false when the task has not failed
+        retry(id) {
+            const entry = entries.get(id);
+            if (!entry || entry.status !== 'failed') return false;
+            attempt(entry);
+            return true;
+        },
+
+        getState
+    };
+}
+
+/**
+ * Image Loading
+ */
+
+// Function to load an image and decode it, so it can be drawn at once without a pause.
+// Resolves with the image element.
+function decodeImage(src) {
+    const image = new Image();
+    const loaded = new Promise((resolve, reject) => {
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load the image ${src}`));
+    });
+    image.src = src;
+    if (typeof image.decode !== 'function') return loaded;
+
+    // decode() rejects without a reason when the image is broken; report it as a load error
+    return image.decode().then(() => image, () => loaded.then(() => image));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createLoadOrchestrator
+    };
+}
@@ -0,0 +1,126 @@
+/**
+ * Luminaire Catalogue
+ * Luminaires imported from photometric files, kept in localStorage so they can be reused
+ *
+ * This file contains:
+ * - Reading and writing the catalogue
+ * - Adding and removing luminaires
+ *
+ * An entry is a luminaire from photometry.js with an id and the file it came from:
+ * { id, fileName, imported_at, name, manufacturer, catalogueNumber, format, lumens, watts, cct,
+ * cri, width, length, verticalAngles, horizontalAngles, candela }.
+ */
+
+
+const LUMINAIRE_STORAGE_KEY = 'lightingSimulator.luminaires';
+
+/**
+ * Validation Functions
+ */
+
+// Function to check one catalogue entry, returning a cleaned copy or throwing with the reason
+function normalizeCatalogueLuminaire(luminaire, label = 'Luminaire') {
+    if (!luminaire || typeof luminaire !== 'object') {
+        throw new Error(`${label} is not an object`);
+    }
+
+    const name = typeof luminaire.name === 'string' ? luminaire.name.trim() : '';
+    if (!name) {
+        throw new Error(`${label} has no name`);
+    }
+
+    const { verticalAngles, horizontalAngles, candela } = luminaire;
+    const numbers = (values) => Array.isArray(values) && values.length > 0 && values.every(Number.isFinite);
+    if (!numbers(verticalAngles) || !numbers(horizontalAngles) || !Array.isArray(candela)
+        || candela.length !== horizontalAngles.length
+        || !candela.every(plane => numbers(plane) && plane.length === verticalAngles.length)) {
+        throw new Error(`${label} ("${name}") has no usable intensity table`);
+    }
+
+    const positive = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    return {
+        id: text(luminaire.id) || luminaireId(luminaire),
+        fileName: text(luminaire.fileName),
+        imported_at: typeof luminaire.imported_at === 'string' ? luminaire.imported_at : new Date().toISOString(),
+        name,
+        manufacturer: text(luminaire.manufacturer),
+        catalogueNumber: text(luminaire.catalogueNumber),
+        format: luminaire.format === 'LDT' ? 'LDT' : 'IES',
+        lumens: positive(luminaire.lumens) || 0,
+        ratedLumens: positive(luminaire.ratedLumens),
+        watts: positive(luminaire.watts),
+        cct: positive(luminaire.cct),
+        cri: positive(luminaire.cri),
+        width: positive(luminaire.width) || 0,
+        length: positive(luminaire.length) || 0,
+        round: Boolean(luminaire.round),
+        verticalAngles,
+        horizontalAngles,
+        candela
+    };
+}
+
+// Function to build the id of a luminaire from its maker, catalogue number and name, so importing
+// the same file again replaces the entry
+function luminaireId(luminaire) {
+    return [luminaire.format, luminaire.manufacturer, luminaire.catalogueNumber || luminaire.name]
+        .map(part => String(part || '').trim().toLowerCase())
+        .join('|');
+}
+
+/**
+ * Catalogue Functions
+ */
+
+// Function to read the catalogue (sorted by name). A damaged entry is skipped rather than losing
+// the whole catalogue.
+function loadLuminaireCatalogue(storage = window.localStorage) {
+    let stored;
+    try {
+        stored = JSON.parse(storage.getItem(LUMINAIRE_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('Luminaire catalogue could not be read:', error);
+        return [];
+    }
+
+    const luminaires = [];
+    (Array.isArray(stored) ? stored : []).forEach((luminaire, i) => {
+        try {
+            luminaires.push(normalizeCatalogueLuminaire(luminaire, `Catalogue luminaire ${i + 1}`));
+        } catch (error) {
+            console.warn(error.message);
+        }
+    });
+    return sortLuminaires(luminaires);
+}
+
+// Function to sort luminaires by name (numbers in names sort naturally)
+function sortLuminaires(luminaires) {
+    return [...luminaires].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+}
+
+// Function to add an imported luminaire (replacing one with the same id); returns the entry added
+function addLuminaireToCatalogue(luminaire, fileName, storage = window.localStorage) {
+    const entry = normalizeCatalogueLuminaire({ ...luminaire, fileName, imported_at: new Date().toISOString() });
+    const luminaires = loadLuminaireCatalogue(storage).filter(existing => existing.id !== entry.id);
+    storage.setItem(LUMINAIRE_STORAGE_KEY, JSON.stringify(sortLuminaires([...luminaires, entry])));
+    return entry;
+}
+
+// Function to remove a luminaire from the catalogue by id
+function removeLuminaireFromCatalogue(id, storage = window.localStorage) {
+    const luminaires = loadLuminaireCatalogue(storage).filter(luminaire => luminaire.id !== id);
+    storage.setItem(LUMINAIRE_STORAGE_KEY, JSON.stringify(luminaires));
+    return luminaires;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LUMINAIRE_STORAGE_KEY,
+        normalizeCatalogueLuminaire,
+        loadLuminaireCatalogue,
+        addLuminaireToCatalogue,
+        removeLuminaireFromCatalogue
+    };
+}
@@ -0,0 +1,43 @@
+/**
+ * Offline Support
+ * Registers the service worker (service-worker.js) that caches the simulator for use without a
+ * network, and shows whether the page is offline and which version of the standards data it uses
+ *
+ * Pages show the indicator in an element with id="offlineStatus".
+ */
+
+
+// Version of the standards data the page loaded (see standardsDataVersion in standards-loader.js)
+let offlineDataVersion = null;
+
+// Function to register the service worker (pages opened from file:// cannot have one)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('service-worker.js')
+        .catch(error => console.warn('Service worker registration failed:', error));
+    // The indicator appears once the worker has cached the simulator and controls the page
+    navigator.serviceWorker.addEventListener('controllerchange', () => updateOfflineStatus());
+}
+
+// Function to show whether the page is offline (or ready to be) and the standards data version
+function updateOfflineStatus(dataVersion = offlineDataVersion) {
+    offlineDataVersion = dataVersion;
+    const status = document.getElementById('offlineStatus');
+    if (!status) return;
+
+    const offline = !navigator.onLine;
+    const cached = Boolean(navigator.serviceWorker?.controller);
+    const version = offlineDataVersion ? `, data version ${offlineDataVersion}` : '';
+    status.hidden = !offline && !cached;
+    status.className = `badge ${offline ? 'text-bg-warning' : 'text-bg-secondary'}`;
+    status.textContent = offline ? `Offline${version}` : `Available offline${version}`;
+    status.title = offline
+        ? 'No network: the simulator is running from the copy cached in this browser'
+        : 'The simulator and its standards data are cached in this browser for use without a network';
+}
+
+window.addEventListener('online', () => updateOfflineStatus());
+window.addEventListener('offline', () => updateOfflineStatus());
+document.addEventListener('DOMContentLoaded', () => updateOfflineStatus());
+registerServiceWorker();
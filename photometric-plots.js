@@ -0,0 +1,283 @@
+/**
+ * Photometric Plots
+ * The engineering view of the lighting: a polar candela diagram and an isolux map
+ *
+ * This file contains:
+ * - The polar intensity diagram of a luminaire (C0-C180 and C90-C270 planes, cd/klm)
+ * - Contour lines of a value grid (marching squares) and rounded contour levels
+ * - The isolux map of the working plane, coloured against a recommended lux range
+ *
+ * Luminaires are drawn from an intensity(gamma, c) function as in illuminance.js and
+ * photometry.js; the isolux map from a calculateIlluminance() result on a fine grid.
+ */
+
+
+const PLOT_BACKGROUND = '#111';
+const PLOT_GRID_COLOUR = 'rgba(255, 255, 255, 0.2)';
+const PLOT_TEXT_COLOUR = 'rgba(255, 255, 255, 0.8)';
+
+// Curve colours of the two planes in the polar diagram
+const C0_PLANE_COLOUR = '#ffc107';
+const C90_PLANE_COLOUR = '#0dcaf0';
+
+// Grid points along the longer side of the room for the isolux map
+const ISOLUX_RESOLUTION = 80;
+
+// Isolux colours: too dark (at 0 lx and at the minimum), within the range (low and high end) and too bright
+const ISOLUX_COLOURS = {
+    dark: [80, 16, 24],
+    belowRange: [253, 126, 20],
+    rangeLow: [25, 135, 84],
+    rangeHigh: [117, 183, 152],
+    aboveRange: [13, 110, 253]
+};
+
+/**
+ * Scales and Colours
+ */
+
+// Function to get a round step (1, 2, 2.5 or 5 times a power of ten) that splits a span into
+// about count parts
+function niceStep(span, count) {
+    if (!(span > 0)) return 1;
+    const raw = span / count;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const multiple = [1, 2, 2.5, 5, 10].find(step => step * power >= raw);
+    return multiple * power;
+}
+
+// Function to get the contour levels between a minimum and maximum, at round steps
+function contourLevels(minimum, maximum, count = 6) {
+    const step = niceStep(maximum - minimum, count);
+    const levels = [];
+    for (let level = Math.ceil(minimum / step) * step; level <= maximum; level += step) {
+        if (level > minimum) levels.push(Math.round(level * 1000) / 1000);
+    }
+    return levels;
+}
+
+// Function to mix two colours (t from 0 to 1)
+function mixColour(from, to, t) {
+    const weight = Math.max(0, Math.min(1, t));
+    return from.map((value, i) => Math.round(value + (to[i] - value) * weight));
+}
+
+// Function to get the isolux colour [r, g, b] of an illuminance against a range { min, max }:
+// red to orange below the minimum, greens within the range and blue above it
+function isoluxColour(value, range) {
+    if (value < range.min) {
+        return mixColour(ISOLUX_COLOURS.dark, ISOLUX_COLOURS.belowRange, value / range.min);
+    }
+    if (value <= range.max) {
+        return mixColour(ISOLUX_COLOURS.rangeLow, ISOLUX_COLOURS.rangeHigh, (value - range.min) / Math.max(1, range.max - range.min));
+    }
+    return ISOLUX_COLOURS.aboveRange;
+}
+
+/**
+ * Contours
+ */
+
+// Function to find the contour line of a level through a grid of values (values[row][column]),
+// as line segments [[column, row], [column, row]] in grid coordinates (marching squares)
+function contourSegments(values, level) {
+    const segments = [];
+    for (let row = 0; row < values.length - 1; row++) {
+        for (let column = 0; column < values[row].length - 1; column++) {
+            const corners = [
+                [column, row, values[row][column]],
+                [column + 1, row, values[row][column + 1]],
+                [column + 1, row + 1, values[row + 1][column + 1]],
+                [column, row + 1, values[row + 1][column]]
+            ];
+
+            // Where the level crosses each edge (top, right, bottom, left)
+            const crossings = [];
+            for (let edge = 0; edge < 4; edge++) {
+                const [x1, y1, v1] = corners[edge];
+                const [x2, y2, v2] = corners[(edge + 1) % 4];
+                if ((v1 < level) !== (v2 < level)) {
+                    const t = (level - v1) / (v2 - v1);
+                    crossings.push([x1 + (x2 - x1) * t, y1 + (y2 - y1) * t]);
+                }
+            }
+
+            // Two crossings make one segment; a saddle (four) makes two
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                segments.push([crossings[i], crossings[i + 1]]);
+            }
+        }
+    }
+    return segments;
+}
+
+/**
+ * Polar Diagram
+ */
+
+// Function to draw the polar intensity diagram of a luminaire in cd/klm: C0-C180 (solid) and
+// C90-C270 (dashed), 0° straight down at the bottom
+function drawPolarDiagram(canvas, intensity, flux) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const radius = Math.min(width, height) / 2 - 24;
+    const perKilolumen = flux > 0 ? 1000 / flux : 1;
+
+    const planes = [
+        { right: 0, left: 180, colour: C0_PLANE_COLOUR, dash: [], label: 'C0 - C180' },
+        { right: 90, left: 270, colour: C90_PLANE_COLOUR, dash: [6, 4], label: 'C90 - C270' }
+    ];
+    const gammas = Array.from({ length: 91 }, (value, i) => i * 2);
+    planes.forEach(plane => {
+        plane.points = [
+            ...gammas.map(gamma => ({ gamma, side: 1, value: intensity(gamma, plane.right) * perKilolumen })),
+            ...gammas.slice().reverse().map(gamma => ({ gamma, side: -1, value: intensity(gamma, plane.left) * perKilolumen }))
+        ];
+    });
+    const peak = Math.max(1, ...planes.flatMap(plane => plane.points.map(point => point.value)));
+    const step = niceStep(peak, 4);
+    const scale = radius / (Math.ceil(peak / step) * step);
+
+    context.fillStyle = PLOT_BACKGROUND;
+    context.fillRect(0, 0, width, height);
+    context.lineWidth = 1;
+    context.strokeStyle = PLOT_GRID_COLOUR;
+    context.fillStyle = PLOT_TEXT_COLOUR;
+    context.font = '10px sans-serif';
+
+    // Intensity rings, labelled along the downward axis
+    for (let value = step; value * scale <= radius + 0.5; value += step) {
+        context.beginPath();
+        context.arc(centerX, centerY, value * scale, 0, 2 * Math.PI);
+        context.stroke();
+        context.fillText(String(Math.round(value)), centerX + 3, centerY + value * scale - 2);
+    }
+
+    // Angle lines every 30°, 0° at the bottom
+    for (let angle = 0; angle < 360; angle += 30) {
+        const radians = angle * Math.PI / 180;
+        context.beginPath();
+        context.moveTo(centerX, centerY);
+        context.lineTo(centerX + radius * Math.sin(radians), centerY + radius * Math.cos(radians));
+        context.stroke();
+        const label = angle <= 180 ? angle : 360 - angle;
+        context.fillText(`${label}°`, centerX + (radius + 12) * Math.sin(radians) - 8, centerY + (radius + 12) * Math.cos(radians) + 4);
+    }
+
+    planes.forEach((plane, i) => {
+        context.strokeStyle = plane.colour;
+        context.lineWidth = 2;
+        context.setLineDash(plane.dash);
+        context.beginPath();
+        plane.points.forEach((point, j) => {
+            const radians = point.gamma * Math.PI / 180;
+            const x = centerX + point.side * point.value * scale * Math.sin(radians);
+            const y = centerY + point.value * scale * Math.cos(radians);
+            if (j === 0) context.moveTo(x, y);
+            else context.lineTo(x, y);
+        });
+        context.stroke();
+        context.setLineDash([]);
+
+        context.fillStyle = plane.colour;
+        context.fillText(plane.label, 6, 14 + i * 14);
+    });
+    context.fillStyle = PLOT_TEXT_COLOUR;
+    context.fillText('cd/klm', width - 44, 14);
+}
+
+/**
+ * Isolux Map
+ */
+
+// Function to draw the isolux map of the working plane from a fine calculateIlluminance() result:
+// the room in plan (y = 0 at the bottom) coloured against range { min, max }, contour lines with
+// the range limits drawn thicker, the luminaires and the calculation area inside the wall margin
+function drawIsoluxMap(canvas, result, { room, range, luminaires = [], margin = 0 }) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const padding = 24;
+    const scale = Math.min((width - 2 * padding) / room.width, (height - 2 * padding) / room.length);
+    const left = (width - room.width * scale) / 2;
+    const bottom = (height + room.length * scale) / 2;
+    const toCanvas = (x, y) => [left + x * scale, bottom - y * scale];
+    const { xs, ys } = result.grid;
+
+    context.fillStyle = PLOT_BACKGROUND;
+    context.fillRect(0, 0, width, height);
+
+    // Each grid point colours the cell around it
+    const cellWidth = room.width / xs.length * scale;
+    const cellHeight = room.length / ys.length * scale;
+    result.values.forEach((row, r) => row.forEach((value, c) => {
+        const colour = range ? isoluxColour(value, range) : mixColour(ISOLUX_COLOURS.dark, [255, 255, 255], value / result.maximum);
+        const [x, y] = toCanvas(xs[c], ys[r]);
+        context.fillStyle = `rgb(${colour.join(', ')})`;
+        context.fillRect(x - cellWidth / 2, y - cellHeight / 2, cellWidth + 0.5, cellHeight + 0.5);
+    }));
+
+    // Contour lines; grid coordinates are turned into room positions between the grid points
+    const toRoom = ([column, row]) => {
+        const x = xs[0] + column * (xs[xs.length - 1] - xs[0]) / Math.max(1, xs.length - 1);
+        const y = ys[0] + row * (ys[ys.length - 1] - ys[0]) / Math.max(1, ys.length - 1);
+        return toCanvas(x, y);
+    };
+    const limits = range ? [range.min, range.max] : [];
+    const levels = [...new Set([...contourLevels(result.minimum, result.maximum), ...limits])]
+        .filter(level => level > result.minimum && level < result.maximum);
+    context.font = '10px sans-serif';
+    levels.forEach(level => {
+        const segments = contourSegments(result.values, level);
+        const limit = limits.includes(level);
+        context.strokeStyle = limit ? '#fff' : 'rgba(0, 0, 0, 0.6)';
+        context.lineWidth = limit ? 2 : 1;
+        context.beginPath();
+        segments.forEach(([from, to]) => {
+            context.moveTo(...toRoom(from));
+            context.lineTo(...toRoom(to));
+        });
+        context.stroke();
+
+        // Label the contour near the middle of its segments
+        const middle = segments[Math.floor(segments.length / 2)];
+        if (middle) {
+            const [x, y] = toRoom(middle[0]);
+            context.fillStyle = limit ? '#fff' : 'rgba(0, 0, 0, 0.8)';
+            context.fillText(String(Math.round(level)), x + 2, y - 2);
+        }
+    });
+
+    // Room outline and the calculation area inside the wall margin
+    context.strokeStyle = PLOT_TEXT_COLOUR;
+    context.lineWidth = 1;
+    context.strokeRect(left, bottom - room.length * scale, room.width * scale, room.length * scale);
+    if (margin > 0 && room.width > 2 * margin && room.length > 2 * margin) {
+        context.setLineDash([4, 4]);
+        context.strokeRect(left + margin * scale, bottom - (room.length - margin) * scale, (room.width - 2 * margin) * scale, (room.length - 2 * margin) * scale);
+        context.setLineDash([]);
+    }
+
+    // Luminaires
+    context.fillStyle = C0_PLANE_COLOUR;
+    context.strokeStyle = PLOT_BACKGROUND;
+    luminaires.forEach(luminaire => {
+        const [x, y] = toCanvas(luminaire.x, luminaire.y);
+        context.fillRect(x - 4, y - 4, 8, 8);
+        context.strokeRect(x - 4, y - 4, 8, 8);
+    });
+
+    context.fillStyle = PLOT_TEXT_COLOUR;
+    context.fillText(`${room.width} m`, left + room.width * scale / 2 - 10, bottom + 14);
+    context.fillText(`${room.length} m`, left - 22, bottom - room.length * scale / 2);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        niceStep,
+        contourLevels,
+        isoluxColour,
+        contourSegments
+    };
+}
@@ -0,0 +1,304 @@
+/**
+ * Photometry
+ * Reads luminaire photometric files: IESNA LM-63 (.ies) and EULUMDAT (.ldt)
+ *
+ * This file contains:
+ * - IES and LDT parsing into one luminaire description
+ * - The luminous intensity in any direction (interpolated, with the file's symmetry)
+ * - The luminous flux of the luminaire, integrated from its intensities
+ *
+ * A luminaire is { name, manufacturer, catalogueNumber, format, lumens, watts, cct, cri, width,
+ * length, verticalAngles, horizontalAngles, candela }. width and length are the luminous area (m);
+ * candela[h][v] is in cd for horizontalAngles[h] (C planes) and verticalAngles[v] (gamma, 0° straight
+ * down). Only type C photometry (the usual one for indoor luminaires) is read. cct and cri are null
+ * when the file doesn't give them.
+ */
+
+
+// Metres per foot, for IES files measured in feet
+const FEET_TO_METRES = 0.3048;
+
+// Lowest Ra of each CIE colour rendering group, as used in EULUMDAT files
+const CRI_GROUPS = { '1A': 90, '1B': 80, '2A': 70, '2B': 60, '3': 40, '4': 20 };
+
+/**
+ * Parsing Functions
+ */
+
+// Function to find a colour temperature (K) in free text such as "LED 4000K" or "CCT 3000"
+function findColourTemperature(text) {
+    const match = String(text || '').match(/(\d{4})\s*K\b/i) || String(text || '').match(/^\s*(\d{4})\s*$/);
+    return match ? Number(match[1]) : null;
+}
+
+// Function to find a colour rendering index in free text such as "CRI 80", "Ra>90", "840" or a
+// CIE group ("1B"). Groups give their lowest Ra.
+function findColourRendering(text) {
+    const value = String(text || '').trim();
+    const explicit = value.match(/\b(?:CRI|Ra)\s*[>=≥]*\s*(\d{2})/i) || value.match(/^(\d{2,3})(?:\s*-\s*\d{2,3})?$/);
+    if (explicit && Number(explicit[1]) <= 100) {
+        return Number(explicit[1]);
+    }
+    const group = value.toUpperCase().match(/^(1A|1B|2A|2B|3|4)$/);
+    if (group) {
+        return CRI_GROUPS[group[1]];
+    }
+    // Lamp colour codes: 840 is Ra 80+ at 4000 K
+    const code = value.match(/\b([89])(2[7-9]|3\d|4\d|5\d|6[05])\b/);
+    return code ? Number(code[1]) * 10 : null;
+}
+
+// Function to parse an IESNA LM-63 file (1995, 2002 or 2019)
+function parseIES(text) {
+    const lines = String(text).split(/\r?\n/);
+    const keywords = {};
+    let tiltLine = -1;
+    let lastKeyword = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (/^TILT\s*=/i.test(line)) {
+            tiltLine = i;
+            break;
+        }
+        const keyword = line.match(/^\[(\w+)\]\s*(.*)$/);
+        if (keyword) {
+            const key = keyword[1].toUpperCase();
+            // [MORE] continues the previous keyword
+            if (key === 'MORE' && lastKeyword) {
+                keywords[lastKeyword] += ` ${keyword[2]}`;
+            } else {
+                keywords[key] = keyword[2].trim();
+                lastKeyword = key;
+            }
+        }
+    }
+    if (tiltLine < 0) {
+        throw new Error('Not an IES file (no TILT= line)');
+    }
+
+    const numbers = lines.slice(tiltLine + 1).join(' ').split(/[\s,]+/).filter(Boolean).map(Number);
+    let position = 0;
+    const take = (count) => {
+        const values = numbers.slice(position, position + count);
+        position += count;
+        if (values.length < count || !values.every(Number.isFinite)) {
+            throw new Error('IES file ends early or has non-numeric photometric data');
+        }
+        return values;
+    };
+
+    // Lamp tilt data only applies to lamps burning at an angle; it is skipped
+    if (/^TILT\s*=\s*INCLUDE/i.test(lines[tiltLine].trim())) {
+        const [, tiltCount] = take(2);
+        take(2 * tiltCount);
+    }
+
+    const [lampCount, lumensPerLamp, multiplier, verticalCount, horizontalCount, photometricType, unitsType, width, length] = take(10);
+    const [ballastFactor, , inputWatts] = take(3);
+    if (photometricType !== 1) {
+        throw new Error(`Only type C photometry is supported (the file is type ${photometricType === 2 ? 'B' : 'A'})`);
+    }
+
+    const verticalAngles = take(verticalCount);
+    const horizontalAngles = take(horizontalCount);
+    const candela = horizontalAngles.map(() => take(verticalCount).map(value => value * multiplier * (ballastFactor || 1)));
+
+    // Negative dimensions describe a round luminous area of that diameter
+    const units = unitsType === 1 ? FEET_TO_METRES : 1;
+    const round = width < 0 || length < 0;
+    const luminaire = {
+        name: keywords.LUMINAIRE || keywords.LUMCAT || 'IES luminaire',
+        manufacturer: keywords.MANUFAC || '',
+        catalogueNumber: keywords.LUMCAT || '',
+        format: 'IES',
+        lumens: 0,
+        ratedLumens: lumensPerLamp > 0 ? lampCount * lumensPerLamp : null,
+        watts: inputWatts > 0 ? inputWatts : null,
+        cct: findColourTemperature(keywords._CCT || keywords.CCT || keywords.COLORTEMP || keywords._COLORTEMP || keywords.LAMP || keywords.LUMINAIRE),
+        cri: findColourRendering(keywords._CRI || keywords.CRI || keywords._RA || keywords.LAMP || ''),
+        width: Math.abs(width) * units,
+        length: Math.abs(round ? width || length : length) * units,
+        round,
+        verticalAngles,
+        horizontalAngles,
+        candela
+    };
+    luminaire.lumens = integrateFlux(luminaire);
+    return luminaire;
+}
+
+// Function to parse a EULUMDAT file. Intensities in the file are cd per 1000 lm of lamp flux
+// and are converted to cd.
+function parseLDT(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim());
+    if (lines.length < 42) {
+        throw new Error('Not a EULUMDAT file (too short)');
+    }
+
+    const number = (index, label) => {
+        const value = Number(String(lines[index]).replace(',', '.'));
+        if (!Number.isFinite(value)) {
+            throw new Error(`EULUMDAT line ${index + 1} (${label}) is not a number`);
+        }
+        return value;
+    };
+
+    const symmetry = number(2, 'symmetry');
+    const planeCount = number(3, 'number of C planes');
+    const gammaCount = number(5, 'number of gamma angles');
+    const lampSets = number(25, 'number of lamp sets');
+    if (![0, 1, 2, 3, 4].includes(symmetry)) {
+        throw new Error(`Unknown EULUMDAT symmetry ${symmetry}`);
+    }
+
+    // Each lamp set field takes one line per set: counts, types, fluxes, CCTs, CRIs, wattages
+    const field = (offset) => lines.slice(26 + offset * lampSets, 26 + (offset + 1) * lampSets);
+    const lampFlux = field(2).reduce((sum, value) => sum + Math.abs(Number(value.replace(',', '.')) || 0), 0);
+    const watts = field(5).reduce((sum, value) => sum + (Number(value.replace(',', '.')) || 0), 0);
+    const conversion = number(23, 'conversion factor') || 1;
+
+    // The rest is numbers: 10 direct ratios, the C angles, the gamma angles and the intensities
+    const numbers = lines.slice(26 + 6 * lampSets).join(' ').split(/\s+/).filter(Boolean).map(value => Number(value.replace(',', '.')));
+    const allPlanes = numbers.slice(10, 10 + planeCount);
+    const verticalAngles = numbers.slice(10 + planeCount, 10 + planeCount + gammaCount);
+    const storedPlanes = {
+        0: allPlanes,
+        1: [0],
+        2: allPlanes.slice(0, planeCount / 2 + 1),
+        3: allPlanes.slice(planeCount / 4, 3 * planeCount / 4 + 1),
+        4: allPlanes.slice(0, planeCount / 4 + 1)
+    }[symmetry];
+    const intensities = numbers.slice(10 + planeCount + gammaCount);
+    if (verticalAngles.length < gammaCount || intensities.length < storedPlanes.length * gammaCount || ![...verticalAngles, ...intensities].every(Number.isFinite)) {
+        throw new Error('EULUMDAT file ends early or has non-numeric intensities');
+    }
+
+    const scale = lampFlux / 1000 * conversion;
+    const length = number(15, 'luminous area length') / 1000;
+    const width = number(16, 'luminous area width') / 1000;
+    const luminaire = {
+        name: lines[8] || 'EULUMDAT luminaire',
+        manufacturer: lines[0] || '',
+        catalogueNumber: lines[9] || '',
+        format: 'LDT',
+        lumens: 0,
+        ratedLumens: lampFlux || null,
+        watts: watts > 0 ? watts : null,
+        cct: findColourTemperature(field(3)[0]),
+        cri: findColourRendering(field(4)[0]),
+        // Width 0 is a round luminous area of diameter length
+        width: width || length,
+        length,
+        round: width === 0,
+        verticalAngles,
+        horizontalAngles: storedPlanes,
+        candela: storedPlanes.map((plane, h) => intensities.slice(h * gammaCount, (h + 1) * gammaCount).map(value => value * scale))
+    };
+    luminaire.lumens = integrateFlux(luminaire);
+    return luminaire;
+}
+
+// Function to parse a photometric file by extension, falling back to sniffing the content
+function parsePhotometryFile(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'ies' || (extension !== 'ldt' && /^\s*IESNA|TILT\s*=/im.test(text))) {
+        return parseIES(text);
+    }
+    return parseLDT(text);
+}
+
+/**
+ * Intensity and Flux
+ */
+
+// Function to map a C angle onto the planes a file covers, using the symmetry the angles imply:
+// one plane (rotationally symmetric), 0-90 (quadrants), 0-180 (about C0-C180), 90-270 (about
+// C90-C270) or the full circle
+function foldHorizontalAngle(c, angles) {
+    const first = angles[0];
+    const last = angles[angles.length - 1];
+    c = ((c % 360) + 360) % 360;
+
+    if (angles.length === 1) return first;
+    if (first === 0 && last === 90) {
+        if (c <= 90) return c;
+        if (c <= 180) return 180 - c;
+        if (c <= 270) return c - 180;
+        return 360 - c;
+    }
+    if (first === 0 && last === 180) return c <= 180 ? c : 360 - c;
+    if (first === 90 && last === 270) {
+        if (c < 90) return 180 - c;
+        if (c > 270) return 540 - c;
+    }
+    return c;
+}
+
+// Function to find the two angles around a value and the weight of the second, wrapping round
+// the full circle when wrap is set
+function bracketAngle(value, angles, wrap = false) {
+    const last = angles.length - 1;
+    if (value <= angles[0] && !wrap) return { lower: 0, upper: 0, weight: 0 };
+    for (let i = 0; i < last; i++) {
+        if (value >= angles[i] && value <= angles[i + 1]) {
+            const span = angles[i + 1] - angles[i];
+            return { lower: i, upper: i + 1, weight: span > 0 ? (value - angles[i]) / span : 0 };
+        }
+    }
+    if (wrap) {
+        // Between the last plane and the first plane (at 360°)
+        const span = 360 + angles[0] - angles[last];
+        const offset = (value - angles[last] + 360) % 360;
+        return { lower: last, upper: 0, weight: span > 0 ? offset / span : 0 };
+    }
+    return { lower: last, upper: last, weight: 0 };
+}
+
+// Function to get an intensity(gamma, c) function (cd) for a luminaire, interpolating linearly
+// between the measured angles. There is no light outside the measured gamma range.
+function photometricIntensity(luminaire) {
+    const { verticalAngles, horizontalAngles, candela } = luminaire;
+    const fullCircle = horizontalAngles.length > 1 && horizontalAngles[0] === 0 && horizontalAngles[horizontalAngles.length - 1] > 270 && horizontalAngles[horizontalAngles.length - 1] < 360;
+    const firstGamma = verticalAngles[0];
+    const lastGamma = verticalAngles[verticalAngles.length - 1];
+
+    return (gamma, c = 0) => {
+        if (gamma < firstGamma || gamma > lastGamma) return 0;
+
+        const plane = bracketAngle(foldHorizontalAngle(c, horizontalAngles), horizontalAngles, fullCircle);
+        const angle = bracketAngle(gamma, verticalAngles);
+        const inPlane = (h) => candela[h][angle.lower] + (candela[h][angle.upper] - candela[h][angle.lower]) * angle.weight;
+        return inPlane(plane.lower) + (inPlane(plane.upper) - inPlane(plane.lower)) * plane.weight;
+    };
+}
+
+// Function to integrate the luminous flux (lm) of a luminaire over the sphere
+function integrateFlux(luminaire) {
+    const intensity = photometricIntensity(luminaire);
+    const gammaStep = 1;
+    const cStep = 5;
+    const radians = Math.PI / 180;
+    let flux = 0;
+
+    for (let gamma = gammaStep / 2; gamma < 180; gamma += gammaStep) {
+        const zone = Math.sin(gamma * radians) * gammaStep * radians * cStep * radians;
+        for (let c = 0; c < 360; c += cStep) {
+            flux += intensity(gamma, c) * zone;
+        }
+    }
+    return flux;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        findColourTemperature,
+        findColourRendering,
+        parseIES,
+        parseLDT,
+        parsePhotometryFile,
+        foldHorizontalAngle,
+        photometricIntensity,
+        integrateFlux
+    };
+}
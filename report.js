@@ -0,0 +1,172 @@
+/**
+ * Compliance Report
+ * Builds a printable compliance report for a simulated room, entirely in the browser
+ *
+ * This file contains:
+ * - The report document (self-contained HTML with print styles, no external files)
+ * - Opening it for printing / saving as PDF, with a download fallback
+ *
+ * The simulator collects the report data (see generateReport in classroom-simulator.js):
+ * {
+ *   generatedAt: Date,
+ *   grade: { key, label, ageRange }, environment: { key, label },
+ *   link: URL of the scenario,
+ *   sides: [{
+ *     label: 'A' | 'B' | null, image: data URL | null, lightSource: text,
+ *     score: { percentage, totalScore, totalParams, overallStatus },
+ *     parameters: [{ label, value, unit, range, passed, reason, recommendation }]
+ *   }]
+ * }
+ */
+
+
+/**
+ * Report Document
+ */
+
+// Function to escape text for the report HTML
+function escapeReportText(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Function to build the report section for one simulated side (or the only one)
+function buildReportSide(side) {
+    const heading = side.label ? `<h2>Scenario ${escapeReportText(side.label)}</h2>` : '';
+    const image = side.image
+        ? `<img class="snapshot" src="${side.image}" alt="Simulated room${side.label ? ` (${escapeReportText(side.label)})` : ''}">`
+        : '<p class="muted">No image snapshot available.</p>';
+
+    const rows = side.parameters.map(parameter => `
+        <tr class="${parameter.passed ? 'pass' : 'fail'}">
+            <td>${escapeReportText(parameter.label)}</td>
+            <td>${escapeReportText(parameter.value)} ${escapeReportText(parameter.unit)}</td>
+            <td>${escapeReportText(parameter.range)} ${escapeReportText(parameter.unit)}</td>
+            <td class="status">${parameter.passed ? 'Pass' : 'Fail'}</td>
+            <td>${escapeReportText(parameter.reason)}</td>
+            <td>${escapeReportText(parameter.recommendation)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <section class="side">
+            ${heading}
+            ${image}
+            <p class="score">
+                Overall: <strong>${side.score.percentage.toFixed(0)}%</strong> - ${escapeReportText(side.score.overallStatus)}
+                (${side.score.totalScore} of ${side.score.totalParams} parameters within the recommended range)
+            </p>
+            ${side.lightSource ? `<p class="muted">Light source: ${escapeReportText(side.lightSource)}</p>` : ''}
+            <table>
+                <thead>
+                    <tr>
+                        <th>Parameter</th>
+                        <th>Value</th>
+                        <th>Recommended</th>
+                        <th>Status</th>
+                        <th>Reason</th>
+                        <th>Recommendation</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </section>
+    `;
+}
+
+// Function to build the complete report document
+function buildReportHTML(report) {
+    const title = `Lighting compliance report - ${report.grade.label}, ${report.environment.label}`;
+    const timestamp = report.generatedAt.toLocaleString();
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeReportText(title)}</title>
+    <style>
+        body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 2rem; font-size: 11pt; }
+        h1 { font-size: 18pt; margin: 0 0 0.25rem; }
+        h2 { font-size: 14pt; margin: 1.5rem 0 0.5rem; }
+        .meta { margin: 0 0 1rem; }
+        .meta td { padding: 0.1rem 1rem 0.1rem 0; border: none; }
+        .muted { color: #666; font-size: 9pt; }
+        .snapshot { display: block; max-width: 100%; max-height: 9cm; margin: 0.5rem 0; border: 1px solid #ccc; }
+        .score { font-size: 12pt; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ccc; padding: 0.3rem 0.4rem; text-align: left; vertical-align: top; }
+        th { background: #eee; }
+        tr.pass .status { color: #146c2e; font-weight: bold; }
+        tr.fail .status { color: #b02a37; font-weight: bold; }
+        .side { page-break-inside: avoid; }
+        .print-button { margin-bottom: 1rem; }
+        @media print {
+            body { margin: 0; }
+            .print-button { display: none; }
+            th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        }
+    </style>
+</head>
+<body>
+    <button type="button" class="print-button" onclick="window.print()">Print / Save as PDF</button>
+    <h1>Lighting compliance report</h1>
+    <table class="meta">
+        <tr><td>Grade</td><td><strong>${escapeReportText(report.grade.label)}</strong>${report.grade.ageRange ? ` (${escapeReportText(report.grade.ageRange)} years)` : ''}</td></tr>
+        <tr><td>Environment</td><td><strong>${escapeReportText(report.environment.label)}</strong></td></tr>
+        <tr><td>Generated</td><td>${escapeReportText(timestamp)}</td></tr>
+    </table>
+    ${report.sides.map(buildReportSide).join('')}
+    ${report.link ? `<p class="muted">Scenario link: ${escapeReportText(report.link)}</p>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Output
+ */
+
+// Function to open the report in a new window and print it. If pop-ups are blocked the report
+// is downloaded as an HTML file instead, which can be opened and printed later.
+function openPrintableReport(html, fileName = 'lighting-report.html') {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        downloadReport(html, fileName);
+        return false;
+    }
+
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+
+    // Print once the snapshot images are ready
+    const images = [...reportWindow.document.images];
+    Promise.all(images.map(image => image.complete ? null : new Promise(resolve => {
+        image.onload = resolve;
+        image.onerror = resolve;
+    }))).then(() => {
+        reportWindow.focus();
+        reportWindow.print();
+    });
+    return true;
+}
+
+// Function to download the report as an HTML file
+function downloadReport(html, fileName) {
+    const blob = new Blob([html], { type: 'text/html' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        escapeReportText,
+        buildReportHTML
+    };
+}
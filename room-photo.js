@@ -0,0 +1,120 @@
+/**
+ * Room Photo
+ * A photo of the client's own room used as the simulation base image
+ *
+ * This file contains:
+ * - The size an uploaded photo is scaled down to
+ * - An estimate of the white point of the light the photo was taken under (shades of grey)
+ * - The matrix that brings the photo to a neutral white before it is re-lit
+ * - Checking a stored room photo (saved scenarios, the browser session)
+ *
+ * A room photo is { name, data, width, height, white, neutralize }: data is a JPEG data URL of
+ * the scaled-down photo, white is { xyz, cct, duv } (null when it could not be estimated) and
+ * neutralize says whether the photo is brought to a neutral white first.
+ *
+ * Depends on colorimetry.js for the sRGB / XYZ conversions, Bradford adaptation and CCT.
+ */
+
+
+// Longest side of a stored room photo in pixels (the working copy is usually smaller)
+const ROOM_PHOTO_MAX_SIZE = 1600;
+const ROOM_PHOTO_QUALITY = 0.85;
+
+// Minkowski norm of the white estimate: 1 is the grey world, larger values lean on the
+// brighter surfaces, which show the colour of the light more reliably
+const WHITE_ESTIMATE_NORM = 6;
+
+// Pixels used for the estimate: not clipped (any channel 250 or more) and not too dark to carry colour
+const WHITE_ESTIMATE_MAX_VALUE = 250;
+const WHITE_ESTIMATE_MIN_LUMINANCE = 0.01;
+const WHITE_ESTIMATE_MIN_PIXELS = 100;
+
+/**
+ * Upload Functions
+ */
+
+// Function to get the size a photo is stored at: the longest side no more than maxSize,
+// keeping the aspect ratio (a smaller photo keeps its size)
+function roomPhotoSize(width, height, maxSize = ROOM_PHOTO_MAX_SIZE) {
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/**
+ * White Point Functions
+ */
+
+// Function to estimate the white point of the light a photo was taken under from its RGBA
+// pixels: the shades of grey estimate (the Minkowski mean of each linear channel).
+// Returns { xyz (Y = 1), cct, duv }, or null when too few pixels are usable.
+function estimateWhitePoint(pixels, step = 1) {
+    const sums = [0, 0, 0];
+    let count = 0;
+
+    for (let i = 0; i < pixels.length; i += 4 * step) {
+        if (pixels[i] >= WHITE_ESTIMATE_MAX_VALUE || pixels[i + 1] >= WHITE_ESTIMATE_MAX_VALUE || pixels[i + 2] >= WHITE_ESTIMATE_MAX_VALUE) continue;
+
+        const r = SRGB_TO_LINEAR_LUT[pixels[i]];
+        const g = SRGB_TO_LINEAR_LUT[pixels[i + 1]];
+        const b = SRGB_TO_LINEAR_LUT[pixels[i + 2]];
+        if (0.2126 * r + 0.7152 * g + 0.0722 * b < WHITE_ESTIMATE_MIN_LUMINANCE) continue;
+
+        sums[0] += r ** WHITE_ESTIMATE_NORM;
+        sums[1] += g ** WHITE_ESTIMATE_NORM;
+        sums[2] += b ** WHITE_ESTIMATE_NORM;
+        count++;
+    }
+    if (count < WHITE_ESTIMATE_MIN_PIXELS) return null;
+
+    const rgb = sums.map(sum => (sum / count) ** (1 / WHITE_ESTIMATE_NORM));
+    const xyz = multiplyMatrixVector(SRGB_TO_XYZ, rgb);
+    if (!(xyz[1] > 0)) return null;
+
+    const white = xyz.map(value => value / xyz[1]);
+    return { xyz: white, ...calculateCCT(white) };
+}
+
+// Function to get the linear sRGB matrix that adapts a photo from its white point to the
+// reference white the lighting matrices start from (buildWhiteBalanceMatrix), so a photo with a
+// warm or green cast is re-lit as if it had been taken under neutral light
+function buildNeutralizingMatrix(whiteXYZ, referenceCCT = DEFAULT_REFERENCE_CCT) {
+    const adaptation = bradfordAdaptationMatrix(whiteXYZ, illuminantWhitePoint(referenceCCT));
+    return multiplyMatrices(XYZ_TO_SRGB, multiplyMatrices(adaptation, SRGB_TO_XYZ));
+}
+
+/**
+ * Validation Functions
+ */
+
+// Function to check a stored room photo, returning a cleaned copy or null when it is unusable
+function normalizeRoomPhoto(photo) {
+    if (!photo || typeof photo !== 'object') return null;
+    if (typeof photo.data !== 'string' || !/^data:image\/(jpeg|png|webp);base64,/.test(photo.data)) return null;
+
+    const white = photo.white;
+    const validWhite = white && Array.isArray(white.xyz) && white.xyz.length === 3
+        && white.xyz.every(value => Number.isFinite(value) && value > 0)
+        && Number.isFinite(white.cct) && Number.isFinite(white.duv);
+
+    return {
+        name: typeof photo.name === 'string' && photo.name ? photo.name : 'Room photo',
+        data: photo.data,
+        width: Number.isInteger(photo.width) && photo.width > 0 ? photo.width : null,
+        height: Number.isInteger(photo.height) && photo.height > 0 ? photo.height : null,
+        white: validWhite ? { xyz: [...white.xyz], cct: white.cct, duv: white.duv } : null,
+        neutralize: photo.neutralize !== false
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ROOM_PHOTO_MAX_SIZE,
+        roomPhotoSize,
+        estimateWhitePoint,
+        buildNeutralizingMatrix,
+        normalizeRoomPhoto
+    };
+}
@@ -0,0 +1,197 @@
+/**
+ * Scenario Library
+ * Named simulator scenarios ("Room 12 existing T8", "Room 12 proposed LED") kept in localStorage
+ *
+ * This file contains:
+ * - Reading and writing the saved scenarios
+ * - JSON export / import of the library (for sharing between browsers and colleagues)
+ *
+ * A scenario is { name, saved_at, state } where state has the same shape as the URL state
+ * in simulator-state.js: { grade, environment, image, sliders, options, luminaires, energy },
+ * plus the room photo used as the base image, if any (photo, see room-photo.js), which is too
+ * large for the URL.
+ *
+ * Depends on simulator-state.js for the slider, option and energy input lists and on
+ * room-photo.js for checking a saved room photo.
+ */
+
+
+const SCENARIO_STORAGE_KEY = 'lightingSimulator.scenarios';
+const SCENARIO_FILE_FORMAT = 'lighting-simulator-scenarios';
+const SCENARIO_FILE_VERSION = 1;
+
+/**
+ * Validation Functions
+ */
+
+// Function to check one scenario, returning a cleaned copy or throwing with the reason
+function normalizeScenario(scenario, label = 'Scenario') {
+    if (!scenario || typeof scenario !== 'object') {
+        throw new Error(`${label} is not an object`);
+    }
+
+    const name = typeof scenario.name === 'string' ? scenario.name.trim() : '';
+    if (!name) {
+        throw new Error(`${label} has no name`);
+    }
+
+    const state = scenario.state;
+    if (!state || typeof state.grade !== 'string' || !state.grade || typeof state.environment !== 'string' || !state.environment) {
+        throw new Error(`${label} ("${name}") needs a grade and an environment`);
+    }
+
+    // Keep only numeric slider values for known sliders
+    const sliders = {};
+    for (const sliderId in state.sliders || {}) {
+        if (sliderId in SLIDER_STATE_PARAMS && Number.isFinite(state.sliders[sliderId])) {
+            sliders[sliderId] = state.sliders[sliderId];
+        }
+    }
+
+    // Keep only allowed values for known option controls
+    const options = {};
+    for (const controlId in state.options || {}) {
+        if (OPTION_STATE_PARAMS[controlId]?.values.includes(state.options[controlId])) {
+            options[controlId] = state.options[controlId];
+        }
+    }
+
+    // Keep only numeric values of 0 or more for known energy inputs
+    const energy = {};
+    for (const inputId in state.energy || {}) {
+        if (inputId in ENERGY_STATE_PARAMS && Number.isFinite(state.energy[inputId]) && state.energy[inputId] >= 0) {
+            energy[inputId] = state.energy[inputId];
+        }
+    }
+
+    return {
+        name,
+        saved_at: typeof scenario.saved_at === 'string' ? scenario.saved_at : new Date().toISOString(),
+        state: {
+            grade: state.grade,
+            environment: state.environment,
+            image: Number.isInteger(state.image) && state.image >= 0 ? state.image : null,
+            sliders,
+            options,
+            luminaires: Array.isArray(state.luminaires)
+                ? state.luminaires.filter(point => point && [point.x, point.y].every(value => Number.isFinite(value) && value >= 0 && value <= 1))
+                    .map(point => ({ x: point.x, y: point.y }))
+                : null,
+            energy,
+            photo: normalizeRoomPhoto(state.photo)
+        }
+    };
+}
+
+/**
+ * Library Functions
+ */
+
+// Function to read the saved scenarios (sorted by name). A damaged entry is skipped rather
+// than losing the whole library.
+function loadSavedScenarios(storage = window.localStorage) {
+    let stored;
+    try {
+        stored = JSON.parse(storage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('Saved scenarios could not be read:', error);
+        return [];
+    }
+
+    const scenarios = [];
+    (Array.isArray(stored) ? stored : []).forEach((scenario, i) => {
+        try {
+            scenarios.push(normalizeScenario(scenario, `Saved scenario ${i + 1}`));
+        } catch (error) {
+            console.warn(error.message);
+        }
+    });
+    return sortScenarios(scenarios);
+}
+
+// Function to write the saved scenarios. Room photos take most of the room, so a full storage
+// is reported with what to delete.
+function storeScenarios(scenarios, storage = window.localStorage) {
+    try {
+        storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(sortScenarios(scenarios)));
+    } catch (error) {
+        if (error.name === 'QuotaExceededError') {
+            throw new Error('the browser storage is full - delete scenarios you no longer need, starting with those that have room photos');
+        }
+        throw error;
+    }
+}
+
+// Function to sort scenarios by name (numbers in names sort naturally: Room 2 before Room 12)
+function sortScenarios(scenarios) {
+    return [...scenarios].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+}
+
+// Function to add or replace scenarios by name; returns the merged list
+function mergeScenarios(existing, added) {
+    const byName = new Map(existing.map(scenario => [scenario.name.toLowerCase(), scenario]));
+    added.forEach(scenario => byName.set(scenario.name.toLowerCase(), scenario));
+    return sortScenarios([...byName.values()]);
+}
+
+// Function to save the given state under a name (replacing a scenario with the same name)
+function saveScenario(name, state, storage = window.localStorage) {
+    const scenario = normalizeScenario({ name, state, saved_at: new Date().toISOString() });
+    const scenarios = mergeScenarios(loadSavedScenarios(storage), [scenario]);
+    storeScenarios(scenarios, storage);
+    return scenarios;
+}
+
+// Function to delete a saved scenario by name
+function deleteScenario(name, storage = window.localStorage) {
+    const scenarios = loadSavedScenarios(storage).filter(scenario => scenario.name.toLowerCase() !== name.toLowerCase());
+    storeScenarios(scenarios, storage);
+    return scenarios;
+}
+
+/**
+ * Export and Import
+ */
+
+// Function to build the JSON file content for a list of scenarios
+function exportScenariosJSON(scenarios) {
+    return JSON.stringify({
+        format: SCENARIO_FILE_FORMAT,
+        version: SCENARIO_FILE_VERSION,
+        exported_at: new Date().toISOString(),
+        scenarios
+    }, null, 2);
+}
+
+// Function to read scenarios from an exported JSON file. Throws with the reason when the file
+// is not a scenario export or any scenario in it is invalid, so nothing is half-imported.
+function parseScenariosJSON(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a JSON file (${error.message})`);
+    }
+
+    if (!json || json.format !== SCENARIO_FILE_FORMAT || !Array.isArray(json.scenarios)) {
+        throw new Error('Not a scenario export from the lighting simulator');
+    }
+    if (json.version > SCENARIO_FILE_VERSION) {
+        throw new Error(`Scenario file version ${json.version} is newer than this simulator supports (${SCENARIO_FILE_VERSION})`);
+    }
+
+    return json.scenarios.map((scenario, i) => normalizeScenario(scenario, `Scenario ${i + 1}`));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCENARIO_STORAGE_KEY,
+        normalizeScenario,
+        loadSavedScenarios,
+        mergeScenarios,
+        saveScenario,
+        deleteScenario,
+        exportScenariosJSON,
+        parseScenariosJSON
+    };
+}
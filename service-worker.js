@@ -0,0 +1,174 @@
+/**
+ * Service Worker
+ * Keeps the simulator working without a network: the app shell, the CDN styles and scripts, the
+ * standards data and every classroom image it lists are cached when the worker installs
+ *
+ * - Pages, scripts, styles and data come from the network when it answers within
+ *   NETWORK_TIMEOUT ms and from the cache otherwise; each answer refreshes the cache
+ * - Images come from the cache first, as they rarely change
+ *
+ * Registered by offline.js. Bump CACHE_VERSION when files are added to or removed from APP_SHELL
+ * or photos are added to the standards data, so installed copies cache them.
+ */
+
+importScripts('standards-loader.js');
+
+const CACHE_VERSION = 6;
+const CACHE_PREFIX = 'schools-simulator-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// How long a slow network gets before the cached copy is used instead
+const NETWORK_TIMEOUT = 4000;
+
+// Files the pages need, relative to this worker (the classroom images are read from the standards)
+const APP_SHELL = [
+    './',
+    'index.html',
+    'class.html',
+    'style.css',
+    'manifest.webmanifest',
+    'offline.js',
+    'standards-loader.js',
+    'load-orchestrator.js',
+    'simulator-state.js',
+    'scenario-library.js',
+    'report.js',
+    'colorimetry.js',
+    'color-rendering.js',
+    'spectral-rendering.js',
+    'spd-import.js',
+    'melanopic.js',
+    'room-photo.js',
+    'image-gallery.js',
+    'flicker.js',
+    'flicker-animation.js',
+    'glare.js',
+    'lighting-renderer.js',
+    'lighting-render-worker.js',
+    'photometry.js',
+    'illuminance.js',
+    'ugr.js',
+    'luminaire-catalogue.js',
+    'photometric-plots.js',
+    'daylight.js',
+    'circadian-schedule.js',
+    'energy.js',
+    'compliance-score.js',
+    'classroom-simulator.js',
+    STANDARDS_PATH,
+    STANDARDS_SCHEMA_PATH,
+    'assets/favicon.svg',
+    'assets/logo-Light.svg',
+    'assets/SClogo.svg',
+    'assets/SCloading.gif',
+    'assets/facebook-logo.svg',
+    'assets/instagram-logo.svg',
+    'assets/linkedin-logo.svg',
+    'assets/secondary.jpg'
+];
+
+// Styles and scripts the pages load from CDNs (the font files they refer to are cached when first used)
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://fonts.googleapis.com/css2?family=Anton&family=IBM+Plex+Sans+Arabic:wght@100;200;300;400;500;600;700&display=swap'
+];
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const IMAGE_PATTERN = /\.(jpe?g|png|webp|avif|gif|svg)$/i;
+
+/**
+ * Caching Functions
+ */
+
+// Function to cache the app shell, then the CDN files and classroom images. A CDN file or image
+// that cannot be fetched is logged and skipped rather than failing the install.
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+
+    const standards = await (await cache.match(STANDARDS_PATH)).json();
+    const optional = [...CDN_FILES, ...standardsImages(standards)];
+    const results = await Promise.allSettled(optional.map(url => cache.add(url)));
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            console.warn(`Not cached for offline use: ${optional[i]}`, result.reason);
+        }
+    });
+}
+
+// Function to get the cache key of a request: pages are kept without their query string, as a
+// shared scenario link is the same page with its state in the URL
+function cacheKey(request) {
+    if (request.mode !== 'navigate') return request;
+    const url = new URL(request.url);
+    return url.origin + url.pathname;
+}
+
+// Function to answer from the network, falling back to the cache when the network fails or has
+// not answered within NETWORK_TIMEOUT
+async function networkFirst(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const key = cacheKey(event.request);
+    const network = fetch(event.request).then(response => {
+        if (response.ok) {
+            return cache.put(key, response.clone()).then(() => response);
+        }
+        return response;
+    });
+    event.waitUntil(network.catch(() => {}));
+
+    const cached = await cache.match(key);
+    if (!cached) return network;
+    const timeout = new Promise(resolve => setTimeout(() => resolve(cached), NETWORK_TIMEOUT));
+    return Promise.race([network.catch(() => cached), timeout]);
+}
+
+// Function to answer from the cache, fetching (and caching) what is not there yet
+async function cacheFirst(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request);
+    if (cached) return cached;
+
+    const response = await fetch(event.request);
+    if (response.ok) {
+        event.waitUntil(cache.put(event.request, response.clone()));
+    }
+    return response;
+}
+
+/**
+ * Worker Events
+ */
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+// Drop the caches of older versions and take over the open pages
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+    const url = new URL(event.request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (!sameOrigin && !CDN_HOSTS.includes(url.hostname)) return;
+
+    event.respondWith(sameOrigin && IMAGE_PATTERN.test(url.pathname) ? cacheFirst(event) : networkFirst(event));
+});
+
+// Export for tests (the worker uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APP_SHELL,
+        CDN_FILES,
+        IMAGE_PATTERN
+    };
+}
@@ -0,0 +1,285 @@
+/**
+ * Simulator State
+ * Keeps the simulator scenario in the page URL so it can be bookmarked or shared
+ *
+ * This file contains:
+ * - Parsing and building the state query string (grade, environment, image, slider and option
+ *   values, luminaire positions and the energy inputs)
+ * - Reading the state from the current URL and keeping the URL up to date
+ * - Applying restored slider, option and energy values to the page
+ *
+ * Example: class.html?grade=primary&environment=classroom&image=2&cct=4000&cri=90&lux=500&waveform=square
+ * Luminaires are x,y pairs relative to the image: luminaires=0.5,0.2;0.25,0.3 (empty for none).
+ * Cookies set by index.html are only used when the URL has no grade / environment.
+ */
+
+
+// URL parameter for each slider; sliders a page doesn't have are ignored
+const SLIDER_STATE_PARAMS = {
+    cctSlider: 'cct',
+    criSlider: 'cri',
+    flickerSlider: 'flicker',
+    flickerModulationSlider: 'modulation',
+    flickerDutySlider: 'duty',
+    glareSlider: 'ugr',
+    uniformitySlider: 'uniformity',
+    verticalSlider: 'vertical',
+    exposureSlider: 'exposure',
+    luxSlider: 'lux'
+};
+
+// URL parameter and allowed values for each option (select) control
+const OPTION_STATE_PARAMS = {
+    flickerWaveform: { param: 'waveform', values: ['sine', 'square', 'rectified'] }
+};
+
+// URL parameter for each energy input; the parameters are the input names of energy.js
+const ENERGY_STATE_PARAMS = {
+    energyCount: 'count',
+    energyWatts: 'watts',
+    energyHours: 'hours',
+    energyDays: 'days',
+    energyTariff: 'tariff',
+    energyDimming: 'dimming',
+    energyOccupancy: 'occupancy',
+    energyCarbon: 'carbon'
+};
+
+/**
+ * Parsing and Building
+ */
+
+// Function to parse a query string (or hash) into { grade, environment, image, sliders, options, luminaires, energy }.
+// image is the 0-based image index; sliders maps slider id -> number and options maps
+// control id -> allowed value; luminaires is a list of { x, y } or null when not given;
+// energy maps energy input id -> number (0 or more).
+// Missing or invalid values are left out so the page defaults apply.
+function parseSimulatorState(query) {
+    const params = new URLSearchParams(String(query || '').replace(/^[?#]/, ''));
+    const state = {
+        grade: params.get('grade') || null,
+        environment: params.get('environment') || null,
+        image: null,
+        sliders: {},
+        options: {},
+        luminaires: null,
+        energy: {}
+    };
+
+    const image = parseInt(params.get('image'), 10);
+    if (Number.isInteger(image) && image >= 1) {
+        state.image = image - 1;
+    }
+
+    for (const sliderId in SLIDER_STATE_PARAMS) {
+        const value = params.get(SLIDER_STATE_PARAMS[sliderId]);
+        if (value !== null && value.trim() !== '' && Number.isFinite(Number(value))) {
+            state.sliders[sliderId] = Number(value);
+        }
+    }
+
+    for (const controlId in OPTION_STATE_PARAMS) {
+        const { param, values } = OPTION_STATE_PARAMS[controlId];
+        if (values.includes(params.get(param))) {
+            state.options[controlId] = params.get(param);
+        }
+    }
+
+    if (params.has('luminaires')) {
+        state.luminaires = parseLuminaires(params.get('luminaires'));
+    }
+
+    for (const inputId in ENERGY_STATE_PARAMS) {
+        const value = params.get(ENERGY_STATE_PARAMS[inputId]);
+        if (value !== null && value.trim() !== '' && Number.isFinite(Number(value)) && Number(value) >= 0) {
+            state.energy[inputId] = Number(value);
+        }
+    }
+
+    return state;
+}
+
+// Function to build the query string (without "?") for a state from parseSimulatorState
+function buildSimulatorStateQuery(state) {
+    const params = new URLSearchParams();
+    if (state.grade) params.set('grade', state.grade);
+    if (state.environment) params.set('environment', state.environment);
+    if (Number.isInteger(state.image)) params.set('image', state.image + 1);
+
+    for (const sliderId in SLIDER_STATE_PARAMS) {
+        const value = state.sliders?.[sliderId];
+        if (Number.isFinite(value)) {
+            params.set(SLIDER_STATE_PARAMS[sliderId], value);
+        }
+    }
+
+    for (const controlId in OPTION_STATE_PARAMS) {
+        const value = state.options?.[controlId];
+        if (OPTION_STATE_PARAMS[controlId].values.includes(value)) {
+            params.set(OPTION_STATE_PARAMS[controlId].param, value);
+        }
+    }
+
+    if (Array.isArray(state.luminaires)) {
+        params.set('luminaires', state.luminaires.map(point => `${point.x},${point.y}`).join(';'));
+    }
+
+    for (const inputId in ENERGY_STATE_PARAMS) {
+        const value = state.energy?.[inputId];
+        if (Number.isFinite(value)) {
+            params.set(ENERGY_STATE_PARAMS[inputId], value);
+        }
+    }
+
+    return params.toString();
+}
+
+// Function to parse luminaire positions ("x,y;x,y", each between 0 and 1), skipping invalid pairs
+function parseLuminaires(text) {
+    return String(text || '').split(';')
+        .map(pair => pair.split(',').map(Number))
+        .filter(pair => pair.length === 2 && pair.every(value => Number.isFinite(value) && value >= 0 && value <= 1))
+        .map(([x, y]) => ({ x, y }));
+}
+
+/**
+ * Page URL
+ */
+
+// Function to read the state from the current URL. The query string is used, with values in
+// the hash (#grade=...) as a fallback for links where the query string gets stripped.
+function readSimulatorState() {
+    const fromQuery = parseSimulatorState(window.location.search);
+    const fromHash = parseSimulatorState(window.location.hash);
+    return {
+        grade: fromQuery.grade || fromHash.grade,
+        environment: fromQuery.environment || fromHash.environment,
+        image: fromQuery.image ?? fromHash.image,
+        sliders: { ...fromHash.sliders, ...fromQuery.sliders },
+        options: { ...fromHash.options, ...fromQuery.options },
+        luminaires: fromQuery.luminaires ?? fromHash.luminaires,
+        energy: { ...fromHash.energy, ...fromQuery.energy }
+    };
+}
+
+// Function to get the values of the sliders on the page, keyed by slider id
+function getSliderState() {
+    const sliders = {};
+    for (const sliderId in SLIDER_STATE_PARAMS) {
+        const slider = document.getElementById(sliderId);
+        if (slider && !slider.disabled && slider.value !== '') {
+            sliders[sliderId] = Number(slider.value);
+        }
+    }
+    return sliders;
+}
+
+// Function to get the default values of the sliders on the page (their value attribute), keyed
+// by slider id. Disabled sliders are included, so a setting has a value for every slider.
+function getSliderDefaults() {
+    const sliders = {};
+    for (const sliderId in SLIDER_STATE_PARAMS) {
+        const slider = document.getElementById(sliderId);
+        if (slider && slider.defaultValue !== '' && Number.isFinite(Number(slider.defaultValue))) {
+            sliders[sliderId] = Number(slider.defaultValue);
+        }
+    }
+    return sliders;
+}
+
+// Function to get the values of the option controls on the page, keyed by control id
+function getOptionState() {
+    const options = {};
+    for (const controlId in OPTION_STATE_PARAMS) {
+        const control = document.getElementById(controlId);
+        if (control && OPTION_STATE_PARAMS[controlId].values.includes(control.value)) {
+            options[controlId] = control.value;
+        }
+    }
+    return options;
+}
+
+// Function to get the default values of the option controls on the page (the option marked
+// selected, or the first one), keyed by control id
+function getOptionDefaults() {
+    const options = {};
+    for (const controlId in OPTION_STATE_PARAMS) {
+        const control = document.getElementById(controlId);
+        if (!control) continue;
+        const option = [...control.options].find(item => item.defaultSelected) || control.options[0];
+        if (option && OPTION_STATE_PARAMS[controlId].values.includes(option.value)) {
+            options[controlId] = option.value;
+        }
+    }
+    return options;
+}
+
+// Function to get the values of the energy inputs on the page, keyed by input id
+function getEnergyState() {
+    const energy = {};
+    for (const inputId in ENERGY_STATE_PARAMS) {
+        const input = document.getElementById(inputId);
+        if (input && input.value !== '' && Number.isFinite(Number(input.value))) {
+            energy[inputId] = Number(input.value);
+        }
+    }
+    return energy;
+}
+
+// Function to replace the current URL with one describing the state (no reload, no history entry)
+function writeSimulatorState(state) {
+    const url = `${window.location.pathname}?${buildSimulatorStateQuery(state)}`;
+    window.history.replaceState(null, '', url);
+    return url;
+}
+
+// Function to set restored slider values on the page (clamped to each slider's range),
+// updating the value label next to each slider
+function applySliderState(sliders) {
+    for (const sliderId in sliders) {
+        const slider = document.getElementById(sliderId);
+        if (!slider || slider.disabled) continue;
+
+        const min = slider.min !== '' ? Number(slider.min) : -Infinity;
+        const max = slider.max !== '' ? Number(slider.max) : Infinity;
+        slider.value = Math.min(max, Math.max(min, sliders[sliderId]));
+
+        const valueSpan = document.getElementById(sliderId.replace('Slider', 'Value'));
+        if (valueSpan) {
+            valueSpan.textContent = slider.value;
+        }
+    }
+}
+
+// Function to set restored option values on the page
+function applyOptionState(options) {
+    for (const controlId in options || {}) {
+        const control = document.getElementById(controlId);
+        if (control && OPTION_STATE_PARAMS[controlId]?.values.includes(options[controlId])) {
+            control.value = options[controlId];
+        }
+    }
+}
+
+// Function to set restored energy input values on the page
+function applyEnergyState(energy) {
+    for (const inputId in energy || {}) {
+        const input = document.getElementById(inputId);
+        if (input && inputId in ENERGY_STATE_PARAMS) {
+            input.value = energy[inputId];
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SLIDER_STATE_PARAMS,
+        OPTION_STATE_PARAMS,
+        ENERGY_STATE_PARAMS,
+        parseSimulatorState,
+        buildSimulatorStateQuery,
+        getSliderState,
+        getSliderDefaults,
+        getOptionDefaults
+    };
+}
@@ -0,0 +1,134 @@
+/**
+ * Spectrum Import
+ * Reads luminaire spectral power distributions (SPDs) from datasheet exports
+ *
+ * This file contains:
+ * - CSV and JSON SPD parsing
+ * - Validation and resampling onto the 380-780 nm simulator grid
+ * - Colour metrics of an imported spectrum (CCT, Duv, Ra, R1 - R14, TM-30 Rf / Rg)
+ *
+ * Depends on colorimetry.js and color-rendering.js.
+ */
+
+
+/**
+ * Parsing Functions
+ */
+
+// Parse CSV / TSV text with a wavelength column followed by a value column.
+// Header, comment and other non-numeric lines are skipped.
+function parseSpectrumCSV(text) {
+    const wavelengths = [];
+    const values = [];
+
+    text.split(/\r?\n/).forEach(line => {
+        const cells = line.trim().split(/\s*[,;\t]\s*|\s+/);
+        if (cells.length < 2) return;
+
+        const wavelength = parseFloat(cells[0]);
+        const value = parseFloat(cells[1]);
+        if (Number.isFinite(wavelength) && Number.isFinite(value)) {
+            wavelengths.push(wavelength);
+            values.push(value);
+        }
+    });
+
+    return { wavelengths, values };
+}
+
+// Parse a JSON SPD. Accepted shapes:
+// { "wavelengths": [...], "values": [...] }, [[wavelength, value], ...],
+// [{ "wavelength": ..., "value": ... }, ...] or { "380": value, "385": value, ... },
+// optionally wrapped in a "spd" / "spectrum" property.
+function parseSpectrumJSON(text) {
+    let json = JSON.parse(text);
+    if (json && !Array.isArray(json) && (json.spd || json.spectrum)) {
+        json = json.spd || json.spectrum;
+    }
+
+    let pairs;
+    if (Array.isArray(json)) {
+        pairs = json.map(entry => Array.isArray(entry)
+            ? [entry[0], entry[1]]
+            : [entry.wavelength ?? entry.nm, entry.value ?? entry.power ?? entry.intensity]);
+    } else if (json && Array.isArray(json.wavelengths)) {
+        const values = json.values || json.power || json.intensities || [];
+        pairs = json.wavelengths.map((wavelength, i) => [wavelength, values[i]]);
+    } else if (json && typeof json === 'object') {
+        pairs = Object.entries(json);
+    } else {
+        throw new Error('Unrecognised JSON spectrum format');
+    }
+
+    const wavelengths = [];
+    const values = [];
+    pairs.forEach(([wavelength, value]) => {
+        wavelength = parseFloat(wavelength);
+        value = parseFloat(value);
+        if (Number.isFinite(wavelength) && Number.isFinite(value)) {
+            wavelengths.push(wavelength);
+            values.push(value);
+        }
+    });
+
+    return { wavelengths, values };
+}
+
+// Parse an SPD file by extension, falling back to sniffing the content
+function parseSpectrumFile(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'json' || (extension !== 'csv' && /^\s*[[{]/.test(text))) {
+        return parseSpectrumJSON(text);
+    }
+    return parseSpectrumCSV(text);
+}
+
+/**
+ * Validation and Resampling
+ */
+
+// Validate tabulated SPD data and resample it onto the simulator grid (normalised to Y = 1)
+function toSimulatorSpectrum({ wavelengths, values }) {
+    if (wavelengths.length < 2) {
+        throw new Error('No wavelength / value pairs found in the file');
+    }
+
+    // Sort by wavelength so files listed high-to-low also work
+    const order = wavelengths.map((wavelength, i) => i).sort((a, b) => wavelengths[a] - wavelengths[b]);
+    const sortedWavelengths = order.map(i => wavelengths[i]);
+    const sortedValues = order.map(i => Math.max(0, values[i]));
+
+    const first = sortedWavelengths[0];
+    const last = sortedWavelengths[sortedWavelengths.length - 1];
+    if (first > WAVELENGTH_START || last < WAVELENGTH_END) {
+        throw new Error(`Spectrum must cover ${WAVELENGTH_START}-${WAVELENGTH_END} nm (file covers ${first}-${last} nm)`);
+    }
+
+    const spectrum = resampleSpectrum(sortedWavelengths, sortedValues);
+    if (spectrumToXYZ(spectrum)[1] <= 0) {
+        throw new Error('Spectrum has no power in the visible range');
+    }
+    return normalizeSpectrum(spectrum);
+}
+
+/**
+ * Spectrum Metrics
+ */
+
+// Colour metrics of a simulator spectrum: { cct, duv, ra, ri: [R1 ... R14], tm30: { rf, rg } | null }
+// TM-30 is only available once loadTM30Data() has resolved with data.
+function analyzeSpectrum(spectrum) {
+    const { ra, ri, cct, duv } = calculateCRI(spectrum);
+    return { cct, duv, ra, ri, tm30: calculateTM30(spectrum) };
+}
+
+// Export for tests (the browser uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseSpectrumCSV,
+        parseSpectrumJSON,
+        parseSpectrumFile,
+        toSimulatorSpectrum,
+        analyzeSpectrum
+    };
+}
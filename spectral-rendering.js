@@ -0,0 +1,239 @@
+/**
+ * Spectral Rendering
+ * Light source spectra and per-pixel re-rendering for the CRI simulation
+ *
+ * This file contains:
+ * - A small library of light source spectral power distributions (SPDs)
+ * - Matching each SPD family to the CCT selected on the slider
+ * - Picking / blending SPDs to reach the Ra requested on the CRI slider
+ * - Surface reflectance estimation from RGB and the resulting colour rendering matrix
+ *
+ * Depends on colorimetry.js and color-rendering.js.
+ */
+
+
+/**
+ * Spectrum Building Blocks
+ */
+
+// Gaussian emission band with the given peak wavelength and full width at half maximum
+function emissionBand(peak, fwhm, power = 1) {
+    const sigma = fwhm / 2.3548;
+    return WAVELENGTHS.map(wl => power * Math.exp(-0.5 * Math.pow((wl - peak) / sigma, 2)));
+}
+
+// Sum any number of spectra
+function addSpectra(...spectra) {
+    return WAVELENGTHS.map((wl, i) => spectra.reduce((sum, spectrum) => sum + spectrum[i], 0));
+}
+
+// Scale a spectrum by a constant
+function scaleSpectrum(spectrum, factor) {
+    return spectrum.map(value => value * factor);
+}
+
+/**
+ * Light Source Library
+ * Each family is a fixed phosphor / gas blend plus a cool and a warm component.
+ * The balance between them is solved so the spectrum hits the slider's CCT.
+ */
+
+const LIGHT_SOURCE_LIBRARY = [
+    {
+        id: 'halophosphate',
+        name: 'Halophosphate fluorescent (T8/T12)',
+        base: () => addSpectra(
+            emissionBand(405, 4, 0.6), emissionBand(436, 4, 1.6),
+            emissionBand(546, 4, 1.4), emissionBand(578, 4, 0.8),
+            emissionBand(580, 110, 1.0)
+        ),
+        cool: () => emissionBand(480, 80),
+        warm: () => emissionBand(600, 90)
+    },
+    {
+        id: 'led-yag',
+        name: 'Single-phosphor LED (YAG)',
+        base: () => emissionBand(560, 115),
+        cool: () => emissionBand(450, 20),
+        warm: () => emissionBand(590, 100)
+    },
+    {
+        id: 'triphosphor',
+        name: 'Tri-phosphor fluorescent (T5/CFL)',
+        base: () => addSpectra(
+            emissionBand(405, 4, 0.3), emissionBand(436, 4, 0.6),
+            emissionBand(490, 12, 0.15), emissionBand(543, 8, 1.0), emissionBand(587, 10, 0.15),
+            emissionBand(611, 6, 1.0), emissionBand(626, 8, 0.2), emissionBand(650, 10, 0.1)
+        ),
+        cool: () => emissionBand(450, 50),
+        warm: () => emissionBand(611, 6)
+    },
+    {
+        id: 'led-yag-red',
+        name: 'Two-phosphor LED (YAG + red)',
+        base: () => addSpectra(emissionBand(555, 115, 1.0), emissionBand(625, 80, 0.3)),
+        cool: () => emissionBand(450, 20),
+        warm: () => emissionBand(625, 80)
+    },
+    {
+        id: 'led-three-band',
+        name: 'Three-band LED (LuAG + nitride red)',
+        base: () => addSpectra(emissionBand(535, 105, 1.0), emissionBand(640, 90, 0.8)),
+        cool: () => emissionBand(450, 20),
+        warm: () => emissionBand(640, 90)
+    },
+    {
+        id: 'led-violet',
+        name: 'Violet-pumped full-spectrum LED',
+        base: () => addSpectra(
+            emissionBand(410, 15, 0.5), emissionBand(475, 60, 0.5),
+            emissionBand(530, 100, 1.0), emissionBand(650, 110, 0.9)
+        ),
+        cool: () => emissionBand(460, 50),
+        warm: () => emissionBand(650, 110)
+    },
+    {
+        id: 'incandescent',
+        name: 'Incandescent / halogen',
+        spectrum: cct => planckSpectrum(cct)
+    }
+];
+
+// Build a library family at the requested CCT.
+// The cool or warm component is added to the base blend; its weight is found by bisection
+// on a parameter p in (-1, 1), where p < 0 adds the warm and p > 0 the cool component.
+function buildLightSourceSpectrum(source, cct) {
+    if (source.spectrum) {
+        return source.spectrum(cct);
+    }
+
+    const base = normalizeSpectrum(source.base());
+    const cool = normalizeSpectrum(source.cool());
+    const warm = normalizeSpectrum(source.warm());
+    const mix = p => {
+        const weight = Math.abs(p) / (1 - Math.abs(p));
+        return addSpectra(base, scaleSpectrum(p < 0 ? warm : cool, weight));
+    };
+
+    let low = -0.999;
+    let high = 0.999;
+    for (let i = 0; i < 40; i++) {
+        const middle = (low + high) / 2;
+        if (calculateCCT(spectrumToXYZ(mix(middle))).cct < cct) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    return normalizeSpectrum(mix((low + high) / 2));
+}
+
+// Library spectra and their CRI at one CCT, cached because the slider revisits values
+const lightSourceCache = new Map();
+
+function getLightSourcesAtCCT(cct) {
+    const key = Math.round(cct);
+    if (!lightSourceCache.has(key)) {
+        const sources = LIGHT_SOURCE_LIBRARY.map(source => {
+            const spectrum = buildLightSourceSpectrum(source, key);
+            return { id: source.id, name: source.name, spectrum, cri: calculateCRI(spectrum) };
+        });
+        sources.sort((a, b) => a.cri.ra - b.cri.ra);
+        lightSourceCache.set(key, sources);
+    }
+    return lightSourceCache.get(key);
+}
+
+// Pick the light source for a CCT and requested Ra.
+// Between the two library entries that bracket the request, the spectra are blended at
+// equal luminance and the blend ratio is bisected until the mix reaches the requested Ra;
+// outside the library range the closest entry is used. The returned Ra / R9 are always
+// the values calculated from the spectrum actually used, not the requested value.
+function selectLightSource(cct, targetRa) {
+    const sources = getLightSourcesAtCCT(cct);
+    const lowest = sources[0];
+    const highest = sources[sources.length - 1];
+
+    if (targetRa <= lowest.cri.ra) {
+        return { name: lowest.name, spectrum: lowest.spectrum, cri: lowest.cri };
+    }
+    if (targetRa >= highest.cri.ra) {
+        return { name: highest.name, spectrum: highest.spectrum, cri: highest.cri };
+    }
+
+    const upperIndex = sources.findIndex(source => source.cri.ra >= targetRa);
+    const lower = sources[upperIndex - 1];
+    const upper = sources[upperIndex];
+    const blend = t => addSpectra(scaleSpectrum(lower.spectrum, 1 - t), scaleSpectrum(upper.spectrum, t));
+
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 12; i++) {
+        const middle = (low + high) / 2;
+        if (calculateCRI(blend(middle)).ra < targetRa) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    const t = (low + high) / 2;
+    const spectrum = blend(t);
+    return {
+        name: `${Math.round((1 - t) * 100)}% ${lower.name} + ${Math.round(t * 100)}% ${upper.name}`,
+        spectrum,
+        cri: calculateCRI(spectrum)
+    };
+}
+
+/**
+ * Reflectance Estimation
+ * A pixel's reflectance is modelled as a mix of three smooth basis spectra
+ * (short, middle and long wavelengths) that sum to a flat, perfectly white surface.
+ * Solving the three weights from the pixel's XYZ under the photo's illuminant is linear,
+ * so re-rendering every pixel under another SPD reduces to one 3x3 matrix.
+ */
+
+const REFLECTANCE_BASIS = (() => {
+    const step = (wl, edge) => 1 / (1 + Math.exp(-(wl - edge) / 12));
+    const shortBand = WAVELENGTHS.map(wl => 1 - step(wl, 490));
+    const longBand = WAVELENGTHS.map(wl => step(wl, 585));
+    const middleBand = WAVELENGTHS.map((wl, i) => 1 - shortBand[i] - longBand[i]);
+    return [longBand, middleBand, shortBand];
+})();
+
+// XYZ (white Y = 1) of each basis reflectance under a spectrum, as matrix columns
+function basisResponseMatrix(spectrum) {
+    const whiteY = spectrumToXYZ(spectrum)[1];
+    const columns = REFLECTANCE_BASIS.map(basis => spectrumToXYZ(spectrum, basis).map(value => value / whiteY));
+    return [0, 1, 2].map(row => columns.map(column => column[row]));
+}
+
+// XYZ -> XYZ matrix describing how a light source shifts surface colours compared with
+// the reference illuminant of the same CCT, with the source white adapted onto the
+// reference white (as in the CIE 13.3 procedure). Identity for a perfect Ra 100 source.
+function buildColorRenderingMatrix(spectrum, cct) {
+    const reference = referenceSpectrum(cct);
+    const testResponse = basisResponseMatrix(spectrum);
+    const referenceResponse = basisResponseMatrix(reference);
+
+    const adaptation = bradfordAdaptationMatrix(
+        multiplyMatrixVector(testResponse, [1, 1, 1]),
+        multiplyMatrixVector(referenceResponse, [1, 1, 1])
+    );
+    return multiplyMatrices(adaptation, multiplyMatrices(testResponse, invertMatrix(referenceResponse)));
+}
+
+// Export for tests (the browser uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        emissionBand,
+        addSpectra,
+        LIGHT_SOURCE_LIBRARY,
+        buildLightSourceSpectrum,
+        getLightSourcesAtCCT,
+        selectLightSource,
+        buildColorRenderingMatrix
+    };
+}
@@ -0,0 +1,439 @@
+/**
+ * Standards Loader
+ * Loads and validates api/standards.json, the single source of recommended lighting ranges
+ *
+ * This file contains:
+ * - A small JSON Schema validator (the keywords used by api/standards.schema.json)
+ * - Consistency checks the schema cannot express (sources, parameters, min <= max, aliases)
+ * - Loading with readable error reporting, from the root pages or the pages in New/
+ * - Resolving a grade / environment selection (including aliases such as "adults")
+ * - The per-grade view of the data used by the simulators (apiData)
+ * - The images and data version cached for offline use (see service-worker.js)
+ *
+ * The data is produced from the older newData.json / lighting.json files by
+ * tools/migrate-standards.js.
+ */
+
+
+const STANDARDS_SCHEMA_VERSION = 1;
+
+// The data sits next to this script, so its paths are taken relative to the script's own src:
+// '' for the pages in the repository root (and the service worker), '../' for the pages in New/
+const STANDARDS_BASE = (() => {
+    const script = typeof document !== 'undefined' ? document.currentScript : null;
+    const src = (script && script.getAttribute('src')) || '';
+    return src.slice(0, src.lastIndexOf('/') + 1);
+})();
+const STANDARDS_PATH = `${STANDARDS_BASE}api/standards.json`;
+const STANDARDS_SCHEMA_PATH = `${STANDARDS_BASE}api/standards.schema.json`;
+
+// Environment ranges keep the recommendation level they were published under
+const RATING_LEVELS = {
+    good: 'highly_recommended',
+    medium: 'recommended',
+    bad: 'not_recommended'
+};
+
+// Function to resolve a path from the standards data (relative to the repository root, e.g. an
+// image) for the current page. URLs and absolute paths are returned as they are.
+function standardsAssetPath(path) {
+    return /^([a-z][a-z0-9+.-]*:|\/)/i.test(path) ? path : STANDARDS_BASE + path;
+}
+
+/**
+ * Schema Validation
+ */
+
+// Function to get the JSON type name of a value as used by JSON Schema
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+// Function to validate a value against a JSON Schema, returning a list of { path, message }
+function validateSchema(value, schema, rootSchema = schema, path = '') {
+    const errors = [];
+    const at = path || '(root)';
+
+    if (schema.$ref) {
+        const definition = schema.$ref.replace(/^#\//, '').split('/')
+            .reduce((node, key) => node && node[key], rootSchema);
+        if (!definition) {
+            return [{ path: at, message: `unknown schema reference ${schema.$ref}` }];
+        }
+        return validateSchema(value, definition, rootSchema, path);
+    }
+
+    const type = jsonType(value);
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            return [{ path: at, message: `expected ${allowed.join(' or ')}, got ${type}` }];
+        }
+    }
+    if ('const' in schema && value !== schema.const) {
+        errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` });
+    }
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: at, message: 'must not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: at, message: `"${value}" does not match ${schema.pattern}` });
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validateSchema(item, schema.items, rootSchema, `${path}[${i}]`));
+            });
+        }
+    }
+
+    if (type === 'object') {
+        const keys = Object.keys(value);
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ path: at, message: `missing required property "${key}"` });
+            }
+        });
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push({ path: at, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+        }
+        keys.forEach(key => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validateSchema(value[key], properties[key], rootSchema, childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: at, message: `unexpected property "${key}"` });
+            } else if (schema.additionalProperties) {
+                errors.push(...validateSchema(value[key], schema.additionalProperties, rootSchema, childPath));
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Function to check the cross references the schema cannot express
+function checkStandardsConsistency(standards) {
+    const errors = [];
+    const groupKeys = Object.keys(standards.age_groups);
+    const seenAliases = {};
+
+    const checkRanges = (ranges, path) => {
+        for (const param in ranges) {
+            if (!standards.parameters[param]) {
+                errors.push({ path: `${path}.${param}`, message: `parameter "${param}" is not defined in parameters` });
+            }
+            ranges[param].forEach((range, i) => {
+                const rangePath = `${path}.${param}[${i}]`;
+                if (range.min > range.max) {
+                    errors.push({ path: rangePath, message: `min (${range.min}) is greater than max (${range.max})` });
+                }
+                if (!standards.sources[range.source]) {
+                    errors.push({ path: rangePath, message: `source "${range.source}" is not defined in sources` });
+                }
+            });
+        }
+    };
+
+    for (const groupKey of groupKeys) {
+        const group = standards.age_groups[groupKey];
+        (group.aliases || []).forEach(alias => {
+            if (groupKeys.includes(alias) || seenAliases[alias]) {
+                errors.push({
+                    path: `age_groups.${groupKey}.aliases`,
+                    message: `alias "${alias}" is already used by ${seenAliases[alias] || alias}`
+                });
+            }
+            seenAliases[alias] = groupKey;
+        });
+
+        checkRanges(group.ranges, `age_groups.${groupKey}.ranges`);
+        for (const environment in group.environments) {
+            checkRanges(group.environments[environment].ranges, `age_groups.${groupKey}.environments.${environment}.ranges`);
+        }
+    }
+
+    return errors;
+}
+
+// Function to validate standards data: schema first, then consistency checks
+function validateStandards(standards, schema) {
+    if (!standards || typeof standards !== 'object') {
+        return [{ path: '(root)', message: 'standards data is not a JSON object' }];
+    }
+    if (standards.schema_version !== STANDARDS_SCHEMA_VERSION) {
+        return [{
+            path: 'schema_version',
+            message: `expected schema version ${STANDARDS_SCHEMA_VERSION}, got ${JSON.stringify(standards.schema_version)} - re-run tools/migrate-standards.js`
+        }];
+    }
+
+    const errors = validateSchema(standards, schema);
+    return errors.length > 0 ? errors : checkStandardsConsistency(standards);
+}
+
+// Function to format validation errors for display
+function formatStandardsErrors(errors, limit = 5) {
+    const lines = errors.slice(0, limit).map(error => `${error.path}: ${error.message}`);
+    if (errors.length > limit) {
+        lines.push(`...and ${errors.length - limit} more`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Loading Functions
+ */
+
+// Function to fetch one JSON file with a readable error. onProgress(fraction) is called as the
+// file downloads when the server sends its size.
+async function fetchStandardsFile(path, onProgress) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`Could not load ${path} (HTTP ${response.status})`);
+    }
+
+    let text;
+    const size = Number(response.headers.get('Content-Length'));
+    if (onProgress && response.body && size > 0) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let received = 0;
+        text = '';
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            received += value.length;
+            text += decoder.decode(value, { stream: true });
+            onProgress(received / size);
+        }
+        text += decoder.decode();
+    } else {
+        text = await response.text();
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${path} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Function to throw when standards data fails validation.
+// The Error's `details` lists every validation problem.
+function checkStandards(standards, schema, path = STANDARDS_PATH) {
+    const errors = validateStandards(standards, schema);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`[standards] ${error.path}: ${error.message}`));
+        const error = new Error(`${path} failed validation (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${formatStandardsErrors(errors)}`);
+        error.details = errors;
+        throw error;
+    }
+    return standards;
+}
+
+// Function to load and validate the standards data (throws as checkStandards does)
+async function loadStandards(path = STANDARDS_PATH, schemaPath = STANDARDS_SCHEMA_PATH) {
+    const [standards, schema] = await Promise.all([
+        fetchStandardsFile(path),
+        fetchStandardsFile(schemaPath)
+    ]);
+    return checkStandards(standards, schema, path);
+}
+
+/**
+ * Selection Resolution
+ */
+
+// Function to normalise a grade / environment key for matching ("High School" -> "high-school")
+function normalizeSelectionKey(key) {
+    return String(key ?? '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+// Function to resolve an age group key or one of its aliases to its key in the standards data.
+// Returns null when nothing matches.
+function resolveAgeGroup(standards, key) {
+    const wanted = normalizeSelectionKey(key);
+    for (const groupKey in standards.age_groups) {
+        const names = [groupKey, ...(standards.age_groups[groupKey].aliases || [])];
+        if (names.some(name => normalizeSelectionKey(name) === wanted)) {
+            return groupKey;
+        }
+    }
+    return null;
+}
+
+// Function to resolve an environment key or label within an age group (null when nothing matches)
+function resolveEnvironment(standards, groupKey, key) {
+    const wanted = normalizeSelectionKey(key);
+    const environments = standards.age_groups[groupKey]?.environments || {};
+    for (const environmentKey in environments) {
+        const names = [environmentKey, environments[environmentKey].label];
+        if (names.some(name => normalizeSelectionKey(name) === wanted)) {
+            return environmentKey;
+        }
+    }
+    return null;
+}
+
+// Function to resolve a grade / environment selection (e.g. from cookies) to standards keys.
+// Returns { grade, environment, errors }; unresolved keys are null and described in `errors`.
+function resolveSelection(standards, grade, environment) {
+    const errors = [];
+    const resolvedGrade = resolveAgeGroup(standards, grade);
+
+    if (!resolvedGrade) {
+        const available = Object.entries(standards.age_groups)
+            .map(([key, group]) => [key, ...(group.aliases || [])].join(' / '))
+            .join(', ');
+        errors.push(`Unknown age group "${grade}". Available age groups: ${available}.`);
+        return { grade: null, environment: null, errors };
+    }
+
+    const group = standards.age_groups[resolvedGrade];
+    const resolvedEnvironment = resolveEnvironment(standards, resolvedGrade, environment);
+    if (!resolvedEnvironment) {
+        errors.push(`No "${environment}" environment for ${group.label}. Available environments: ${Object.keys(group.environments).join(', ') || 'none'}.`);
+    } else if (group.environments[resolvedEnvironment].images.length === 0) {
+        errors.push(`${group.label} / ${group.environments[resolvedEnvironment].label} has no images to simulate.`);
+    }
+
+    return { grade: resolvedGrade, environment: resolvedEnvironment, errors };
+}
+
+/**
+ * Simulator View
+ */
+
+// Function to convert unified ranges back to the { range: { min, max, unit }, rating, ... } entries
+function toRangeEntries(ranges) {
+    return ranges.map(range => ({
+        range: { min: range.min, max: range.max, unit: range.unit },
+        rating: range.rating,
+        reason: range.reason || '',
+        recommendation: range.recommendation || '',
+        source: range.source
+    }));
+}
+
+// Function to build the per-grade data the simulators read (apiData):
+// graded ranges by parameter plus lighting_data.recommendation_levels[level].environments,
+// keyed by the age group keys resolveSelection returns.
+function buildApiData(standards) {
+    const apiData = {};
+
+    for (const groupKey in standards.age_groups) {
+        const group = standards.age_groups[groupKey];
+        const gradeData = { age_range: group.age_range, label: group.label };
+
+        for (const param in group.ranges) {
+            gradeData[param] = toRangeEntries(group.ranges[param]);
+        }
+
+        // Every environment is listed under highly_recommended (the level the simulators select from)
+        const recommendationLevels = { highly_recommended: { environments: {} } };
+        const environmentEntry = (level, environmentKey) => {
+            const environment = group.environments[environmentKey];
+            recommendationLevels[level] = recommendationLevels[level] || { environments: {} };
+            const levelEnvironments = recommendationLevels[level].environments;
+            if (!levelEnvironments[environmentKey]) {
+                levelEnvironments[environmentKey] = { images: environment.images, label: environment.label };
+                if (environment.emotion_images) {
+                    levelEnvironments[environmentKey].emotion = environment.emotion_images;
+                }
+            }
+            return levelEnvironments[environmentKey];
+        };
+
+        for (const environmentKey in group.environments) {
+            environmentEntry('highly_recommended', environmentKey);
+            const ranges = group.environments[environmentKey].ranges;
+            for (const param in ranges) {
+                ranges[param].forEach(range => {
+                    // One range per parameter and level, as in the original lighting.json
+                    const entry = environmentEntry(RATING_LEVELS[range.rating], environmentKey);
+                    if (!entry[param]) {
+                        entry[param] = toRangeEntries([range])[0];
+                    }
+                });
+            }
+        }
+
+        gradeData.lighting_data = {
+            age_range: group.age_range,
+            image: group.image,
+            recommendation_levels: recommendationLevels
+        };
+
+        apiData[groupKey] = gradeData;
+    }
+
+    return apiData;
+}
+
+/**
+ * Offline Data
+ */
+
+// Function to list every image the standards data refers to (age group, environment and
+// emotion images), each once
+function standardsImages(standards) {
+    const images = new Set();
+    Object.values(standards.age_groups).forEach(group => {
+        if (group.image) images.add(group.image);
+        Object.values(group.environments).forEach(environment => {
+            environment.images.forEach(image => images.add(image));
+            Object.values(environment.emotion_images || {}).forEach(image => images.add(image));
+        });
+    });
+    return [...images];
+}
+
+// Function to name the version of the standards data: the schema version and a checksum
+// (FNV-1a) of the data, so any edit to the file gives a new version, e.g. "1.5c2e83a0"
+function standardsDataVersion(standards) {
+    const text = JSON.stringify(standards);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${standards.schema_version}.${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+// Export for the migration tool and tests (the browser uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STANDARDS_SCHEMA_VERSION,
+        STANDARDS_PATH,
+        STANDARDS_SCHEMA_PATH,
+        standardsAssetPath,
+        validateSchema,
+        checkStandardsConsistency,
+        validateStandards,
+        formatStandardsErrors,
+        checkStandards,
+        normalizeSelectionKey,
+        resolveAgeGroup,
+        resolveEnvironment,
+        resolveSelection,
+        buildApiData,
+        standardsImages,
+        standardsDataVersion
+    };
+}
@@ -0,0 +1,76 @@
+/**
+ * Circadian Schedule Tests
+ * Keyframes are checked and sorted, the CCT fades in mired and the lux linearly between them, and
+ * a sampled school day gives the melanopic dose, mean EDI and exposure duration.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    SCHOOL_DAY_START,
+    SCHOOL_DAY_END,
+    DEFAULT_SCHEDULE,
+    parseClockTime,
+    formatClockTime,
+    normalizeSchedule,
+    scheduleAt,
+    sampleSchedule,
+    hoursWithinRange,
+    evaluateSchedule
+} = require('../circadian-schedule.js');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+test('clock times are read and written as minutes after midnight', () => {
+    assert.strictEqual(parseClockTime('08:30'), 510);
+    assert.strictEqual(parseClockTime('9:05'), 545);
+    assert.strictEqual(formatClockTime(545), '09:05');
+    assert.throws(() => parseClockTime('25:00'), /not a time/);
+    assert.throws(() => parseClockTime('noon'), /not a time/);
+});
+
+test('a schedule is sorted and bad keyframes are rejected', () => {
+    const schedule = normalizeSchedule([
+        { time: '12:00', cct: 4000, lux: 500 },
+        { minute: 480, cct: 6500, lux: 750 }
+    ]);
+    assert.deepStrictEqual(schedule.map(keyframe => keyframe.minute), [480, 720]);
+    assert.deepStrictEqual(normalizeSchedule(DEFAULT_SCHEDULE), DEFAULT_SCHEDULE);
+
+    assert.throws(() => normalizeSchedule([]), /at least one keyframe/);
+    assert.throws(() => normalizeSchedule([{ time: '07:00', cct: 4000, lux: 500 }]), /Keyframe 1: 07:00 is outside the school day/);
+    assert.throws(() => normalizeSchedule([{ time: '09:00', cct: 400, lux: 500 }]), /CCT/);
+    assert.throws(() => normalizeSchedule([{ time: '09:00', cct: 4000, lux: -1 }]), /negative/);
+    assert.throws(() => normalizeSchedule([{ time: '09:00', cct: 4000, lux: 1 }, { minute: 540, cct: 3000, lux: 1 }]), /Two keyframes are at 09:00/);
+});
+
+test('CCT fades in mired and lux linearly between keyframes, and holds outside them', () => {
+    const schedule = normalizeSchedule([{ time: '09:00', cct: 2500, lux: 300 }, { time: '11:00', cct: 5000, lux: 700 }]);
+    const middle = scheduleAt(schedule, 600);
+    // Halfway between 400 and 200 mired is 300 mired, 3333 K (not 3750 K)
+    close(middle.cct, 1e6 / 300, 1e-9);
+    close(middle.lux, 500, 1e-9);
+    assert.deepStrictEqual(scheduleAt(schedule, SCHOOL_DAY_START), { cct: 2500, lux: 300 });
+    assert.deepStrictEqual(scheduleAt(schedule, SCHOOL_DAY_END), { cct: 5000, lux: 700 });
+});
+
+test('a sampled day gives the melanopic dose, mean EDI and exposure duration', () => {
+    // Constant 300 lux melanopic EDI over the 7 hour day: 2100 lux hours, all of it above 250 lux
+    const flat = sampleSchedule([{ minute: 600, cct: 4000, lux: 500 }], () => 300);
+    assert.strictEqual(flat[0].minute, SCHOOL_DAY_START);
+    assert.strictEqual(flat[flat.length - 1].minute, SCHOOL_DAY_END);
+    const flatResult = evaluateSchedule(flat);
+    close(flatResult.dose, 2100, 1e-9);
+    close(flatResult.meanEDI, 300, 1e-9);
+    close(flatResult.exposureDuration, 7, 1e-9);
+
+    // EDI follows the lux: 600 lux until 10:00 and 100 lux after it gives 2 hours above 250 lux
+    const stepped = [{ minute: 480, cct: 6500, lux: 600 }, { minute: 599, cct: 6500, lux: 600 }, { minute: 601, cct: 3000, lux: 100 }];
+    const samples = sampleSchedule(stepped, (minute, cct, lux) => lux, 1);
+    const result = evaluateSchedule(samples, 250);
+    close(result.exposureDuration, 2, 1 / 60 + 1e-9);
+    assert.strictEqual(result.peakEDI, 600);
+    close(hoursWithinRange(samples, 'cct', { min: 5000, max: 7000 }), 2, 1 / 60 + 1e-9);
+});
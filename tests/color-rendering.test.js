@@ -0,0 +1,121 @@
+/**
+ * Colour Rendering Tests
+ * The reference illuminants render every test colour perfectly, CIE F2 gives its published Ra and
+ * R9, the TM-30 calculation scores a reference source Rf 100 / Rg 100, and the light source
+ * picked for the CRI slider reaches the requested Ra.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The colour helpers are globals in the browser
+Object.assign(global, require('../colorimetry.js'));
+Object.assign(global, require('../color-rendering.js'));
+const { getLightSourcesAtCCT, selectLightSource, buildColorRenderingMatrix } = require('../spectral-rendering.js');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+// CIE F2 (cool white fluorescent), CIE 15, 380-780 nm in 5 nm steps
+const CIE_F2 = [
+    1.18, 1.48, 1.84, 2.15, 3.44, 15.69, 3.85, 3.74, 4.19, 4.62, 5.06, 34.98, 11.81, 6.27, 6.63,
+    6.93, 7.19, 7.40, 7.54, 7.62, 7.65, 7.62, 7.62, 7.45, 7.28, 7.15, 7.05, 7.04, 7.16, 7.47, 8.04,
+    8.88, 10.01, 24.88, 16.64, 14.59, 16.16, 17.56, 18.62, 21.47, 22.79, 19.29, 18.66, 17.73, 16.54,
+    15.21, 13.80, 12.36, 10.95, 9.65, 8.40, 7.32, 6.31, 5.43, 4.68, 4.02, 3.45, 2.96, 2.55, 2.19,
+    1.89, 1.64, 1.53, 1.27, 1.10, 0.99, 0.88, 0.76, 0.68, 0.61, 0.56, 0.54, 0.51, 0.47, 0.47, 0.43,
+    0.46, 0.47, 0.40, 0.33, 0.27
+];
+
+test('the Planckian and daylight references render every test colour perfectly', () => {
+    [planckSpectrum(2700), planckSpectrum(4000), daylightSpectrum(6504)].forEach(spectrum => {
+        const result = calculateCRI(spectrum);
+        close(result.ra, 100, 0.05);
+        close(result.ri[8], 100, 0.05);
+        result.ri.forEach((value, i) => {
+            if (value !== null) close(value, 100, 0.05, `R${i + 1}`);
+        });
+    });
+});
+
+test('CIE F2 has its published Ra and R9', () => {
+    const result = calculateCRI(CIE_F2);
+    close(result.cct, 4230, 10);
+    close(result.ra, 64, 1);
+    close(result.ri[8], -84, 2);
+
+    // R1 - R8 and R10 - R12, R14 as published for F2 (to within the 5 nm sampling)
+    [56, 77, 90, 57, 59, 67, 74, 33].forEach((expected, i) => close(result.ri[i], expected, 3));
+    [45, 46, 54].forEach((expected, i) => close(result.ri[9 + i], expected, 3));
+    close(result.ri[13], 94, 3);
+    assert.strictEqual(result.ri[12], null, 'TCS13 is not included');
+});
+
+// Stand-in TM-30 data (the IES samples are not in the repository): 99 smooth reflectances with
+// peaks or dips across the spectrum, seen by the 2° observer. Only good for checking invariants.
+const standInTM30Data = () => {
+    const ces = Array.from({ length: 99 }, (_, i) => {
+        const centre = 380 + (i % 33) * 12.5;
+        const shape = Math.floor(i / 33);
+        return WAVELENGTHS.map(wavelength => {
+            const peak = Math.exp(-(((wavelength - centre) / 40) ** 2));
+            return shape === 0 ? 0.1 + 0.7 * peak : shape === 1 ? 0.8 - 0.6 * peak : 0.3 + 0.3 * peak;
+        });
+    });
+    return { wavelengths: WAVELENGTHS, cmf10: CIE_1931_CMF, ces };
+};
+
+test('CAM02-UCS puts the adapted white on the neutral axis at J\' 100', () => {
+    const white = [95.047, 100, 108.883];
+    const [J, a, b] = cam02ucs(white, white);
+    close(J, 100, 1e-6);
+    // Not exactly 0: the HPE matrix rows do not sum to exactly 1
+    close(Math.hypot(a, b), 0, 0.01);
+
+    const grey = cam02ucs(white.map(value => value * 0.2), white);
+    assert.ok(grey[0] > 0 && grey[0] < 100, `J' ${grey[0]}`);
+});
+
+test('TM-30 scores a reference source Rf 100 and Rg 100 and needs its data', () => {
+    assert.strictEqual(calculateTM30(CIE_F2), null, 'no data loaded');
+
+    const data = prepareTM30Data(standInTM30Data());
+    assert.strictEqual(data.ces.length, 99);
+    [planckSpectrum(3000), daylightSpectrum(6504)].forEach(spectrum => {
+        const { rf, rg } = calculateTM30(spectrum, data);
+        close(rf, 100, 0.1);
+        close(rg, 100, 0.1);
+    });
+    const { rf } = calculateTM30(CIE_F2, data);
+    assert.ok(rf < 95, `F2 Rf ${rf}`);
+
+    const rows = standInTM30Data();
+    assert.throws(() => prepareTM30Data({ ...rows, ces: rows.ces.slice(1) }), /99 ces rows/);
+    assert.throws(() => prepareTM30Data({ ...rows, ces: [...rows.ces.slice(1), [0.5]] }), /value per wavelength/);
+    assert.throws(() => prepareTM30Data({
+        wavelengths: rows.wavelengths.slice(2),
+        cmf10: { x: rows.cmf10.x.slice(2), y: rows.cmf10.y.slice(2), z: rows.cmf10.z.slice(2) },
+        ces: rows.ces.map(row => row.slice(2))
+    }), /must cover 380-780 nm/);
+});
+
+test('the light source for the CRI slider reaches the requested Ra', () => {
+    [[3000, 80], [4000, 85], [5000, 85]].forEach(([cct, ra]) => {
+        const source = selectLightSource(cct, ra);
+        close(source.cri.ra, ra, 0.5);
+        close(source.cri.cct, cct, cct * 0.01);
+    });
+
+    // A request outside the library's range gets its closest entry and reports that entry's Ra
+    const sources = getLightSourcesAtCCT(5000);
+    assert.strictEqual(selectLightSource(5000, 100).cri.ra, sources[sources.length - 1].cri.ra);
+    assert.strictEqual(selectLightSource(5000, 20).cri.ra, sources[0].cri.ra);
+});
+
+test('the reference illuminant does not shift surface colours', () => {
+    const matrix = buildColorRenderingMatrix(planckSpectrum(3000), 3000);
+    matrix.forEach((row, i) => row.forEach((value, j) => close(value, i === j ? 1 : 0, 1e-6)));
+
+    const shifted = buildColorRenderingMatrix(CIE_F2, 4230);
+    assert.ok(shifted.some((row, i) => row.some((value, j) => Math.abs(value - (i === j ? 1 : 0)) > 0.01)));
+});
@@ -0,0 +1,86 @@
+/**
+ * Colorimetry Tests
+ * CCT and Duv come out right for blackbody and daylight sources and the CIE illuminants, and the
+ * white-balance matrix takes a photo from its reference white to the white of another CCT.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    multiplyMatrixVector,
+    chromaticityToXYZ,
+    illuminantWhitePoint,
+    bradfordAdaptationMatrix,
+    buildWhiteBalanceMatrix,
+    planckSpectrum,
+    daylightSpectrum,
+    spectrumToXYZ,
+    resampleSpectrum,
+    WAVELENGTHS,
+    calculateCCT
+} = require('../colorimetry.js');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+test('a blackbody spectrum lies on the Planckian locus at its own temperature', () => {
+    [1800, 2700, 4000, 6500, 10000].forEach(cct => {
+        const result = calculateCCT(spectrumToXYZ(planckSpectrum(cct)));
+        close(result.cct, cct, cct * 0.001);
+        close(result.duv, 0, 0.0001);
+    });
+});
+
+test('the CIE illuminants have their published CCT and Duv', () => {
+    // Illuminant A: 2856 K on the locus; D65: 6504 K, Duv +0.0032
+    const a = calculateCCT(chromaticityToXYZ({ x: 0.44757, y: 0.40745 }));
+    close(a.cct, 2856, 2);
+    close(a.duv, 0, 0.0001);
+
+    const d65 = calculateCCT(chromaticityToXYZ({ x: 0.31271, y: 0.32902 }));
+    close(d65.cct, 6504, 3);
+    close(d65.duv, 0.0032, 0.0001);
+
+    // CIE daylight spectra are greenish (above the locus) at the CCT they are built for
+    const daylight = calculateCCT(spectrumToXYZ(daylightSpectrum(5000)));
+    close(daylight.cct, 5000, 5);
+    assert.ok(daylight.duv > 0.002, `Duv ${daylight.duv}`);
+
+    // A point below the locus has a negative Duv
+    const pink = calculateCCT(chromaticityToXYZ({ x: 0.44, y: 0.39 }));
+    assert.ok(pink.duv < 0, `Duv ${pink.duv}`);
+});
+
+test('the reference white moves smoothly from blackbody to daylight', () => {
+    const step = (cct, delta = 0.2) => illuminantWhitePoint(cct + delta).map((value, i) => Math.abs(value - illuminantWhitePoint(cct - delta)[i]));
+    [4500, 5000, 5500].forEach(cct => {
+        assert.ok(Math.max(...step(cct)) < 1e-4, `jump at ${cct} K`);
+    });
+});
+
+test('the white-balance matrix re-lights white to the white of the chosen CCT', () => {
+    // The reference CCT leaves the photo as it is
+    const identity = buildWhiteBalanceMatrix(6500);
+    identity.forEach((row, i) => row.forEach((value, j) => close(value, i === j ? 1 : 0, 1e-9)));
+
+    // Warm light: white turns orange, and the brightest channel stays at 1
+    const warm = multiplyMatrixVector(buildWhiteBalanceMatrix(2700), [1, 1, 1]);
+    close(warm[0], 1, 1e-9);
+    assert.ok(warm[0] > warm[1] && warm[1] > warm[2], `not warm: ${warm}`);
+
+    // Bradford adaptation maps the source white onto the target white
+    const source = illuminantWhitePoint(3000);
+    const target = illuminantWhitePoint(6500);
+    multiplyMatrixVector(bradfordAdaptationMatrix(source, target), source)
+        .forEach((value, i) => close(value, target[i], 1e-9));
+});
+
+test('tabulated data is resampled onto the 5 nm grid', () => {
+    const values = resampleSpectrum([400, 500, 700], [0, 1, 3]);
+    assert.strictEqual(values.length, WAVELENGTHS.length);
+    assert.strictEqual(values[WAVELENGTHS.indexOf(380)], 0, 'outside the table');
+    close(values[WAVELENGTHS.indexOf(450)], 0.5, 1e-9);
+    close(values[WAVELENGTHS.indexOf(600)], 2, 1e-9);
+    assert.strictEqual(values[WAVELENGTHS.indexOf(780)], 0);
+});
@@ -0,0 +1,125 @@
+/**
+ * Compliance Score Tests
+ * A setting scores the share of parameters within their recommended range, flicker is checked
+ * with its full evaluation, and the A/B comparison names the side closer to each range.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    formatParameterValue,
+    formatDisplayRange,
+    scoreEnvironment,
+    getRecommendationStatus,
+    rangeDistance,
+    compareSettings
+} = require('../compliance-score.js');
+
+const RANGES = {
+    images: ['images/a.jpg'],
+    CCT: { range: { min: 3500, max: 4500, unit: 'K' }, reason: 'Neutral white.', recommendation: 'Use 4000 K.' },
+    Lux: { range: { min: 300, max: 500, unit: 'lux' }, reason: 'Enough light.', recommendation: 'Aim for 500 lux.' },
+    UGR: { range: { min: 0, max: 19, unit: '' }, reason: 'Comfortable.', recommendation: 'Shield the lamps.' },
+    Flicker: { range: { min: 0, max: 8, unit: '%' }, reason: 'No visible flicker.', recommendation: 'Use flicker-free drivers.' }
+};
+
+// A flicker evaluation as getFlickerEvaluation gives it
+const flicker = (percentFlicker, passed, severity) => ({
+    percentFlicker,
+    passed,
+    severity,
+    criteria: [{ explanation: passed ? 'IEEE 1789 low risk' : 'IEEE 1789 high risk' }]
+});
+
+const values = (overrides = {}) => ({ CCT: 4000, Lux: 500, UGR: 16, Flicker: 2, flickerEvaluation: flicker(2, true, 0.2), ...overrides });
+
+test('a setting scores the share of parameters within their range', () => {
+    const all = scoreEnvironment(values(), RANGES);
+    assert.strictEqual(all.totalParams, 4, 'images are not a parameter');
+    assert.strictEqual(all.totalScore, 4);
+    assert.strictEqual(all.percentage, 100);
+
+    const some = scoreEnvironment(values({ CCT: 6500, Lux: 200 }), RANGES);
+    assert.strictEqual(some.totalScore, 2);
+    assert.strictEqual(some.percentage, 50);
+    const cct = some.recommendations.find(rec => rec.param === 'CCT');
+    assert.strictEqual(cct.status, 'Not Recommended');
+    assert.strictEqual(cct.reason, 'Value 6500 K is outside recommended range (3500-4500 K)');
+    assert.strictEqual(cct.recommendation, 'Use 4000 K.');
+
+    // Parameters without a value are not counted
+    const partial = scoreEnvironment({ CCT: 4000 }, RANGES);
+    assert.strictEqual(partial.totalParams, 1);
+    assert.strictEqual(scoreEnvironment({}, RANGES).percentage, 0);
+});
+
+test('flicker needs a low percent flicker and a passed evaluation', () => {
+    const passed = scoreEnvironment(values(), RANGES).recommendations.find(rec => rec.param === 'Flicker');
+    assert.strictEqual(passed.status, 'Recommended');
+    assert.strictEqual(passed.reason, 'No visible flicker. IEEE 1789 low risk.');
+
+    // Within the percent range, but the frequency makes it a risk
+    const risky = scoreEnvironment(values({ flickerEvaluation: flicker(2, false, 1.5) }), RANGES);
+    assert.strictEqual(risky.recommendations.find(rec => rec.param === 'Flicker').status, 'Not Recommended');
+
+    const deep = scoreEnvironment(values({ Flicker: 20, flickerEvaluation: flicker(20, true, 0.9) }), RANGES);
+    const rec = deep.recommendations.find(item => item.param === 'Flicker');
+    assert.strictEqual(rec.status, 'Not Recommended');
+    assert.match(rec.reason, /^20% flicker is above the recommended maximum of 8%; IEEE 1789 low risk\.$/);
+});
+
+test('values without a recommended range are not scored', () => {
+    // e.g. the Duv and R9 of an imported spectrum, which the standards have no range for
+    const scored = scoreEnvironment(values({ Duv: 0.0102, R9: 60 }), RANGES);
+    assert.strictEqual(scored.totalParams, 4);
+    assert.deepStrictEqual(scored.recommendations.map(rec => rec.param), ['CCT', 'Lux', 'UGR', 'Flicker']);
+});
+
+test('the overall status follows the percentage', () => {
+    assert.strictEqual(getRecommendationStatus(100).overallStatus, 'Highly Recommended');
+    assert.strictEqual(getRecommendationStatus(80).overallStatus, 'Highly Recommended');
+    assert.strictEqual(getRecommendationStatus(79.9).overallStatus, 'Recommended');
+    assert.strictEqual(getRecommendationStatus(60).statusClass, 'warning');
+    assert.strictEqual(getRecommendationStatus(59).statusClass, 'danger');
+});
+
+test('values and ranges are formatted per parameter', () => {
+    assert.strictEqual(rangeDistance(250, { min: 300, max: 500 }), 50);
+    assert.strictEqual(rangeDistance(400, { min: 300, max: 500 }), 0);
+    assert.strictEqual(rangeDistance(650, { min: 300, max: 500 }), 150);
+
+    assert.strictEqual(formatDisplayRange('Lux', { min: 300, max: 500 }), '300 - 500');
+    assert.strictEqual(formatDisplayRange('UGR', { min: 0, max: 19 }), '≤ 19');
+
+    assert.strictEqual(formatParameterValue('Flicker', 2.345), 2.3);
+    assert.strictEqual(formatParameterValue('Lux', 499.6), 500);
+});
+
+test('the A/B comparison names the side closer to each range', () => {
+    const result = compareSettings({
+        A: values({ CCT: 6500, Lux: 250, UGR: 22 }),
+        B: values({ CCT: 5000, Lux: 400, UGR: 25, Flicker: 10, flickerEvaluation: flicker(10, false, 1.2) })
+    }, RANGES);
+
+    assert.strictEqual(result.scores.A.totalScore, 1);
+    assert.strictEqual(result.scores.B.totalScore, 1);
+    assert.strictEqual(result.verdict, 'Both sides meet the same number of recommended ranges.');
+
+    const row = param => result.parameters.find(item => item.param === param);
+    assert.deepStrictEqual(result.parameters.map(item => item.param), ['CCT', 'Lux', 'UGR', 'Flicker']);
+    assert.strictEqual(row('CCT').better, 'B', 'both outside, B is closer');
+    assert.strictEqual(row('CCT').delta, -1500);
+    assert.strictEqual(row('Lux').better, 'B', 'only B is within range');
+    assert.deepStrictEqual(row('Lux').meets, { A: false, B: true });
+    assert.strictEqual(row('UGR').better, 'A');
+    assert.strictEqual(row('Flicker').better, 'A');
+
+    const tie = compareSettings({ A: values(), B: values({ Lux: 450 }) }, RANGES);
+    assert.ok(tie.parameters.every(item => item.better === '-'), 'both within every range');
+
+    const ahead = compareSettings({ A: values({ Lux: 100 }), B: values() }, RANGES);
+    assert.strictEqual(ahead.verdict, 'Side B meets 1 more recommended range.');
+});
@@ -0,0 +1,110 @@
+/**
+ * Daylight Tests
+ * The sun stands where it should at the equinox and solstice, the sky models give the CIE
+ * illuminances, the daylight factor follows the BRE formula and sunlight only comes through a
+ * window facing the sun.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// daylight.js uses the inter-reflection term from illuminance.js (a global in the browser)
+({ interreflectedIlluminance: global.interreflectedIlluminance } = require('../illuminance.js'));
+const {
+    dayOfYear,
+    solarPosition,
+    skyIlluminance,
+    visibleSkyFraction,
+    windowIlluminance,
+    averageDaylightFactor,
+    windowViewFactor,
+    calculateDaylight
+} = require('../daylight.js');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const room = { width: 7, length: 9, height: 3 };
+const reflectances = { ceiling: 0.7, walls: 0.5, floor: 0.2 };
+const glazing = { width: 5, height: 1.5, sill: 0.9, orientation: 180, transmittance: 0.7 };
+
+test('the sun stands due south at solar noon, at 90° less the latitude plus the declination', () => {
+    assert.strictEqual(dayOfYear('2024-01-01'), 1);
+    assert.strictEqual(dayOfYear('2024-12-31'), 366);
+    assert.throws(() => dayOfYear('not a date'), /not a date/);
+
+    const equinox = solarPosition(50, '2023-03-21', 12);
+    close(equinox.altitude, 40, 0.5);
+    close(equinox.azimuth, 180, 1e-6);
+    close(solarPosition(50, '2023-06-21', 12).altitude, 63.45, 0.1);
+
+    // At the equator on the equinox the sun rises due east at 6:00 and sets due west at 18:00
+    const morning = solarPosition(0, '2023-03-21', 6);
+    close(morning.altitude, 0, 0.5);
+    close(morning.azimuth, 90, 0.5);
+    close(solarPosition(0, '2023-03-21', 18).azimuth, 270, 0.5);
+});
+
+test('the sky models give the CIE overcast and clear sky illuminances', () => {
+    close(skyIlluminance('overcast', 90).diffuseHorizontal, 21300, 1e-6);
+    assert.strictEqual(skyIlluminance('overcast', 40).directNormal, 0);
+    assert.deepStrictEqual(skyIlluminance('clear', -5), { diffuseHorizontal: 0, directNormal: 0, globalHorizontal: 0 });
+
+    const clear = skyIlluminance('clear', 30);
+    close(clear.diffuseHorizontal, 800 + 15500 * Math.sqrt(0.5), 1e-6);
+    close(clear.globalHorizontal, clear.diffuseHorizontal + 127500 * Math.exp(-0.42) * 0.5, 1e-6);
+    assert.throws(() => skyIlluminance('foggy', 30), /Unknown sky type/);
+});
+
+test('sunlight reaches only a window facing the sun, above the obstruction', () => {
+    const sun = { altitude: 30, azimuth: 180 };
+    const outdoor = skyIlluminance('clear', 30);
+    const south = windowIlluminance(outdoor, sun, 'clear', 180);
+    close(south.sun, outdoor.directNormal * Math.cos(Math.PI / 6), 1e-6);
+    assert.strictEqual(windowIlluminance(outdoor, sun, 'clear', 0).sun, 0);
+    assert.strictEqual(windowIlluminance(outdoor, sun, 'clear', 180, 40).sun, 0);
+
+    // An obstruction takes away sky; at 90° none is left
+    close(visibleSkyFraction(0), 1, 1e-12);
+    close(visibleSkyFraction(90), 0, 1e-12);
+    assert.ok(windowIlluminance(outdoor, sun, 'clear', 0, 25).sky < windowIlluminance(outdoor, sun, 'clear', 0).sky);
+});
+
+test('the average daylight factor follows T Aw θ / (A (1 - R²))', () => {
+    // A = 2 * 63 + 2 * 16 * 3 = 222 m²; R = (63 * 0.9 + 96 * 0.5) / 222
+    const reflectance = (63 * 0.9 + 96 * 0.5) / 222;
+    const expected = 0.7 * 7.5 * 90 / (222 * (1 - reflectance * reflectance));
+    close(averageDaylightFactor(room, reflectances, glazing), expected, 1e-9);
+    close(averageDaylightFactor(room, reflectances, { ...glazing, obstruction: 30 }), expected * 60 / 90, 1e-9);
+});
+
+test('a window seen from the eye has the configuration factor of a parallel rectangle', () => {
+    // An endless wall fills the eye's view; a small window gives A / (π d²)
+    close(windowViewFactor(-1e4, 1e4, -1e4, 1e4, 1), 1, 1e-6);
+    close(windowViewFactor(-0.05, 0.05, -0.05, 0.05, 1), 0.01 / Math.PI, 1e-4);
+
+    // A window entirely above the eye sees less than the same window centred on it
+    assert.ok(windowViewFactor(-1, 1, 0.5, 1.5, 2) < windowViewFactor(-1, 1, -0.5, 0.5, 2));
+});
+
+test('daylight in the room scales with the sky and brings in the sun through a sunny window', () => {
+    const overcast = calculateDaylight({ room, reflectances, glazing, latitude: 51.5, date: '2024-03-21', hour: 12, sky: 'overcast' });
+    close(overcast.horizontal, overcast.daylightFactor / 100 * overcast.outdoor.diffuseHorizontal, 1e-9);
+    assert.ok(overcast.vertical > 0);
+    assert.strictEqual(overcast.sunlight, false);
+
+    const sunny = calculateDaylight({ room, reflectances, glazing, latitude: 51.5, date: '2024-03-21', hour: 12, sky: 'clear' });
+    const north = calculateDaylight({ room, reflectances, glazing: { ...glazing, orientation: 0 }, latitude: 51.5, date: '2024-03-21', hour: 12, sky: 'clear' });
+    assert.strictEqual(sunny.sunlight, true);
+    assert.strictEqual(north.sunlight, false);
+    assert.ok(sunny.horizontal > 5 * north.horizontal);
+    assert.match(sunny.warnings.join(' '), /Direct sunlight/);
+
+    const night = calculateDaylight({ room, reflectances, glazing, latitude: 51.5, date: '2024-12-21', hour: 22 });
+    assert.strictEqual(night.horizontal, 0);
+    assert.strictEqual(night.vertical, 0);
+    assert.match(night.warnings[0], /below the horizon/);
+
+    assert.throws(() => calculateDaylight({ room, reflectances, glazing: { ...glazing, width: 8 }, latitude: 51.5, date: '2024-03-21', hour: 12 }), /fit in the wall/);
+});
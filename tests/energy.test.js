@@ -0,0 +1,53 @@
+/**
+ * Lighting Energy Tests
+ * The yearly energy follows P t F_C F_O, cost, CO₂ and LENI follow from it, bad inputs are
+ * rejected and an upgrade's savings are the difference of the two installations.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ENERGY_DEFAULTS, normalizeEnergyInputs, calculateEnergy, compareEnergy } = require('../energy.js');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+test('the yearly energy is the installed power times the hours of use and the factors', () => {
+    // 12 x 58 W for 8 h on 190 days: 696 W x 1520 h = 1057.92 kWh
+    const existing = calculateEnergy({ count: 12, watts: 58, hours: 8, days: 190, tariff: 0.25, carbon: 0.2 }, 63);
+    assert.strictEqual(existing.power, 696);
+    assert.strictEqual(existing.operatingHours, 1520);
+    close(existing.energy, 1057.92, 1e-9);
+    close(existing.cost, 264.48, 1e-9);
+    close(existing.co2, 211.584, 1e-9);
+    close(existing.leni, 1057.92 / 63, 1e-9);
+    close(existing.powerDensity, 696 / 63, 1e-9);
+
+    // Dimming and occupancy control scale the energy but not the installed power
+    const controlled = calculateEnergy({ count: 12, watts: 58, hours: 8, days: 190, dimming: 0.8, occupancy: 0.9 }, 63);
+    assert.strictEqual(controlled.power, 696);
+    close(controlled.energy, 1057.92 * 0.72, 1e-9);
+});
+
+test('missing inputs take the defaults and bad ones are rejected', () => {
+    assert.deepStrictEqual(normalizeEnergyInputs({}), ENERGY_DEFAULTS);
+    assert.strictEqual(normalizeEnergyInputs({ watts: '40', tariff: '' }).watts, 40);
+    assert.strictEqual(calculateEnergy({}).leni, null, 'no floor area, no LENI');
+
+    assert.throws(() => normalizeEnergyInputs({ count: -1 }), /luminaire count/);
+    assert.throws(() => normalizeEnergyInputs({ watts: 'LED' }), /luminaire power/);
+    assert.throws(() => normalizeEnergyInputs({ hours: 25 }), /more than 24/);
+    assert.throws(() => normalizeEnergyInputs({ days: 400 }), /more than 366/);
+    assert.throws(() => normalizeEnergyInputs({ dimming: 1.5 }), /dimming factor has to be between 0 and 1/);
+});
+
+test('an upgrade saves the difference between the installations', () => {
+    const existing = calculateEnergy({ count: 12, watts: 58 }, 63);
+    const proposed = calculateEnergy({ count: 12, watts: 29, dimming: 0.8 }, 63);
+    const savings = compareEnergy(existing, proposed);
+    close(savings.energy, existing.energy - proposed.energy, 1e-9);
+    close(savings.percent, 60, 1e-9);
+    close(savings.leni, existing.leni - proposed.leni, 1e-9);
+    assert.ok(compareEnergy(proposed, existing).cost < 0, 'more energy is a negative saving');
+    assert.strictEqual(compareEnergy(calculateEnergy({}), calculateEnergy({})).leni, null);
+});
@@ -0,0 +1,111 @@
+/**
+ * Flicker Tests
+ * Percent flicker, flicker index, the IEEE 1789 regions, SVM and Pst LM for known waveforms,
+ * and the perceptible components used by the flicker animation.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    flickerWaveform,
+    percentFlicker,
+    flickerIndex,
+    ieee1789Region,
+    calculateSVM,
+    calculatePstLM,
+    evaluateFlicker,
+    perceptibleComponents,
+    lightOutputAt,
+    waveformOutputAt
+} = require('../flicker.js');
+
+test('percent flicker and flicker index follow from the waveform', () => {
+    const sine = flickerWaveform('sine', 30);
+    assert.ok(Math.abs(percentFlicker(sine) - 30) < 1e-6);
+    // Sinusoid: flicker index = modulation / pi
+    assert.ok(Math.abs(flickerIndex(sine) - 0.3 / Math.PI) < 1e-3);
+
+    // Square wave with 50 % duty cycle: flicker index = modulation / 2
+    const square = flickerWaveform('square', 40);
+    assert.ok(Math.abs(percentFlicker(square) - 40) < 1e-6);
+    assert.ok(Math.abs(flickerIndex(square) - 0.2) < 1e-6);
+
+    assert.strictEqual(flickerIndex(flickerWaveform('sine', 0)), 0);
+});
+
+test('IEEE 1789 regions depend on frequency and percent flicker', () => {
+    // Low-risk limit at 100 Hz is 8 %, no-effect limit 3.33 %
+    assert.strictEqual(ieee1789Region(100, 3).region, 'no-effect');
+    assert.strictEqual(ieee1789Region(100, 8).region, 'low-risk');
+    assert.strictEqual(ieee1789Region(100, 8.5).region, 'elevated-risk');
+
+    // Below 90 Hz the limits are 0.025 x f and 0.01 x f
+    assert.strictEqual(ieee1789Region(60, 1.5).region, 'low-risk');
+    assert.strictEqual(ieee1789Region(60, 2).region, 'elevated-risk');
+
+    // Exempt above 1250 Hz (low risk) and 3000 Hz (no observable effect)
+    assert.strictEqual(ieee1789Region(2000, 100).region, 'low-risk');
+    assert.strictEqual(ieee1789Region(3500, 100).region, 'no-effect');
+});
+
+test('SVM and Pst LM scale with modulation and are frequency dependent', () => {
+    // A 100 Hz sinusoid at 100 % modulation is a clearly visible stroboscopic effect
+    const svm = calculateSVM(flickerWaveform('sine', 100), 100);
+    assert.ok(svm > 3.5 && svm < 4.3, `SVM ${svm}`);
+    assert.ok(Math.abs(calculateSVM(flickerWaveform('sine', 50), 100) - svm / 2) < 1e-6);
+
+    // Pst LM is 1 at the 8.8 Hz threshold modulation and negligible at 100 Hz
+    assert.ok(Math.abs(calculatePstLM(flickerWaveform('sine', 0.6), 8.8) - 1) < 0.01);
+    assert.ok(calculatePstLM(flickerWaveform('sine', 30), 100) < 0.1);
+});
+
+test('evaluation passes only when every criterion passes and explains each one', () => {
+    const led = evaluateFlicker({ frequency: 1000, modulation: 2 });
+    assert.strictEqual(led.passed, true);
+    assert.strictEqual(led.visible, false);
+    assert.deepStrictEqual(led.criteria.map(criterion => criterion.name), ['IEEE 1789', 'SVM', 'Pst LM']);
+
+    // Magnetic ballast fluorescent: 100 Hz at 30 % is elevated risk with a visible stroboscopic effect
+    const fluorescent = evaluateFlicker({ frequency: 100, modulation: 30 });
+    assert.strictEqual(fluorescent.passed, false);
+    assert.strictEqual(fluorescent.visible, true);
+    assert.strictEqual(fluorescent.ieee1789.region, 'elevated-risk');
+    assert.match(fluorescent.criteria[0].explanation, /30% flicker at 100 Hz is elevated risk/);
+    assert.ok(fluorescent.severity > 1);
+
+    // Low frequencies are visible as direct flicker (Pst LM)
+    const slow = evaluateFlicker({ frequency: 10, modulation: 5, shape: 'square' });
+    assert.ok(slow.pstLM > 1);
+    assert.strictEqual(slow.criteria[2].passed, false);
+});
+
+test('PWM duty cycle and rectified mains waveforms keep the requested modulation depth', () => {
+    const pwm = flickerWaveform('square', 100, 0.25);
+    assert.ok(Math.abs(percentFlicker(pwm) - 100) < 1e-6);
+    // 25 % on: all the light arrives in a quarter of the period
+    assert.ok(Math.abs(flickerIndex(pwm) - 0.75) < 1e-3);
+
+    const rectified = flickerWaveform('rectified', 100);
+    assert.ok(Math.abs(percentFlicker(rectified) - 100) < 1e-6);
+    assert.strictEqual(evaluateFlicker({ frequency: 100, modulation: 20, shape: 'square', dutyCycle: 0.3 }).dutyCycle, 0.3);
+});
+
+test('only flicker components below the display / fusion limit are animated', () => {
+    // 100 Hz PWM has nothing below 30 Hz: a still scene looks steady
+    assert.deepStrictEqual(perceptibleComponents({ frequency: 100, modulation: 100, shape: 'square' }, 30), []);
+
+    // A 10 Hz square wave keeps its odd harmonics (4m / pi, 4m / 3pi) below the limit
+    const components = perceptibleComponents({ frequency: 10, modulation: 50, shape: 'square' }, 30);
+    assert.deepStrictEqual(components.map(component => component.frequency), [10, 30]);
+    assert.ok(Math.abs(components[0].amplitude - 2 / Math.PI) < 1e-3);
+    assert.ok(Math.abs(components[1].amplitude - 2 / (3 * Math.PI)) < 1e-3);
+
+    // A sinusoid is reproduced exactly at any time
+    const sine = perceptibleComponents({ frequency: 5, modulation: 40 }, 30);
+    const waveform = flickerWaveform('sine', 40);
+    [0, 0.013, 0.05, 0.31].forEach(time => {
+        assert.ok(Math.abs(lightOutputAt(sine, time) - waveformOutputAt(waveform, 1, 5, time)) < 0.01);
+    });
+});
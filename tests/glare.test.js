@@ -0,0 +1,44 @@
+/**
+ * Glare Tests
+ * The veil grows with UGR on its logarithmic scale and falls off with the square of the angle
+ * from each luminaire.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeLuminaires, glareStrength, veilingLuminanceMap } = require('../glare.js');
+
+test('glare strength follows the logarithmic UGR scale', () => {
+    // UGR = 8 log10(glare sum): 8 points is ten times the glare
+    assert.ok(Math.abs(glareStrength(27) / glareStrength(19) - 10) < 1e-9);
+    assert.ok(glareStrength(22) > glareStrength(19));
+    assert.strictEqual(glareStrength(0), 0);
+    assert.strictEqual(glareStrength(NaN), 0);
+});
+
+test('the veil is centred on each luminaire and falls off with the square of the angle', () => {
+    const width = 300;
+    const height = 100;
+    const map = veilingLuminanceMap(width, height, [{ x: 0.5, y: 0.5 }], 60);
+    const at = (x, y) => map[y * width + x];
+
+    // 5 px per degree: compare 10 and 20 degrees to the right of the source
+    assert.ok(at(150, 50) > at(160, 50));
+    assert.ok(Math.abs(at(200, 50) / at(250, 50) - 4) < 0.1);
+    assert.ok(Math.abs(at(140, 50) - at(160, 50)) < 1e-6, 'symmetric around the source');
+
+    // Two luminaires add up; none gives no veil
+    const two = veilingLuminanceMap(width, height, [{ x: 0.5, y: 0.5 }, { x: 0.5, y: 0.5 }], 60);
+    assert.ok(Math.abs(two[50 * width + 200] - 2 * at(200, 50)) < 1e-6);
+    assert.ok(veilingLuminanceMap(width, height, [], 60).every(value => value === 0));
+});
+
+test('luminaire positions are limited to the image', () => {
+    assert.deepStrictEqual(
+        normalizeLuminaires([{ x: 0.25, y: 0.5 }, { x: 1.2, y: 0.5 }, { x: 'a', y: 0 }, null, { x: 0.12345, y: 0 }]),
+        [{ x: 0.25, y: 0.5 }, { x: 0.123, y: 0 }]
+    );
+    assert.strictEqual(normalizeLuminaires('0.5,0.2'), null);
+});
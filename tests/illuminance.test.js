@@ -0,0 +1,72 @@
+/**
+ * Illuminance Tests
+ * Point illuminance follows the inverse square and cosine law, the inter-reflection term follows
+ * Sumpner's formula and the grid statistics give Eavg, Emin and U0.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    lambertianIntensity,
+    defaultGridSpacing,
+    calculationGrid,
+    directIlluminance,
+    interreflectedIlluminance,
+    calculateIlluminance
+} = require('../illuminance.js');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+test('direct illuminance follows the inverse square and cosine law', () => {
+    // 1000 lm diffuser 2 m above the point: I = 318.3 cd, E = I / d² = 79.6 lx
+    const luminaire = { x: 0, y: 0, z: 2.75, intensity: lambertianIntensity(1000) };
+    const below = directIlluminance({ x: 0, y: 0, z: 0.75 }, [luminaire]);
+    close(below, 1000 / Math.PI / 4, 1e-9);
+
+    // 45° off: cos(gamma) for the intensity, cos(gamma) for the incidence and d² doubled
+    close(directIlluminance({ x: 2, y: 0, z: 0.75 }, [luminaire]), below / 4, 1e-9);
+    close(directIlluminance({ x: 0, y: 0, z: 0.75 }, [luminaire, luminaire]), 2 * below, 1e-9);
+    assert.strictEqual(directIlluminance({ x: 0, y: 0, z: 3 }, [luminaire]), 0, 'nothing above the luminaire');
+});
+
+test('inter-reflected light follows the integrating sphere formula', () => {
+    const room = { width: 4, length: 4, height: 2 };
+    // Surfaces: 2 x 16 + 32 = 64 m²; ρ = 0.5 gives E = flux / 64
+    close(interreflectedIlluminance(room, { ceiling: 0.5, walls: 0.5, floor: 0.5 }, 6400), 100, 1e-9);
+    assert.strictEqual(interreflectedIlluminance(room, { ceiling: 0, walls: 0, floor: 0 }, 6400), 0);
+});
+
+test('the grid follows the EN 12464-1 spacing inside the wall margin', () => {
+    close(defaultGridSpacing(10, 5), 1, 1e-9);
+
+    const grid = calculationGrid({ width: 7, length: 9 }, 1, 0.5);
+    assert.strictEqual(grid.xs.length, 6);
+    assert.strictEqual(grid.ys.length, 8);
+    close(grid.xs[0], 1, 1e-9);
+    close(grid.ys[7], 8, 1e-9);
+
+    // A room too small for the margin still gets points
+    assert.deepStrictEqual(calculationGrid({ width: 0.8, length: 0.8 }, 1, 0.5), { xs: [0.4], ys: [0.4] });
+});
+
+test('the grid results give the average, minimum and uniformity', () => {
+    const room = { width: 7, length: 9, height: 3 };
+    const luminaires = [1.5, 4.5, 7.5].flatMap(y => [1.75, 5.25].map(x => ({ x, y, z: 2.8, flux: 3600 })));
+    const result = calculateIlluminance({ room, luminaires, maintenanceFactor: 1, reflectances: { ceiling: 0, walls: 0, floor: 0 } });
+
+    const all = result.values.flat();
+    close(result.average, all.reduce((sum, value) => sum + value, 0) / all.length, 1e-9);
+    close(result.minimum, Math.min(...all), 1e-9);
+    close(result.uniformity, result.minimum / result.average, 1e-9);
+    assert.strictEqual(result.indirect, 0);
+
+    // The maintenance factor and the reflected light scale and lift every point
+    const maintained = calculateIlluminance({ room, luminaires, maintenanceFactor: 0.8 });
+    assert.ok(maintained.indirect > 0);
+    close(maintained.minimum, 0.8 * result.minimum + maintained.indirect, 1e-9);
+    assert.ok(maintained.uniformity > result.uniformity, 'reflected light evens out the room');
+
+    assert.throws(() => calculateIlluminance({ room: { width: 7, length: 9, height: 0.5 }, luminaires }), /height above the working plane/);
+});
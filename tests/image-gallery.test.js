@@ -0,0 +1,57 @@
+/**
+ * Image Gallery Tests
+ * The arrow keys step through the photos and wrap around, Home / End jump to the ends, and a
+ * thumbnail's lit preview is drawn again only when the light source changes.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { galleryKeyIndex, galleryPreviewNeedsDrawing, markGalleryPreviewDrawn } = require('../image-gallery.js');
+
+test('the arrow keys step through the photos and wrap around', () => {
+    assert.strictEqual(galleryKeyIndex('ArrowRight', 0, 4), 1);
+    assert.strictEqual(galleryKeyIndex('ArrowDown', 2, 4), 3);
+    assert.strictEqual(galleryKeyIndex('ArrowRight', 3, 4), 0, 'past the last photo');
+    assert.strictEqual(galleryKeyIndex('ArrowLeft', 2, 4), 1);
+    assert.strictEqual(galleryKeyIndex('ArrowUp', 0, 4), 3, 'before the first photo');
+    assert.strictEqual(galleryKeyIndex('ArrowLeft', 0, 1), 0, 'a single photo stays selected');
+});
+
+test('Home and End jump to the first and last photo', () => {
+    assert.strictEqual(galleryKeyIndex('Home', 5, 7), 0);
+    assert.strictEqual(galleryKeyIndex('End', 0, 7), 6);
+});
+
+test('other keys and an empty gallery are not handled', () => {
+    assert.strictEqual(galleryKeyIndex('Enter', 1, 4), null);
+    assert.strictEqual(galleryKeyIndex('a', 1, 4), null);
+    assert.strictEqual(galleryKeyIndex('ArrowRight', 0, 0), null);
+    assert.strictEqual(galleryKeyIndex('End', 0, 0), null);
+});
+
+test('a preview is drawn once its photo has loaded and again only for another light', () => {
+    const thumbnail = { index: 0, source: null };
+    const warm = { cct: 3000, cri: 80, spectrum: null };
+    assert.strictEqual(galleryPreviewNeedsDrawing(thumbnail, warm), false, 'not loaded yet');
+    assert.strictEqual(galleryPreviewNeedsDrawing(null, warm), false);
+
+    thumbnail.source = { width: 120, height: 80 };
+    assert.strictEqual(galleryPreviewNeedsDrawing(thumbnail, warm), true, 'loaded, never drawn');
+
+    markGalleryPreviewDrawn(thumbnail, warm);
+    assert.strictEqual(galleryPreviewNeedsDrawing(thumbnail, { cct: 3000, cri: 80, spectrum: null }), false, 'same light');
+    assert.strictEqual(galleryPreviewNeedsDrawing(thumbnail, { ...warm, cct: 4000 }), true);
+    assert.strictEqual(galleryPreviewNeedsDrawing(thumbnail, { ...warm, cri: 95 }), true);
+
+    // An imported spectrum is a different light, even at the same CCT and Ra
+    const imported = { ...warm, spectrum: [1, 2, 3] };
+    assert.strictEqual(galleryPreviewNeedsDrawing(thumbnail, imported), true);
+    markGalleryPreviewDrawn(thumbnail, imported);
+    assert.strictEqual(galleryPreviewNeedsDrawing(thumbnail, { ...warm, spectrum: imported.spectrum }), false);
+
+    // The recorded light is a copy, so changing the caller's object does not hide a change
+    imported.cct = 5000;
+    assert.strictEqual(galleryPreviewNeedsDrawing(thumbnail, imported), true);
+});
@@ -0,0 +1,71 @@
+/**
+ * Lighting Renderer Tests
+ * The working copy is the photo scaled down to the screen pixels it covers, the pixel step gives
+ * the photo back under a neutral light and adds the veil in linear light, and redraws are
+ * gathered into one per animation frame.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The colour helpers are globals in the browser
+Object.assign(global, require('../colorimetry.js'));
+const { workingCopySize, shadeLightingPixels, createFrameScheduler } = require('../lighting-renderer.js');
+
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+test('the working copy covers the screen pixels of the canvas and is never larger than the photo', () => {
+    // A 4000 x 3000 photo shown 800 px wide on a 2x screen
+    assert.deepStrictEqual(workingCopySize(4000, 3000, 800, 2), { width: 1600, height: 1200 });
+    assert.deepStrictEqual(workingCopySize(4000, 3000, 800), { width: 800, height: 600 });
+    assert.deepStrictEqual(workingCopySize(400, 300, 800, 2), { width: 400, height: 300 });
+    // A canvas without a size on the page (hidden) gets the default width
+    assert.deepStrictEqual(workingCopySize(4000, 3000, 0), { width: 1280, height: 960 });
+});
+
+test('a neutral light gives the photo back and the veil brightens it in linear light', () => {
+    const source = new Uint8ClampedArray(256 * 4);
+    for (let value = 0; value < 256; value++) {
+        source.set([value, 255 - value, value >> 1, value], value * 4);
+    }
+    const output = new Uint8ClampedArray(source.length);
+    shadeLightingPixels(source, output, IDENTITY, null, 0);
+    assert.deepStrictEqual(output, source);
+
+    // Black under a veil of 0.2 (linear) is sRGB 124; alpha is kept
+    const veiled = new Uint8ClampedArray(4);
+    shadeLightingPixels(new Uint8ClampedArray([0, 0, 0, 128]), veiled, IDENTITY, new Float32Array([2]), 0.1);
+    assert.deepStrictEqual(Array.from(veiled), [124, 124, 124, 128]);
+
+    // A matrix that halves the light halves it in linear light, not in sRGB values
+    const halved = new Uint8ClampedArray(4);
+    shadeLightingPixels(new Uint8ClampedArray([255, 255, 255, 255]), halved, IDENTITY.map(row => row.map(value => value / 2)), null, 0);
+    assert.strictEqual(halved[0], 188);
+});
+
+test('redraws are gathered into one per animation frame', () => {
+    const frames = [];
+    let calls = 0;
+    const scheduler = createFrameScheduler(() => calls++, callback => frames.push(callback) - 1, id => { frames[id] = null; });
+
+    scheduler.request();
+    scheduler.request();
+    scheduler.request();
+    assert.strictEqual(frames.length, 1);
+    frames[0]();
+    assert.strictEqual(calls, 1);
+
+    // flush() runs a waiting redraw at once and cancel() drops it
+    scheduler.request();
+    scheduler.flush();
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(frames[1], null);
+    scheduler.flush();
+    assert.strictEqual(calls, 2, 'nothing waiting, nothing to run');
+    scheduler.request();
+    scheduler.cancel();
+    assert.strictEqual(frames[2], null);
+    assert.strictEqual(calls, 2);
+});
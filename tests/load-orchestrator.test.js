@@ -0,0 +1,82 @@
+/**
+ * Load Orchestrator Tests
+ * Tasks start once the tasks they wait for have succeeded, the percentage is weighted by task,
+ * a failed task holds up the tasks after it until it is retried, and bad task lists are rejected.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLoadOrchestrator } = require('../load-orchestrator.js');
+
+// Function to make a task whose promise the test settles by hand
+const deferred = () => {
+    const task = {};
+    task.promise = new Promise((resolve, reject) => { task.resolve = resolve; task.reject = reject; });
+    return task;
+};
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('tasks run after the tasks they wait for and the percentage follows the weights', async () => {
+    const json = deferred();
+    let report = null;
+    const started = [];
+    const loader = createLoadOrchestrator([
+        { id: 'json', label: 'Standards', weight: 3, run: (results, progress) => { started.push('json'); report = progress; return json.promise; } },
+        { id: 'setup', after: ['json'], run: ({ json }) => { started.push('setup'); return json.length; } }
+    ]);
+
+    const finished = loader.start();
+    await settle();
+    assert.deepStrictEqual(started, ['json']);
+    assert.strictEqual(loader.getState().tasks[1].status, 'waiting');
+    assert.strictEqual(loader.getState().tasks[1].label, 'setup', 'the id is the label by default');
+
+    report(0.5);
+    assert.strictEqual(loader.getState().percent, 37.5);
+    report(7);
+    assert.strictEqual(loader.getState().percent, 75, 'progress is capped at the whole task');
+
+    json.resolve([1, 2, 3]);
+    assert.deepStrictEqual(await finished, { json: [1, 2, 3], setup: 3 });
+    assert.deepStrictEqual(started, ['json', 'setup']);
+    assert.strictEqual(loader.getState().percent, 100);
+    assert.strictEqual(loader.start(), finished, 'starting twice runs nothing again');
+});
+
+test('a failed task holds up the tasks after it until a retry succeeds', async () => {
+    let attempts = 0;
+    const states = [];
+    const loader = createLoadOrchestrator([
+        { id: 'image', run: () => { attempts++; if (attempts === 1) throw new Error('offline'); return 'photo'; } },
+        { id: 'schema', run: () => 'schema' },
+        { id: 'canvas', after: ['image', 'schema'], run: ({ image, schema }) => `${image} on ${schema}` }
+    ], state => states.push(state));
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+        const finished = loader.start();
+        await settle();
+        const failed = loader.getState();
+        assert.ok(failed.failed);
+        assert.deepStrictEqual(failed.tasks.map(task => task.status), ['failed', 'done', 'waiting']);
+        assert.strictEqual(failed.tasks[0].error.message, 'offline');
+        assert.ok(states.some(state => state.failed), 'the failure is reported');
+
+        assert.strictEqual(loader.retry('schema'), false, 'only a failed task can be retried');
+        assert.strictEqual(loader.retry('image'), true);
+        assert.deepStrictEqual(await finished, { image: 'photo', schema: 'schema', canvas: 'photo on schema' });
+        assert.strictEqual(loader.getState().failed, false);
+        assert.strictEqual(loader.getState().tasks[0].error, null);
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('task lists with repeated ids or unknown dependencies are rejected', () => {
+    assert.throws(() => createLoadOrchestrator([{ id: 'a', run: () => 1 }, { id: 'a', run: () => 2 }]), /Two load tasks are called "a"/);
+    assert.throws(() => createLoadOrchestrator([{ id: 'a', after: ['b'], run: () => 1 }]), /waits for an unknown task "b"/);
+    assert.strictEqual(createLoadOrchestrator([]).getState().percent, 100);
+});
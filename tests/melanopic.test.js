@@ -0,0 +1,76 @@
+/**
+ * Melanopic EDI Tests
+ * The melanopic action spectrum has the CIE S 026 peak and daylight efficacy, mel-DER is 1 for D65
+ * and lower for warm light, and a melanopic EDI is rated against the graded ranges.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The colour helpers are globals in the browser
+Object.assign(global, require('../colorimetry.js'));
+const {
+    MELANOPIC_ACTION_SPECTRUM,
+    melanopicEfficacy,
+    melanopicDER,
+    calculateMelanopicEDI,
+    normalizeGradedRanges,
+    rateMelanopicEDI,
+    rateGradedValue
+} = require('../melanopic.js');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const GRADED_EDI = [
+    { range: { min: 50, max: 300, unit: 'lux' }, rating: 'Good', recommendation: 'Keep it' },
+    { range: { min: 30, max: 49, unit: 'lux' }, rating: 'medium' },
+    { range: { min: 0, max: 29, unit: 'lux' }, rating: 'bad' }
+];
+
+test('the melanopic action spectrum has the published CIE S 026 anchors', () => {
+    assert.strictEqual(MELANOPIC_ACTION_SPECTRUM.length, WAVELENGTHS.length);
+    assert.strictEqual(WAVELENGTHS[MELANOPIC_ACTION_SPECTRUM.indexOf(1)], 490, 'peak wavelength');
+
+    // Melanopic efficacy of D65 radiation: 1.3262 mW/lm (luminous efficacy 683 lm/W)
+    close(melanopicEfficacy(daylightSpectrum(6504)) / 683 * 1000, 1.3262, 0.02);
+
+    // Equal-energy illuminant E: mel-DER 0.9058
+    close(melanopicDER(WAVELENGTHS.map(() => 1)), 0.9058, 0.005);
+});
+
+test('mel-DER is 1 for D65 and falls with the colour temperature', () => {
+    close(melanopicDER(daylightSpectrum(6504)), 1, 1e-12);
+
+    const ders = [2700, 4000, 6500].map(cct => melanopicDER(planckSpectrum(cct)));
+    assert.ok(ders[0] < ders[1] && ders[1] < ders[2], `not increasing: ${ders}`);
+    assert.ok(ders[0] > 0.4 && ders[0] < 0.55, `2700 K: ${ders[0]}`);
+
+    // The EDI scales with the vertical illuminance at the eye
+    close(calculateMelanopicEDI(daylightSpectrum(6504), 250), 250, 1e-9);
+    close(calculateMelanopicEDI(planckSpectrum(2700), 300), 300 * ders[0], 1e-9);
+});
+
+test('a melanopic EDI is rated against the graded ranges', () => {
+    assert.strictEqual(rateMelanopicEDI(120, GRADED_EDI).rating, 'good');
+    assert.strictEqual(rateMelanopicEDI(40.4, GRADED_EDI).rating, 'medium');
+    assert.strictEqual(rateMelanopicEDI(10, GRADED_EDI).rating, 'bad');
+
+    // Outside every range: bad, described against the good range
+    const high = rateMelanopicEDI(500, GRADED_EDI);
+    assert.strictEqual(high.rating, 'bad');
+    assert.deepStrictEqual(high.range, GRADED_EDI[0].range);
+    assert.strictEqual(high.recommendation, 'Keep it');
+    assert.match(high.reason, /500 lux is outside the recommended 50-300 lux/);
+
+    assert.strictEqual(rateGradedValue(3, null, 'hours'), null);
+});
+
+test('older single-range entries are brought into the graded shape', () => {
+    const [entry] = normalizeGradedRanges({ range: [2, 8], unit: 'hours' });
+    assert.deepStrictEqual(entry.range, { min: 2, max: 8, unit: 'hours' });
+    assert.strictEqual(entry.rating, 'good');
+    assert.strictEqual(rateGradedValue(9, { range: [2, 8], unit: 'hours' }, 'hours').rating, 'bad');
+    assert.deepStrictEqual(normalizeGradedRanges([{ rating: 'good' }]), []);
+});
@@ -0,0 +1,92 @@
+/**
+ * Offline Cache Tests
+ * The service worker caches every local file the pages load and every classroom image in the
+ * standards data, and the data version changes whenever the standards data does.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { standardsImages, standardsDataVersion } = require('../standards-loader.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const readJson = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+// service-worker.js is a worker script: run it with importScripts and a worker scope that
+// takes its event listeners, then read what it exports
+function loadServiceWorker() {
+    const context = vm.createContext({ module: { exports: {} }, self: { addEventListener() {} }, console });
+    context.importScripts = (...files) => files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf8'), context, { filename: 'service-worker.js' });
+    return context.module.exports;
+}
+
+// Local scripts, stylesheets and images a page loads (commented-out tags are skipped)
+function pageFiles(page) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8').replace(/<!--[\s\S]*?-->/g, '');
+    const tags = [
+        ...html.matchAll(/<script[^>]*\ssrc="([^"]+)"/g),
+        ...html.matchAll(/<link[^>]*\shref="([^"]+)"/g),
+        ...html.matchAll(/<img[^>]*\ssrc="([^"]+)"/g)
+    ];
+    return tags.map(match => match[1]).filter(file => !/^https?:/.test(file));
+}
+
+const { APP_SHELL, CDN_FILES, IMAGE_PATTERN } = loadServiceWorker();
+
+test('every local file the pages load is cached and exists', () => {
+    ['index.html', 'class.html'].forEach(page => {
+        pageFiles(page).forEach(file => {
+            assert.ok(APP_SHELL.includes(file), `${page} loads ${file}, which is not in APP_SHELL`);
+        });
+    });
+    assert.ok(APP_SHELL.includes('lighting-render-worker.js'), 'the render worker is started by a script, not a tag');
+
+    APP_SHELL.filter(file => file !== './').forEach(file => {
+        assert.ok(fs.existsSync(path.join(ROOT, file)), `APP_SHELL lists missing file ${file}`);
+    });
+    assert.strictEqual(new Set(APP_SHELL).size, APP_SHELL.length, 'APP_SHELL lists a file twice');
+    assert.ok(CDN_FILES.every(url => url.startsWith('https://')));
+});
+
+test('every classroom image of every environment is cached for offline use', () => {
+    const standards = readJson('api/standards.json');
+    const images = standardsImages(standards);
+    assert.strictEqual(new Set(images).size, images.length);
+
+    Object.values(standards.age_groups).forEach(group => {
+        Object.values(group.environments).forEach(environment => {
+            environment.images.forEach(image => {
+                assert.ok(images.includes(image), `${image} is not cached`);
+                assert.ok(fs.existsSync(path.join(ROOT, image)), `missing image ${image}`);
+            });
+        });
+    });
+});
+
+test('images, including AVIF, are served from the cache first', () => {
+    ['a.jpg', 'a.JPEG', 'a.png', 'a.webp', 'a.avif', 'a.gif', 'a.svg'].forEach(file => {
+        assert.ok(IMAGE_PATTERN.test(`/images/${file}`), file);
+    });
+    assert.ok(!IMAGE_PATTERN.test('/api/standards.json'));
+    assert.ok(!IMAGE_PATTERN.test('/classroom-simulator.js'));
+});
+
+test('the data version changes with the standards data', () => {
+    const standards = readJson('api/standards.json');
+    const version = standardsDataVersion(standards);
+    assert.match(version, /^1\.[0-9a-f]{8}$/);
+    assert.strictEqual(standardsDataVersion(readJson('api/standards.json')), version, 'the same data has the same version');
+
+    const edited = readJson('api/standards.json');
+    const group = Object.values(edited.age_groups)[0];
+    const range = Object.values(group.ranges)[0][0];
+    range.max += 1;
+    assert.notStrictEqual(standardsDataVersion(edited), version);
+});
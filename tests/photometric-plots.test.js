@@ -0,0 +1,46 @@
+/**
+ * Photometric Plot Tests
+ * Contour lines cross the grid where the level lies between neighbouring values, contour levels
+ * fall on round numbers and the isolux colours follow the recommended range.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { niceStep, contourLevels, isoluxColour, contourSegments } = require('../photometric-plots.js');
+
+test('steps and contour levels are round numbers', () => {
+    assert.strictEqual(niceStep(1000, 4), 250);
+    assert.strictEqual(niceStep(90, 4), 25);
+    assert.strictEqual(niceStep(7, 4), 2);
+    assert.strictEqual(niceStep(0, 4), 1);
+    assert.deepStrictEqual(contourLevels(226, 358, 6), [250, 275, 300, 325, 350]);
+});
+
+test('a contour line runs where the level lies between the grid values', () => {
+    // Values rise from left to right: the 5 lx line runs down the middle of the cell
+    const segments = contourSegments([[0, 10], [0, 10]], 5);
+    assert.deepStrictEqual(segments, [[[0.5, 0], [0.5, 1]]]);
+
+    // A level outside the values has no line
+    assert.deepStrictEqual(contourSegments([[0, 10], [0, 10]], 20), []);
+
+    // A peak in the middle of a 3 x 3 grid is ringed by four segments
+    const ring = contourSegments([[0, 0, 0], [0, 8, 0], [0, 0, 0]], 4);
+    assert.strictEqual(ring.length, 4);
+    ring.flat().forEach(([column, row]) => {
+        assert.ok(Math.abs(column - 1) === 0.5 || Math.abs(row - 1) === 0.5);
+    });
+});
+
+test('isolux colours follow the recommended range', () => {
+    const range = { min: 300, max: 500 };
+    const [redLow, greenLow] = isoluxColour(100, range);
+    const [redIn, greenIn, blueIn] = isoluxColour(400, range);
+    const [redHigh, greenHigh, blueHigh] = isoluxColour(800, range);
+    assert.ok(redLow > greenLow, 'too dark is red / orange');
+    assert.ok(greenIn > redIn && greenIn > blueIn, 'within the range is green');
+    assert.ok(blueHigh > redHigh && blueHigh > greenHigh, 'too bright is blue');
+    assert.deepStrictEqual(isoluxColour(0, range), [80, 16, 24]);
+});
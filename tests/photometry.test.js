@@ -0,0 +1,165 @@
+/**
+ * Photometry Tests
+ * IES and EULUMDAT files give the same luminaire description: intensities in cd with their
+ * symmetry, the flux integrated from them, and the lumen, wattage, CCT and CRI metadata. Imported
+ * luminaires survive the localStorage catalogue.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    findColourTemperature,
+    findColourRendering,
+    parseIES,
+    parseLDT,
+    parsePhotometryFile,
+    foldHorizontalAngle,
+    photometricIntensity
+} = require('../photometry.js');
+const {
+    LUMINAIRE_STORAGE_KEY,
+    loadLuminaireCatalogue,
+    addLuminaireToCatalogue,
+    removeLuminaireFromCatalogue
+} = require('../luminaire-catalogue.js');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+// A diffuser panel: I = 1000 cos(gamma) cd, measured every 5° from 0 to 90°, rotationally symmetric
+const gammas = Array.from({ length: 19 }, (value, i) => i * 5);
+const iesText = [
+    'IESNA:LM-63-2002',
+    '[TEST] 1',
+    '[MANUFAC] Example Lighting',
+    '[LUMCAT] PANEL-600',
+    '[LUMINAIRE] LED panel 600 x 600',
+    '[LAMP] LED 4000K CRI 80',
+    'TILT=NONE',
+    '1 -1 2 19 1 1 2 0.6 0.6 0',
+    '1 1 36',
+    gammas.join(' '),
+    '0',
+    gammas.map(gamma => (500 * Math.cos(gamma * Math.PI / 180)).toFixed(3)).join(' ')
+].join('\n');
+
+// A EULUMDAT file with symmetry about both planes (C0-C90 stored): C0 = 300 cos(gamma) and
+// C90 = 200 cos(gamma) cd/klm for two lamp sets totalling 4000 lm
+function ldtText() {
+    const ldtGammas = Array.from({ length: 19 }, (value, i) => i * 10);
+    const plane = (peak) => ldtGammas.map(gamma => (gamma <= 90 ? peak * Math.cos(gamma * Math.PI / 180) : 0).toFixed(3));
+    return [
+        'Example Lighting', '1', '4', '4', '90', '19', '10', 'R-1', 'LED batten 1200', 'BAT-1200', 'bat.ldt', '2024-01-01',
+        '1200', '80', '60', '1150', '50', '0', '0', '0', '0',
+        '100', '90', '1', '0', '2',
+        '1', '1', 'LED', 'LED', '3000', '1000', '3000K', '3000K', '1B', '1B', '30', '8',
+        ...Array(10).fill('0.5'),
+        '0', '90', '180', '270',
+        ...ldtGammas.map(String),
+        ...plane(300),
+        ...plane(200)
+    ].join('\r\n');
+}
+
+test('an IES file gives intensities in cd, the integrated flux and its metadata', () => {
+    const luminaire = parseIES(iesText);
+    assert.strictEqual(luminaire.format, 'IES');
+    assert.strictEqual(luminaire.name, 'LED panel 600 x 600');
+    assert.strictEqual(luminaire.manufacturer, 'Example Lighting');
+    assert.strictEqual(luminaire.catalogueNumber, 'PANEL-600');
+    assert.strictEqual(luminaire.watts, 36);
+    assert.strictEqual(luminaire.cct, 4000);
+    assert.strictEqual(luminaire.cri, 80);
+    assert.strictEqual(luminaire.ratedLumens, null, 'absolute photometry has no rated lamp lumens');
+    close(luminaire.width, 0.6, 1e-9);
+
+    // The candela multiplier (2) is applied; a diffuser's flux is π times its peak intensity
+    const intensity = photometricIntensity(luminaire);
+    close(intensity(0, 0), 1000, 1e-6);
+    close(intensity(60, 123), 500, 0.5);
+    assert.strictEqual(intensity(120, 0), 0, 'no light above the measured angles');
+    close(luminaire.lumens, 1000 * Math.PI, 10);
+});
+
+test('IES files with lamp tilt data and bad numbers are handled', () => {
+    const tilted = iesText.replace('TILT=NONE', 'TILT=INCLUDE\n1\n3\n0 45 90\n1 0.9 0.8');
+    assert.strictEqual(parseIES(tilted).candela[0].length, 19);
+    assert.throws(() => parseIES(iesText.replace('TILT=NONE\n', '')), /no TILT/);
+    assert.throws(() => parseIES(iesText.split('\n').slice(0, 10).join('\n')), /ends early/);
+    assert.throws(() => parseIES(iesText.replace('1 -1 2 19 1 1 2', '1 -1 2 19 1 2 2')), /type C/);
+});
+
+test('a EULUMDAT file is scaled from cd/klm and unfolded by its symmetry', () => {
+    const luminaire = parsePhotometryFile('bat.ldt', ldtText());
+    assert.strictEqual(luminaire.format, 'LDT');
+    assert.strictEqual(luminaire.name, 'LED batten 1200');
+    assert.strictEqual(luminaire.catalogueNumber, 'BAT-1200');
+    assert.strictEqual(luminaire.ratedLumens, 4000);
+    assert.strictEqual(luminaire.watts, 38);
+    assert.strictEqual(luminaire.cct, 3000);
+    assert.strictEqual(luminaire.cri, 80);
+    close(luminaire.length, 1.15, 1e-9);
+    close(luminaire.width, 0.05, 1e-9);
+    assert.deepStrictEqual(luminaire.horizontalAngles, [0, 90]);
+
+    // 300 cd/klm at 4000 lm is 1200 cd; the quadrants mirror C0-C90
+    const intensity = photometricIntensity(luminaire);
+    close(intensity(0, 0), 1200, 1e-6);
+    close(intensity(0, 180), 1200, 1e-6);
+    close(intensity(30, 270), intensity(30, 90), 1e-9);
+    close(intensity(30, 90), 800 * Math.cos(Math.PI / 6), 0.01);
+    assert.ok(luminaire.lumens > 800 * Math.PI && luminaire.lumens < 1200 * Math.PI);
+
+    assert.throws(() => parseLDT('too\nshort'), /too short/);
+});
+
+test('C angles fold onto the planes a file covers', () => {
+    assert.strictEqual(foldHorizontalAngle(135, [0, 45, 90]), 45);
+    assert.strictEqual(foldHorizontalAngle(200, [0, 45, 90]), 20);
+    assert.strictEqual(foldHorizontalAngle(300, [0, 90, 180]), 60);
+    assert.strictEqual(foldHorizontalAngle(45, [90, 180, 270]), 135);
+    assert.strictEqual(foldHorizontalAngle(315, [90, 180, 270]), 225);
+    assert.strictEqual(foldHorizontalAngle(-30, [0, 90, 180, 270]), 330);
+    assert.strictEqual(foldHorizontalAngle(77, [0]), 0);
+});
+
+test('colour temperature and rendering are read from free text', () => {
+    assert.strictEqual(findColourTemperature('LED 3500 K'), 3500);
+    assert.strictEqual(findColourTemperature('4000'), 4000);
+    assert.strictEqual(findColourTemperature('LED'), null);
+    assert.strictEqual(findColourRendering('Ra>90'), 90);
+    assert.strictEqual(findColourRendering('80-89'), 80);
+    assert.strictEqual(findColourRendering('2A'), 70);
+    assert.strictEqual(findColourRendering('LED 840'), 80);
+    assert.strictEqual(findColourRendering('Rated 50 W'), null);
+});
+
+test('imported luminaires are kept in the catalogue and replaced on re-import', () => {
+    const items = {};
+    const storage = {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+
+    const panel = addLuminaireToCatalogue(parseIES(iesText), 'panel.ies', storage);
+    addLuminaireToCatalogue(parseLDT(ldtText()), 'bat.ldt', storage);
+    addLuminaireToCatalogue(parseIES(iesText), 'panel-copy.ies', storage);
+
+    const catalogue = loadLuminaireCatalogue(storage);
+    assert.deepStrictEqual(catalogue.map(luminaire => luminaire.name), ['LED batten 1200', 'LED panel 600 x 600']);
+    assert.strictEqual(catalogue[1].fileName, 'panel-copy.ies');
+    assert.deepStrictEqual(catalogue[1].candela, panel.candela);
+
+    assert.strictEqual(removeLuminaireFromCatalogue(panel.id, storage).length, 1);
+
+    // A damaged entry is skipped, not the whole catalogue
+    items[LUMINAIRE_STORAGE_KEY] = JSON.stringify([{ name: 'Broken' }, ...JSON.parse(items[LUMINAIRE_STORAGE_KEY])]);
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.strictEqual(loadLuminaireCatalogue(storage).length, 1);
+    } finally {
+        console.warn = originalWarn;
+    }
+});
@@ -0,0 +1,54 @@
+/**
+ * Compliance Report Tests
+ * The report must carry the selection, values, pass / fail, texts and score, and stay self-contained.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildReportHTML } = require('../report.js');
+
+const side = {
+    label: null,
+    image: 'data:image/png;base64,AAAA',
+    lightSource: 'Triphosphor fluorescent, 4000 K',
+    score: { percentage: 50, totalScore: 1, totalParams: 2, overallStatus: 'Not Recommended' },
+    parameters: [
+        { label: 'CRI (Color Rendering Index)', value: 90, unit: '', range: '80 - 100', passed: true, reason: 'Excellent color rendering.', recommendation: 'Use in sensitive visual tasks.' },
+        { label: 'CCT (Color Temperature)', value: 6500, unit: 'K', range: '3500 - 5000', passed: false, reason: 'Value 6500 K is outside recommended range (3500-5000 K)', recommendation: 'Use <4000 K in the afternoon & evening.' }
+    ]
+};
+
+const report = {
+    generatedAt: new Date('2025-09-01T09:30:00Z'),
+    grade: { key: 'primary', label: 'Primary', ageRange: '6-12' },
+    environment: { key: 'classroom', label: 'Classroom' },
+    link: 'class.html?grade=primary&environment=classroom',
+    sides: [side]
+};
+
+test('the report lists the selection, every parameter and the overall score', () => {
+    const html = buildReportHTML(report);
+
+    assert.match(html, /Primary<\/strong> \(6-12 years\)/);
+    assert.match(html, /Classroom/);
+    assert.ok(html.includes(report.generatedAt.toLocaleString()), 'timestamp');
+    assert.match(html, /<img class="snapshot" src="data:image\/png;base64,AAAA"/);
+    assert.match(html, /<strong>50%<\/strong> - Not Recommended/);
+    assert.match(html, /<tr class="pass">[\s\S]*CRI \(Color Rendering Index\)[\s\S]*Pass[\s\S]*Excellent color rendering\./);
+    assert.match(html, /<tr class="fail">[\s\S]*6500 K[\s\S]*Fail[\s\S]*outside recommended range/);
+});
+
+test('data texts are escaped', () => {
+    const html = buildReportHTML(report);
+    assert.ok(html.includes('Use &lt;4000 K in the afternoon &amp; evening.'));
+    assert.ok(!html.includes('<4000 K'));
+});
+
+test('A/B reports have a section per side and no external resources', () => {
+    const html = buildReportHTML({ ...report, sides: [{ ...side, label: 'A' }, { ...side, label: 'B', image: null }] });
+    assert.match(html, /<h2>Scenario A<\/h2>[\s\S]*<h2>Scenario B<\/h2>/);
+    assert.match(html, /No image snapshot available/);
+    assert.ok(!/(src|href)="(https?:)?\/\//.test(html), 'report must work offline');
+});
@@ -0,0 +1,72 @@
+/**
+ * Room Photo Tests
+ * Uploaded photos are scaled down to the stored size, the white point of a photo taken under
+ * warm light is found and taken back to neutral, and stored photos are checked before use.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The colour helpers are globals in the browser
+Object.assign(global, require('../colorimetry.js'));
+const { roomPhotoSize, estimateWhitePoint, buildNeutralizingMatrix, normalizeRoomPhoto } = require('../room-photo.js');
+
+// Function to make the RGBA pixels of a scene of grey surfaces lit by an illuminant of a CCT
+function greySceneUnder(cct, count = 4000) {
+    const white = multiplyMatrixVector(XYZ_TO_SRGB, illuminantWhitePoint(cct));
+    const peak = Math.max(...white);
+    const pixels = new Uint8ClampedArray(count * 4);
+    for (let i = 0; i < count; i++) {
+        // Reflectances from 5 % to 80 %, spread evenly
+        const reflectance = 0.05 + 0.75 * (i % 100) / 99;
+        white.forEach((value, channel) => {
+            pixels[i * 4 + channel] = linearToSrgb8(reflectance * value / peak);
+        });
+        pixels[i * 4 + 3] = 255;
+    }
+    return pixels;
+}
+
+test('uploaded photos are scaled down to the stored size', () => {
+    assert.deepStrictEqual(roomPhotoSize(4032, 3024), { width: 1600, height: 1200 });
+    assert.deepStrictEqual(roomPhotoSize(3024, 4032), { width: 1200, height: 1600 });
+    assert.deepStrictEqual(roomPhotoSize(800, 600), { width: 800, height: 600 }, 'small photos keep their size');
+    assert.deepStrictEqual(roomPhotoSize(10000, 10, 1000), { width: 1000, height: 1 });
+});
+
+test('the white point of a photo taken under warm light is found and taken back to neutral', () => {
+    [2700, 4000, 6500].forEach(cct => {
+        const estimate = estimateWhitePoint(greySceneUnder(cct));
+        assert.ok(Math.abs(estimate.cct - cct) < cct * 0.03, `${cct} K estimated as ${estimate.cct.toFixed(0)} K`);
+        assert.ok(Math.abs(estimate.duv) < 0.006, `Duv ${estimate.duv}`);
+    });
+
+    // The warm white comes out with equal channels (grey)
+    const warm = estimateWhitePoint(greySceneUnder(2700));
+    const neutral = multiplyMatrixVector(buildNeutralizingMatrix(warm.xyz), multiplyMatrixVector(XYZ_TO_SRGB, warm.xyz));
+    assert.ok(Math.max(...neutral) - Math.min(...neutral) < 0.01, `not neutral: ${neutral}`);
+
+    // Only clipped or black pixels: nothing to estimate from
+    assert.strictEqual(estimateWhitePoint(new Uint8ClampedArray(400 * 4).fill(255)), null);
+    assert.strictEqual(estimateWhitePoint(new Uint8ClampedArray(400 * 4)), null);
+});
+
+test('stored room photos are checked before use', () => {
+    const photo = {
+        name: 'Room 12.jpg',
+        data: 'data:image/jpeg;base64,/9j/4AAQ',
+        width: 1600,
+        height: 1200,
+        white: { xyz: [1.1, 1, 0.35], cct: 2700, duv: 0.001 }
+    };
+    assert.deepStrictEqual(normalizeRoomPhoto(photo), { ...photo, neutralize: true });
+    assert.strictEqual(normalizeRoomPhoto({ ...photo, neutralize: false }).neutralize, false);
+    assert.strictEqual(normalizeRoomPhoto({ ...photo, white: { xyz: [1, 'x', 1], cct: 1, duv: 0 } }).white, null);
+    assert.strictEqual(normalizeRoomPhoto({ ...photo, name: '' }).name, 'Room photo');
+
+    assert.strictEqual(normalizeRoomPhoto({ ...photo, data: 'https://example.com/room.jpg' }), null, 'only embedded images');
+    assert.strictEqual(normalizeRoomPhoto({ ...photo, data: 'data:text/html;base64,PGgxPg==' }), null);
+    assert.strictEqual(normalizeRoomPhoto(null), null);
+});
@@ -0,0 +1,111 @@
+/**
+ * Scenario Library Tests
+ * Saved scenarios (with their room photos) must survive storage and a JSON export / import, and
+ * bad files must be rejected.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// scenario-library.js uses the slider, option and energy input lists from simulator-state.js (globals in the browser)
+({
+    SLIDER_STATE_PARAMS: global.SLIDER_STATE_PARAMS,
+    OPTION_STATE_PARAMS: global.OPTION_STATE_PARAMS,
+    ENERGY_STATE_PARAMS: global.ENERGY_STATE_PARAMS
+} = require('../simulator-state.js'));
+// ...and checks saved room photos with room-photo.js
+global.normalizeRoomPhoto = require('../room-photo.js').normalizeRoomPhoto;
+const {
+    SCENARIO_STORAGE_KEY,
+    loadSavedScenarios,
+    saveScenario,
+    deleteScenario,
+    mergeScenarios,
+    exportScenariosJSON,
+    parseScenariosJSON
+} = require('../scenario-library.js');
+
+// Minimal stand-in for window.localStorage
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+const existingT8 = { grade: 'secondary', environment: 'classroom', image: 0, sliders: { cctSlider: 4000, criSlider: 62, flickerSlider: 100, flickerModulationSlider: 30 } };
+const proposedLed = { grade: 'secondary', environment: 'classroom', image: 0, sliders: { cctSlider: 4000, criSlider: 90, flickerSlider: 3000 }, options: { flickerWaveform: 'square' }, luminaires: [{ x: 0.3, y: 0.1 }, { x: 0.7, y: 0.1 }], energy: { energyCount: 12, energyWatts: 29, energyDimming: 0.8, energyTariff: -1, energyLamps: 3 } };
+
+test('scenarios are saved, listed by name and replaced by name', () => {
+    const storage = memoryStorage();
+    saveScenario('Room 12 proposed LED', proposedLed, storage);
+    saveScenario('Room 2 existing T8', existingT8, storage);
+    saveScenario('Room 12 existing T8', existingT8, storage);
+    saveScenario('room 12 PROPOSED led', { ...proposedLed, sliders: { cctSlider: 3500 } }, storage);
+
+    const scenarios = loadSavedScenarios(storage);
+    assert.deepStrictEqual(scenarios.map(scenario => scenario.name), ['Room 2 existing T8', 'Room 12 existing T8', 'room 12 PROPOSED led']);
+    assert.deepStrictEqual(scenarios[2].state.sliders, { cctSlider: 3500 });
+    assert.deepStrictEqual(scenarios[2].state.options, { flickerWaveform: 'square' });
+    assert.deepStrictEqual(scenarios[2].state.luminaires, [{ x: 0.3, y: 0.1 }, { x: 0.7, y: 0.1 }]);
+    assert.deepStrictEqual(scenarios[2].state.energy, { energyCount: 12, energyWatts: 29, energyDimming: 0.8 });
+    assert.deepStrictEqual(scenarios[0].state.energy, {});
+    assert.strictEqual(scenarios[1].state.luminaires, null, 'no luminaires saved means the default ones');
+
+    deleteScenario('ROOM 2 EXISTING T8', storage);
+    assert.strictEqual(loadSavedScenarios(storage).length, 2);
+});
+
+test('a room photo is saved with its scenario and a full storage is reported', () => {
+    const storage = memoryStorage();
+    const photo = { name: 'Room 12.jpg', data: 'data:image/jpeg;base64,/9j/4AAQ', width: 1600, height: 1200, white: { xyz: [1.1, 1, 0.35], cct: 2700, duv: 0.001 }, neutralize: false };
+    saveScenario('Room 12 photo', { ...existingT8, photo }, storage);
+    saveScenario('Room 12 linked photo', { ...existingT8, photo: { ...photo, data: 'https://example.com/room.jpg' } }, storage);
+
+    const [linked, saved] = loadSavedScenarios(storage);
+    assert.deepStrictEqual(saved.state.photo, photo);
+    assert.strictEqual(linked.state.photo, null, 'only photos embedded in the scenario are kept');
+    assert.deepStrictEqual(parseScenariosJSON(exportScenariosJSON([saved]))[0].state.photo, photo);
+
+    const full = {
+        getItem: () => null,
+        setItem: () => { throw Object.assign(new Error('exceeded the quota'), { name: 'QuotaExceededError' }); }
+    };
+    assert.throws(() => saveScenario('Room 13', { ...existingT8, photo }, full), /browser storage is full/);
+});
+
+test('damaged storage does not lose the valid scenarios', () => {
+    const storage = memoryStorage();
+    storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify([{ name: 'Room 1', state: existingT8 }, { name: '', state: existingT8 }, null]));
+    assert.deepStrictEqual(loadSavedScenarios(storage).map(scenario => scenario.name), ['Room 1']);
+
+    storage.setItem(SCENARIO_STORAGE_KEY, '{not json');
+    assert.deepStrictEqual(loadSavedScenarios(storage), []);
+});
+
+test('an export imports back unchanged', () => {
+    const storage = memoryStorage();
+    saveScenario('Room 12 existing T8', existingT8, storage);
+    saveScenario('Room 12 proposed LED', proposedLed, storage);
+    const scenarios = loadSavedScenarios(storage);
+
+    const imported = parseScenariosJSON(exportScenariosJSON(scenarios));
+    assert.deepStrictEqual(imported, scenarios);
+    assert.deepStrictEqual(mergeScenarios(scenarios, imported), scenarios);
+});
+
+test('files that are not scenario exports are rejected with a reason', () => {
+    assert.throws(() => parseScenariosJSON('not json'), /Not a JSON file/);
+    assert.throws(() => parseScenariosJSON('{"scenarios": []}'), /Not a scenario export/);
+    assert.throws(
+        () => parseScenariosJSON(JSON.stringify({ format: 'lighting-simulator-scenarios', version: 1, scenarios: [{ name: 'Room 3', state: { grade: 'primary' } }] })),
+        /Scenario 1 \("Room 3"\) needs a grade and an environment/
+    );
+    assert.throws(
+        () => parseScenariosJSON(JSON.stringify({ format: 'lighting-simulator-scenarios', version: 2, scenarios: [] })),
+        /newer than this simulator supports/
+    );
+});
@@ -0,0 +1,79 @@
+/**
+ * Selection Resolution Tests
+ * Every grade x environment pair offered by index.html must resolve to standards data
+ * the simulator can render (recommendation ranges and at least one existing image).
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateStandards, resolveSelection, buildApiData } = require('../standards-loader.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const readJson = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+const standards = readJson('api/standards.json');
+const schema = readJson('api/standards.schema.json');
+const apiData = buildApiData(standards);
+
+// Option values of a <select> in index.html (the empty "-- Choose --" option is skipped)
+function selectOptions(id) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const select = html.match(new RegExp(`<select[^>]*id="${id}"[^>]*>([\\s\\S]*?)</select>`));
+    assert.ok(select, `index.html has no <select id="${id}">`);
+    return [...select[1].matchAll(/<option value="([^"]*)"/g)].map(match => match[1]).filter(Boolean);
+}
+
+const grades = selectOptions('grade');
+const environments = selectOptions('environment');
+
+test('index.html offers grades and environments', () => {
+    assert.ok(grades.length > 0);
+    assert.ok(environments.length > 0);
+});
+
+test('the standards data passes validation', () => {
+    assert.deepStrictEqual(validateStandards(standards, schema), []);
+});
+
+for (const grade of grades) {
+    for (const environment of environments) {
+        test(`${grade} x ${environment} resolves to renderable data`, () => {
+            const selection = resolveSelection(standards, grade, environment);
+            assert.deepStrictEqual(selection.errors, []);
+
+            const gradeData = apiData[selection.grade];
+            assert.ok(gradeData, `no apiData for ${selection.grade}`);
+
+            const environmentData = gradeData.lighting_data.recommendation_levels.highly_recommended.environments[selection.environment];
+            assert.ok(environmentData, `no lighting data for ${selection.grade} / ${selection.environment}`);
+            assert.ok(environmentData.CRI && environmentData.CRI.range, 'no CRI range');
+            assert.ok(environmentData.images.length > 0, 'no images');
+            environmentData.images.forEach(image => {
+                assert.ok(fs.existsSync(path.join(ROOT, image)), `missing image ${image}`);
+            });
+
+            assert.ok(Array.isArray(gradeData.CCT) && gradeData.CCT.length > 0, 'no graded CCT ranges');
+        });
+    }
+}
+
+test('aliases resolve to the secondary age group', () => {
+    ['adults', 'secondary', 'high-school', 'High School', ' SECONDARY '].forEach(key => {
+        assert.strictEqual(resolveSelection(standards, key, 'classroom').grade, 'secondary', key);
+    });
+});
+
+test('unknown keys are reported rather than silently ignored', () => {
+    const unknownGrade = resolveSelection(standards, 'university', 'classroom');
+    assert.strictEqual(unknownGrade.grade, null);
+    assert.match(unknownGrade.errors[0], /Unknown age group "university"/);
+
+    const unknownEnvironment = resolveSelection(standards, 'kinder', 'gym');
+    assert.strictEqual(unknownEnvironment.grade, 'kinder');
+    assert.strictEqual(unknownEnvironment.environment, null);
+    assert.match(unknownEnvironment.errors[0], /No "gym" environment/);
+});
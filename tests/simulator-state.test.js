@@ -0,0 +1,68 @@
+/**
+ * Simulator State Tests
+ * A scenario written to the URL must read back unchanged, bad values must fall back to defaults,
+ * and the defaults are read from the controls on the page.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseSimulatorState,
+    buildSimulatorStateQuery,
+    getSliderState,
+    getSliderDefaults,
+    getOptionDefaults
+} = require('../simulator-state.js');
+
+test('a scenario survives a round trip through the query string', () => {
+    const state = {
+        grade: 'secondary',
+        environment: 'rest room',
+        image: 2,
+        sliders: { cctSlider: 4000, criSlider: 90, flickerSlider: 100, flickerModulationSlider: 8, flickerDutySlider: 25, glareSlider: 19, verticalSlider: 150, luxSlider: 500 },
+        options: { flickerWaveform: 'square' },
+        luminaires: [{ x: 0.5, y: 0.2 }, { x: 0.25, y: 0.3 }],
+        energy: { energyCount: 12, energyWatts: 29, energyHours: 8, energyDays: 190, energyTariff: 0.25, energyDimming: 0.8 }
+    };
+
+    const query = buildSimulatorStateQuery(state);
+    assert.match(query, /image=3/, 'image is 1-based in the URL');
+    assert.deepStrictEqual(parseSimulatorState(`?${query}`), state);
+});
+
+test('hash fragments parse like query strings', () => {
+    const state = parseSimulatorState('#grade=kinder&environment=classroom&cct=3000');
+    assert.strictEqual(state.grade, 'kinder');
+    assert.strictEqual(state.environment, 'classroom');
+    assert.deepStrictEqual(state.sliders, { cctSlider: 3000 });
+});
+
+test('missing or invalid values are left out', () => {
+    const state = parseSimulatorState('?grade=primary&image=0&cct=warm&cri=&lux=Infinity&waveform=triangle&watts=-5&unknown=1');
+    assert.deepStrictEqual(state, { grade: 'primary', environment: null, image: null, sliders: {}, options: {}, luminaires: null, energy: {} });
+    assert.deepStrictEqual(parseSimulatorState('?luminaires=0.5,0.2;2,0.1;x;0.1').luminaires, [{ x: 0.5, y: 0.2 }]);
+    assert.deepStrictEqual(parseSimulatorState('?luminaires=').luminaires, [], 'an empty list means no luminaires');
+    assert.strictEqual(buildSimulatorStateQuery({ sliders: { cctSlider: NaN } }), '');
+});
+
+test('slider and option defaults are read from the page', () => {
+    const elements = {
+        cctSlider: { value: '4000', defaultValue: '6500', disabled: false },
+        flickerDutySlider: { value: '50', defaultValue: '50', disabled: true },
+        luxSlider: { value: '', defaultValue: '', disabled: false },
+        flickerWaveform: { options: [{ value: 'sine', defaultSelected: false }, { value: 'square', defaultSelected: true }] }
+    };
+    global.document = { getElementById: id => elements[id] || null };
+    try {
+        assert.deepStrictEqual(getSliderDefaults(), { cctSlider: 6500, flickerDutySlider: 50 });
+        assert.deepStrictEqual(getSliderState(), { cctSlider: 4000 }, 'disabled and empty sliders are left out');
+        assert.deepStrictEqual(getOptionDefaults(), { flickerWaveform: 'square' });
+
+        elements.flickerWaveform.options[1].defaultSelected = false;
+        assert.deepStrictEqual(getOptionDefaults(), { flickerWaveform: 'sine' }, 'the first option without a selected one');
+    } finally {
+        delete global.document;
+    }
+});
@@ -0,0 +1,67 @@
+/**
+ * Spectrum Import Tests
+ * Datasheet SPDs in CSV and JSON are read, checked for coverage and resampled, and an imported
+ * spectrum gives its CCT, Duv and colour rendering indices.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The colour helpers are globals in the browser
+Object.assign(global, require('../colorimetry.js'));
+Object.assign(global, require('../color-rendering.js'));
+const {
+    parseSpectrumCSV,
+    parseSpectrumJSON,
+    parseSpectrumFile,
+    toSimulatorSpectrum,
+    analyzeSpectrum
+} = require('../spd-import.js');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+// A 3000 K blackbody tabulated every 10 nm, highest wavelength first
+const planckTable = () => {
+    const wavelengths = [];
+    for (let wavelength = 780; wavelength >= 380; wavelength -= 10) wavelengths.push(wavelength);
+    const spectrum = planckSpectrum(3000);
+    return { wavelengths, values: wavelengths.map(wavelength => spectrum[WAVELENGTHS.indexOf(wavelength)]) };
+};
+
+test('CSV and JSON datasheet exports give the same wavelength / value pairs', () => {
+    const csv = parseSpectrumCSV('Wavelength (nm);Relative power\n# exported\n380;0.1\n385\t0.2\n390, 0.3\n395 0.4\n');
+    assert.deepStrictEqual(csv, { wavelengths: [380, 385, 390, 395], values: [0.1, 0.2, 0.3, 0.4] });
+
+    const expected = { wavelengths: [380, 385], values: [0.1, 0.2] };
+    assert.deepStrictEqual(parseSpectrumJSON('{"wavelengths": [380, 385], "values": [0.1, 0.2]}'), expected);
+    assert.deepStrictEqual(parseSpectrumJSON('[[380, 0.1], [385, 0.2]]'), expected);
+    assert.deepStrictEqual(parseSpectrumJSON('{"spd": [{"wavelength": 380, "value": 0.1}, {"nm": 385, "power": 0.2}]}'), expected);
+    assert.deepStrictEqual(parseSpectrumJSON('{"380": 0.1, "385": 0.2}'), expected);
+    assert.throws(() => parseSpectrumJSON('42'), /Unrecognised/);
+
+    // The extension decides, and a file without a known one is sniffed
+    assert.deepStrictEqual(parseSpectrumFile('lamp.txt', '[[380, 0.1], [385, 0.2]]'), expected);
+    assert.deepStrictEqual(parseSpectrumFile('lamp.csv', '380,0.1\n385,0.2'), expected);
+});
+
+test('an imported spectrum is resampled, normalised and must cover the visible range', () => {
+    const spectrum = toSimulatorSpectrum(planckTable());
+    assert.strictEqual(spectrum.length, WAVELENGTHS.length);
+    close(spectrumToXYZ(spectrum)[1], 1, 1e-9);
+    close(calculateCCT(spectrumToXYZ(spectrum)).cct, 3000, 5);
+
+    assert.throws(() => toSimulatorSpectrum({ wavelengths: [400], values: [1] }), /No wavelength/);
+    assert.throws(() => toSimulatorSpectrum({ wavelengths: [400, 780], values: [1, 1] }), /must cover 380-780 nm/);
+    assert.throws(() => toSimulatorSpectrum({ wavelengths: [380, 780], values: [0, 0] }), /no power/);
+});
+
+test('an imported spectrum gives its CCT, Duv and colour rendering indices', () => {
+    const metrics = analyzeSpectrum(planckSpectrum(3000));
+    close(metrics.cct, 3000, 3);
+    close(metrics.duv, 0, 1e-4);
+    close(metrics.ra, 100, 0.05);
+    assert.strictEqual(metrics.ri.length, 14);
+    close(metrics.ri[8], 100, 0.05);
+});
@@ -0,0 +1,78 @@
+/**
+ * Standards Loader Tests
+ * Every page that loads standards-loader.js finds the standards data, its schema and the images
+ * it lists, whether the page is in the repository root or in New/, and the data is the
+ * migration tool's output.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGES = ['index.html', 'class.html', 'New/index.html', 'New/classroom.html'];
+
+// Run standards-loader.js as the page's <script> tag does and read what it exports
+function loadForPage(page) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8').replace(/<!--[\s\S]*?-->/g, '');
+    const tag = html.match(/<script[^>]*\ssrc="([^"]*standards-loader\.js)"/);
+    assert.ok(tag, `${page} does not load standards-loader.js`);
+    assert.ok(fs.existsSync(path.join(ROOT, path.dirname(page), tag[1])), `${page} loads missing ${tag[1]}`);
+
+    const document = { currentScript: { getAttribute: name => (name === 'src' ? tag[1] : null) } };
+    const context = vm.createContext({ module: { exports: {} }, document, console });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'standards-loader.js'), 'utf8'), context, { filename: 'standards-loader.js' });
+    return context.module.exports;
+}
+
+// A path as the page at `page` would fetch it, relative to the repository root
+const fromPage = (page, file) => path.join(path.dirname(page), file);
+const readJson = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+for (const page of PAGES) {
+    test(`${page} loads the standards data and schema`, () => {
+        const loader = loadForPage(page);
+        const dataFile = fromPage(page, loader.STANDARDS_PATH);
+        const schemaFile = fromPage(page, loader.STANDARDS_SCHEMA_PATH);
+
+        assert.strictEqual(path.normalize(dataFile), path.normalize('api/standards.json'));
+        assert.strictEqual(path.normalize(schemaFile), path.normalize('api/standards.schema.json'));
+
+        const standards = readJson(dataFile);
+        const errors = loader.validateStandards(standards, readJson(schemaFile));
+        assert.strictEqual(errors.length, 0, loader.formatStandardsErrors(errors));
+
+        // Every environment and emotion image is found from the page
+        Object.values(standards.age_groups).forEach(group => {
+            Object.values(group.environments).forEach(environment => {
+                [...environment.images, ...Object.values(environment.emotion_images || {})].forEach(image => {
+                    const file = fromPage(page, loader.standardsAssetPath(image));
+                    assert.ok(fs.existsSync(path.join(ROOT, file)), `${page}: missing image ${file}`);
+                });
+            });
+        });
+    });
+}
+
+test('URLs and absolute paths are not rebased', () => {
+    const loader = loadForPage('New/classroom.html');
+    assert.strictEqual(loader.standardsAssetPath('images/a.jpg'), '../images/a.jpg');
+    assert.strictEqual(loader.standardsAssetPath('/images/a.jpg'), '/images/a.jpg');
+    assert.strictEqual(loader.standardsAssetPath('https://example.com/a.jpg'), 'https://example.com/a.jpg');
+    assert.strictEqual(loader.standardsAssetPath('data:image/png;base64,AAAA'), 'data:image/png;base64,AAAA');
+
+    // Without a document (Node, the service worker) the paths are relative to the root
+    const { STANDARDS_PATH, standardsAssetPath } = require('../standards-loader.js');
+    assert.strictEqual(STANDARDS_PATH, 'api/standards.json');
+    assert.strictEqual(standardsAssetPath('images/a.jpg'), 'images/a.jpg');
+});
+
+test('api/standards.json is what tools/migrate-standards.js generates', () => {
+    const { buildStandards } = require('../tools/migrate-standards.js');
+    assert.deepStrictEqual(readJson('api/standards.json'), buildStandards().standards,
+        'api/standards.json was edited by hand or the older files changed: run node tools/migrate-standards.js');
+});
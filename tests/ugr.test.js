@@ -0,0 +1,93 @@
+/**
+ * UGR Tests
+ * The CIE 117 formula with the Guth position index, worked against a hand calculation, and the
+ * luminaire layout helpers.
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    guthPositionIndex,
+    luminaireGlareTerm,
+    calculateUGR,
+    luminaireGrid,
+    parseLuminairePositions
+} = require('../ugr.js');
+
+const observer = { x: 0, y: 0, z: 1.2, direction: 0 };
+
+test('the position index is 1 on the line of sight and grows away from it', () => {
+    assert.ok(Math.abs(guthPositionIndex(0, 0) - 1) < 1e-12);
+    assert.ok(guthPositionIndex(0, 30) > guthPositionIndex(0, 15));
+    // The brow shades sources straight above the line of sight, so they glare less than ones to the side
+    assert.ok(guthPositionIndex(0, 30) > guthPositionIndex(45, 30));
+});
+
+test('UGR matches a hand calculation for one luminaire', () => {
+    // 3 m ahead, 1.6 m above the eye: beta = 28.07°, alpha = 0, p = 3.06, omega = 0.01466 sr
+    const luminaire = { x: 0, y: 3, z: 2.8, area: 0.36, luminance: 5000 };
+    const term = luminaireGlareTerm(observer, luminaire);
+    assert.ok(term.included);
+    assert.ok(Math.abs(term.beta - 28.07) < 0.01);
+    assert.ok(Math.abs(term.alpha) < 1e-9);
+    assert.ok(Math.abs(term.p - 3.063) < 0.005);
+    assert.ok(Math.abs(term.omega - 0.014655) < 1e-5);
+
+    const result = calculateUGR({ observer, backgroundLuminance: 40, luminaires: [luminaire] });
+    assert.ok(Math.abs(result.ugr - 19.1) < 0.05, `UGR ${result.ugr}`);
+    assert.deepStrictEqual(result.warnings, []);
+});
+
+test('twice the luminaires add 8 log10(2) to UGR and twice the background takes it away', () => {
+    const luminaire = { x: 0, y: 3, z: 2.8, area: 0.36, luminance: 5000 };
+    const one = calculateUGR({ observer, backgroundLuminance: 40, luminaires: [luminaire] }).ugr;
+    const two = calculateUGR({ observer, backgroundLuminance: 40, luminaires: [luminaire, luminaire] }).ugr;
+    const brighter = calculateUGR({ observer, backgroundLuminance: 80, luminaires: [luminaire, luminaire] }).ugr;
+    assert.ok(Math.abs(two - one - 8 * Math.log10(2)) < 1e-9);
+    assert.ok(Math.abs(brighter - one) < 1e-9);
+});
+
+test('luminaires behind the observer or below eye level are left out', () => {
+    const behind = { x: 0, y: -2, z: 2.8, area: 0.36, luminance: 5000 };
+    const low = { x: 0, y: 2, z: 1, area: 0.36, luminance: 5000 };
+    assert.strictEqual(luminaireGlareTerm(observer, behind).included, false);
+    assert.strictEqual(luminaireGlareTerm(observer, low).included, false);
+
+    // Turning round brings the luminaire behind into view
+    assert.ok(luminaireGlareTerm({ ...observer, direction: 180 }, behind).included);
+
+    const result = calculateUGR({ observer, backgroundLuminance: 40, luminaires: [behind, low] });
+    assert.strictEqual(result.ugr, -Infinity);
+    assert.strictEqual(result.warnings.length, 1);
+});
+
+test('sources outside the solid angles of the formula are flagged', () => {
+    const tiny = { x: 0, y: 5, z: 2.8, area: 0.005, luminance: 50000 };
+    const result = calculateUGR({ observer, backgroundLuminance: 40, luminaires: [tiny] });
+    assert.ok(result.warnings.some(warning => warning.includes('too small')));
+    assert.throws(() => calculateUGR({ observer, backgroundLuminance: 0, luminaires: [tiny] }), /Background luminance/);
+});
+
+test('a grid spreads luminaires evenly and typed positions are read line by line', () => {
+    const grid = luminaireGrid({ width: 6, length: 8 }, 2, 3, 2.8);
+    assert.strictEqual(grid.length, 6);
+    assert.deepStrictEqual(grid[0], { x: 1, y: 2, z: 2.8 });
+    assert.deepStrictEqual(grid[5], { x: 5, y: 6, z: 2.8 });
+
+    const { positions, errors } = parseLuminairePositions('1, 2, 2.8\n\n3 4 2.8\nabc\n1,2');
+    assert.deepStrictEqual(positions, [{ x: 1, y: 2, z: 2.8 }, { x: 3, y: 4, z: 2.8 }]);
+    assert.deepStrictEqual(errors, ['Line 4: expected "x, y, z" in metres', 'Line 5: expected "x, y, z" in metres']);
+});
+
+test('measured photometry gives the luminance towards the eye', () => {
+    // A diffuser looks equally bright from every angle: L = I(gamma) / (A cos gamma) = I0 / A
+    const area = 0.36;
+    const peak = 5000 * area;
+    const intensity = gamma => peak * Math.cos(gamma * Math.PI / 180);
+    const measured = luminaireGlareTerm(observer, { x: 1, y: 3, z: 2.8, area, intensity });
+    const rated = luminaireGlareTerm(observer, { x: 1, y: 3, z: 2.8, area, luminance: 5000 });
+    assert.ok(Math.abs(measured.luminance - 5000) < 1e-6);
+    assert.ok(Math.abs(measured.term - rated.term) < 1e-6);
+});
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/**
+ * Standards Migration
+ * Merges the older graded (newData.json / data.json) and per-environment (lighting.json)
+ * files into api/standards.json, the unified, versioned standards format described by
+ * api/standards.schema.json that every page loads
+ *
+ * Usage:
+ *   node tools/migrate-standards.js
+ *       merge every older file in the repository (see GRADED_FILES and ENVIRONMENT_FILES)
+ *   node tools/migrate-standards.js --graded <file> --environments <file> --out <file>
+ *       merge the given files (each option may be repeated; earlier files come first)
+ *
+ * When two files give a range for the same parameter and rating, the earlier file's range is
+ * kept and the difference is printed as a warning. The result is validated against the schema
+ * before it is written; nothing is written if validation fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STANDARDS_SCHEMA_VERSION, validateStandards, formatStandardsErrors } = require('../standards-loader.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCHEMA_PATH = path.join(ROOT, 'api/standards.schema.json');
+
+// The older files in the repository, in the order they are merged (the main simulator's first)
+const GRADED_FILES = ['api/newData.json', 'New/api/newData.json', 'New/api/data.json'];
+const ENVIRONMENT_FILES = ['api/lighting.json', 'New/api/lighting.json', 'New/api/lighting_recommendations_by_age_env.json'];
+const STANDARDS_FILE = 'api/standards.json';
+
+// Other names the age groups go by: older files key the 12-18 group as "adults" in one
+// file and "secondary" in the other, and selections may also say "high-school"
+const AGE_GROUP_ALIASES = { adults: 'secondary', 'high-school': 'secondary' };
+
+const AGE_GROUP_LABELS = {
+    kinder: 'Kindergarten',
+    primary: 'Primary',
+    secondary: 'Secondary'
+};
+
+const PARAMETERS = {
+    CCT: { label: 'CCT (Color Temperature)', unit: 'K', description: 'Color temperature affects mood and concentration.' },
+    CRI: { label: 'CRI (Color Rendering Index)', unit: '', description: 'CRI measures how accurately colors are rendered.' },
+    Flicker: { label: 'Flicker', unit: '%', description: 'Flicker can cause eye strain and headaches.' },
+    UGR: { label: 'Glare (UGR)', unit: '', description: 'Unified Glare Rating measures visual comfort.' },
+    Uniformity: { label: 'Uniformity', unit: 'U₀', description: 'Uniformity measures the consistency of lighting across a space.' },
+    Melanopic_EDI: { label: 'Melanopic EDI', unit: 'lux', description: 'Melanopic Equivalent Daylight Illuminance affects circadian rhythms.' },
+    Vertical_Illuminance: { label: 'Vertical Illuminance', unit: 'lux', description: 'Vertical illuminance improves face visibility and comfort.' },
+    Exposure_Duration: { label: 'Exposure Duration', unit: 'hours', description: 'Exposure duration affects the cumulative impact of lighting on health.' },
+    Lux: { label: 'Lux (Illuminance)', unit: 'lux', description: 'Lux measures the amount of light falling on a surface.' }
+};
+
+// lighting.json recommendation levels and the rating each maps to
+const LEVEL_RATINGS = {
+    highly_recommended: 'good',
+    recommended: 'medium',
+    not_recommended: 'bad'
+};
+
+/**
+ * Conversion Functions
+ */
+
+// Function to get the canonical age group key for a key from an older file
+function canonicalAgeGroup(key) {
+    return AGE_GROUP_ALIASES[key] || key;
+}
+
+// Function to turn "rest room" / "Painting" into a display label
+function toLabel(key) {
+    return key.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+// Function to get the source id for a migrated file: its path without "api/" and the
+// extension ("api/lighting.json" -> "lighting", "New/api/lighting.json" -> "New-lighting")
+function sourceId(file) {
+    return file.replace(/(^|\/)api\//, '$1').replace(/\.json$/, '').replace(/\//g, '-');
+}
+
+// Function to make an image path from an older file relative to the repository root. The paths
+// were relative to the pages that read the file (New/ for New/api/*.json); an image that is
+// only in the root images/ folder is taken from there. `exists` checks a root-relative path.
+function resolveImagePath(image, file, exists, warnings) {
+    const pageDir = path.posix.dirname(path.posix.dirname(file));
+    const fromPage = path.posix.join(pageDir, image);
+    if (exists(fromPage)) return fromPage;
+    if (exists(image)) return image;
+    warnings.push(`${file}: image ${image} not found`);
+    return fromPage;
+}
+
+// Function to add ranges from a file to those from earlier files. A rating an earlier file
+// already gives is kept, with a warning when this file's range differs.
+function mergeRanges(ranges, entries, context, warnings) {
+    const earlier = ranges.slice();
+    entries.forEach(entry => {
+        const existing = earlier.find(range => range.rating === entry.rating);
+        if (!existing) {
+            ranges.push(entry);
+        } else if (existing.min !== entry.min || existing.max !== entry.max || existing.unit !== entry.unit) {
+            const format = range => `${range.min}-${range.max}${range.unit ? ` ${range.unit}` : ''}`;
+            warnings.push(`${context}: ${entry.rating} range ${format(entry)} differs from ${format(existing)}; keeping ${existing.source}`);
+        }
+    });
+}
+
+// Function to convert one graded entry ({ range: {min, max, unit} } or { range: [min, max], unit })
+function convertGradedEntry(param, entry, source) {
+    const range = Array.isArray(entry.range)
+        ? { min: entry.range[0], max: entry.range[1], unit: entry.unit }
+        : entry.range;
+
+    return {
+        rating: String(entry.rating || 'good').toLowerCase(),
+        min: Number(range.min),
+        max: Number(range.max),
+        unit: range.unit ?? entry.unit ?? PARAMETERS[param]?.unit ?? '',
+        reason: entry.reason || '',
+        recommendation: entry.recommendation || '',
+        source
+    };
+}
+
+// Function to get (creating if needed) an age group in the unified data
+function ageGroupEntry(standards, key) {
+    const groupKey = canonicalAgeGroup(key);
+    if (!standards.age_groups[groupKey]) {
+        standards.age_groups[groupKey] = {
+            label: AGE_GROUP_LABELS[groupKey] || toLabel(groupKey),
+            age_range: '',
+            aliases: Object.keys(AGE_GROUP_ALIASES).filter(alias => AGE_GROUP_ALIASES[alias] === groupKey),
+            ranges: {},
+            environments: {}
+        };
+    }
+    return standards.age_groups[groupKey];
+}
+
+// Function to set an age group's age range, warning when two files disagree
+function setAgeRange(group, ageRange, file, warnings) {
+    if (!ageRange) return;
+    if (group.age_range && group.age_range !== ageRange) {
+        warnings.push(`${file}: age range ${ageRange} differs from ${group.age_range} for ${group.label}; keeping ${group.age_range}`);
+        return;
+    }
+    group.age_range = ageRange;
+}
+
+// Function to merge graded files and per-environment files into the unified format.
+// Each file is { file, json } with `file` relative to the repository root; `exists` checks
+// whether a root-relative image path exists.
+function migrateStandards(gradedFiles, environmentFiles, exists) {
+    const warnings = [];
+    const standards = {
+        schema_version: STANDARDS_SCHEMA_VERSION,
+        sources: {},
+        parameters: PARAMETERS,
+        age_groups: {}
+    };
+    const imagePath = (image, file) => resolveImagePath(image, file, exists, warnings);
+
+    for (const { file, json } of gradedFiles) {
+        const source = sourceId(file);
+        standards.sources[source] = { title: 'Graded ranges by age group', file };
+
+        for (const key in json) {
+            const group = ageGroupEntry(standards, key);
+            setAgeRange(group, json[key].age_range, file, warnings);
+
+            for (const param in json[key]) {
+                if (param === 'age_range') continue;
+                const entries = Array.isArray(json[key][param]) ? json[key][param] : [json[key][param]];
+                group.ranges[param] = group.ranges[param] || [];
+                mergeRanges(group.ranges[param], entries.map(entry => convertGradedEntry(param, entry, source)),
+                    `${file}: ${key} ${param}`, warnings);
+            }
+        }
+    }
+
+    for (const { file, json } of environmentFiles) {
+        const source = sourceId(file);
+        standards.sources[source] = { title: 'Recommended ranges by environment', file };
+
+        for (const key in json) {
+            const group = ageGroupEntry(standards, key);
+            const groupData = json[key];
+            setAgeRange(group, groupData.age_range, file, warnings);
+            if (groupData.image && !group.image) {
+                group.image = imagePath(groupData.image, file);
+            }
+
+            for (const level in groupData.recommendation_levels || {}) {
+                const rating = LEVEL_RATINGS[level];
+                if (!rating) {
+                    warnings.push(`${file}: unknown recommendation level "${level}" in ${key} skipped`);
+                    continue;
+                }
+
+                const environments = groupData.recommendation_levels[level].environments || {};
+                for (const environmentKey in environments) {
+                    const environmentData = environments[environmentKey];
+                    if (!group.environments[environmentKey]) {
+                        group.environments[environmentKey] = { label: toLabel(environmentKey), images: [], ranges: {} };
+                    }
+                    const environment = group.environments[environmentKey];
+
+                    (environmentData.images || []).forEach(image => {
+                        const resolved = imagePath(image, file);
+                        if (!environment.images.includes(resolved)) environment.images.push(resolved);
+                    });
+                    if (environmentData.emotion && !environment.emotion_images) {
+                        environment.emotion_images = {};
+                        for (const emotion in environmentData.emotion) {
+                            environment.emotion_images[emotion] = imagePath(environmentData.emotion[emotion], file);
+                        }
+                    }
+
+                    for (const param in environmentData) {
+                        const paramData = environmentData[param];
+                        if (!paramData || !paramData.range) continue;
+                        environment.ranges[param] = environment.ranges[param] || [];
+                        mergeRanges(environment.ranges[param], [convertGradedEntry(param, { ...paramData, rating }, source)],
+                            `${file}: ${key} / ${environmentKey} ${param}`, warnings);
+                    }
+                }
+            }
+        }
+    }
+
+    // Drop empty alias lists to keep the output tidy
+    for (const key in standards.age_groups) {
+        if (standards.age_groups[key].aliases.length === 0) {
+            delete standards.age_groups[key].aliases;
+        }
+    }
+
+    return { standards, warnings };
+}
+
+/**
+ * Command Line
+ */
+
+// Function to read command line options (--graded, --environments, --out); --graded and
+// --environments may be repeated
+function parseArguments(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!['graded', 'environments', 'out'].includes(name) || argv[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+        }
+        if (name === 'out') {
+            options.out = argv[i + 1];
+        } else {
+            options[name] = [...(options[name] || []), argv[i + 1]];
+        }
+    }
+    if (Object.keys(options).length > 0 && !(options.graded && options.environments && options.out)) {
+        throw new Error('--graded, --environments and --out must be given together');
+    }
+    return options;
+}
+
+// Function to merge the older files as the standards data, without writing it
+function buildStandards(graded = GRADED_FILES, environments = ENVIRONMENT_FILES) {
+    const readFile = file => ({ file, json: JSON.parse(fs.readFileSync(path.resolve(ROOT, file), 'utf8')) });
+    const exists = file => fs.existsSync(path.resolve(ROOT, file));
+    return migrateStandards(graded.map(readFile), environments.map(readFile), exists);
+}
+
+// Function to run the migration; returns false if the result failed validation
+function runMigration({ graded, environments, out }, schema) {
+    const { standards, warnings } = buildStandards(graded, environments);
+
+    warnings.forEach(warning => console.warn(`  warning: ${warning}`));
+
+    const errors = validateStandards(standards, schema);
+    if (errors.length > 0) {
+        console.error(`✗ ${out} not written, ${errors.length} validation problem(s):\n${formatStandardsErrors(errors, 20)}`);
+        return false;
+    }
+
+    fs.writeFileSync(path.resolve(ROOT, out), JSON.stringify(standards, null, 2) + '\n');
+    console.log(`✓ ${[...graded, ...environments].join(' + ')} -> ${out}`);
+    return true;
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const migration = options.out ? options : { graded: GRADED_FILES, environments: ENVIRONMENT_FILES, out: STANDARDS_FILE };
+
+    if (!runMigration(migration, schema)) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { migrateStandards, buildStandards };
@@ -0,0 +1,170 @@
+/**
+ * UGR Calculator
+ * Unified Glare Rating from room geometry and luminaire data (CIE 117-1995)
+ *
+ * This file contains:
+ * - The Guth position index
+ * - The glare term of one luminaire seen by an observer
+ * - The UGR of an installation, with the terms and warnings behind it
+ * - Helpers for a regular luminaire layout and typed-in positions
+ *
+ * UGR = 8 log10( 0.25 / Lb * Σ L² ω / p² )
+ *   Lb  background luminance (cd/m²), ω the solid angle of a luminaire's luminous area seen from
+ *   the eye (sr), L its luminance towards the eye (cd/m²) and p its Guth position index.
+ *
+ * Coordinates are in metres: x across the room (0 - width), y along it (0 - length) and
+ * z up from the floor. The observer looks horizontally; direction 0° is along +y, 90° along +x.
+ */
+
+
+// Seated eye height used by CIE 117 tables (m)
+const SEATED_EYE_HEIGHT = 1.2;
+
+// The CIE 117 formula is meant for luminaires between these solid angles (sr)
+const UGR_MIN_SOLID_ANGLE = 0.0003;
+const UGR_MAX_SOLID_ANGLE = 0.1;
+
+// UGR values are quoted between 10 (no glare) and 30 (intolerable)
+const UGR_MIN = 10;
+const UGR_MAX = 30;
+
+/**
+ * Position Index
+ */
+
+// Function to calculate the Guth position index for a source above the line of sight.
+// alpha: angle from the vertical of the plane through the line of sight and the source (degrees);
+// beta: angle between the line of sight and the direction of the source (degrees).
+// Uses Levin's fit of the Luckiesh-Guth table.
+function guthPositionIndex(alpha, beta) {
+    const lnP = (35.2 - 0.31889 * alpha - 1.22 * Math.exp(-2 * alpha / 9)) * 1e-3 * beta
+        + (21 + 0.26667 * alpha - 0.002963 * alpha * alpha) * 1e-5 * beta * beta;
+    return Math.exp(lnP);
+}
+
+/**
+ * Glare Terms
+ */
+
+// Function to calculate the glare term L² ω / p² of one luminaire for an observer.
+// observer: { x, y, z, direction }; luminaire: { x, y, z, area (m², horizontal, facing down),
+// luminance (cd/m²) } or, with measured photometry, { x, y, z, area, intensity(gamma, c) } so the
+// luminance towards the eye is I / projected area. Luminaires behind the observer or not above
+// eye level are left out.
+function luminaireGlareTerm(observer, luminaire) {
+    const direction = (observer.direction || 0) * Math.PI / 180;
+    const dx = luminaire.x - observer.x;
+    const dy = luminaire.y - observer.y;
+    const up = luminaire.z - observer.z;
+
+    // Components along the line of sight (forward) and across it (side)
+    const forward = dx * Math.sin(direction) + dy * Math.cos(direction);
+    const side = dx * Math.cos(direction) - dy * Math.sin(direction);
+    const distance = Math.hypot(dx, dy, up);
+
+    if (forward <= 0) {
+        return { included: false, reason: 'behind the observer' };
+    }
+    if (up <= 0) {
+        return { included: false, reason: 'not above eye level' };
+    }
+
+    const beta = Math.acos(forward / distance) * 180 / Math.PI;
+    const alpha = Math.atan2(Math.abs(side), up) * 180 / Math.PI;
+    const p = guthPositionIndex(alpha, beta);
+
+    // The luminous area faces down, so it is seen foreshortened by the angle from its normal
+    const projectedArea = luminaire.area * (up / distance);
+    const omega = projectedArea / (distance * distance);
+
+    let luminance = luminaire.luminance;
+    if (typeof luminaire.intensity === 'function') {
+        // Direction from the luminaire to the eye: gamma from straight down, C plane from +x
+        const gamma = Math.acos(up / distance) * 180 / Math.PI;
+        const c = (Math.atan2(-dy, -dx) * 180 / Math.PI + 360) % 360;
+        luminance = luminaire.intensity(gamma, c) / projectedArea;
+    }
+    const term = luminance * luminance * omega / (p * p);
+
+    return { included: true, alpha, beta, omega, p, distance, luminance, term };
+}
+
+// Function to calculate UGR for { observer, backgroundLuminance, luminaires }.
+// Returns { ugr, glareSum, terms (one per luminaire), warnings }. ugr is -Infinity when no
+// luminaire is in view.
+function calculateUGR({ observer, backgroundLuminance, luminaires }) {
+    const warnings = [];
+    if (!(backgroundLuminance > 0)) {
+        throw new Error('Background luminance must be greater than 0 cd/m²');
+    }
+
+    const terms = luminaires.map(luminaire => luminaireGlareTerm(observer, luminaire));
+    const glareSum = terms.reduce((sum, term) => sum + (term.included ? term.term : 0), 0);
+    const ugr = glareSum > 0 ? 8 * Math.log10(0.25 / backgroundLuminance * glareSum) : -Infinity;
+
+    const included = terms.filter(term => term.included);
+    if (included.length === 0) {
+        warnings.push('No luminaire is in front of the observer and above eye level');
+    }
+    const small = included.filter(term => term.omega < UGR_MIN_SOLID_ANGLE).length;
+    const large = included.filter(term => term.omega > UGR_MAX_SOLID_ANGLE).length;
+    if (small > 0) {
+        warnings.push(`${small} luminaire${small === 1 ? ' is' : 's are'} too small in view (under ${UGR_MIN_SOLID_ANGLE} sr) for the UGR formula, which overrates small sources`);
+    }
+    if (large > 0) {
+        warnings.push(`${large} luminaire${large === 1 ? ' is' : 's are'} too large in view (over ${UGR_MAX_SOLID_ANGLE} sr) for the UGR formula`);
+    }
+    if (Number.isFinite(ugr) && (ugr < UGR_MIN || ugr > UGR_MAX)) {
+        warnings.push(`UGR ${ugr.toFixed(1)} is outside the ${UGR_MIN} - ${UGR_MAX} range the scale is defined for`);
+    }
+
+    return { ugr, glareSum, terms, warnings };
+}
+
+/**
+ * Layout Helpers
+ */
+
+// Function to place rows x columns luminaires evenly over a room { width, length } at height z
+function luminaireGrid(room, rows, columns, z) {
+    const positions = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            positions.push({
+                x: Math.round((column + 0.5) * room.width / columns * 100) / 100,
+                y: Math.round((row + 0.5) * room.length / rows * 100) / 100,
+                z
+            });
+        }
+    }
+    return positions;
+}
+
+// Function to read luminaire positions typed one per line as "x, y, z" (metres). Returns
+// { positions, errors } with the line number of each line that could not be read.
+function parseLuminairePositions(text) {
+    const positions = [];
+    const errors = [];
+
+    String(text || '').split('\n').forEach((line, i) => {
+        if (line.trim() === '') return;
+        const values = line.split(/[,;\s]+/).filter(Boolean).map(Number);
+        if (values.length !== 3 || !values.every(Number.isFinite)) {
+            errors.push(`Line ${i + 1}: expected "x, y, z" in metres`);
+            return;
+        }
+        positions.push({ x: values[0], y: values[1], z: values[2] });
+    });
+    return { positions, errors };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEATED_EYE_HEIGHT,
+        guthPositionIndex,
+        luminaireGlareTerm,
+        calculateUGR,
+        luminaireGrid,
+        parseLuminairePositions
+    };
+}